@@ -0,0 +1,76 @@
+// File : accessPolicies.js of api-gateway
+//
+// Role-based access rules, checked in order; the first rule whose path and
+// method match the request wins. Requests that match no rule fall back to the
+// defaults at the bottom: reads are public, writes are admin-only.
+//
+// roles : roles allowed through ('visitor' means anyone, signed in or not)
+// owner : route param that must equal the organizer's own id (admins bypass)
+
+const ANYONE = ['visitor', 'organizer', 'admin'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const ALL_METHODS = [...READ_METHODS, 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const policies = [
+    // Authentication
+    { path: '/auths/register', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/login', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/refresh', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/logout', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/forgot-password', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/reset-password', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/resend-verification', methods: ['POST'], roles: ANYONE },
+    // Email approval links carry their own signed one-time token
+    { path: '/auths/approve/:token', methods: ['POST'], roles: ANYONE },
+    { path: '/auths/reject/:token', methods: ['POST'], roles: ANYONE },
+
+    // Admin area: only the login is open, everything else (reads included) needs an admin
+    { path: '/admin/login', methods: ['POST'], roles: ANYONE },
+    { path: '/admin/*', methods: ALL_METHODS, roles: ['admin'] },
+
+    // Organizers may only change their own profile; removing accounts is for admins
+    { path: '/organizers/:id', methods: ['PUT', 'PATCH'], roles: ['organizer', 'admin'], owner: 'id' },
+    { path: '/organizers/:id', methods: ['DELETE'], roles: ['admin'] },
+
+    // Events are managed by organizers and admins; the event-service checks that
+    // an organizer owns (or co-organizes) the event being changed
+    { path: '/events/mine', methods: ['GET'], roles: ['organizer'] },
+    { path: '/events', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/events/import', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id', methods: ['PUT', 'PATCH', 'DELETE'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/cancel', methods: ['PUT'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/occurrences/:occurrenceId', methods: ['PUT'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/occurrences/:occurrenceId/cancel', methods: ['PUT'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/organizers', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/organizers/:organizerId', methods: ['DELETE'], roles: ['organizer', 'admin'] },
+
+    // Visitors sign up for events and cancel with their emailed link; the
+    // attendee list is for the event's organizers (checked by the event-service)
+    { path: '/events/registrations/cancel', methods: ['POST'], roles: ANYONE },
+    { path: '/events/:id/registrations', methods: ['POST'], roles: ANYONE },
+    { path: '/events/:id/registrations', methods: ['GET'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/registrations.csv', methods: ['GET'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/registrations/:registrationId', methods: ['DELETE'], roles: ['organizer', 'admin'] },
+    // Ticket QR codes are public (the code is the ticket); scanning is for organizers
+    { path: '/events/:id/check-in', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/attendance', methods: ['GET'], roles: ['organizer', 'admin'] },
+
+    // Organizers and admins maintain speakers and put them on their events;
+    // deleting a speaker is left to admins (write default)
+    { path: '/events/:id/speakers', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/events/:id/speakers/:speakerId', methods: ['DELETE'], roles: ['organizer', 'admin'] },
+    { path: '/speakers', methods: ['POST'], roles: ['organizer', 'admin'] },
+    { path: '/speakers/:id', methods: ['PUT', 'PATCH'], roles: ['organizer', 'admin'] },
+    { path: '/speakers/:id/schedule/email', methods: ['POST'], roles: ['organizer', 'admin'] },
+
+    // Buildings, zones and exhibits are admin-only (covered by the write default)
+
+    // Tags and their synonyms are maintained by admins (covered by the write default)
+];
+
+const defaults = {
+    read: { roles: ANYONE },
+    write: { roles: ['admin'] }
+};
+
+module.exports = { policies, defaults, READ_METHODS };
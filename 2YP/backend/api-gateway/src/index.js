@@ -9,12 +9,17 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count'] })); // paged lists send their total in X-Total-Count
 
 const verifyToken = require('./middlewares/verifyToken');
+const authorize = require('./middlewares/authorize');
+const forwardIdentity = require('./middlewares/forwardIdentity');
+const { requireGatewaySecret } = require('../../middlewares/gatewayIdentity');
 
-
-
+// Authentication & role-based access control (see config/accessPolicies.js)
+app.use(verifyToken);
+app.use(authorize);
+app.use(forwardIdentity);
 
 // Proxy for /api/auth to auth-service
 /*
@@ -37,12 +42,39 @@ app.use('/events',createProxyMiddleware({
     pathRewrite: (path, req) => req.originalUrl.replace(/^\/events/, '/events')
 }));
 
+// Speakers are served by the event-service
+app.use('/speakers', createProxyMiddleware({
+    target: 'http://localhost:5002',
+    changeOrigin: true,
+    pathRewrite: (path, req) => req.originalUrl
+}));
+
+// The tag list (and "everything tagged X") is served by the event-service
+app.use('/tags', createProxyMiddleware({
+    target: 'http://localhost:5002',
+    changeOrigin: true,
+    pathRewrite: (path, req) => req.originalUrl
+}));
+
 app.use('/buildings', createProxyMiddleware({
     target: 'http://localhost:5003',
     changeOrigin: true,
     pathRewrite: (path, req) => req.originalUrl.replace(/^\/buildings/, '/buildings')
 }));
 
+// Zones and exhibits are served by the building-service
+app.use('/zones', createProxyMiddleware({
+    target: 'http://localhost:5003',
+    changeOrigin: true,
+    pathRewrite: (path, req) => req.originalUrl
+}));
+
+app.use('/exhibits', createProxyMiddleware({
+    target: 'http://localhost:5003',
+    changeOrigin: true,
+    pathRewrite: (path, req) => req.originalUrl
+}));
+
 /*
 app.use('/auths', createProxyMiddleware({
     target: 'http://localhost:5004',
@@ -51,6 +83,12 @@ app.use('/auths', createProxyMiddleware({
 }));
 */
 
+app.use('/admin', createProxyMiddleware({
+    target: 'http://localhost:5004',
+    changeOrigin: true,
+    pathRewrite: (path, req) => req.originalUrl // auth-service mounts its admin routes under /admin
+}));
+
 app.use('/auths', createProxyMiddleware({
     target: 'http://localhost:5004',
     changeOrigin: true,
@@ -65,7 +103,9 @@ app.get('/', (req, res) => {
 
 
 
-// Start server
+// Start server (the services only trust identities sent with GATEWAY_SECRET)
+requireGatewaySecret('API Gateway');
+
 app.listen(PORT, () => {
     console.log(`API Gateway running on port ${PORT}`);
 });
@@ -0,0 +1,67 @@
+const { policies, defaults, READ_METHODS } = require('../config/accessPolicies');
+
+// Match an express-style pattern ("/events/:id") against a request path.
+// A trailing "/*" matches the prefix itself and anything below it.
+// Returns the captured params, or null when the path does not match.
+const matchPath = (pattern, path) => {
+    const wildcard = pattern.endsWith('/*');
+    const patternParts = (wildcard ? pattern.slice(0, -2) : pattern).split('/').filter(Boolean);
+    let pathParts = path.split('/').filter(Boolean);
+
+    if (wildcard && pathParts.length >= patternParts.length) {
+        pathParts = pathParts.slice(0, patternParts.length);
+    }
+    if (patternParts.length !== pathParts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        if (patternParts[i].startsWith(':')) {
+            params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+        } else if (patternParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+const findPolicy = (method, path) => {
+    for (const policy of policies) {
+        if (!policy.methods.includes(method)) continue;
+        const params = matchPath(policy.path, path);
+        if (params) return { policy, params };
+    }
+    const fallback = READ_METHODS.includes(method) ? defaults.read : defaults.write;
+    return { policy: fallback, params: {} };
+};
+
+// Enforce the access policy for the route. Expects verifyToken to have set req.user.
+const authorize = (req, res, next) => {
+    let found;
+    try {
+        found = findPolicy(req.method, req.path);
+    } catch (err) {
+        // A route param with a malformed escape such as "%E0"
+        if (err instanceof URIError) {
+            return res.status(400).json({ message: "Malformed URL" });
+        }
+        throw err;
+    }
+    const { policy, params } = found;
+    const user = req.user || { role: 'visitor' };
+
+    if (!policy.roles.includes(user.role)) {
+        if (user.role === 'visitor') {
+            return res.status(401).json({ message: "Access denied. No token provided." });
+        }
+        return res.status(403).json({ message: "Access denied. Insufficient permissions." });
+    }
+
+    if (policy.owner && user.role === 'organizer' && String(user.id) !== String(params[policy.owner])) {
+        return res.status(403).json({ message: "Access denied. You can only manage your own resources." });
+    }
+
+    next();
+};
+
+module.exports = authorize;
+module.exports.matchPath = matchPath;
@@ -0,0 +1,18 @@
+// Pass the verified identity on to the services as request headers.
+// Anything the client sent under the same names is dropped first, so services
+// can rely on these headers only ever coming from the gateway.
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role', 'x-user-email', 'x-gateway-secret'];
+
+const forwardIdentity = (req, res, next) => {
+    IDENTITY_HEADERS.forEach((header) => delete req.headers[header]);
+
+    const user = req.user || { role: 'visitor' };
+    req.headers['x-user-role'] = user.role;
+    if (user.id !== undefined) req.headers['x-user-id'] = String(user.id);
+    if (user.username) req.headers['x-user-email'] = user.username;
+    req.headers['x-gateway-secret'] = process.env.GATEWAY_SECRET;
+
+    next();
+};
+
+module.exports = forwardIdentity;
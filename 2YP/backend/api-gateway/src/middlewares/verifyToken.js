@@ -1,31 +1,56 @@
 const jwt = require('jsonwebtoken');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+const pool = require('../../../db/db.js');
 
-// Log the value for debugging
-console.log('JWT_SECRET from env:', process.env.JWT_SECRET);
+// Accounts a token can belong to, and what keeps the token valid
+const ACCOUNT_QUERIES = {
+    organizer: "SELECT token_version FROM Organizer WHERE organizer_ID = $1 AND status = 'approved'",
+    admin: 'SELECT token_version FROM Admin WHERE admin_ID = $1 AND is_active'
+};
+
+// A token is revoked once its account is deleted, suspended / disabled, or its
+// token_version has been bumped (logout everywhere, password change...).
+const isRevoked = async (decoded) => {
+    const query = ACCOUNT_QUERIES[decoded.role];
+    if (!query) return false;
+
+    const result = await pool.query(query, [decoded.id]);
+    const account = result.rows[0];
+    return !account || account.token_version !== decoded.ver;
+};
 
+// Decodes the bearer token when one is sent. Requests without a token carry on
+// as anonymous visitors; whether that is enough is decided by the access policy.
 const verifyToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; 
+    const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-        return res.status(401).json({ message: "Access denied. No token provided." });
+        req.user = { role: 'visitor' };
+        return next();
     }
 
     const jwtSecret = process.env.JWT_SECRET;
-    // Log which secret we're using
-    console.log('Using JWT_SECRET from:', process.env.JWT_SECRET ? 'environment' : 'fallback');
-    
-    jwt.verify(token, jwtSecret, (err, decoded) => {
+
+    jwt.verify(token, jwtSecret, async (err, decoded) => {
         if (err) {
             console.error("JWT verification error:", err.message);
             return res.status(403).json({ message: "Invalid token." });
         }
 
-        req.user = decoded; // Attach decoded payload to request
+        try {
+            if (await isRevoked(decoded)) {
+                return res.status(401).json({ message: "Token has been revoked. Please log in again." });
+            }
+        } catch (dbErr) {
+            console.error("Token revocation check error:", dbErr.message);
+            return res.status(503).json({ message: "Unable to verify token right now." });
+        }
+
+        req.user = { ...decoded, role: decoded.role || 'visitor' }; // Attach decoded payload to request
         next();
     });
 };
 
-module.exports = verifyToken;
\ No newline at end of file
+module.exports = verifyToken;
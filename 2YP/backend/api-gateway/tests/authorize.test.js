@@ -0,0 +1,121 @@
+// tests/authorize.test.js
+// The gateway's role-based access control (middlewares/authorize.js) against
+// the policy table in config/accessPolicies.js.
+
+const request = require("supertest");
+const express = require("express");
+
+const authorize = require("../src/middlewares/authorize");
+const { matchPath } = authorize;
+
+// authorize after a stand-in for verifyToken that takes the caller from
+// x-user-* headers; anything let through answers 200
+const app = express();
+app.use((req, res, next) => {
+  if (req.headers["x-user-role"]) {
+    req.user = { id: Number(req.headers["x-user-id"]), role: req.headers["x-user-role"] };
+  }
+  next();
+});
+app.use(authorize);
+app.use((req, res) => res.json({ ok: true }));
+
+const as = (role, id) => ({ "x-user-role": role, "x-user-id": String(id) });
+
+describe("matchPath", () => {
+  it("should capture route params", () => {
+    expect(matchPath("/events/:id/speakers/:speakerId", "/events/4/speakers/9")).toEqual({ id: "4", speakerId: "9" });
+  });
+
+  it("should not match a path of another length or with other literal parts", () => {
+    expect(matchPath("/events/:id", "/events/4/cancel")).toBeNull();
+    expect(matchPath("/events/:id/cancel", "/events/4/archive")).toBeNull();
+  });
+
+  it("should match a wildcard prefix and anything below it", () => {
+    expect(matchPath("/admin/*", "/admin")).toEqual({});
+    expect(matchPath("/admin/*", "/admin/organizers/3/status")).toEqual({});
+    expect(matchPath("/admin/*", "/administrators")).toBeNull();
+  });
+
+  it("should decode escaped params", () => {
+    expect(matchPath("/organizers/:id", "/organizers/a%20b")).toEqual({ id: "a b" });
+  });
+});
+
+describe("authorize", () => {
+  // ================= OWNER RULE =================
+  it("should let an organizer change only their own profile", async () => {
+    const own = await request(app).put("/organizers/5").set(as("organizer", 5));
+    const other = await request(app).put("/organizers/6").set(as("organizer", 5));
+
+    expect(own.statusCode).toBe(200);
+    expect(other.statusCode).toBe(403);
+    expect(other.body).toEqual({ message: "Access denied. You can only manage your own resources." });
+  });
+
+  it("should let admins past the owner rule", async () => {
+    const res = await request(app).patch("/organizers/6").set(as("admin", 1));
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it("should leave deleting organizers to admins", async () => {
+    const own = await request(app).delete("/organizers/5").set(as("organizer", 5));
+    const byAdmin = await request(app).delete("/organizers/5").set(as("admin", 1));
+
+    expect(own.statusCode).toBe(403);
+    expect(byAdmin.statusCode).toBe(200);
+  });
+
+  // ================= ADMIN AREA =================
+  it("should keep the admin area, reads included, for admins", async () => {
+    const visitor = await request(app).get("/admin/organizers");
+    const organizer = await request(app).get("/admin/organizers").set(as("organizer", 5));
+    const admin = await request(app).get("/admin/organizers").set(as("admin", 1));
+
+    expect(visitor.statusCode).toBe(401);
+    expect(organizer.statusCode).toBe(403);
+    expect(admin.statusCode).toBe(200);
+  });
+
+  it("should leave the admin login open", async () => {
+    const res = await request(app).post("/admin/login");
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  // ================= DEFAULTS =================
+  it("should let anyone read routes without a rule", async () => {
+    const res = await request(app).get("/buildings/101");
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it("should keep writes without a rule for admins", async () => {
+    const visitor = await request(app).post("/buildings");
+    const organizer = await request(app).post("/buildings").set(as("organizer", 5));
+    const admin = await request(app).post("/buildings").set(as("admin", 1));
+
+    expect(visitor.statusCode).toBe(401);
+    expect(visitor.body).toEqual({ message: "Access denied. No token provided." });
+    expect(organizer.statusCode).toBe(403);
+    expect(admin.statusCode).toBe(200);
+  });
+
+  it("should give a path in other case the write default, not the rule of its lower-case form", async () => {
+    const exact = await request(app).post("/events").set(as("organizer", 5));
+    const variant = await request(app).post("/EVENTS").set(as("organizer", 5));
+
+    expect(exact.statusCode).toBe(200);
+    expect(variant.statusCode).toBe(403);
+  });
+
+  // ================= MALFORMED PATHS =================
+  it("should answer 400 for a malformed escape in a route param", async () => {
+    const res = await request(app).put("/organizers/%E0").set(as("organizer", 5));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ message: "Malformed URL" });
+  });
+});
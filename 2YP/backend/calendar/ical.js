@@ -0,0 +1,171 @@
+// calendar/ical.js
+// RFC 5545 (iCalendar) output for Events rows, shared by the event-service's
+// calendar feeds and the .ics files attached to event emails, and the reading
+// side used by the event import.
+//
+// Every event keeps the same UID for its whole life and carries its SEQUENCE
+// (bumped on every update or cancellation), so calendar apps update or remove
+// the entry they already have instead of adding a copy. Occurrences of a
+// recurring event (Event_Instance rows) are written as separate events, each
+// with a UID of its own derived from its original start.
+
+const PRODID = '-//2YP//Organizer Dashboard//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'organizer-dashboard';
+const CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+// TEXT values: backslash, semicolon, comma and newlines must be escaped
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+// 2025-09-20T03:30:00.000Z -> 20250920T033000Z
+const formatDateTime = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const eventUid = (eventId, occurrenceStart) =>
+  (occurrenceStart
+    ? `event-${eventId}-${formatDateTime(occurrenceStart)}@${UID_DOMAIN}`
+    : `event-${eventId}@${UID_DOMAIN}`);
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// The VEVENT lines for one Events or Event_Instance row
+function eventLines(event, { now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event.event_id, event.occurrence_start)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.start_time)}`,
+    `DTEND:${formatDateTime(event.end_time)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.event_name)}`
+  ];
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.event_categories && event.event_categories.length > 0) {
+    lines.push(`CATEGORIES:${event.event_categories.map(escapeText).join(',')}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// A complete VCALENDAR for the given events. name labels a subscribed feed;
+// method is PUBLISH for feeds and attachments, CANCEL to withdraw events.
+function buildCalendar(events, { name, method = 'PUBLISH', now = new Date() } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', `METHOD:${method}`];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    lines.push(...eventLines(event, { now }));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// A mail attachment ({ filename, contentType, content }) holding one event
+function eventAttachment(event) {
+  const cancelled = event.status === 'cancelled';
+  return {
+    filename: `event-${event.event_id}.ics`,
+    contentType: `${CONTENT_TYPE}; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    content: buildCalendar([event], { method: cancelled ? 'CANCEL' : 'PUBLISH' })
+  };
+}
+
+// ---------- Reading ----------
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// "DTSTART;TZID=Asia/Colombo:20250920T090000" -> { name, params, value }
+function parseContentLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/); // first colon outside quotes
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Every VEVENT in a calendar as { NAME: [{ value, params }] } (values still escaped).
+// Nested components (VALARM) are skipped.
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const raw of lines) {
+    const line = parseContentLine(raw.trim());
+    if (!line) continue;
+
+    if (line.name === 'BEGIN') {
+      if (current) depth++;
+      else if (line.value.toUpperCase() === 'VEVENT') current = {};
+    } else if (line.name === 'END') {
+      if (depth > 0) depth--;
+      else if (current && line.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && depth === 0) {
+      (current[line.name] = current[line.name] || []).push({ value: line.value, params: line.params });
+    }
+  }
+  return events;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const localTimestamp = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+// A DATE or DATE-TIME value as a 'YYYY-MM-DD HH:MM:SS' timestamp in server time,
+// which is how Events stores times. UTC values (...Z) are converted; floating
+// and TZID times are taken as wall-clock times. Returns null when unreadable.
+function parseDateTime(value) {
+  let match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (match) {
+    const [, y, mo, d, h, mi, sec, utc] = match;
+    if (utc) return localTimestamp(new Date(Date.UTC(y, mo - 1, d, h, mi, sec)));
+    return `${y}-${mo}-${d} ${h}:${mi}:${sec}`;
+  }
+  match = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (match) return `${match[1]}-${match[2]}-${match[3]} 00:00:00`;
+  return null;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  eventUid,
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar,
+  eventAttachment,
+  parseCalendar,
+  parseDateTime
+};
@@ -0,0 +1,130 @@
+// calendar/rrule.js
+// The subset of RFC 5545 recurrence rules that events support:
+//   FREQ=DAILY|WEEKLY, INTERVAL, BYDAY (weekly only), and COUNT or UNTIL.
+// A series must end (COUNT or UNTIL), and expands to at most MAX_OCCURRENCES.
+// Times are wall-clock server time, like the rest of Events; exceptions are
+// whole days, since a daily or weekly rule never repeats within one day.
+
+const { parseDateTime } = require('./ical');
+
+const MAX_OCCURRENCES = 366;
+// Occurrences may be at most about a year apart: INTERVAL up to 366 days or 52 weeks
+const MAX_INTERVAL = { DAILY: 366, WEEKLY: 52 };
+const FREQUENCIES = ['DAILY', 'WEEKLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Date#getDay() order
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 2025-09-20 (local) for a Date or date/time string
+const dayKey = (value) => {
+  const date = value instanceof Date ? value : new Date(String(value).length === 10 ? `${value}T00:00:00` : value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6" -> { freq, interval, byday, count, until }.
+// Throws an Error explaining what is not supported.
+function parseRule(text) {
+  const parts = {};
+  for (const part of String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw new Error(`Invalid recurrence rule part '${part}'`);
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`Recurrence FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, byday: null, count: null, until: null };
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error('Recurrence INTERVAL must be a positive whole number');
+    if (rule.interval > MAX_INTERVAL[rule.freq]) {
+      throw new Error(`Recurrence INTERVAL can be at most ${MAX_INTERVAL[rule.freq]} with FREQ=${rule.freq}`);
+    }
+  }
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') throw new Error('Recurrence BYDAY is only supported with FREQ=WEEKLY');
+    rule.byday = parts.BYDAY.split(',');
+    if (rule.byday.some((day) => !WEEKDAYS.includes(day))) throw new Error('Recurrence BYDAY must list days such as MO,WE,FR');
+  }
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    throw new Error('A recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1) throw new Error('Recurrence COUNT must be a positive whole number');
+  } else if (parts.UNTIL !== undefined) {
+    const until = parseDateTime(parts.UNTIL);
+    if (!until) throw new Error('Recurrence UNTIL must be a date such as 20251001 or 20251001T180000');
+    // A date-only UNTIL includes the whole day
+    rule.until = /^\d{8}$/.test(parts.UNTIL) ? until.replace('00:00:00', '23:59:59') : until;
+  } else {
+    throw new Error('A recurrence rule needs COUNT or UNTIL');
+  }
+
+  return rule;
+}
+
+// The rule written back in a stable form
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byday) parts.push(`BYDAY=${rule.byday.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').replace(' ', 'T')}`);
+  return parts.join(';');
+}
+
+// Candidate days of the rule in order, as day offsets from the first
+// occurrence: every interval-th day, or the rule's weekdays in every
+// interval-th week (weeks start on Monday). Steps a whole interval at a time.
+function* candidateOffsets(rule, first, days) {
+  if (rule.freq === 'DAILY') {
+    for (let offset = 0; ; offset += rule.interval) yield offset;
+  }
+
+  // Days of the week in week order (Monday first), as offsets from Monday
+  const weekdays = days.map((day) => (day + 6) % 7).sort((a, b) => a - b);
+  const mondayOffset = -((first.getDay() + 6) % 7);
+  for (let week = 0; ; week += rule.interval) {
+    for (const weekday of weekdays) {
+      const offset = mondayOffset + week * 7 + weekday;
+      if (offset >= 0) yield offset;
+    }
+  }
+}
+
+// Start times of every occurrence of a series beginning at start (the first
+// occurrence is start itself when it matches the rule). COUNT counts excepted
+// days too, as in RFC 5545. Throws when the series is longer than MAX_OCCURRENCES.
+function expandRule(rule, start, { exceptions = [] } = {}) {
+  const first = new Date(start);
+  const until = rule.until ? new Date(rule.until) : null;
+  const skipped = new Set(exceptions.map(dayKey));
+  const days = rule.byday ? [...new Set(rule.byday.map((day) => WEEKDAYS.indexOf(day)))] : [first.getDay()];
+
+  const starts = [];
+  let generated = 0;
+  for (const offset of candidateOffsets(rule, first, days)) {
+    const candidate = new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset,
+      first.getHours(), first.getMinutes(), first.getSeconds());
+
+    if (until && candidate > until) break;
+    if (rule.count && generated >= rule.count) break;
+
+    generated++;
+    if (generated > MAX_OCCURRENCES) {
+      throw new Error(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    if (!skipped.has(dayKey(candidate))) starts.push(candidate);
+  }
+  return starts;
+}
+
+module.exports = { MAX_OCCURRENCES, MAX_INTERVAL, dayKey, parseRule, formatRule, expandRule };
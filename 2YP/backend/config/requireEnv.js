@@ -0,0 +1,14 @@
+// config/requireEnv.js
+// Settings a service cannot work without. Services call this before listening,
+// next to requireGatewaySecret, so a missing setting stops them at boot instead
+// of breaking the requests (or emailed links) that need it later.
+
+const requireEnv = (serviceName, names) => {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    console.error(`${serviceName} cannot start: ${missing.join(', ')} not set`);
+    process.exit(1);
+  }
+};
+
+module.exports = { requireEnv };
@@ -10,45 +10,73 @@ INSERT INTO Zone (zone_name) VALUES
 ('D');
 
 -- 2. Building
-INSERT INTO Building (building_ID, zone_ID, building_name, description, exhibits) VALUES
-(101, 1, 'Tech Building A', 'Main hub for technology exhibits', ARRAY['robocar', 'robotics']),
-(102, 1, 'Tech Building B', 'Secondary hub for tech startups', ARRAY['cal', 'Electronics']);
+INSERT INTO Building (building_ID, zone_ID, building_name, description) VALUES
+(101, 1, 'Tech Building A', 'Main hub for technology exhibits'),
+(102, 1, 'Tech Building B', 'Secondary hub for tech startups');
 
 
--- 3. Exhibits
-INSERT INTO Exhibits (exhibit_name, building_ID) VALUES
-('Autonomous Drone', 101),
-('AI Chatbot', 101),
-('IoT Smart Home', 102),\
-('Nano Medicine Prototype', 301);
+-- 3. Exhibits (their tags are added once the tags exist, see 11.)
+INSERT INTO Exhibits (exhibit_name, building_ID, description, owner_team) VALUES
+('Autonomous Drone', 101, 'A drone that maps the campus on its own', 'Tech Team'),
+('AI Chatbot', 101, 'Ask it anything about the exhibition', 'Tech Team'),
+('robocar', 101, NULL, 'Student Projects Team'),
+('IoT Smart Home', 102, 'A connected home you can control from your phone', 'Innovation Team'),
+('cal', 102, NULL, NULL),
+('Nano Medicine Prototype', 102, NULL, 'Research Team');
 
 -- 4. Organizer
-INSERT INTO Organizer (organizer_name, fname, lname, email, contact_no, password_hash, status) VALUES
-('Tech Team', 'Alice', 'Fernando', 'alice@uni.lk', '0771234567', 'hash1', 'approved'),
-('Innovation Team', 'Bob', 'Perera', 'bob@uni.lk', '0772345678', 'hash2', 'approved'),
-('Research Team', 'Charlie', 'Silva', 'charlie@uni.lk', '0773456789', 'hash3', 'pending'),
-('Student Projects Team', 'Diana', 'Kumari', 'diana@uni.lk', '0774567890', 'hash4', 'approved');
+INSERT INTO Organizer (organizer_name, fname, lname, email, contact_no, password_hash, status, email_verified_at) VALUES
+('Tech Team', 'Alice', 'Fernando', 'alice@uni.lk', '0771234567', 'hash1', 'approved', CURRENT_TIMESTAMP),
+('Innovation Team', 'Bob', 'Perera', 'bob@uni.lk', '0772345678', 'hash2', 'approved', CURRENT_TIMESTAMP),
+('Research Team', 'Charlie', 'Silva', 'charlie@uni.lk', '0773456789', 'hash3', 'pending', CURRENT_TIMESTAMP),
+('Student Projects Team', 'Diana', 'Kumari', 'diana@uni.lk', '0774567890', 'hash4', 'approved', CURRENT_TIMESTAMP);
 
 -- 5. Events
-INSERT INTO Events (event_name, start_time, end_time, location, description, media_urls, event_categories) VALUES
-('AI Workshop', '2025-09-20 09:00', '2025-09-20 12:00', 'Tech Building A', 'Hands-on AI training', 'ai.jpg', ARRAY['Workshop','AI']),
-('Innovation Pitch', '2025-09-21 10:00', '2025-09-21 13:00', 'Innovation Hub', 'Pitching ideas to investors', 'pitch.png', ARRAY['Pitch','Innovation']),
-('Research Symposium', '2025-09-22 09:00', '2025-09-22 16:00', 'Research Block', 'Sharing latest research', 'symposium.pdf', ARRAY['Symposium','Research']),
-('Student Project Expo', '2025-09-23 09:00', '2025-09-23 18:00', 'Student Projects Zone', 'Showcasing student projects', 'expo.mp4', ARRAY['Expo','Students']);
-
--- 6. Admin
-INSERT INTO Admin (user_name, email) VALUES
-('superadmin', 'admin@uni.lk'),
-('eventadmin', 'event@uni.lk'),
-('zoneadmin', 'zone@uni.lk'),
-('systemadmin', 'sys@uni.lk');
+INSERT INTO Events (event_name, start_time, end_time, location, building_ID, room, description, media_urls, event_categories, capacity, organizer_ID) VALUES
+('AI Workshop', '2025-09-20 09:00', '2025-09-20 12:00', 'Tech Building A', 101, 'Lab 1', 'Hands-on AI training', 'ai.jpg', ARRAY['Workshop','AI'], 2, 1),
+('Innovation Pitch', '2025-09-21 10:00', '2025-09-21 13:00', 'Innovation Hub', NULL, NULL, 'Pitching ideas to investors', 'pitch.png', ARRAY['Pitch','Innovation'], NULL, 2),
+('Research Symposium', '2025-09-22 09:00', '2025-09-22 16:00', 'Research Block', NULL, NULL, 'Sharing latest research', 'symposium.pdf', ARRAY['Symposium','Research'], NULL, 3),
+('Student Project Expo', '2025-09-23 09:00', '2025-09-23 18:00', 'Student Projects Zone', NULL, NULL, 'Showcasing student projects', 'expo.mp4', ARRAY['Expo','Student Projects'], NULL, 4);
+
+-- A daily stand-up for the three exhibition days, skipping the middle one
+INSERT INTO Events (event_name, start_time, end_time, location, building_ID, room, description, event_categories, organizer_ID,
+                    recurrence_rule, recurrence_exceptions) VALUES
+('Morning Briefing', '2025-09-20 08:00', '2025-09-20 08:30', 'Tech Building B', 102, NULL, 'Daily briefing for exhibitors',
+ ARRAY['Briefing'], 1, 'FREQ=DAILY;COUNT=3', ARRAY['2025-09-21']::DATE[]);
+
+INSERT INTO Event_Occurrence (event_ID, original_start, start_time, end_time) VALUES
+(5, '2025-09-20 08:00', '2025-09-20 08:00', '2025-09-20 08:30'),
+(5, '2025-09-22 08:00', '2025-09-22 08:00', '2025-09-22 08:30');
+
+-- Both seats of the AI Workshop are taken and one visitor is waiting
+-- (cancel tokens: 'dev-cancel-1' .. 'dev-cancel-3')
+INSERT INTO Event_Registration (event_ID, attendee_name, email, status, cancel_token_hash, created_at, confirmed_at) VALUES
+(1, 'Nimal Perera', 'nimal@mail.com', 'confirmed', encode(sha256('dev-cancel-1'), 'hex'), '2025-09-01 10:00', '2025-09-01 10:00'),
+(1, 'Kamala Silva', 'kamala@mail.com', 'confirmed', encode(sha256('dev-cancel-2'), 'hex'), '2025-09-02 11:00', '2025-09-02 11:00'),
+(1, 'Ruwan Fernando', 'ruwan@mail.com', 'waitlisted', encode(sha256('dev-cancel-3'), 'hex'), '2025-09-03 12:00', NULL);
+
+-- The Innovation Team helps run the AI Workshop
+INSERT INTO Event_Co_Organizer (event_ID, organizer_ID) VALUES
+(1, 2);
+
+-- 6. Admin (development password for every seeded admin: Admin@1234)
+INSERT INTO Admin (user_name, email, password_hash) VALUES
+('superadmin', 'admin@uni.lk', '$2b$10$QixoGCMVCoEeSZfqtgdgA.0tbn5qMgLRRmf/2st82m0uRfrko2Jka'),
+('eventadmin', 'event@uni.lk', '$2b$10$QixoGCMVCoEeSZfqtgdgA.0tbn5qMgLRRmf/2st82m0uRfrko2Jka'),
+('zoneadmin', 'zone@uni.lk', '$2b$10$QixoGCMVCoEeSZfqtgdgA.0tbn5qMgLRRmf/2st82m0uRfrko2Jka'),
+('systemadmin', 'sys@uni.lk', '$2b$10$QixoGCMVCoEeSZfqtgdgA.0tbn5qMgLRRmf/2st82m0uRfrko2Jka');
+
+-- Organizer registrations go to the super admin and the event admin
+INSERT INTO Admin_Notification_Subscription (admin_ID, notification_type) VALUES
+(1, 'organizer-approval'),
+(2, 'organizer-approval');
 
 -- 7. Speaker
-INSERT INTO Speaker (speaker_name, email) VALUES
-('Dr. Nimal Jayasuriya', 'nimal@uni.lk'),
-('Prof. Anusha Wickramasinghe', 'anusha@uni.lk'),
-('Mr. Kasun Weerasinghe', 'kasun@uni.lk'),
-('Ms. Tharushi Perera', 'tharushi@uni.lk');
+INSERT INTO Speaker (speaker_name, email, affiliation, bio) VALUES
+('Dr. Nimal Jayasuriya', 'nimal@uni.lk', 'Department of Computer Engineering', 'Works on applied machine learning.'),
+('Prof. Anusha Wickramasinghe', 'anusha@uni.lk', 'Department of Electrical Engineering', 'Researches embedded AI systems.'),
+('Mr. Kasun Weerasinghe', 'kasun@uni.lk', 'Innovation Hub', 'Mentors student start-ups.'),
+('Ms. Tharushi Perera', 'tharushi@uni.lk', 'Research Council', NULL);
 
 -- 8. Event_Speaker (link speakers to events)
 INSERT INTO Event_Speaker (event_ID, speaker_ID) VALUES
@@ -57,53 +85,60 @@ INSERT INTO Event_Speaker (event_ID, speaker_ID) VALUES
 (2, 3),
 (3, 4);
 
--- 9. Tag
-INSERT INTO Tag (tag_name) VALUES
-('AI'),
-('Innovation'),
-('Research'),
-('Student Projects');
+-- 9. Tag (every event category and exhibit tag must be one of these)
+INSERT INTO Tag (tag_name, description) VALUES
+('AI', 'Artificial intelligence and machine learning'),
+('Innovation', NULL),
+('Research', NULL),
+('Student Projects', 'Work by undergraduate project teams'),
+('Workshop', 'Hands-on sessions'),
+('Pitch', NULL),
+('Symposium', NULL),
+('Expo', NULL),
+('Briefing', NULL),
+('Robotics', NULL),
+('Mechanics', NULL),
+('Civil', NULL),
+('Electronics', NULL),
+('Computer Science', NULL),
+('Chemical', NULL),
+('Manufacturing', NULL);
 
--- 10. Event_Tag (link tags to events)
-INSERT INTO Event_Tag (event_ID, tag_ID) VALUES
-(1, 1),
-(2, 2),
-(3, 3),
-(4, 4);
-
--- 11. Exhibit_Tag_Map (exhibit name -> allowed tag) using only:
--- ['AI','Robotics','Mechanics','Civil','Electronics','Computer Science','Chemical','Manufacturing']
--- This resolves building_ID from Exhibits to keep consistency
-INSERT INTO Exhibit_Tag_Map (building_ID, exhibit_name, tag)
-SELECT e.building_ID, e.exhibit_name, v.tag
+INSERT INTO Tag_Synonym (synonym, tag_ID)
+SELECT v.synonym, t.tag_ID
 FROM (
 	VALUES
-		('Autonomous Drone', 'Robotics'),
-		('Autonomous Drone', 'AI'),
-		('Autonomous Drone', 'Electronics'),
-		('AI Chatbot', 'AI'),
-		('AI Chatbot', 'Computer Science'),
-		('IoT Smart Home', 'Electronics'),
-		('IoT Smart Home', 'Computer Science'),
-		('Nano Medicine Prototype', 'Chemical'),
-		('Nano Medicine Prototype', 'Electronics')
-) AS v(exhibit_name, tag)
-JOIN Exhibits e ON e.exhibit_name = v.exhibit_name
-ON CONFLICT DO NOTHING;
-
--- 12. Exhibit_Tag_Map from Building seed pairs
--- Building 101: 'robocar' -> 'robotics'
--- Building 102: 'cal' -> 'Electronics'
-INSERT INTO Exhibit_Tag_Map (building_ID, exhibit_name, tag)
-SELECT v.building_ID, v.exhibit_name, v.tag
+		('Artificial Intelligence', 'AI'),
+		('Machine Learning', 'AI'),
+		('Students', 'Student Projects'),
+		('Robots', 'Robotics'),
+		('CS', 'Computer Science')
+) AS v(synonym, tag_name)
+JOIN Tag t ON t.tag_name = v.tag_name;
+
+-- 10. Event_Tag mirrors each event's event_categories
+INSERT INTO Event_Tag (event_ID, tag_ID)
+SELECT e.event_ID, t.tag_ID
+FROM Events e
+CROSS JOIN unnest(e.event_categories) AS c(name)
+JOIN Tag t ON t.tag_name = c.name;
+
+-- 11. Exhibit_Tag (exhibit -> tags)
+INSERT INTO Exhibit_Tag (exhibit_ID, tag_ID)
+SELECT e.exhibit_ID, t.tag_ID
 FROM (
 	VALUES
-		(101, 'robocar', 'robotics'),
-		(102, 'cal', 'Electronics')
-) AS v(building_ID, exhibit_name, tag)
-WHERE NOT EXISTS (
-	SELECT 1 FROM Exhibit_Tag_Map etm
-	WHERE etm.building_ID = v.building_ID
-		AND etm.exhibit_name = v.exhibit_name
-		AND etm.tag = v.tag
-);
\ No newline at end of file
+		(101, 'Autonomous Drone', 'Robotics'),
+		(101, 'Autonomous Drone', 'AI'),
+		(101, 'Autonomous Drone', 'Electronics'),
+		(101, 'AI Chatbot', 'AI'),
+		(101, 'AI Chatbot', 'Computer Science'),
+		(101, 'robocar', 'Robotics'),
+		(102, 'IoT Smart Home', 'Electronics'),
+		(102, 'IoT Smart Home', 'Computer Science'),
+		(102, 'cal', 'Electronics'),
+		(102, 'Nano Medicine Prototype', 'Chemical'),
+		(102, 'Nano Medicine Prototype', 'Electronics')
+) AS v(building_ID, exhibit_name, tag_name)
+JOIN Exhibits e ON e.building_ID = v.building_ID AND e.exhibit_name = v.exhibit_name
+JOIN Tag t ON t.tag_name = v.tag_name;
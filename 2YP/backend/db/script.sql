@@ -16,34 +16,34 @@ CREATE TABLE Zone (
     zone_name VARCHAR(100) NOT NULL
 );
 
+CREATE UNIQUE INDEX uq_zone_name ON Zone (LOWER(zone_name));
+
 CREATE TABLE Building (
     building_ID INT PRIMARY KEY,
     zone_ID INT NOT NULL,
     building_name VARCHAR(150) NOT NULL UNIQUE,  -- enforce unique names
     description TEXT,
-    exhibits TEXT[],  -- array to hold multiple exhibit names/IDs
-    exhibit_tags JSONB, -- dictionary mapping exhibit name -> tag
-    CONSTRAINT fk_building_zone FOREIGN KEY (zone_ID) REFERENCES Zone(zone_ID) ON DELETE CASCADE
+    -- A zone's buildings are only removed with it when the zone API is told to
+    CONSTRAINT fk_building_zone FOREIGN KEY (zone_ID) REFERENCES Zone(zone_ID) ON DELETE RESTRICT
 );
 
 
 
 -- 3. Exhibits
+-- The only record of exhibits: a building's exhibits (and their tags, see
+-- Exhibit_Tag) are read from here. Names are unique within a building.
 CREATE TABLE Exhibits (
     exhibit_ID SERIAL PRIMARY KEY,
     exhibit_name VARCHAR(150) NOT NULL,
     building_ID INT NOT NULL,
+    description TEXT,
+    owner_team VARCHAR(150),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_exhibit_building FOREIGN KEY (building_ID) REFERENCES Building(building_ID) ON DELETE CASCADE
 );
 
--- Mapping table for exhibit -> tag pairs (for reporting and queries)
-CREATE TABLE Exhibit_Tag_Map (
-    id SERIAL PRIMARY KEY,
-    building_ID INT NOT NULL,
-    exhibit_name VARCHAR(150) NOT NULL,
-    tag VARCHAR(100) NOT NULL,
-    CONSTRAINT fk_etm_building FOREIGN KEY (building_ID) REFERENCES Building(building_ID) ON DELETE CASCADE
-);
+CREATE UNIQUE INDEX uq_exhibit_name ON Exhibits (building_ID, LOWER(exhibit_name));
 
 -- 4. Organizer
 CREATE TABLE Organizer (
@@ -54,30 +54,261 @@ CREATE TABLE Organizer (
     email VARCHAR(150) UNIQUE NOT NULL,
     contact_no VARCHAR(20),
     password_hash VARCHAR(255) NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending'
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'suspended')),
+    status_reason TEXT,              -- reason given for the latest status change
+    status_changed_at TIMESTAMP,
+    status_changed_by INT,           -- Admin who made the latest change (FK added below Admin)
+    token_version INT NOT NULL DEFAULT 0, -- bumped to revoke every access token issued so far
+    email_verified_at TIMESTAMP,     -- NULL until the organizer opens the verification link
+    verification_sent_at TIMESTAMP   -- last verification email, used to throttle resends
 );
 
 -- 5. Events (linked to Organizer)
 CREATE TABLE Events (
     event_ID SERIAL PRIMARY KEY,
     event_name VARCHAR(200) NOT NULL,
-    start_time TIMESTAMP NOT NULL,
+    start_time TIMESTAMP NOT NULL,   -- for a series: the first occurrence
     end_time TIMESTAMP NOT NULL,
-    location VARCHAR(200),
+    recurrence_rule TEXT,      -- RRULE subset (see backend/calendar/rrule.js); NULL for one-off events
+    recurrence_exceptions DATE[], -- days a series skips
+    location VARCHAR(200),     -- free text shown to visitors; the venue itself is building_ID / room
+    building_ID INT,           -- venue, used to detect double bookings
+    room VARCHAR(100),         -- part of the building; NULL books the whole building
     description TEXT,
     media_urls TEXT,
     event_categories TEXT[],   -- now supports multiple categories
-    CONSTRAINT chk_event_time CHECK (start_time < end_time)
+    capacity INT,              -- confirmed registrations allowed; NULL for no limit
+    organizer_ID INT,          -- owner: the organizer who created the event (gets its reminders)
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    sequence INT NOT NULL DEFAULT 0, -- iCalendar SEQUENCE, bumped on every update or cancellation
+    CONSTRAINT chk_event_time CHECK (start_time < end_time),
+    CONSTRAINT fk_event_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE SET NULL,
+    -- deleting a building clears its events' rooms first, or SET NULL would break chk_event_room
+    CONSTRAINT fk_event_building FOREIGN KEY (building_ID) REFERENCES Building(building_ID) ON DELETE SET NULL,
+    CONSTRAINT chk_event_room CHECK (room IS NULL OR building_ID IS NOT NULL),
+    CONSTRAINT chk_event_capacity CHECK (capacity IS NULL OR capacity > 0)
+);
+
+-- Venue bookings are looked up by building and time
+CREATE INDEX idx_events_building_time ON Events(building_ID, start_time);
+
+-- Occurrences of recurring events, expanded from the rule whenever the series
+-- is created or changed. original_start identifies the occurrence (iCalendar
+-- RECURRENCE-ID); an occurrence edited or cancelled on its own is 'modified'
+-- and keeps its own times when the series is changed, as long as its original
+-- day is still part of the series.
+CREATE TABLE Event_Occurrence (
+    occurrence_ID SERIAL PRIMARY KEY,
+    event_ID INT NOT NULL,
+    original_start TIMESTAMP NOT NULL,
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    sequence INT NOT NULL DEFAULT 0,     -- added to the series' sequence
+    modified BOOLEAN NOT NULL DEFAULT FALSE,
+    CONSTRAINT chk_occurrence_time CHECK (start_time < end_time),
+    CONSTRAINT uq_event_occurrence UNIQUE (event_ID, original_start),
+    CONSTRAINT fk_occurrence_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE
 );
 
+CREATE INDEX idx_event_occurrence_start ON Event_Occurrence(start_time);
+
+-- Everything that takes place: one-off events and every occurrence of a series,
+-- with the columns of Events. Listings, calendar feeds, reminders and venue
+-- bookings read this rather than Events.
+CREATE VIEW Event_Instance AS
+SELECT e.event_ID, NULL::int AS occurrence_ID, NULL::timestamp AS occurrence_start,
+       e.event_name, e.start_time, e.end_time, e.location, e.building_ID, e.room, e.description,
+       e.media_urls, e.event_categories, e.organizer_ID, e.status, e.sequence, e.recurrence_rule, e.capacity
+FROM Events e
+WHERE e.recurrence_rule IS NULL
+UNION ALL
+SELECT e.event_ID, o.occurrence_ID, o.original_start,
+       e.event_name, o.start_time, o.end_time, e.location, e.building_ID, e.room, e.description,
+       e.media_urls, e.event_categories, e.organizer_ID,
+       CASE WHEN e.status = 'cancelled' THEN 'cancelled' ELSE o.status END,
+       e.sequence + o.sequence, e.recurrence_rule, e.capacity
+FROM Events e
+JOIN Event_Occurrence o ON o.event_ID = e.event_ID;
+
 
 -- 6. Admin
 CREATE TABLE Admin (
     admin_ID SERIAL PRIMARY KEY,
     user_name VARCHAR(100) UNIQUE NOT NULL,
-    email VARCHAR(150) UNIQUE NOT NULL
+    email VARCHAR(150) UNIQUE NOT NULL,
+    password_hash VARCHAR(255),              -- NULL until a password is set; such accounts cannot log in
+    is_active BOOLEAN NOT NULL DEFAULT TRUE, -- disabled admins cannot log in
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP,
+    token_version INT NOT NULL DEFAULT 0     -- bumped to revoke every access token issued so far
+);
+
+ALTER TABLE Organizer
+    ADD CONSTRAINT fk_organizer_status_admin FOREIGN KEY (status_changed_by) REFERENCES Admin(admin_ID) ON DELETE SET NULL;
+
+-- Which notifications each admin receives. zone_ID narrows a subscription to
+-- one zone; NULL means every zone (and is the only kind that matters for
+-- notifications that have no zone, such as organizer registrations).
+CREATE TABLE Admin_Notification_Subscription (
+    subscription_ID SERIAL PRIMARY KEY,
+    admin_ID INT NOT NULL,
+    notification_type VARCHAR(50) NOT NULL CHECK (notification_type IN ('organizer-approval')),
+    zone_ID INT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_ans_admin FOREIGN KEY (admin_ID) REFERENCES Admin(admin_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_ans_zone FOREIGN KEY (zone_ID) REFERENCES Zone(zone_ID) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX idx_ans_unique ON Admin_Notification_Subscription (admin_ID, notification_type, COALESCE(zone_ID, 0));
+
+-- Audit trail of organizer status transitions (approve, reject, suspend, reinstate)
+CREATE TABLE Organizer_Status_History (
+    history_ID SERIAL PRIMARY KEY,
+    organizer_ID INT NOT NULL,
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT NOT NULL,
+    admin_ID INT,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_osh_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_osh_admin FOREIGN KEY (admin_ID) REFERENCES Admin(admin_ID) ON DELETE SET NULL
 );
 
+-- One-time links emailed to admins for approving / rejecting an organizer.
+-- The link itself is a signed JWT; this table tracks its id (jti) so each link works once.
+CREATE TABLE Approval_Token (
+    jti VARCHAR(64) PRIMARY KEY,
+    organizer_ID INT NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('approve', 'reject')),
+    admin_ID INT,                    -- admin the link was sent to (each gets their own); recorded as the acting admin
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_at_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_at_admin FOREIGN KEY (admin_ID) REFERENCES Admin(admin_ID) ON DELETE SET NULL
+);
+
+-- Rotating refresh tokens (organizers and admins). Only a SHA-256 hash of the
+-- token is stored. Every rotation of one login shares a family_ID so that reuse
+-- of an already-rotated token can revoke the whole family.
+CREATE TABLE Refresh_Token (
+    token_ID SERIAL PRIMARY KEY,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    family_ID VARCHAR(64) NOT NULL,
+    organizer_ID INT,
+    admin_ID INT,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    rotated_from INT,                -- token_ID this one replaced when it was issued
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_rt_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_rt_admin FOREIGN KEY (admin_ID) REFERENCES Admin(admin_ID) ON DELETE CASCADE,
+    CONSTRAINT chk_rt_owner CHECK ((organizer_ID IS NULL) <> (admin_ID IS NULL))
+);
+
+-- Forgot-password requests. Only a SHA-256 hash of the emailed token is stored;
+-- a token works once and only until expires_at.
+CREATE TABLE Password_Reset (
+    reset_ID SERIAL PRIMARY KEY,
+    organizer_ID INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_reset_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE CASCADE
+);
+
+-- Every email the system sends (see backend/mail/outbox.js). Rows are queued in
+-- the same transaction as the change they announce and sent by a background
+-- worker, which retries with exponential backoff. A message that keeps failing
+-- becomes 'dead' until an admin requeues it. Rows are kept after delivery, so
+-- the table doubles as the delivery log: the rendered content is stored as it
+-- was sent, along with the transport's message id. Emails with one-time links
+-- or tickets keep their data redacted and lose their content once finished.
+CREATE TABLE Email_Outbox (
+    outbox_ID SERIAL PRIMARY KEY,
+    template VARCHAR(100) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    subject TEXT NOT NULL,
+    html_body TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    attachments JSONB NOT NULL DEFAULT '[]', -- [{ filename, contentType, content }], e.g. .ics invites
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'dead')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    last_error TEXT,
+    message_id VARCHAR(255),
+    resent_from INT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    CONSTRAINT fk_outbox_resent_from FOREIGN KEY (resent_from) REFERENCES Email_Outbox(outbox_ID) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_email_outbox_due ON Email_Outbox (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_email_outbox_recipient ON Email_Outbox (LOWER(recipient), created_at);
+
+-- Reminder emails already queued for an event (see event-service's reminder
+-- scheduler). One row per event, offset and start time: the unique key makes
+-- every reminder go out exactly once, and a new start_time (the event was
+-- moved) has no rows yet, so its reminders are scheduled afresh.
+CREATE TABLE Event_Reminder (
+    reminder_ID SERIAL PRIMARY KEY,
+    event_ID INT NOT NULL,
+    offset_minutes INT NOT NULL,     -- how long before start_time it was due
+    start_time TIMESTAMP NOT NULL,   -- the start time it announced
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'skipped')),
+    recipients INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_event_reminder UNIQUE (event_ID, offset_minutes, start_time),
+    CONSTRAINT fk_reminder_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE
+);
+
+-- Visitors signed up for an event (a series as a whole). Registrations are
+-- confirmed up to Events.capacity and waitlisted beyond it; a freed place goes
+-- to the longest waiting one (see event-service's utils/registrations.js).
+-- Visitors have no accounts: they cancel with the link in their confirmation
+-- email, and only a SHA-256 hash of its token is stored.
+CREATE TABLE Event_Registration (
+    registration_ID SERIAL PRIMARY KEY,
+    event_ID INT NOT NULL,
+    attendee_name VARCHAR(150) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('confirmed', 'waitlisted', 'cancelled')),
+    cancel_token_hash CHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMP,          -- on sign-up, or when promoted from the waitlist
+    cancelled_at TIMESTAMP,
+    CONSTRAINT fk_registration_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE
+);
+
+-- One live registration per email and event; cancelling frees the email again
+CREATE UNIQUE INDEX uq_event_registration_email ON Event_Registration (event_ID, LOWER(email)) WHERE status <> 'cancelled';
+CREATE INDEX idx_event_registration_queue ON Event_Registration (event_ID, status, created_at);
+
+-- Tickets scanned at the door. A ticket is the signed code of a confirmed
+-- registration (see event-service's utils/tickets.js); it checks in once per
+-- event, or once per occurrence of a series.
+CREATE TABLE Event_Check_In (
+    check_in_ID SERIAL PRIMARY KEY,
+    registration_ID INT NOT NULL,
+    event_ID INT NOT NULL,
+    occurrence_ID INT,               -- NULL for one-off events
+    organizer_ID INT,                -- who scanned the ticket; NULL for admins
+    checked_in_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_check_in_registration FOREIGN KEY (registration_ID) REFERENCES Event_Registration(registration_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_check_in_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_check_in_occurrence FOREIGN KEY (occurrence_ID) REFERENCES Event_Occurrence(occurrence_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_check_in_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX uq_event_check_in ON Event_Check_In (registration_ID, COALESCE(occurrence_ID, 0));
+CREATE INDEX idx_event_check_in_event ON Event_Check_In (event_ID, occurrence_ID);
+
 -- ==============================
 -- MANY-TO-MANY RELATIONSHIPS
 -- ==============================
@@ -86,27 +317,70 @@ CREATE TABLE Admin (
 CREATE TABLE Speaker (
     speaker_ID SERIAL PRIMARY KEY,
     speaker_name VARCHAR(150) NOT NULL,
-    email VARCHAR(150) UNIQUE
+    email VARCHAR(150) UNIQUE,       -- where their schedule is sent; never shown to visitors
+    affiliation VARCHAR(200),
+    bio TEXT,
+    photo_url TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE Event_Speaker (
     event_ID INT NOT NULL,
     speaker_ID INT NOT NULL,
+    added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (event_ID, speaker_ID),
     CONSTRAINT fk_es_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE,
     CONSTRAINT fk_es_speaker FOREIGN KEY (speaker_ID) REFERENCES Speaker(speaker_ID) ON DELETE CASCADE
 );
 
+-- Co-organizers: may edit and cancel the event alongside its owner (Events.organizer_ID)
+CREATE TABLE Event_Co_Organizer (
+    event_ID INT NOT NULL,
+    organizer_ID INT NOT NULL,
+    added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_ID, organizer_ID),
+    CONSTRAINT fk_eco_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_eco_organizer FOREIGN KEY (organizer_ID) REFERENCES Organizer(organizer_ID) ON DELETE CASCADE
+);
+
 -- Tags
+-- The managed tag list used by event_categories (mirrored in Event_Tag) and
+-- by exhibits (Exhibit_Tag). Names are unique whatever their case, and a
+-- synonym can neither repeat another synonym nor a tag name (the latter is
+-- checked by the tag API).
 CREATE TABLE Tag (
     tag_ID SERIAL PRIMARY KEY,
-    tag_name VARCHAR(100) UNIQUE NOT NULL
+    tag_name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX uq_tag_name_ci ON Tag (LOWER(tag_name));
+
+CREATE TABLE Tag_Synonym (
+    synonym VARCHAR(100) PRIMARY KEY,
+    tag_ID INT NOT NULL,
+    CONSTRAINT fk_ts_tag FOREIGN KEY (tag_ID) REFERENCES Tag(tag_ID) ON DELETE CASCADE
 );
 
+CREATE UNIQUE INDEX uq_tag_synonym_ci ON Tag_Synonym (LOWER(synonym));
+CREATE INDEX idx_tag_synonym_tag ON Tag_Synonym (tag_ID);
+
 CREATE TABLE Event_Tag (
     event_ID INT NOT NULL,
     tag_ID INT NOT NULL,
     PRIMARY KEY (event_ID, tag_ID),
     CONSTRAINT fk_et_event FOREIGN KEY (event_ID) REFERENCES Events(event_ID) ON DELETE CASCADE,
     CONSTRAINT fk_et_tag FOREIGN KEY (tag_ID) REFERENCES Tag(tag_ID) ON DELETE CASCADE
-);
\ No newline at end of file
+);
+
+-- An exhibit can carry several tags; a tag in use cannot be deleted
+CREATE TABLE Exhibit_Tag (
+    exhibit_ID INT NOT NULL,
+    tag_ID INT NOT NULL,
+    PRIMARY KEY (exhibit_ID, tag_ID),
+    CONSTRAINT fk_xt_exhibit FOREIGN KEY (exhibit_ID) REFERENCES Exhibits(exhibit_ID) ON DELETE CASCADE,
+    CONSTRAINT fk_xt_tag FOREIGN KEY (tag_ID) REFERENCES Tag(tag_ID) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_exhibit_tag_tag ON Exhibit_Tag (tag_ID);
\ No newline at end of file
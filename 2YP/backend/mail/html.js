@@ -0,0 +1,38 @@
+// mail/html.js
+// `html` tagged template for email bodies. Every interpolated value is
+// HTML-escaped unless it is itself the result of an `html` template, so
+// templates can nest fragments without double escaping.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// null, undefined and false render as nothing so `${cond && html`...`}` works;
+// arrays are rendered item by item
+function render(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+module.exports = { html, escapeHtml, SafeHtml };
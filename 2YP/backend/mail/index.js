@@ -0,0 +1,65 @@
+// mail/index.js
+// The one place emails are sent from. Services call
+//   send(templateName, to, data)
+// which renders the named template (HTML plus a plain-text alternative) inside
+// the shared layout and hands it to the transporter. deliver() sends a message
+// that was rendered earlier (the outbox stores messages rendered).
+require('dotenv').config();
+const templates = require('./templates');
+const { layoutHtml, layoutText } = require('./layout');
+const { createTransport } = require('./transports');
+
+let transporter;
+
+// Created on first use so that importing the module never needs mail settings
+// (see transports.js for MAIL_TRANSPORT and friends)
+function getTransporter() {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+}
+
+// Returns { subject, html, text, attachments } for a template without sending
+// anything. Templates may add attachments(data): [{ filename, contentType, content }],
+// plus encoding: 'base64' and a cid for images shown inline.
+function render(templateName, data = {}) {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const subject = template.subject(data);
+  return {
+    subject,
+    html: layoutHtml({ title: subject, body: template.html(data) }),
+    text: layoutText({ title: subject, body: template.text(data) }),
+    attachments: template.attachments ? template.attachments(data) : []
+  };
+}
+
+// Sends a rendered { subject, html, text, attachments }. Resolves to the transport's info,
+// whose messageId identifies the message in the mail server's logs.
+async function deliver(to, message) {
+  if (!to) {
+    throw new Error(`No recipient given for email '${message.subject}'`);
+  }
+
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.ADMIN_EMAIL,
+    to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    attachments: message.attachments && message.attachments.length > 0 ? message.attachments : undefined
+  });
+}
+
+async function send(templateName, to, data = {}) {
+  if (!to) {
+    throw new Error(`No recipient given for email '${templateName}'`);
+  }
+  return deliver(to, render(templateName, data));
+}
+
+module.exports = { send, deliver, render };
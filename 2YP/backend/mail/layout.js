@@ -0,0 +1,30 @@
+// mail/layout.js
+// Shared frame around every email: the HTML version gets the heading, body and
+// footer in a simple centred column; the plain-text version gets the same footer.
+const { html } = require('./html');
+
+const APP_NAME = process.env.APP_NAME || 'Organizer Dashboard';
+const FOOTER = `This is an automated message from ${APP_NAME}. Please do not reply to this email.`;
+
+function layoutHtml({ title, body }) {
+  return html`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title}</title></head>
+  <body style="font-family: sans-serif; color: #222; max-width: 36rem; margin: 2rem auto;">
+    <h2>${title}</h2>
+    ${body}
+    <hr style="border: none; border-top: 1px solid #ddd; margin-top: 2rem;">
+    <p style="color: #777; font-size: 0.85em;">${FOOTER}</p>
+  </body>
+</html>`.toString();
+}
+
+// Dates as templates show them: "Saturday, 20 September 2025 at 09:00"
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-GB', { dateStyle: 'full', timeStyle: 'short' });
+
+function layoutText({ title, body }) {
+  return `${title}\n\n${body.trim()}\n\n--\n${FOOTER}\n`;
+}
+
+module.exports = { layoutHtml, layoutText, formatDateTime, APP_NAME };
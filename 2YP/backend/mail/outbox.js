@@ -0,0 +1,191 @@
+// mail/outbox.js
+// Postgres-backed email outbox. Business code queues mail with enqueue() on the
+// same client as its own transaction, so an email exists exactly when the change
+// it announces was committed. startOutboxWorker() delivers queued mail in the
+// background, retrying failures with exponential backoff; after MAX_ATTEMPTS a
+// message is marked 'dead' and stays there until an admin requeues it.
+// Delivered rows are kept as the delivery log, content and message id included;
+// emails carrying one-time links or tickets (see templates/index.js) are logged
+// without them: their data is stored redacted and their content is wiped once
+// they are sent or given up on, and they can never be requeued or resent.
+const { deliver, render } = require('./index');
+const templates = require('./templates');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_OUTBOX_MAX_ATTEMPTS) || 6;
+const BACKOFF_BASE_SECONDS = Number(process.env.MAIL_OUTBOX_BACKOFF_SECONDS) || 30;
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+const POLL_INTERVAL_MS = Number(process.env.MAIL_OUTBOX_POLL_MS) || 5000;
+const BATCH_SIZE = 20;
+// How long a worker may take to send what it claimed before others retry it
+const CLAIM_SECONDS = 10 * 60;
+
+const REDACTED = '[redacted]';
+
+// Names of the templates whose emails carry secrets
+const SECRET_TEMPLATES = Object.keys(templates).filter((name) => templates[name].secrets);
+
+const carriesSecrets = (templateName) => SECRET_TEMPLATES.includes(templateName);
+
+// A copy of data with the template's secret fields replaced by REDACTED
+function redactSecrets(templateName, data) {
+  const template = templates[templateName];
+  if (!template || !template.secrets || !data) return data;
+  const redacted = { ...data };
+  template.secrets.forEach((field) => {
+    if (redacted[field] !== undefined && redacted[field] !== null) redacted[field] = REDACTED;
+  });
+  return redacted;
+}
+
+// SET clause wiping the content of a finished email when the boolean
+// parameter $n says it carries secrets
+const forgetContent = (n) => `html_body = CASE WHEN $${n} THEN '' ELSE html_body END,
+           text_body = CASE WHEN $${n} THEN '' ELSE text_body END,
+           attachments = CASE WHEN $${n} THEN '[]'::jsonb ELSE attachments END`;
+
+// Delay before the next try after `attempts` failed deliveries: 30s, 1m, 2m, 4m...
+const backoffSeconds = (attempts) =>
+  Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+
+// Queue an email and return its outbox id. db is the caller's transaction
+// client (or the pool). The message is rendered here and stored as rendered, so
+// an unknown template or bad data fails the caller's transaction instead of the
+// delivery, and the log shows exactly what was sent (secrets aside).
+async function enqueue(db, templateName, to, data = {}) {
+  if (!to) {
+    throw new Error(`No recipient given for email '${templateName}'`);
+  }
+  const { subject, html, text, attachments } = render(templateName, data);
+
+  const result = await db.query(
+    `INSERT INTO Email_Outbox (template, recipient, data, subject, html_body, text_body, attachments)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING outbox_ID`,
+    [templateName, to, JSON.stringify(redactSecrets(templateName, data)), subject, html, text, JSON.stringify(attachments)]
+  );
+  return result.rows[0].outbox_id;
+}
+
+// Deliver the messages that are due. They are claimed first in one short
+// statement that pushes their next_attempt_at CLAIM_SECONDS ahead, so other
+// workers skip them while they are sent; each outcome is then saved on its own,
+// and a message that was delivered is never put back by a later failure. A
+// worker that dies mid-batch leaves its claims to be retried once they lapse.
+async function processOutbox(pool, { batchSize = BATCH_SIZE } = {}) {
+  const summary = { sent: 0, failed: 0, dead: 0 };
+
+  const due = await pool.query(
+    `UPDATE Email_Outbox
+     SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+     WHERE outbox_ID IN (
+       SELECT outbox_ID
+       FROM Email_Outbox
+       WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY next_attempt_at, outbox_ID
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING outbox_ID, template, recipient, subject, html_body, text_body, attachments, attempts`,
+    [batchSize, CLAIM_SECONDS]
+  );
+
+  for (const message of due.rows) {
+    const attempts = message.attempts + 1;
+    const secret = carriesSecrets(message.template);
+    let info;
+    try {
+      info = await deliver(message.recipient, {
+        subject: message.subject,
+        html: message.html_body,
+        text: message.text_body,
+        attachments: message.attachments
+      });
+    } catch (err) {
+      const dead = attempts >= MAX_ATTEMPTS;
+      await pool.query(
+        `UPDATE Email_Outbox
+         SET status = $2, attempts = $3, last_error = $4, last_attempt_at = CURRENT_TIMESTAMP,
+             next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5),
+             ${forgetContent(6)}
+         WHERE outbox_ID = $1`,
+        [message.outbox_id, dead ? 'dead' : 'pending', attempts, err.message, dead ? 0 : backoffSeconds(attempts),
+          dead && secret]
+      );
+      summary[dead ? 'dead' : 'failed']++;
+      continue;
+    }
+
+    await pool.query(
+      `UPDATE Email_Outbox
+       SET status = 'sent', attempts = $2, message_id = $3, last_error = NULL,
+           sent_at = CURRENT_TIMESTAMP, last_attempt_at = CURRENT_TIMESTAMP,
+           ${forgetContent(4)}
+       WHERE outbox_ID = $1`,
+      [message.outbox_id, attempts, info && info.messageId ? String(info.messageId) : null, secret]
+    );
+    summary.sent++;
+  }
+
+  return summary;
+}
+
+// Give a dead message a fresh set of attempts. Returns the row, or null if
+// there is no dead message with that id that may be sent again.
+async function requeue(db, outboxId) {
+  const result = await db.query(
+    `UPDATE Email_Outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE outbox_ID = $1 AND status = 'dead' AND template <> ALL($2::text[])
+     RETURNING outbox_ID, template, recipient, status, attempts, next_attempt_at, last_error`,
+    [outboxId, SECRET_TEMPLATES]
+  );
+  return result.rows[0] || null;
+}
+
+// Send a finished message (delivered but lost, or dead) again. The original row
+// stays in the log untouched; a copy of its content is queued as a new row that
+// points back at it. Returns the new row, or null if there is no finished
+// message with that id that may be sent again.
+async function resend(db, outboxId) {
+  const result = await db.query(
+    `INSERT INTO Email_Outbox (template, recipient, data, subject, html_body, text_body, attachments, resent_from)
+     SELECT template, recipient, data, subject, html_body, text_body, attachments, outbox_ID
+     FROM Email_Outbox
+     WHERE outbox_ID = $1 AND status IN ('sent', 'dead') AND template <> ALL($2::text[])
+     RETURNING outbox_ID, template, recipient, status, attempts, next_attempt_at, resent_from`,
+    [outboxId, SECRET_TEMPLATES]
+  );
+  return result.rows[0] || null;
+}
+
+// Poll the outbox every intervalMs. Returns a function that stops the worker.
+function startOutboxWorker(pool, { intervalMs = POLL_INTERVAL_MS } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // previous batch still sending
+    running = true;
+    try {
+      await processOutbox(pool);
+    } catch (err) {
+      console.error('Email Outbox Error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  enqueue,
+  processOutbox,
+  requeue,
+  resend,
+  startOutboxWorker,
+  carriesSecrets,
+  redactSecrets,
+  backoffSeconds,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,23 @@
+// Sent to a newly registered organizer to confirm their email address.
+// data: { organizer: { organizer_name, email }, link, ttlHours }
+const { html } = require('../html');
+
+module.exports = {
+  secrets: ['link'],
+
+  subject: () => 'Verify Your Email Address',
+
+  html: ({ organizer, link, ttlHours }) => html`
+    <p>Dear ${organizer.organizer_name},</p>
+    <p>Thank you for registering as an organizer. Please confirm your email address:</p>
+    <p><a href="${link}">Verify my email address</a></p>
+    <p>This link expires in ${ttlHours} hours. Your request is sent to an administrator for approval once your address is verified.</p>`,
+
+  text: ({ organizer, link, ttlHours }) => `
+Dear ${organizer.organizer_name},
+
+Thank you for registering as an organizer. Please confirm your email address by opening this link:
+${link}
+
+This link expires in ${ttlHours} hours. Your request is sent to an administrator for approval once your address is verified.`
+};
@@ -0,0 +1,21 @@
+// Sent when an event is cancelled. The attached .ics (METHOD:CANCEL) removes
+// it from calendars that imported it.
+// data: { event: Events row, name }
+const { html } = require('../html');
+const { formatDateTime: formatTime } = require('../layout');
+const { eventAttachment } = require('../../calendar/ical');
+
+module.exports = {
+  subject: ({ event }) => `Cancelled: ${event.event_name}`,
+
+  html: ({ event, name }) => html`
+    <p>Dear ${name},</p>
+    <p><strong>${event.event_name}</strong>, planned for ${formatTime(event.start_time)}, has been cancelled.</p>`,
+
+  text: ({ event, name }) => `
+Dear ${name},
+
+${event.event_name}, planned for ${formatTime(event.start_time)}, has been cancelled.`,
+
+  attachments: ({ event }) => [eventAttachment(event)]
+};
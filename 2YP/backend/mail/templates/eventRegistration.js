@@ -0,0 +1,119 @@
+// Sent to visitors about their registration for an event (see event-service's
+// registrationController). The confirmation and waitlist emails carry the only
+// copy of the visitor's cancellation link; a confirmed place comes with the
+// ticket to show at the door, its QR code embedded as an inline image.
+// data: { event: Events row, name, cancelLink, position, ticket: { code, qrPng (base64) } }
+const { html } = require('../html');
+const { formatDateTime: formatTime } = require('../layout');
+
+const TICKET_CID = 'ticket-qr';
+
+const eventDetails = (event) => html`
+    <ul>
+      <li>Starts: ${formatTime(event.start_time)}</li>
+      <li>Ends: ${formatTime(event.end_time)}</li>
+      ${event.location && html`<li>Location: ${event.location}</li>`}
+    </ul>`;
+
+const eventDetailsText = (event) => `
+Starts: ${formatTime(event.start_time)}
+Ends: ${formatTime(event.end_time)}
+${event.location ? `Location: ${event.location}\n` : ''}`;
+
+const ticketHtml = (ticket) => html`
+    <p>Show this QR code at the entrance:</p>
+    <p><img src="cid:${TICKET_CID}" alt="Ticket ${ticket.code}" width="200" height="200"></p>
+    <p>Ticket code: <code>${ticket.code}</code></p>`;
+
+const ticketText = (ticket) => `
+Your ticket code (show it at the entrance): ${ticket.code}
+`;
+
+const ticketAttachments = ({ ticket }) => [{
+  filename: 'ticket.png',
+  contentType: 'image/png',
+  content: ticket.qrPng,
+  encoding: 'base64',
+  cid: TICKET_CID
+}];
+
+module.exports = {
+  'registration-confirmed': {
+    secrets: ['cancelLink', 'ticket'],
+
+    subject: ({ event }) => `You're registered: ${event.event_name}`,
+
+    html: ({ event, name, cancelLink, ticket }) => html`
+      <p>Dear ${name},</p>
+      <p>Your place at <strong>${event.event_name}</strong> is confirmed.</p>
+      ${eventDetails(event)}
+      ${ticketHtml(ticket)}
+      <p>Can no longer attend? <a href="${cancelLink}">Cancel your registration</a> so someone else can have your place.</p>`,
+
+    text: ({ event, name, cancelLink, ticket }) => `
+Dear ${name},
+
+Your place at ${event.event_name} is confirmed.
+${eventDetailsText(event)}${ticketText(ticket)}
+Can no longer attend? Cancel your registration so someone else can have your place:
+${cancelLink}`,
+
+    attachments: ticketAttachments
+  },
+
+  'registration-waitlisted': {
+    secrets: ['cancelLink'],
+
+    subject: ({ event }) => `You're on the waitlist: ${event.event_name}`,
+
+    html: ({ event, name, cancelLink, position }) => html`
+      <p>Dear ${name},</p>
+      <p><strong>${event.event_name}</strong> is full, so you are number ${position} on the waitlist.
+        We will email you as soon as a place frees up for you.</p>
+      ${eventDetails(event)}
+      <p>Changed your mind? <a href="${cancelLink}">Leave the waitlist</a>.</p>`,
+
+    text: ({ event, name, cancelLink, position }) => `
+Dear ${name},
+
+${event.event_name} is full, so you are number ${position} on the waitlist. We will email you as soon as a place frees up for you.
+${eventDetailsText(event)}
+Changed your mind? Leave the waitlist:
+${cancelLink}`
+  },
+
+  'registration-promoted': {
+    secrets: ['ticket'],
+
+    subject: ({ event }) => `A place opened up: ${event.event_name}`,
+
+    html: ({ event, name, ticket }) => html`
+      <p>Dear ${name},</p>
+      <p>Good news: a place opened up at <strong>${event.event_name}</strong> and it is now yours.</p>
+      ${eventDetails(event)}
+      ${ticketHtml(ticket)}
+      <p>If you can no longer attend, please use the link in your waitlist email to cancel.</p>`,
+
+    text: ({ event, name, ticket }) => `
+Dear ${name},
+
+Good news: a place opened up at ${event.event_name} and it is now yours.
+${eventDetailsText(event)}${ticketText(ticket)}
+If you can no longer attend, please use the link in your waitlist email to cancel.`,
+
+    attachments: ticketAttachments
+  },
+
+  'registration-cancelled': {
+    subject: ({ event }) => `Registration cancelled: ${event.event_name}`,
+
+    html: ({ event, name }) => html`
+      <p>Dear ${name},</p>
+      <p>Your registration for <strong>${event.event_name}</strong> on ${formatTime(event.start_time)} has been cancelled.</p>`,
+
+    text: ({ event, name }) => `
+Dear ${name},
+
+Your registration for ${event.event_name} on ${formatTime(event.start_time)} has been cancelled.`
+  }
+};
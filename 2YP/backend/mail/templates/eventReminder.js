@@ -0,0 +1,31 @@
+// Sent ahead of an event (see event-service's reminder scheduler), with the
+// event attached as an .ics file.
+// data: { event: Events row, name, startsIn }
+const { html } = require('../html');
+const { formatDateTime: formatTime } = require('../layout');
+const { eventAttachment } = require('../../calendar/ical');
+
+module.exports = {
+  subject: ({ event, startsIn }) => `Reminder: ${event.event_name} starts in ${startsIn}`,
+
+  html: ({ event, name, startsIn }) => html`
+    <p>Dear ${name},</p>
+    <p><strong>${event.event_name}</strong> starts in ${startsIn}.</p>
+    <ul>
+      <li>Starts: ${formatTime(event.start_time)}</li>
+      <li>Ends: ${formatTime(event.end_time)}</li>
+      ${event.location && html`<li>Location: ${event.location}</li>`}
+    </ul>
+    ${event.description && html`<p>${event.description}</p>`}`,
+
+  text: ({ event, name, startsIn }) => `
+Dear ${name},
+
+${event.event_name} starts in ${startsIn}.
+
+Starts: ${formatTime(event.start_time)}
+Ends: ${formatTime(event.end_time)}
+${event.location ? `Location: ${event.location}\n` : ''}${event.description ? `\n${event.description}\n` : ''}`,
+
+  attachments: ({ event }) => [eventAttachment(event)]
+};
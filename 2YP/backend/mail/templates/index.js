@@ -0,0 +1,18 @@
+// mail/templates/index.js
+// Every email the platform sends, by template name. A template provides
+// subject(data), html(data) (built with the escaping `html` tag) and text(data);
+// the shared layout is added by mail/index.js. Templates whose data carries
+// one-time links or tickets name those fields in `secrets`: the outbox never
+// keeps them once the email is sent and never shows or resends such an email.
+
+module.exports = {
+  'organizer-approval-request': require('./organizerApprovalRequest'),
+  ...require('./organizerStatus'),
+  'email-verification': require('./emailVerification'),
+  'password-reset': require('./passwordReset'),
+  'password-changed': require('./passwordChanged'),
+  'event-reminder': require('./eventReminder'),
+  'event-cancelled': require('./eventCancelled'),
+  ...require('./eventRegistration'),
+  'speaker-schedule': require('./speakerSchedule')
+};
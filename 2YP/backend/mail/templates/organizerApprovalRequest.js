@@ -0,0 +1,34 @@
+// Sent to every admin who handles registrations once a new organizer has
+// verified their email address. The first admin to act closes the request.
+// data: { organizer: { organizer_name, email }, approveLink, rejectLink, queueLink }
+const { html } = require('../html');
+
+module.exports = {
+  secrets: ['approveLink', 'rejectLink'],
+
+  subject: () => 'Organizer Approval Request',
+
+  html: ({ organizer, approveLink, rejectLink, queueLink }) => html`
+    <p>New organizer registration request:</p>
+    <ul>
+      <li>Name: ${organizer.organizer_name}</li>
+      <li>Email: ${organizer.email}</li>
+    </ul>
+    <p><a href="${approveLink}">Approve this organizer</a></p>
+    ${rejectLink && html`<p><a href="${rejectLink}">Reject this organizer</a></p>`}
+    <p>Each link can be used once and expires after a few days. Once any admin has
+    decided, the links stop working for everyone.</p>
+    ${queueLink && html`<p><a href="${queueLink}">See all pending requests</a></p>`}`,
+
+  text: ({ organizer, approveLink, rejectLink, queueLink }) => `
+New organizer registration request:
+
+Name: ${organizer.organizer_name}
+Email: ${organizer.email}
+
+Approve this organizer: ${approveLink}
+${rejectLink ? `Reject this organizer: ${rejectLink}\n` : ''}
+Each link can be used once and expires after a few days. Once any admin has
+decided, the links stop working for everyone.
+${queueLink ? `\nSee all pending requests: ${queueLink}\n` : ''}`
+};
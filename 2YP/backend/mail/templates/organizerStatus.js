@@ -0,0 +1,41 @@
+// Sent to an organizer whenever an admin changes their status.
+// data: { organizer: { organizer_name, email }, reason }
+const { html } = require('../html');
+
+const statusTemplate = ({ subject, message, reasonLabel }) => ({
+  subject: () => subject,
+
+  html: ({ organizer, reason }) => html`
+    <p>Dear ${organizer.organizer_name},</p>
+    <p>${message}</p>
+    ${reason && html`<p>${reasonLabel}: ${reason}</p>`}`,
+
+  text: ({ organizer, reason }) => `
+Dear ${organizer.organizer_name},
+
+${message}
+${reason ? `\n${reasonLabel}: ${reason}\n` : ''}`
+});
+
+module.exports = {
+  'organizer-approved': statusTemplate({
+    subject: 'Your Organizer Request Has Been Approved',
+    message: 'Your registration has been approved. You can now log in and use the platform.',
+    reasonLabel: 'Note from the administrator'
+  }),
+  'organizer-rejected': statusTemplate({
+    subject: 'Your Organizer Request Has Been Rejected',
+    message: 'Unfortunately your registration request has been rejected by an administrator.',
+    reasonLabel: 'Reason'
+  }),
+  'organizer-suspended': statusTemplate({
+    subject: 'Your Organizer Account Has Been Suspended',
+    message: 'Your organizer account has been suspended. You will not be able to log in until it is reinstated.',
+    reasonLabel: 'Reason'
+  }),
+  'organizer-reinstated': statusTemplate({
+    subject: 'Your Organizer Account Has Been Reinstated',
+    message: 'Your organizer account has been reinstated. You can log in and use the platform again.',
+    reasonLabel: 'Note from the administrator'
+  })
+};
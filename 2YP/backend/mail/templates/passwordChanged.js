@@ -0,0 +1,19 @@
+// Sent after an organizer's password has been reset.
+// data: { organizer: { organizer_name, email } }
+const { html } = require('../html');
+
+module.exports = {
+  subject: () => 'Your Password Has Been Changed',
+
+  html: ({ organizer }) => html`
+    <p>Dear ${organizer.organizer_name},</p>
+    <p>The password of your organizer account has just been changed and all existing sessions were signed out.</p>
+    <p>If this was not you, please contact an administrator immediately.</p>`,
+
+  text: ({ organizer }) => `
+Dear ${organizer.organizer_name},
+
+The password of your organizer account has just been changed and all existing sessions were signed out.
+
+If this was not you, please contact an administrator immediately.`
+};
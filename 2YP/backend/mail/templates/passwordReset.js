@@ -0,0 +1,23 @@
+// Sent when an organizer asks to reset a forgotten password.
+// data: { organizer: { organizer_name, email }, link, ttlMinutes }
+const { html } = require('../html');
+
+module.exports = {
+  secrets: ['link'],
+
+  subject: () => 'Reset Your Password',
+
+  html: ({ organizer, link, ttlMinutes }) => html`
+    <p>Dear ${organizer.organizer_name},</p>
+    <p>We received a request to reset the password of your organizer account.</p>
+    <p><a href="${link}">Reset your password</a></p>
+    <p>This link expires in ${ttlMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.</p>`,
+
+  text: ({ organizer, link, ttlMinutes }) => `
+Dear ${organizer.organizer_name},
+
+We received a request to reset the password of your organizer account. Open this link to choose a new password:
+${link}
+
+This link expires in ${ttlMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`
+};
@@ -0,0 +1,35 @@
+// Sent to a speaker with their upcoming talks (see event-service's
+// speakerController), with every one of them in an attached .ics file.
+// data: { speaker: { speaker_name }, events: Event_Instance rows with double_booked }
+const { html } = require('../html');
+const { formatDateTime: formatTime } = require('../layout');
+const { CONTENT_TYPE, buildCalendar } = require('../../calendar/ical');
+
+const CLASH = 'overlaps another of your events';
+
+module.exports = {
+  subject: () => 'Your speaking schedule',
+
+  html: ({ speaker, events }) => html`
+    <p>Dear ${speaker.speaker_name},</p>
+    <p>You are speaking at the following events:</p>
+    <ul>
+      ${events.map((event) => html`<li><strong>${event.event_name}</strong>: ${formatTime(event.start_time)} to ${formatTime(event.end_time)}${event.location && html`, ${event.location}`}${event.double_booked && html` <em>(${CLASH})</em>`}</li>`)}
+    </ul>
+    <p>All of them are in the attached calendar file.</p>`,
+
+  text: ({ speaker, events }) => `
+Dear ${speaker.speaker_name},
+
+You are speaking at the following events:
+
+${events.map((event) => `- ${event.event_name}: ${formatTime(event.start_time)} to ${formatTime(event.end_time)}${event.location ? `, ${event.location}` : ''}${event.double_booked ? ` (${CLASH})` : ''}`).join('\n')}
+
+All of them are in the attached calendar file.`,
+
+  attachments: ({ speaker, events }) => [{
+    filename: 'schedule.ics',
+    contentType: CONTENT_TYPE,
+    content: buildCalendar(events, { name: `Schedule - ${speaker.speaker_name}` })
+  }]
+};
@@ -0,0 +1,104 @@
+// mail/transports.js
+// Builds the nodemailer transport selected by MAIL_TRANSPORT:
+//
+//   smtp    - any SMTP server: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for
+//             implicit TLS, default when the port is 465), SMTP_USER / SMTP_PASSWORD,
+//             SMTP_IGNORE_TLS ('true' to never upgrade, e.g. a local stand-in)
+//   gmail   - Gmail with ADMIN_EMAIL / ADMIN_PASSWORD (the default when SMTP_HOST is unset)
+//   file    - writes every message to MAIL_FILE_DIR (<tmp>/mail-drop) as MAIL_FILE_FORMAT
+//             'eml' (raw message, opens in any mail client) or 'json'
+//   console - prints the message to stdout instead of sending it
+//
+// Server certificates are always verified unless SMTP_TLS_REJECT_UNAUTHORIZED=false.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const tlsOptions = (env) => {
+  const rejectUnauthorized = env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false';
+  if (!rejectUnauthorized) {
+    console.warn('[mail] TLS certificate verification is disabled (SMTP_TLS_REJECT_UNAUTHORIZED=false)');
+  }
+  return { rejectUnauthorized };
+};
+
+function smtpTransport(env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+  }
+  const port = Number(env.SMTP_PORT) || 587;
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    ignoreTLS: env.SMTP_IGNORE_TLS === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+    tls: tlsOptions(env)
+  });
+}
+
+function gmailTransport(env) {
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: env.ADMIN_EMAIL,
+      pass: env.ADMIN_PASSWORD
+    },
+    tls: tlsOptions(env)
+  });
+}
+
+// Renders the message with nodemailer's own stream / JSON transport, then saves it
+function fileTransport(env) {
+  const format = env.MAIL_FILE_FORMAT || 'eml';
+  if (!['eml', 'json'].includes(format)) {
+    throw new Error(`MAIL_FILE_FORMAT must be 'eml' or 'json', got '${format}'`);
+  }
+  const dir = path.resolve(env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'mail-drop'));
+  const renderer = format === 'eml'
+    ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+    : nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(message) {
+      const info = await renderer.sendMail(message);
+      const id = String(info.messageId).replace(/[^A-Za-z0-9.-]/g, '');
+      const file = path.join(dir, `${Date.now()}-${id}.${format}`);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+}
+
+function consoleTransport() {
+  const renderer = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(message) {
+      const info = await renderer.sendMail(message);
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text || ''}`);
+      return info;
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  gmail: gmailTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+// Anything with a sendMail(message) method that resolves to { messageId, ... }
+function createTransport(env = process.env) {
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'gmail');
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT '${name}' (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory(env);
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,33 @@
+// middlewares/gatewayIdentity.js
+// Reads the identity forwarded by the API gateway (x-user-* headers) into req.user.
+// The headers are only trusted when the request also carries the gateway's
+// x-gateway-secret (GATEWAY_SECRET); anyone else, including a caller that
+// reaches a service directly, is a plain visitor.
+
+const gatewayIdentity = (req, res, next) => {
+  const secret = process.env.GATEWAY_SECRET;
+  if (!secret || req.headers['x-gateway-secret'] !== secret) {
+    req.user = { role: 'visitor' };
+    return next();
+  }
+
+  const id = req.headers['x-user-id'];
+  req.user = {
+    id: id !== undefined ? Number(id) : undefined,
+    role: req.headers['x-user-role'] || 'visitor',
+    email: req.headers['x-user-email']
+  };
+  next();
+};
+
+// Services and the gateway call this before listening: without a shared
+// GATEWAY_SECRET nobody could be recognised behind the gateway.
+const requireGatewaySecret = (serviceName) => {
+  if (!process.env.GATEWAY_SECRET) {
+    console.error(`${serviceName} cannot start: GATEWAY_SECRET is not set`);
+    process.exit(1);
+  }
+};
+
+module.exports = gatewayIdentity;
+module.exports.requireGatewaySecret = requireGatewaySecret;
@@ -0,0 +1,13 @@
+// middlewares/requireOwner.js
+// Route guard for services, used after requireRole: an organizer may only act
+// on the route param that is their own id; admins manage everyone.
+
+const requireOwner = (param) => (req, res, next) => {
+  const user = req.user || { role: 'visitor' };
+  if (user.role === 'organizer' && String(user.id) !== String(req.params[param])) {
+    return res.status(403).json({ message: 'Access denied. You can only manage your own resources.' });
+  }
+  next();
+};
+
+module.exports = requireOwner;
@@ -0,0 +1,13 @@
+// middlewares/requireRole.js
+// Route guard for services: only lets through callers whose gateway identity
+// (see gatewayIdentity.js) has one of the given roles.
+
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user ? req.user.role : 'visitor';
+  if (!roles.includes(role)) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+};
+
+module.exports = requireRole;
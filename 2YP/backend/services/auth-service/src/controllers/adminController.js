@@ -0,0 +1,251 @@
+// controllers/adminController.js
+
+const bcrypt = require('bcrypt');
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { validatePassword } = require('../utils/passwordPolicy');
+const { ACCESS_TOKEN_TTL, issueTokens, revokeAllTokens } = require('../utils/tokens');
+
+const ADMIN_COLUMNS = 'admin_ID, user_name, email, is_active, created_at, last_login_at';
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+// ======================
+// LOGIN (Admin)
+// ======================
+const adminLogin = async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        // Validate required fields
+        if (!username || !password) {
+            return res.status(400).json({ message: "Username (or email) and Password are required" });
+        }
+
+        // Admins can sign in with either their user name or their email
+        const adminResult = await pool.query(
+            'SELECT * FROM Admin WHERE user_name = $1 OR email = $1',
+            [username]
+        );
+        const admin = adminResult.rows[0];
+
+        if (!admin || !admin.password_hash) {
+            return res.status(401).json({ message: "Invalid username or password" });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, admin.password_hash);
+        if (!isPasswordValid) {
+            return res.status(401).json({ message: "Invalid username or password" });
+        }
+
+        if (!admin.is_active) {
+            return res.status(403).json({ message: "Admin account is disabled." });
+        }
+
+        await pool.query('UPDATE Admin SET last_login_at = CURRENT_TIMESTAMP WHERE admin_ID = $1', [admin.admin_id]);
+
+        const { token, refreshToken } = await issueTokens({
+            role: 'admin',
+            id: admin.admin_id,
+            username: admin.email,
+            tokenVersion: admin.token_version
+        });
+
+        return res.status(200).json({ message: "Login successful", token, refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+
+    } catch (err) {
+        console.error("Admin Login Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// LIST ADMINS
+// ======================
+const getAdmins = async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM Admin ORDER BY admin_ID`);
+        return res.json(result.rows);
+    } catch (err) {
+        console.error("Get Admins Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// CREATE ADMIN
+// ======================
+const createAdmin = async (req, res) => {
+    try {
+        const { user_name, email, password } = req.body;
+
+        if (!user_name || !email || !password) {
+            return res.status(400).json({ message: "user_name, email and password are required" });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
+
+        const password_hash = await bcrypt.hash(password, 10);
+
+        const result = await pool.query(
+            `INSERT INTO Admin (user_name, email, password_hash)
+             VALUES ($1, $2, $3)
+             RETURNING ${ADMIN_COLUMNS}`,
+            [user_name, email, password_hash]
+        );
+
+        return res.status(201).json({ message: "Admin created successfully", admin: result.rows[0] });
+
+    } catch (err) {
+        if (err.code === '23505') { // unique violation
+            return res.status(409).json({ message: "An admin with this user name or email already exists" });
+        }
+        console.error("Create Admin Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// ENABLE / DISABLE ADMIN
+// ======================
+const setAdminActive = (isActive) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isId(id)) {
+            return res.status(400).json({ message: "Admin id must be numeric" });
+        }
+
+        // Stop admins from locking themselves out
+        if (!isActive && String(req.user.id) === String(id)) {
+            return res.status(400).json({ message: "You cannot disable your own account" });
+        }
+
+        const result = await pool.query(
+            `UPDATE Admin SET is_active = $1 WHERE admin_ID = $2 RETURNING ${ADMIN_COLUMNS}`,
+            [isActive, id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: "Admin not found" });
+        }
+
+        // A disabled admin is signed out everywhere
+        if (!isActive) {
+            await revokeAllTokens(pool, 'admin', id);
+        }
+
+        return res.json({
+            message: isActive ? "Admin enabled successfully" : "Admin disabled successfully",
+            admin: result.rows[0]
+        });
+
+    } catch (err) {
+        console.error("Update Admin Status Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+const disableAdmin = setAdminActive(false);
+const enableAdmin = setAdminActive(true);
+
+// ======================
+// CHANGE OWN PASSWORD
+// ======================
+const changeAdminPassword = async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        if (!current_password || !new_password) {
+            return res.status(400).json({ message: "current_password and new_password are required" });
+        }
+
+        const passwordError = validatePassword(new_password);
+        if (passwordError) {
+            return res.status(400).json({ message: passwordError });
+        }
+
+        const adminResult = await pool.query('SELECT * FROM Admin WHERE admin_ID = $1', [req.user.id]);
+        const admin = adminResult.rows[0];
+        if (!admin) {
+            return res.status(404).json({ message: "Admin not found" });
+        }
+
+        const isPasswordValid = admin.password_hash && await bcrypt.compare(current_password, admin.password_hash);
+        if (!isPasswordValid) {
+            return res.status(401).json({ message: "Current password is incorrect" });
+        }
+
+        const password_hash = await bcrypt.hash(new_password, 10);
+        await pool.query('UPDATE Admin SET password_hash = $1 WHERE admin_ID = $2', [password_hash, admin.admin_id]);
+
+        // Sign out every existing session; the admin logs in again with the new password
+        await revokeAllTokens(pool, 'admin', admin.admin_id);
+
+        return res.json({ message: "Password changed successfully. Please log in again." });
+
+    } catch (err) {
+        console.error("Change Admin Password Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// LIST ORGANIZERS (optionally by status)
+// ======================
+const getOrganizersForReview = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const result = await pool.query(
+            `SELECT organizer_ID, organizer_name, fname, lname, email, contact_no,
+                    status, status_reason, status_changed_at, status_changed_by, email_verified_at,
+                    -- pending requests are held back until the organizer confirms their address
+                    CASE WHEN status = 'pending' AND email_verified_at IS NULL
+                         THEN 'email unverified' ELSE status END AS review_status
+             FROM Organizer
+             WHERE ($1::text IS NULL OR status = $1)
+             ORDER BY organizer_ID`,
+            [status || null]
+        );
+        return res.json(result.rows);
+    } catch (err) {
+        console.error("Get Organizers Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// ORGANIZER STATUS HISTORY
+// ======================
+const getOrganizerStatusHistory = async (req, res) => {
+    if (!isId(req.params.organizerId)) {
+        return res.status(400).json({ message: "Organizer id must be numeric" });
+    }
+    try {
+        const result = await pool.query(
+            `SELECT h.history_ID, h.from_status, h.to_status, h.reason, h.changed_at,
+                    h.admin_ID, a.user_name AS admin_user_name
+             FROM Organizer_Status_History h
+             LEFT JOIN Admin a ON a.admin_ID = h.admin_ID
+             WHERE h.organizer_ID = $1
+             ORDER BY h.changed_at, h.history_ID`,
+            [req.params.organizerId]
+        );
+        return res.json(result.rows);
+    } catch (err) {
+        console.error("Get Organizer History Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = {
+    adminLogin,
+    getAdmins,
+    createAdmin,
+    disableAdmin,
+    enableAdmin,
+    changeAdminPassword,
+    getOrganizersForReview,
+    getOrganizerStatusHistory
+};
@@ -0,0 +1,139 @@
+// controllers/approvalLinkController.js
+// Handles the approve / reject links emailed to admins.
+// GET only shows a confirmation page (mail scanners prefetch links, so opening
+// one must not use it up); the POST from that page performs the action.
+
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { checkApprovalToken, consumeApprovalToken } = require('../utils/approvalTokens');
+const { renderPage } = require('../utils/htmlPage');
+const { TRANSITIONS, transitionOrganizer } = require('../utils/organizerLifecycle');
+
+const ACTION_DETAILS = {
+    approve: { button: 'Approve organizer', field: { name: 'reason', label: 'Reason / note for the organizer' } },
+    reject: { button: 'Reject organizer', field: { name: 'reason', label: 'Reason for rejecting' } }
+};
+
+const LINK_ERRORS = {
+    invalid: { status: 400, title: 'Invalid link', message: 'This link is not valid. It may have been altered or copied incompletely.' },
+    expired: { status: 410, title: 'Link expired', message: 'This link has expired. Please handle the request from the admin dashboard.' },
+    used: { status: 410, title: 'Link already used', message: 'This link has already been used and cannot be used again.' },
+    revoked: { status: 410, title: 'Link no longer valid', message: 'This link was sent to an admin account that has since been disabled.' }
+};
+
+const sendLinkError = (res, error) => {
+    const { status, title, message } = LINK_ERRORS[error];
+    return res.status(status).send(renderPage({ title, message }));
+};
+
+// The link, its organizer, whether the admin it was sent to is still active
+// and, once decided, the admin who decided
+const findLink = async (jti) => {
+    const result = await pool.query(
+        `SELECT t.used_at, o.organizer_name, o.email, o.status, a.user_name AS decided_by,
+                COALESCE(r.is_active, FALSE) AS admin_active
+         FROM Approval_Token t
+         JOIN Organizer o ON o.organizer_ID = t.organizer_ID
+         LEFT JOIN Admin a ON a.admin_ID = o.status_changed_by
+         LEFT JOIN Admin r ON r.admin_ID = t.admin_ID
+         WHERE t.jti = $1`,
+        [jti]
+    );
+    return result.rows[0];
+};
+
+// A link that can no longer be used: its admin was disabled, it was used, or
+// someone else already decided
+const sendUsedLink = (res, link) => {
+    if (link && !link.used_at && !link.admin_active) return sendLinkError(res, 'revoked');
+    if (!link || link.status === 'pending') return sendLinkError(res, 'used');
+    return res.status(409).send(renderPage({
+        title: 'Already handled',
+        message: `${link.organizer_name} (${link.email}) has already been ${link.status}`
+            + (link.decided_by ? ` by ${link.decided_by}.` : '.')
+    }));
+};
+
+// ======================
+// CONFIRMATION PAGE (GET)
+// ======================
+const showApprovalLink = (action) => async (req, res) => {
+    try {
+        const { payload, error } = checkApprovalToken(req.params.token, action);
+        if (error) return sendLinkError(res, error);
+
+        const link = await findLink(payload.jti);
+
+        if (!link) return sendLinkError(res, 'invalid');
+        if (link.used_at || !link.admin_active) return sendUsedLink(res, link);
+
+        return res.send(renderPage({
+            title: 'Organizer registration request',
+            message: `${link.organizer_name} (${link.email}) is waiting for approval.`,
+            form: ACTION_DETAILS[action]
+        }));
+
+    } catch (err) {
+        console.error("Approval Link Error:", err.message);
+        return res.status(500).send(renderPage({ title: 'Something went wrong', message: 'Please try again later.' }));
+    }
+};
+
+// ======================
+// PERFORM ACTION (POST)
+// ======================
+const handleApprovalLink = (action) => async (req, res) => {
+    const { payload, error } = checkApprovalToken(req.params.token, action);
+    if (error) return sendLinkError(res, error);
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).send(renderPage({
+            title: 'Reason required',
+            message: 'Please go back and give a reason for this decision.'
+        }));
+    }
+
+    const client = await pool.connect();
+    let organizer;
+
+    try {
+        await client.query('BEGIN');
+
+        const link = await consumeApprovalToken(client, payload);
+        if (!link) {
+            await client.query('ROLLBACK');
+            return sendUsedLink(res, await findLink(payload.jti));
+        }
+
+        const result = await transitionOrganizer(client, payload.sub, action, { reason, adminId: link.admin_id });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(409).send(renderPage({
+                title: 'Already handled',
+                message: result.status
+                    ? `This registration request is no longer pending (current status: ${result.status}).`
+                    : 'This organizer no longer exists.'
+            }));
+        }
+
+        await client.query('COMMIT');
+        organizer = result.organizer;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("Approval Link Error:", err.message);
+        return res.status(500).send(renderPage({ title: 'Something went wrong', message: 'Please try again later.' }));
+    } finally {
+        client.release();
+    }
+
+    const done = TRANSITIONS[action].done;
+    return res.send(renderPage({
+        title: `Organizer ${done}`,
+        message: `${organizer.organizer_name} (${organizer.email}) has been ${done}.`
+    }));
+};
+
+module.exports = {
+    showApprovalLink,
+    handleApprovalLink
+};
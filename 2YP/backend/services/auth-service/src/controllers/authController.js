@@ -1,10 +1,15 @@
 // controllers/authController.js
 
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
-const { sendApprovalEmail } = require('../utils/sendApproveEmail');
-const ADMIN_EMAIL = process.env.ADMIN_NOTIFY_EMAIL; // set this in your .env
+const { sendVerification } = require('../utils/emailVerification');
+const { ACCESS_TOKEN_TTL, issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../utils/tokens');
+
+const STATUS_LOGIN_MESSAGES = {
+    pending: "Account not approved by admin yet.",
+    rejected: "Your registration request was rejected by an admin.",
+    suspended: "Your account has been suspended by an admin."
+};
 
 // ======================
 // REGISTER (Organizer)
@@ -30,30 +35,36 @@ const register = async (req, res) => {
         // Hash password
         const password_hash = await bcrypt.hash(password, 10);
 
-        // Insert new organizer with status 'pending'
-        const result = await pool.query(
-            `INSERT INTO Organizer (organizer_name, fname, lname, email, contact_no, password_hash, status)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
-             RETURNING organizer_ID, organizer_name, fname, lname, email AS username, contact_no, status`,
-            [organizer_name, fname, lname, email, contact_no || null, password_hash, 'pending']
-        );
-
-        // Send approval email to admin
-        const approvalLink = `${process.env.BASE_URL}/auths/approve/${result.rows[0].organizer_id}`;
-        if (ADMIN_EMAIL) {
-            await sendApprovalEmail(
-                ADMIN_EMAIL,
-                { organizer_name, email },
-                approvalLink
+        // Insert new organizer with status 'pending' and queue the verification
+        // email in the same transaction, so neither can exist without the other
+        const client = await pool.connect();
+        let organizer;
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `INSERT INTO Organizer (organizer_name, fname, lname, email, contact_no, password_hash, status)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING organizer_ID, organizer_name, fname, lname, email AS username, contact_no, status`,
+                [organizer_name, fname, lname, email, contact_no || null, password_hash, 'pending']
             );
-        } else {
-            console.warn("ADMIN_NOTIFY_EMAIL not set in .env");
+            organizer = result.rows[0];
+
+            // Ask the organizer to confirm their email address; the admin approval
+            // request is only sent once they have (see emailVerificationController)
+            await sendVerification(client, { organizer_id: organizer.organizer_id, organizer_name, email });
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
         }
 
         // Respond with 201 Created
         return res.status(201).json({ 
-            message: "Registration request sent for admin approval.",
-            organizer: result.rows[0]
+            message: "Registration received. Please verify your email address using the link we sent you.",
+            organizer
         });
 
     } catch (err) {
@@ -82,26 +93,40 @@ const login = async (req, res) => {
 
         const user = userResult.rows[0];
 
-        // Check if approved
-        if (user.status !== 'approved') {
-            return res.status(403).json({ message: "Account not approved by admin yet." });
-        }
-
-        // Compare password
+        // Compare password first: status and reason are only for the account's owner
         const isPasswordValid = await bcrypt.compare(password, user.password_hash);
         if (!isPasswordValid) {
             return res.status(401).json({ message: "Invalid email (username) or password" });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user.organizer_ID, username: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // Only approved organizers may log in; tell the others exactly why not
+        if (user.status === 'pending' && !user.email_verified_at) {
+            return res.status(403).json({
+                message: "Please verify your email address before logging in.",
+                status: user.status,
+                email_verified: false
+            });
+        }
+
+        if (user.status !== 'approved') {
+            const message = STATUS_LOGIN_MESSAGES[user.status] || "Account is not active.";
+            return res.status(403).json({
+                message,
+                status: user.status,
+                ...(user.status_reason && user.status !== 'pending' ? { reason: user.status_reason } : {})
+            });
+        }
+
+        // Generate a short-lived JWT plus a refresh token
+        const { token, refreshToken } = await issueTokens({
+            role: 'organizer',
+            id: user.organizer_id,
+            username: user.email,
+            tokenVersion: user.token_version
+        });
 
         // ✅ Explicitly set status 200 so Jest test passes
-        return res.status(200).json({ message: "Login successful", token });
+        return res.status(200).json({ message: "Login successful", token, refreshToken, expiresIn: ACCESS_TOKEN_TTL });
 
     } catch (err) {
         console.error("Login Error:", err.message);
@@ -109,4 +134,62 @@ const login = async (req, res) => {
     }
 };
 
-module.exports = { register, login };
+// ======================
+// REFRESH (Organizer / Admin)
+// ======================
+const REFRESH_ERRORS = {
+    invalid: "Invalid refresh token",
+    expired: "Refresh token has expired. Please log in again.",
+    reused: "Refresh token has already been used. Please log in again.",
+    inactive: "Account is no longer active."
+};
+
+const refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: "refreshToken is required" });
+        }
+
+        const result = await rotateRefreshToken(refreshToken);
+        if (result.error) {
+            return res.status(401).json({ message: REFRESH_ERRORS[result.error] });
+        }
+
+        return res.status(200).json({
+            message: "Token refreshed",
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+
+    } catch (err) {
+        console.error("Refresh Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// LOGOUT (Organizer / Admin)
+// ======================
+const logout = async (req, res) => {
+    try {
+        const { refreshToken, all } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: "refreshToken is required" });
+        }
+
+        // all: true signs the account out everywhere (every access token is revoked too)
+        await revokeRefreshToken(refreshToken, { all: all === true });
+
+        return res.status(200).json({ message: all === true ? "Logged out from all sessions" : "Logged out" });
+
+    } catch (err) {
+        console.error("Logout Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = { register, login, refresh, logout };
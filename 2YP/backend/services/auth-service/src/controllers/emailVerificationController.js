@@ -0,0 +1,120 @@
+// controllers/emailVerificationController.js
+// Confirms an organizer's email address. Only once it is confirmed is the
+// registration passed on to the admins for approval.
+
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { checkVerificationToken, sendVerification } = require('../utils/emailVerification');
+const { requestAdminApproval } = require('../utils/adminNotifications');
+const { renderPage } = require('../utils/htmlPage');
+
+const RESEND_COOLDOWN_SECONDS = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+const LINK_ERRORS = {
+    invalid: { status: 400, title: 'Invalid link', message: 'This verification link is not valid. Please request a new one.' },
+    expired: { status: 410, title: 'Link expired', message: 'This verification link has expired. Please request a new one.' }
+};
+
+// Same answer whether or not the email is waiting for verification
+const RESEND_RESPONSE = { message: "If that email is awaiting verification, a new link has been sent." };
+
+// ======================
+// VERIFY EMAIL (link from the email)
+// ======================
+const verifyEmail = async (req, res) => {
+    const { payload, error } = checkVerificationToken(req.params.token);
+    if (error) {
+        const { status, title, message } = LINK_ERRORS[error];
+        return res.status(status).send(renderPage({ title, message }));
+    }
+
+    const client = await pool.connect();
+    let organizer;
+    let alreadyVerified = false;
+
+    try {
+        await client.query('BEGIN');
+
+        // Only the first use flips the flag, so the admin is asked exactly once
+        const result = await client.query(
+            `UPDATE Organizer SET email_verified_at = CURRENT_TIMESTAMP
+             WHERE organizer_ID = $1 AND email = $2 AND email_verified_at IS NULL
+             RETURNING organizer_ID, organizer_name, email, status`,
+            [payload.sub, payload.email]
+        );
+        organizer = result.rows[0];
+
+        if (!organizer) {
+            const existing = await client.query(
+                'SELECT email_verified_at FROM Organizer WHERE organizer_ID = $1 AND email = $2',
+                [payload.sub, payload.email]
+            );
+            alreadyVerified = existing.rows.length > 0;
+        } else if (organizer.status === 'pending') {
+            await requestAdminApproval(client, organizer);
+        }
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("Verify Email Error:", err.message);
+        return res.status(500).send(renderPage({ title: 'Something went wrong', message: 'Please try again later.' }));
+    } finally {
+        client.release();
+    }
+
+    if (alreadyVerified) {
+        return res.send(renderPage({ title: 'Email already verified', message: 'Your email address has already been verified.' }));
+    }
+    if (!organizer) {
+        const { status, title, message } = LINK_ERRORS.invalid;
+        return res.status(status).send(renderPage({ title, message }));
+    }
+
+    return res.send(renderPage({
+        title: 'Email verified',
+        message: 'Thank you, your email address is confirmed. Your registration has been sent to an administrator for approval.'
+    }));
+};
+
+// ======================
+// RESEND VERIFICATION EMAIL
+// ======================
+const resendVerification = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ message: "Email (username) is required" });
+        }
+
+        const result = await pool.query(
+            `SELECT organizer_ID, organizer_name, email, email_verified_at,
+                    EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - verification_sent_at)) AS seconds_since_sent
+             FROM Organizer WHERE email = $1`,
+            [email]
+        );
+        const organizer = result.rows[0];
+        if (!organizer || organizer.email_verified_at) {
+            return res.status(200).json(RESEND_RESPONSE);
+        }
+
+        // One email per cooldown period per address
+        const sinceSent = organizer.seconds_since_sent === null ? null : Number(organizer.seconds_since_sent);
+        if (sinceSent !== null && sinceSent < RESEND_COOLDOWN_SECONDS) {
+            const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - sinceSent);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: `Please wait ${retryAfter} seconds before requesting another verification email.`
+            });
+        }
+
+        await sendVerification(pool, organizer);
+        return res.status(200).json(RESEND_RESPONSE);
+
+    } catch (err) {
+        console.error("Resend Verification Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = { verifyEmail, resendVerification };
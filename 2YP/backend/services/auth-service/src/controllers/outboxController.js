@@ -0,0 +1,144 @@
+// controllers/outboxController.js
+// Admin view of the email outbox, which is also the log of every email sent
+// (see backend/mail/outbox.js). Emails carrying one-time links or tickets are
+// listed, but their content is never shown and they cannot be sent again.
+
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { requeue, resend, carriesSecrets, redactSecrets } = require('../../../../mail/outbox');
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'dead'];
+const MAX_PAGE_SIZE = 200;
+
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+const isId = (value) => /^\d+$/.test(String(value));
+const ID_MESSAGE = "Email id must be numeric";
+
+const SECRET_MESSAGE = "This email carried one-time links or a ticket and cannot be sent again; " +
+    "the recipient has to ask for a new one";
+
+// 404 when the email does not exist, otherwise 400 naming why it cannot be sent
+async function refuseByStatus(res, id, message) {
+    const existing = await pool.query('SELECT status, template FROM Email_Outbox WHERE outbox_ID = $1', [id]);
+    if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "Email not found" });
+    }
+    if (carriesSecrets(existing.rows[0].template)) {
+        return res.status(400).json({ message: SECRET_MESSAGE });
+    }
+    return res.status(400).json({ message: `${message} (this one is '${existing.rows[0].status}')` });
+}
+
+// ======================
+// LIST OUTBOX / DELIVERY LOG
+// ?status=dead&template=organizer-approved&recipient=jane@mail.com&from=2025-01-01&to=2025-02-01&limit=50
+// ======================
+const getOutbox = async (req, res) => {
+    try {
+        const { status, template, recipient, from, to } = req.query;
+        if (status && !OUTBOX_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+        }
+        if ((from && !isDate(from)) || (to && !isDate(to))) {
+            return res.status(400).json({ message: "from and to must be dates, e.g. 2025-01-31" });
+        }
+        const limit = req.query.limit === undefined ? MAX_PAGE_SIZE : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({ message: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+
+        const result = await pool.query(
+            `SELECT outbox_ID, template, recipient, subject, status, attempts, message_id,
+                    last_error, resent_from, created_at, last_attempt_at, next_attempt_at, sent_at
+             FROM Email_Outbox
+             WHERE ($1::text IS NULL OR status = $1)
+               AND ($2::text IS NULL OR template = $2)
+               AND ($3::text IS NULL OR LOWER(recipient) = LOWER($3))
+               AND ($4::timestamp IS NULL OR created_at >= $4)
+               AND ($5::timestamp IS NULL OR created_at < $5)
+             ORDER BY created_at DESC, outbox_ID DESC
+             LIMIT $6`,
+            [status || null, template || null, recipient || null, from || null, to || null, limit]
+        );
+        return res.json(result.rows);
+    } catch (err) {
+        console.error("Get Outbox Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// GET ONE EMAIL (with its rendered content, unless it carries secrets)
+// ======================
+const getOutboxEmail = async (req, res) => {
+    if (!isId(req.params.id)) {
+        return res.status(400).json({ message: ID_MESSAGE });
+    }
+    try {
+        const result = await pool.query(
+            `SELECT outbox_ID, template, recipient, data, subject, html_body, text_body, attachments, status,
+                    attempts, message_id, last_error, resent_from, created_at, last_attempt_at,
+                    next_attempt_at, sent_at
+             FROM Email_Outbox WHERE outbox_ID = $1`,
+            [req.params.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: "Email not found" });
+        }
+
+        const email = result.rows[0];
+        if (carriesSecrets(email.template)) {
+            const { html_body, text_body, attachments, ...rest } = email;
+            return res.json({ ...rest, data: redactSecrets(email.template, email.data), content_withheld: true });
+        }
+        return res.json(email);
+    } catch (err) {
+        console.error("Get Outbox Email Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// REQUEUE A DEAD EMAIL
+// ======================
+const requeueEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isId(id)) {
+            return res.status(400).json({ message: ID_MESSAGE });
+        }
+
+        const message = await requeue(pool, id);
+        if (!message) {
+            return refuseByStatus(res, id, "Only dead emails can be requeued");
+        }
+
+        return res.json({ message: "Email requeued", email: message });
+    } catch (err) {
+        console.error("Requeue Email Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// RESEND A SENT OR DEAD EMAIL (as a new log entry)
+// ======================
+const resendEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isId(id)) {
+            return res.status(400).json({ message: ID_MESSAGE });
+        }
+
+        const message = await resend(pool, id);
+        if (!message) {
+            return refuseByStatus(res, id, "This email is still waiting to be sent");
+        }
+
+        return res.status(201).json({ message: "Email queued for resending", email: message });
+    } catch (err) {
+        console.error("Resend Email Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+module.exports = { getOutbox, getOutboxEmail, requeueEmail, resendEmail };
@@ -0,0 +1,139 @@
+// controllers/passwordResetController.js
+// Forgot-password flow for organizers: email a one-time, time-limited reset
+// token, then let it set a new password and sign out every existing session.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { validatePassword } = require('../utils/passwordPolicy');
+const { hashToken, revokeAllTokens } = require('../utils/tokens');
+const { enqueue } = require('../../../../mail/outbox');
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Page the emailed link opens; it posts the token and new password to
+// /auths/reset-password (required at startup, see index.js)
+const RESET_URL = process.env.PASSWORD_RESET_URL;
+
+// Same answer whether or not the email is registered, so the endpoint
+// cannot be used to find out who has an account
+const FORGOT_RESPONSE = { message: "If that email is registered, a password reset link has been sent." };
+
+// ======================
+// FORGOT PASSWORD
+// ======================
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ message: "Email (username) is required" });
+        }
+
+        const result = await pool.query(
+            'SELECT organizer_ID, organizer_name, email FROM Organizer WHERE email = $1',
+            [email]
+        );
+        const organizer = result.rows[0];
+        if (!organizer) {
+            return res.status(200).json(FORGOT_RESPONSE);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Only the newest link works
+            await client.query(
+                'UPDATE Password_Reset SET used_at = CURRENT_TIMESTAMP WHERE organizer_ID = $1 AND used_at IS NULL',
+                [organizer.organizer_id]
+            );
+            await client.query(
+                `INSERT INTO Password_Reset (organizer_ID, token_hash, expires_at)
+                 VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+                [organizer.organizer_id, hashToken(token), RESET_TTL_MINUTES]
+            );
+            await enqueue(client, 'password-reset', organizer.email, {
+                organizer,
+                link: `${RESET_URL}?token=${token}`,
+                ttlMinutes: RESET_TTL_MINUTES
+            });
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return res.status(200).json(FORGOT_RESPONSE);
+
+    } catch (err) {
+        console.error("Forgot Password Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// RESET PASSWORD
+// ======================
+const resetPassword = async (req, res) => {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+        return res.status(400).json({ message: "token and new_password are required" });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const found = await client.query(
+            `SELECT r.reset_ID, r.expires_at, o.organizer_ID, o.organizer_name, o.email
+             FROM Password_Reset r
+             JOIN Organizer o ON o.organizer_ID = r.organizer_ID
+             WHERE r.token_hash = $1 AND r.used_at IS NULL
+             FOR UPDATE OF r`,
+            [hashToken(token)]
+        );
+        const reset = found.rows[0];
+
+        if (!reset || new Date(reset.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: "Reset link is invalid or has expired" });
+        }
+
+        const password_hash = await bcrypt.hash(new_password, 10);
+        await client.query('UPDATE Organizer SET password_hash = $1 WHERE organizer_ID = $2', [password_hash, reset.organizer_id]);
+        await client.query(
+            'UPDATE Password_Reset SET used_at = CURRENT_TIMESTAMP WHERE organizer_ID = $1 AND used_at IS NULL',
+            [reset.organizer_id]
+        );
+
+        // Whoever knew the old password is signed out too
+        await revokeAllTokens(client, 'organizer', reset.organizer_id);
+
+        await enqueue(client, 'password-changed', reset.email, {
+            organizer: { organizer_name: reset.organizer_name, email: reset.email }
+        });
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("Reset Password Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    } finally {
+        client.release();
+    }
+
+    return res.status(200).json({ message: "Password has been reset. Please log in with your new password." });
+};
+
+module.exports = { forgotPassword, resetPassword };
@@ -0,0 +1,120 @@
+// controllers/subscriptionController.js
+// Per-admin notification settings: which notification types (and, where it
+// applies, which zones) an admin is emailed about.
+
+const pool = require('../../../../db/db.js'); // PostgreSQL connection pool
+const { NOTIFICATION_TYPES } = require('../utils/adminNotifications');
+
+const SUBSCRIPTION_COLUMNS = 's.subscription_ID, s.notification_type, s.zone_ID, z.zone_name, s.created_at';
+
+// /admins/:id/subscriptions for any admin, /me/subscriptions for the caller
+const targetAdminId = (req) => req.params.id || req.user.id;
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+const listSubscriptions = (db, adminId) => db.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM Admin_Notification_Subscription s
+     LEFT JOIN Zone z ON z.zone_ID = s.zone_ID
+     WHERE s.admin_ID = $1
+     ORDER BY s.notification_type, s.zone_ID NULLS FIRST`,
+    [adminId]
+);
+
+// Validate the request body into unique { notification_type, zone_id } pairs.
+// Returns { subscriptions } or { error }.
+function parseSubscriptions(body) {
+    const list = body && body.subscriptions;
+    if (!Array.isArray(list)) {
+        return { error: "subscriptions must be an array of { notification_type, zone_id }" };
+    }
+
+    const unique = new Map();
+    for (const entry of list) {
+        const type = entry && entry.notification_type;
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            return { error: `notification_type must be one of: ${NOTIFICATION_TYPES.join(', ')}` };
+        }
+        const zoneId = entry.zone_id === undefined || entry.zone_id === null ? null : Number(entry.zone_id);
+        if (zoneId !== null && !Number.isInteger(zoneId)) {
+            return { error: "zone_id must be a zone id or null (every zone)" };
+        }
+        unique.set(`${type}:${zoneId}`, { notification_type: type, zone_id: zoneId });
+    }
+    return { subscriptions: [...unique.values()] };
+}
+
+// ======================
+// LIST AN ADMIN'S SUBSCRIPTIONS
+// ======================
+const getSubscriptions = async (req, res) => {
+    const adminId = targetAdminId(req);
+    if (!isId(adminId)) {
+        return res.status(400).json({ message: "Admin id must be numeric" });
+    }
+
+    try {
+
+        const admin = await pool.query('SELECT admin_ID FROM Admin WHERE admin_ID = $1', [adminId]);
+        if (admin.rows.length === 0) {
+            return res.status(404).json({ message: "Admin not found" });
+        }
+
+        const result = await listSubscriptions(pool, adminId);
+        return res.json(result.rows);
+    } catch (err) {
+        console.error("Get Subscriptions Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    }
+};
+
+// ======================
+// REPLACE AN ADMIN'S SUBSCRIPTIONS
+// Body: { subscriptions: [{ notification_type: 'organizer-approval', zone_id: null }] }
+// ======================
+const setSubscriptions = async (req, res) => {
+    const adminId = targetAdminId(req);
+    if (!isId(adminId)) {
+        return res.status(400).json({ message: "Admin id must be numeric" });
+    }
+    const { subscriptions, error } = parseSubscriptions(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const admin = await client.query('SELECT admin_ID FROM Admin WHERE admin_ID = $1 FOR UPDATE', [adminId]);
+        if (admin.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: "Admin not found" });
+        }
+
+        await client.query('DELETE FROM Admin_Notification_Subscription WHERE admin_ID = $1', [adminId]);
+        for (const { notification_type, zone_id } of subscriptions) {
+            await client.query(
+                `INSERT INTO Admin_Notification_Subscription (admin_ID, notification_type, zone_ID)
+                 VALUES ($1, $2, $3)`,
+                [adminId, notification_type, zone_id]
+            );
+        }
+
+        const result = await listSubscriptions(client, adminId);
+        await client.query('COMMIT');
+
+        return res.json({ message: "Notification settings updated", subscriptions: result.rows });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23503') { // foreign key violation: no such zone
+            return res.status(400).json({ message: "Unknown zone" });
+        }
+        console.error("Set Subscriptions Error:", err.message);
+        return res.status(500).json({ message: "Internal server error", error: err.message });
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = { getSubscriptions, setSubscriptions };
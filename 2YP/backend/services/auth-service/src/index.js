@@ -1,17 +1,28 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config({path:__dirname+ '/../.env'});
+const gatewayIdentity = require('../../../middlewares/gatewayIdentity');
+const { requireGatewaySecret } = gatewayIdentity;
+const { requireEnv } = require('../../../config/requireEnv');
+const pool = require('../../../db/db.js');
+const { startOutboxWorker } = require('../../../mail/outbox');
 
 const app = express();
 const PORT = process.env.PORT || 5004;
+// Only the gateway should reach the service, so it listens on this machine alone
+const HOST = process.env.HOST || 'localhost';
 
 
 // Middleware - fix typo
 app.use(cors());
 app.use(express.json());
+app.use(express.urlencoded({ extended: false })); // forms on the emailed approval pages
+app.use(gatewayIdentity);
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+app.use('/admin', adminRoutes);
 app.use('/', authRoutes);
 
 
@@ -37,6 +48,16 @@ app.get('/', (req, res) => {
 
 
 
-app.listen(PORT, () => {
-    console.log(`Authorization Service running on port ${PORT}`);
+requireGatewaySecret('Authorization Service');
+// PASSWORD_RESET_URL: the front-end page password reset emails link to
+// ADMIN_PENDING_QUEUE_URL: the dashboard page of pending organizers, linked from approval requests
+requireEnv('Authorization Service', ['PASSWORD_RESET_URL', 'ADMIN_PENDING_QUEUE_URL']);
+
+app.listen(PORT, HOST, () => {
+    console.log(`Authorization Service running on ${HOST}:${PORT}`);
+
+    // Deliver queued emails (set MAIL_OUTBOX_WORKER=false when another instance does it)
+    if (process.env.MAIL_OUTBOX_WORKER !== 'false') {
+        startOutboxWorker(pool);
+    }
 });
\ No newline at end of file
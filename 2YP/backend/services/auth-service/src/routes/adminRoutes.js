@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const requireRole = require('../../../../middlewares/requireRole');
+const {
+    adminLogin,
+    getAdmins,
+    createAdmin,
+    disableAdmin,
+    enableAdmin,
+    changeAdminPassword,
+    getOrganizersForReview,
+    getOrganizerStatusHistory
+} = require('../controllers/adminController');
+const {
+    approveOrganizer,
+    rejectOrganizer,
+    suspendOrganizer,
+    reinstateOrganizer
+} = require('../utils/approveOrganizer');
+const { getOutbox, getOutboxEmail, requeueEmail, resendEmail } = require('../controllers/outboxController');
+const { getSubscriptions, setSubscriptions } = require('../controllers/subscriptionController');
+
+// Login an admin and return an admin-scoped JWT
+router.post('/login', adminLogin);
+
+// Everything below requires a signed-in admin
+router.use(requireRole('admin'));
+
+// Admin account management
+router.get('/admins', getAdmins);
+router.post('/admins', createAdmin);
+router.put('/admins/:id/disable', disableAdmin);
+router.put('/admins/:id/enable', enableAdmin);
+router.put('/me/password', changeAdminPassword);
+
+// Which notifications each admin receives: { subscriptions: [{ notification_type, zone_id }] }
+router.get('/me/subscriptions', getSubscriptions);
+router.put('/me/subscriptions', setSubscriptions);
+router.get('/admins/:id/subscriptions', getSubscriptions);
+router.put('/admins/:id/subscriptions', setSubscriptions);
+
+// Organizer lifecycle (admin dashboard); each transition takes { reason }
+router.get('/organizers', getOrganizersForReview); // ?status=pending
+router.get('/organizers/:organizerId/history', getOrganizerStatusHistory);
+router.put('/organizers/:organizerId/approve', approveOrganizer);   // pending   -> approved
+router.put('/organizers/:organizerId/reject', rejectOrganizer);     // pending   -> rejected
+router.put('/organizers/:organizerId/suspend', suspendOrganizer);   // approved  -> suspended
+router.put('/organizers/:organizerId/reinstate', reinstateOrganizer); // suspended -> approved
+
+// Email outbox / delivery log: inspect deliveries and retry the ones that gave up
+router.get('/outbox', getOutbox); // ?status=&template=&recipient=&from=&to=&limit=
+router.get('/outbox/:id', getOutboxEmail);
+router.put('/outbox/:id/requeue', requeueEmail); // dead -> pending, same entry
+router.post('/outbox/:id/resend', resendEmail);  // sent or dead -> new entry
+
+module.exports = router;
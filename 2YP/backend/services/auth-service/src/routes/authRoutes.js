@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
-const { approveOrganizer } = require('../utils/approveOrganizer');
+const { register, login, refresh, logout } = require('../controllers/authController');
+const { showApprovalLink, handleApprovalLink } = require('../controllers/approvalLinkController');
+const { forgotPassword, resetPassword } = require('../controllers/passwordResetController');
+const { verifyEmail, resendVerification } = require('../controllers/emailVerificationController');
 
 // Register a new organizer
 router.post('/register', register);
@@ -9,8 +11,29 @@ router.post('/register', register);
 // Login an organizer and return JWT
 router.post('/login', login);
 
-module.exports = router;
+// Exchange a refresh token for a new token pair (organizers and admins)
+router.post('/refresh', refresh);
+
+// Revoke a refresh token ({ all: true } signs out every session)
+router.post('/logout', logout);
+
+// Confirm the organizer's email address (link from the verification email)
+router.get('/verify-email/:token', verifyEmail);
+
+// Send a new verification link (throttled per address)
+router.post('/resend-verification', resendVerification);
 
-// Admin approval endpoint
-router.get('/approve/:organizerId', approveOrganizer); // email link
-router.put('/approve/:organizerId', approveOrganizer); // admin dashboard / Postman
+// Email a one-time password reset link to an organizer
+router.post('/forgot-password', forgotPassword);
+
+// Set a new password using the emailed reset token
+router.post('/reset-password', resetPassword);
+
+// Signed one-time links emailed to the admin
+// (the dashboard uses PUT /admin/organizers/:organizerId/approve)
+router.get('/approve/:token', showApprovalLink('approve'));
+router.post('/approve/:token', handleApprovalLink('approve'));
+router.get('/reject/:token', showApprovalLink('reject'));
+router.post('/reject/:token', handleApprovalLink('reject'));
+
+module.exports = router;
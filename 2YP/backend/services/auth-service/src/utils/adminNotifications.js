@@ -0,0 +1,55 @@
+// utils/adminNotifications.js
+// Works out which admins hear about what, from their rows in
+// Admin_Notification_Subscription, and sends them the organizer approval requests.
+const { createApprovalLinks } = require('./approvalTokens');
+const { enqueue } = require('../../../../mail/outbox');
+
+const NOTIFICATION_TYPES = ['organizer-approval'];
+
+// Page of the admin dashboard listing pending organizers (the API behind it
+// needs a token, so it cannot be linked to directly; required at startup, see index.js)
+const PENDING_QUEUE_URL = process.env.ADMIN_PENDING_QUEUE_URL;
+
+// Active admins subscribed to a notification type. Subscriptions for every zone
+// always count; with a zoneId, so do the ones for that zone. If nobody is
+// subscribed every active admin is returned, so a request is never left unseen.
+async function findRecipients(db, notificationType, { zoneId = null } = {}) {
+    const subscribed = await db.query(
+        `SELECT DISTINCT a.admin_ID, a.user_name, a.email
+         FROM Admin a
+         JOIN Admin_Notification_Subscription s ON s.admin_ID = a.admin_ID
+         WHERE a.is_active AND s.notification_type = $1
+           AND (s.zone_ID IS NULL OR s.zone_ID = $2::int)
+         ORDER BY a.admin_ID`,
+        [notificationType, zoneId]
+    );
+    if (subscribed.rows.length > 0) {
+        return subscribed.rows;
+    }
+
+    console.warn(`No admin is subscribed to '${notificationType}' notifications; notifying every active admin`);
+    const everyone = await db.query(
+        'SELECT admin_ID, user_name, email FROM Admin WHERE is_active ORDER BY admin_ID'
+    );
+    return everyone.rows;
+}
+
+// Queue an approval request for a newly verified organizer to every admin who
+// handles them. Each admin gets their own approve / reject links; the first one
+// used closes the others. Returns the number of admins notified.
+async function requestAdminApproval(db, organizer) {
+    const admins = await findRecipients(db, 'organizer-approval');
+
+    for (const admin of admins) {
+        const links = await createApprovalLinks(db, organizer.organizer_id, admin.admin_id);
+        await enqueue(db, 'organizer-approval-request', admin.email, {
+            organizer,
+            approveLink: links.approve,
+            rejectLink: links.reject,
+            queueLink: PENDING_QUEUE_URL
+        });
+    }
+    return admins.length;
+}
+
+module.exports = { NOTIFICATION_TYPES, findRecipients, requestAdminApproval };
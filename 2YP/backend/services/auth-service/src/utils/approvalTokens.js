@@ -0,0 +1,77 @@
+// utils/approvalTokens.js
+// Signed, expiring, single-use links that let an admin approve or reject an
+// organizer straight from the notification email.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const APPROVAL_LINK_TTL_HOURS = Number(process.env.APPROVAL_LINK_TTL_HOURS) || 72;
+const TOKEN_PURPOSE = 'organizer-review';
+const ACTIONS = ['approve', 'reject'];
+
+// Create one approve and one reject link for the organizer and record their ids
+// using db (a transaction client or the pool). Every notified admin gets their
+// own pair; adminId is recorded as the acting admin when a link is used.
+async function createApprovalLinks(db, organizerId, adminId) {
+    const links = {};
+    for (const action of ACTIONS) {
+        const jti = crypto.randomBytes(16).toString('hex');
+        const token = jwt.sign(
+            { sub: String(organizerId), action, purpose: TOKEN_PURPOSE },
+            process.env.JWT_SECRET,
+            { jwtid: jti, expiresIn: `${APPROVAL_LINK_TTL_HOURS}h` }
+        );
+        await db.query(
+            `INSERT INTO Approval_Token (jti, organizer_ID, action, admin_ID, expires_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5))`,
+            [jti, organizerId, action, adminId || null, APPROVAL_LINK_TTL_HOURS]
+        );
+        links[action] = `${process.env.BASE_URL}/auths/${action}/${token}`;
+    }
+    return links;
+}
+
+// Check the signature, expiry and intent of a link token.
+// Returns { payload } when it is usable for the action, otherwise { error }
+// with one of 'invalid' or 'expired'.
+function checkApprovalToken(token, action) {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        if (payload.purpose !== TOKEN_PURPOSE || payload.action !== action || !payload.jti) {
+            return { error: 'invalid' };
+        }
+        return { payload };
+    } catch (err) {
+        return { error: err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+}
+
+// Close every open link for the organizer (all admins' copies), e.g. once the
+// request has been decided from the dashboard.
+async function closeApprovalLinks(db, organizerId) {
+    await db.query(
+        'UPDATE Approval_Token SET used_at = CURRENT_TIMESTAMP WHERE organizer_ID = $1 AND used_at IS NULL',
+        [organizerId]
+    );
+}
+
+// Mark the link as used inside the caller's transaction. Any other open link for
+// the same organizer is closed too, since the request has now been decided.
+// Only links of admins who are still active can be used.
+// Returns the token row, or null if the link was already used, was never issued
+// or belongs to an admin who has been disabled (or removed) since.
+async function consumeApprovalToken(client, payload) {
+    const result = await client.query(
+        `UPDATE Approval_Token t SET used_at = CURRENT_TIMESTAMP
+         FROM Admin a
+         WHERE t.jti = $1 AND t.organizer_ID = $2 AND t.action = $3 AND t.used_at IS NULL
+           AND a.admin_ID = t.admin_ID AND a.is_active
+         RETURNING t.jti, t.organizer_ID, t.action, t.admin_ID`,
+        [payload.jti, payload.sub, payload.action]
+    );
+    if (result.rows.length === 0) return null;
+
+    await closeApprovalLinks(client, payload.sub);
+    return result.rows[0];
+}
+
+module.exports = { createApprovalLinks, checkApprovalToken, consumeApprovalToken, closeApprovalLinks };
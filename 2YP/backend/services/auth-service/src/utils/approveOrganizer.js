@@ -1,28 +1,62 @@
 // utils/approveOrganizer.js
 const pool = require('../../../../db/db.js');
-const { sendOrganizerApprovedEmail } = require('./notificationEmail');
+const { TRANSITIONS, transitionOrganizer } = require('./organizerLifecycle');
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+// Admin endpoint factory for one organizer status transition
+// (approve, reject, suspend or reinstate). Body: { reason }
+const changeOrganizerStatus = (action) => async (req, res) => {
+    const { organizerId } = req.params;
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!isId(organizerId)) {
+        return res.status(400).json({ message: 'Organizer id must be numeric' });
+    }
+    if (!reason) {
+        return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const client = await pool.connect();
+    let organizer;
 
-// Admin approval endpoint
-const approveOrganizer = async (req, res) => {
     try {
-        const { organizerId } = req.params;
-        const result = await pool.query(
-            'UPDATE Organizer SET status = $1 WHERE organizer_ID = $2 RETURNING *',
-            ['approved', organizerId]
-        );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ message: 'Organizer not found' });
-        }
+        await client.query('BEGIN');
+        const result = await transitionOrganizer(client, organizerId, action, {
+            reason,
+            adminId: req.user && req.user.id
+        });
 
-    //const organizer = result.rows[0];    
+        if (result.error) {
+            await client.query('ROLLBACK');
+            if (result.error === 'not_found') {
+                return res.status(404).json({ message: 'Organizer not found' });
+            }
+            if (result.error === 'email_unverified') {
+                return res.status(400).json({ message: 'Organizer has not verified their email address yet' });
+            }
+            return res.status(400).json({
+                message: `Cannot ${action} an organizer whose status is '${result.status}'`,
+                expected_status: TRANSITIONS[action].from
+            });
+        }
 
-    // Send email to organizer
-    await sendOrganizerApprovedEmail(result.rows[0]);
-    res.json({ message: 'Organizer approved successfully', organizer: result.rows[0] });
+        await client.query('COMMIT');
+        organizer = result.organizer;
     } catch (err) {
-        console.error('Approve Organizer Error:', err.message);
-        res.status(500).json({ message: 'Internal server error', error: err.message });
+        await client.query('ROLLBACK');
+        console.error('Organizer Status Error:', err.message);
+        return res.status(500).json({ message: 'Internal server error', error: err.message });
+    } finally {
+        client.release();
     }
+
+    res.json({ message: `Organizer ${TRANSITIONS[action].done} successfully`, organizer });
 };
 
-module.exports = { approveOrganizer };
+const approveOrganizer = changeOrganizerStatus('approve');
+const rejectOrganizer = changeOrganizerStatus('reject');
+const suspendOrganizer = changeOrganizerStatus('suspend');
+const reinstateOrganizer = changeOrganizerStatus('reinstate');
+
+module.exports = { approveOrganizer, rejectOrganizer, suspendOrganizer, reinstateOrganizer };
@@ -0,0 +1,48 @@
+// utils/emailVerification.js
+// Signed, expiring links that confirm an organizer owns the email address
+// they registered with. The token is bound to that address, so a link stops
+// working if the email is changed afterwards.
+const jwt = require('jsonwebtoken');
+const { enqueue } = require('../../../../mail/outbox');
+
+const VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const TOKEN_PURPOSE = 'email-verification';
+
+function createVerificationLink(organizer) {
+    const token = jwt.sign(
+        { sub: String(organizer.organizer_id), email: organizer.email, purpose: TOKEN_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: `${VERIFICATION_TTL_HOURS}h` }
+    );
+    return `${process.env.BASE_URL}/auths/verify-email/${token}`;
+}
+
+// Returns { payload } for a usable token, otherwise { error } with one of
+// 'invalid' or 'expired'.
+function checkVerificationToken(token) {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        if (payload.purpose !== TOKEN_PURPOSE || !payload.email) {
+            return { error: 'invalid' };
+        }
+        return { payload };
+    } catch (err) {
+        return { error: err.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+}
+
+// Queue a fresh verification link and remember when it was sent (for throttling).
+// db is a transaction client or the pool; organizer: { organizer_id, organizer_name, email }
+async function sendVerification(db, organizer) {
+    await enqueue(db, 'email-verification', organizer.email, {
+        organizer,
+        link: createVerificationLink(organizer),
+        ttlHours: VERIFICATION_TTL_HOURS
+    });
+    await db.query(
+        'UPDATE Organizer SET verification_sent_at = CURRENT_TIMESTAMP WHERE organizer_ID = $1',
+        [organizer.organizer_id]
+    );
+}
+
+module.exports = { createVerificationLink, checkVerificationToken, sendVerification };
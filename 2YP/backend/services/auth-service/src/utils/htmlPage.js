@@ -0,0 +1,25 @@
+// utils/htmlPage.js
+// Minimal HTML pages for links opened from emails (approval links etc.),
+// escaped like the emails themselves by the shared `html` template tag.
+
+const { html } = require('../../../../mail/html');
+
+// form (optional): { button, field } renders a POST form back to the current URL;
+// field adds a required text area { name, label }.
+function renderPage({ title, message, form }) {
+    const fieldHtml = form && form.field && html`<p><label>${form.field.label}<br>
+        <textarea name="${form.field.name}" rows="4" cols="50" required></textarea></label></p>`;
+    const formHtml = form && html`<form method="POST">${fieldHtml}<button type="submit">${form.button}</button></form>`;
+
+    return html`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title}</title></head>
+  <body style="font-family: sans-serif; max-width: 36rem; margin: 3rem auto;">
+    <h1>${title}</h1>
+    <p>${message}</p>
+    ${formHtml}
+  </body>
+</html>`.toString();
+}
+
+module.exports = { renderPage };
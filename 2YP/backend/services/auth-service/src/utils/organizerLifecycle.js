@@ -0,0 +1,71 @@
+// utils/organizerLifecycle.js
+// Organizer status transitions. Every change needs a reason, is stamped with
+// the time and the acting admin, and is kept in Organizer_Status_History.
+// The organizer's email is queued in the same transaction.
+const { enqueue } = require('../../../../mail/outbox');
+const { revokeAllTokens } = require('./tokens');
+const { closeApprovalLinks } = require('./approvalTokens');
+
+const TRANSITIONS = {
+    approve: { from: 'pending', to: 'approved', done: 'approved', email: 'organizer-approved', requiresVerifiedEmail: true },
+    reject: { from: 'pending', to: 'rejected', done: 'rejected', email: 'organizer-rejected' },
+    suspend: { from: 'approved', to: 'suspended', done: 'suspended', email: 'organizer-suspended', revokeTokens: true },
+    reinstate: { from: 'suspended', to: 'approved', done: 'reinstated', email: 'organizer-reinstated' }
+};
+
+// Apply a transition inside the caller's transaction.
+// Returns { organizer } on success, otherwise { error } with one of
+// 'not_found', 'invalid_transition' (plus the organizer's current status) or
+// 'email_unverified' (approving before the organizer confirmed their address).
+async function transitionOrganizer(client, organizerId, action, { reason, adminId }) {
+    const transition = TRANSITIONS[action];
+
+    const current = await client.query(
+        'SELECT status, email_verified_at FROM Organizer WHERE organizer_ID = $1 FOR UPDATE',
+        [organizerId]
+    );
+    if (current.rows.length === 0) {
+        return { error: 'not_found' };
+    }
+
+    const fromStatus = current.rows[0].status;
+    if (fromStatus !== transition.from) {
+        return { error: 'invalid_transition', status: fromStatus };
+    }
+
+    if (transition.requiresVerifiedEmail && !current.rows[0].email_verified_at) {
+        return { error: 'email_unverified', status: fromStatus };
+    }
+
+    const result = await client.query(
+        `UPDATE Organizer
+         SET status = $1, status_reason = $2, status_changed_at = CURRENT_TIMESTAMP, status_changed_by = $3
+         WHERE organizer_ID = $4
+         RETURNING organizer_ID, organizer_name, fname, lname, email, contact_no,
+                   status, status_reason, status_changed_at, status_changed_by`,
+        [transition.to, reason, adminId || null, organizerId]
+    );
+
+    await client.query(
+        `INSERT INTO Organizer_Status_History (organizer_ID, from_status, to_status, reason, admin_ID)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [organizerId, fromStatus, transition.to, reason, adminId || null]
+    );
+
+    // The request is decided, so the links emailed to the other admins stop working
+    if (transition.from === 'pending') {
+        await closeApprovalLinks(client, organizerId);
+    }
+
+    // Sign the organizer out everywhere when they lose access
+    if (transition.revokeTokens) {
+        await revokeAllTokens(client, 'organizer', organizerId);
+    }
+
+    const organizer = result.rows[0];
+    await enqueue(client, transition.email, organizer.email, { organizer, reason });
+
+    return { organizer };
+}
+
+module.exports = { TRANSITIONS, transitionOrganizer };
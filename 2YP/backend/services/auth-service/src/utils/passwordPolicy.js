@@ -0,0 +1,16 @@
+// utils/passwordPolicy.js
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Returns a message describing why the password is not acceptable, or null if it is.
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        return "Password must contain at least one letter and one number";
+    }
+    return null;
+}
+
+module.exports = { validatePassword, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,164 @@
+// utils/tokens.js
+// Short-lived access tokens (JWT) plus rotating, server-side refresh tokens.
+// Access tokens carry the account's token_version; bumping it (revokeAllTokens)
+// makes the gateway refuse every access token issued before.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../../../../db/db.js');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Where each kind of account lives
+const SUBJECTS = {
+    organizer: { table: 'Organizer', idColumn: 'organizer_ID' },
+    admin: { table: 'Admin', idColumn: 'admin_ID' }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// subject: { role, id, username, tokenVersion }
+function signAccessToken(subject) {
+    return jwt.sign(
+        { id: subject.id, username: subject.username, role: subject.role, ver: subject.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Store a new refresh token and return it. rotatedFrom is the token_ID it replaces.
+async function insertRefreshToken(db, subject, familyId, rotatedFrom = null) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const { idColumn } = SUBJECTS[subject.role];
+    await db.query(
+        `INSERT INTO Refresh_Token (token_hash, family_ID, ${idColumn}, rotated_from, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))`,
+        [hashToken(refreshToken), familyId, subject.id, rotatedFrom, REFRESH_TOKEN_TTL_DAYS]
+    );
+    return refreshToken;
+}
+
+// Issue an access / refresh token pair for a fresh login.
+async function issueTokens(subject) {
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = await insertRefreshToken(pool, subject, familyId);
+    return { token: signAccessToken(subject), refreshToken };
+}
+
+// Load the account behind a refresh token and check it may still sign in.
+async function loadSubject(db, row) {
+    if (row.organizer_id) {
+        const result = await db.query(
+            'SELECT organizer_ID, email, status, token_version FROM Organizer WHERE organizer_ID = $1',
+            [row.organizer_id]
+        );
+        const organizer = result.rows[0];
+        if (!organizer || organizer.status !== 'approved') return null;
+        return { role: 'organizer', id: organizer.organizer_id, username: organizer.email, tokenVersion: organizer.token_version };
+    }
+
+    const result = await db.query(
+        'SELECT admin_ID, email, is_active, token_version FROM Admin WHERE admin_ID = $1',
+        [row.admin_id]
+    );
+    const admin = result.rows[0];
+    if (!admin || !admin.is_active) return null;
+    return { role: 'admin', id: admin.admin_id, username: admin.email, tokenVersion: admin.token_version };
+}
+
+const revokeFamily = (db, familyId) => db.query(
+    'UPDATE Refresh_Token SET revoked_at = CURRENT_TIMESTAMP WHERE family_ID = $1 AND revoked_at IS NULL',
+    [familyId]
+);
+
+// Exchange a refresh token for a new pair. The old refresh token stops working.
+// Returns { token, refreshToken } or { error } with one of
+// 'invalid', 'expired', 'reused' or 'inactive'.
+async function rotateRefreshToken(refreshToken) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const found = await client.query(
+            'SELECT * FROM Refresh_Token WHERE token_hash = $1 FOR UPDATE',
+            [hashToken(refreshToken)]
+        );
+        const row = found.rows[0];
+
+        if (!row) {
+            await client.query('ROLLBACK');
+            return { error: 'invalid' };
+        }
+
+        // A rotated (or logged out) token being presented again means it leaked:
+        // shut down the whole login it belongs to.
+        if (row.revoked_at) {
+            await revokeFamily(client, row.family_id);
+            await client.query('COMMIT');
+            return { error: 'reused' };
+        }
+
+        if (new Date(row.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return { error: 'expired' };
+        }
+
+        const subject = await loadSubject(client, row);
+        if (!subject) {
+            await revokeFamily(client, row.family_id);
+            await client.query('COMMIT');
+            return { error: 'inactive' };
+        }
+
+        await client.query('UPDATE Refresh_Token SET revoked_at = CURRENT_TIMESTAMP WHERE token_ID = $1', [row.token_id]);
+        const nextRefreshToken = await insertRefreshToken(client, subject, row.family_id, row.token_id);
+
+        await client.query('COMMIT');
+        return { token: signAccessToken(subject), refreshToken: nextRefreshToken };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Log out the session a refresh token belongs to, or every session of the
+// account when all is true. Unknown tokens are ignored.
+async function revokeRefreshToken(refreshToken, { all = false } = {}) {
+    const found = await pool.query(
+        'SELECT family_ID, organizer_ID, admin_ID FROM Refresh_Token WHERE token_hash = $1',
+        [hashToken(refreshToken)]
+    );
+    const row = found.rows[0];
+    if (!row) return false;
+
+    if (all) {
+        const role = row.organizer_id ? 'organizer' : 'admin';
+        await revokeAllTokens(pool, role, row.organizer_id || row.admin_id);
+    } else {
+        await revokeFamily(pool, row.family_id);
+    }
+    return true;
+}
+
+// Revoke every access and refresh token of an account (suspension, password change...).
+// Pass a transaction client as db to make it part of a larger change.
+async function revokeAllTokens(db, role, id) {
+    const { table, idColumn } = SUBJECTS[role];
+    await db.query(`UPDATE ${table} SET token_version = token_version + 1 WHERE ${idColumn} = $1`, [id]);
+    await db.query(
+        `UPDATE Refresh_Token SET revoked_at = CURRENT_TIMESTAMP WHERE ${idColumn} = $1 AND revoked_at IS NULL`,
+        [id]
+    );
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    hashToken,
+    signAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllTokens
+};
@@ -2,8 +2,9 @@
 process.env.JWT_SECRET = 'test_secret';
 process.env.ADMIN_EMAIL = 'test@email.com';
 process.env.ADMIN_PASSWORD = 'test_password';
-process.env.ADMIN_NOTIFY_EMAIL = 'admin@email.com';
 process.env.BASE_URL = 'http://localhost:3000';
+process.env.PASSWORD_RESET_URL = 'http://localhost:3000/reset-password';
+process.env.ADMIN_PENDING_QUEUE_URL = 'http://localhost:3000/admin/pending';
 
 // Mock the database path with correct relative path
 jest.mock('../../../../db/db.js', () => require('./__mocks__/db'));
\ No newline at end of file
@@ -0,0 +1,216 @@
+// -------------------- IMPORT CONTROLLERS --------------------
+const {
+  adminLogin,
+  getAdmins,
+  createAdmin,
+  disableAdmin,
+  enableAdmin,
+  changeAdminPassword,
+  getOrganizerStatusHistory
+} = require('../../src/controllers/adminController');
+
+// -------------------- MOCKING DEPENDENCIES --------------------
+jest.mock('bcrypt', () => ({
+  hash: jest.fn().mockResolvedValue('hashed_password'),
+  compare: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('jsonwebtoken', () => ({
+  sign: jest.fn().mockReturnValue('mock_jwt_token')
+}));
+
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+// -------------------- TEST SUITE --------------------
+describe('Admin Controller Tests', () => {
+  let mockReq, mockRes;
+
+  beforeEach(() => {
+    mockReq = { body: {}, params: {}, user: { id: 1, role: 'admin' } };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- LOGIN --------------------
+  describe('adminLogin', () => {
+    it('should return 400 if username or password is missing', async () => {
+      mockReq.body = { username: 'superadmin' };
+      await adminLogin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 401 if admin not found', async () => {
+      mockReq.body = { username: 'ghost', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await adminLogin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 401 if admin has no password set', async () => {
+      mockReq.body = { username: 'superadmin', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 1, password_hash: null, is_active: true }] });
+      await adminLogin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for incorrect password', async () => {
+      mockReq.body = { username: 'superadmin', password: 'wrong' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 1, password_hash: 'hash', is_active: true }] });
+      bcrypt.compare.mockResolvedValueOnce(false);
+      await adminLogin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should return 403 if admin is disabled', async () => {
+      mockReq.body = { username: 'superadmin', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 1, password_hash: 'hash', is_active: false }] });
+      await adminLogin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(jwt.sign).not.toHaveBeenCalled();
+    });
+
+    it('should login successfully with an admin-scoped token', async () => {
+      mockReq.body = { username: 'admin@uni.lk', password: 'pass' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ admin_id: 1, email: 'admin@uni.lk', password_hash: 'hash', is_active: true }] })
+        .mockResolvedValueOnce({ rows: [] });
+      await adminLogin(mockReq, mockRes);
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { id: 1, username: 'admin@uni.lk', role: 'admin', ver: 0 },
+        'test_secret',
+        { expiresIn: '15m' }
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Login successful',
+        token: 'mock_jwt_token',
+        refreshToken: expect.any(String),
+        expiresIn: '15m'
+      });
+    });
+  });
+
+  // -------------------- ACCOUNT MANAGEMENT --------------------
+  describe('getAdmins', () => {
+    it('should list admins without password hashes', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 1, user_name: 'superadmin' }] });
+      await getAdmins(mockReq, mockRes);
+      expect(pool.query.mock.calls[0][0]).not.toContain('password_hash');
+      expect(mockRes.json).toHaveBeenCalledWith([{ admin_id: 1, user_name: 'superadmin' }]);
+    });
+  });
+
+  describe('createAdmin', () => {
+    it('should return 400 if required fields are missing', async () => {
+      mockReq.body = { user_name: 'newadmin' };
+      await createAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should reject a weak password', async () => {
+      mockReq.body = { user_name: 'newadmin', email: 'new@uni.lk', password: 'short' };
+      await createAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should create an admin', async () => {
+      mockReq.body = { user_name: 'newadmin', email: 'new@uni.lk', password: 'Secret123' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 5, user_name: 'newadmin' }] });
+      await createAdmin(mockReq, mockRes);
+      expect(bcrypt.hash).toHaveBeenCalledWith('Secret123', 10);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 409 for a duplicate user name or email', async () => {
+      mockReq.body = { user_name: 'superadmin', email: 'admin@uni.lk', password: 'Secret123' };
+      pool.query.mockRejectedValueOnce({ code: '23505', message: 'duplicate key' });
+      await createAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('disableAdmin / enableAdmin', () => {
+    it('should not let an admin disable themselves', async () => {
+      mockReq.params = { id: '1' };
+      await disableAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should disable another admin', async () => {
+      mockReq.params = { id: '2' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 2, is_active: false }] });
+      await disableAdmin(mockReq, mockRes);
+      expect(pool.query.mock.calls[0][1]).toEqual([false, '2']);
+      expect(pool.query.mock.calls[1][0]).toContain('token_version = token_version + 1');
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Admin disabled successfully' }));
+    });
+
+    it('should return 400 for an admin id that is not numeric', async () => {
+      mockReq.params = { id: 'abc' };
+      await disableAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ message: 'Admin id must be numeric' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown admin', async () => {
+      mockReq.params = { id: '99' };
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await enableAdmin(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getOrganizerStatusHistory', () => {
+    it('should list the status changes of an organizer', async () => {
+      const rows = [{ history_id: 1, from_status: 'pending', to_status: 'approved' }];
+      mockReq.params = { organizerId: '7' };
+      pool.query.mockResolvedValueOnce({ rows });
+      await getOrganizerStatusHistory(mockReq, mockRes);
+      expect(pool.query.mock.calls[0][1]).toEqual(['7']);
+      expect(mockRes.json).toHaveBeenCalledWith(rows);
+    });
+
+    it('should return 400 for an organizer id that is not numeric', async () => {
+      mockReq.params = { organizerId: '7; DROP' };
+      await getOrganizerStatusHistory(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ message: 'Organizer id must be numeric' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changeAdminPassword', () => {
+    it('should return 401 if the current password is wrong', async () => {
+      mockReq.body = { current_password: 'wrong', new_password: 'NewSecret123' };
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 1, password_hash: 'hash' }] });
+      bcrypt.compare.mockResolvedValueOnce(false);
+      await changeAdminPassword(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should change the password of the signed-in admin', async () => {
+      mockReq.body = { current_password: 'Admin@1234', new_password: 'NewSecret123' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ admin_id: 1, password_hash: 'hash' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      await changeAdminPassword(mockReq, mockRes);
+      expect(pool.query.mock.calls[1][1]).toEqual(['hashed_password', 1]);
+      // every existing session is signed out
+      expect(pool.query.mock.calls[2][0]).toContain('token_version = token_version + 1');
+      expect(pool.query.mock.calls[3][0]).toContain('UPDATE Refresh_Token');
+      expect(mockRes.json).toHaveBeenCalledWith({ message: 'Password changed successfully. Please log in again.' });
+    });
+  });
+});
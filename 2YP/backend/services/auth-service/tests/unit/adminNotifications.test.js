@@ -0,0 +1,163 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+jest.mock('../../../../mail/outbox', () => ({ enqueue: jest.fn() }));
+const { enqueue } = require('../../../../mail/outbox');
+
+jest.mock('../../src/utils/approvalTokens', () => ({
+  createApprovalLinks: jest.fn((db, organizerId, adminId) =>
+    Promise.resolve({ approve: `approve-${adminId}`, reject: `reject-${adminId}` }))
+}));
+const { createApprovalLinks } = require('../../src/utils/approvalTokens');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const { findRecipients, requestAdminApproval } = require('../../src/utils/adminNotifications');
+const { getSubscriptions, setSubscriptions } = require('../../src/controllers/subscriptionController');
+
+const organizer = { organizer_id: 7, organizer_name: 'Jane Doe', email: 'jane@mail.com' };
+const admins = [
+  { admin_id: 1, user_name: 'superadmin', email: 'admin@uni.lk' },
+  { admin_id: 2, user_name: 'eventadmin', email: 'event@uni.lk' }
+];
+
+// -------------------- TEST SUITE --------------------
+describe('Admin Notification Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- RECIPIENTS --------------------
+  describe('findRecipients', () => {
+    it('should return the active admins subscribed to the notification', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: admins });
+
+      const recipients = await findRecipients(mockClient, 'organizer-approval', { zoneId: 3 });
+
+      expect(recipients).toEqual(admins);
+      expect(mockClient.query.mock.calls[0][0]).toContain('a.is_active');
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['organizer-approval', 3]);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only count subscriptions for every zone when the notification has no zone', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: admins });
+
+      await findRecipients(mockClient, 'organizer-approval');
+
+      const [sql, params] = mockClient.query.mock.calls[0];
+      expect(sql).toContain('(s.zone_ID IS NULL OR s.zone_ID = $2::int)');
+      expect(sql).not.toContain('$2::int IS NULL');
+      expect(params).toEqual(['organizer-approval', null]);
+    });
+
+    it('should fall back to every active admin when nobody is subscribed', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [admins[0]] });
+
+      const recipients = await findRecipients(mockClient, 'organizer-approval');
+
+      expect(recipients).toEqual([admins[0]]);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('requestAdminApproval', () => {
+    it('should send every admin their own links', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: admins });
+
+      const notified = await requestAdminApproval(mockClient, organizer);
+
+      expect(notified).toBe(2);
+      expect(createApprovalLinks).toHaveBeenCalledWith(mockClient, 7, 1);
+      expect(createApprovalLinks).toHaveBeenCalledWith(mockClient, 7, 2);
+      expect(enqueue).toHaveBeenCalledWith(mockClient, 'organizer-approval-request', 'event@uni.lk', {
+        organizer,
+        approveLink: 'approve-2',
+        rejectLink: 'reject-2',
+        queueLink: 'http://localhost:3000/admin/pending'
+      });
+      expect(enqueue).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  // -------------------- SETTINGS --------------------
+  describe('subscriptions', () => {
+    it('should list the signed-in admin\'s subscriptions', async () => {
+      const rows = [{ subscription_id: 1, notification_type: 'organizer-approval', zone_id: null }];
+      pool.query.mockResolvedValueOnce({ rows: [{ admin_id: 4 }] }).mockResolvedValueOnce({ rows });
+
+      await getSubscriptions({ params: {}, user: { id: 4 } }, res);
+
+      expect(pool.query.mock.calls[1][1]).toEqual([4]);
+      expect(res.json).toHaveBeenCalledWith(rows);
+    });
+
+    it('should replace an admin\'s subscriptions, ignoring duplicates', async () => {
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [{ admin_id: 2 }] });
+
+      await setSubscriptions({
+        params: { id: '2' },
+        user: { id: 1 },
+        body: { subscriptions: [
+          { notification_type: 'organizer-approval' },
+          { notification_type: 'organizer-approval', zone_id: null },
+          { notification_type: 'organizer-approval', zone_id: '3' }
+        ] }
+      }, res);
+
+      const inserts = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO Admin_Notification_Subscription'));
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM Admin_Notification_Subscription'), ['2']);
+      expect(inserts.map(([, params]) => params)).toEqual([['2', 'organizer-approval', null], ['2', 'organizer-approval', 3]]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Notification settings updated' }));
+    });
+
+    it('should reject unknown notification types', async () => {
+      await setSubscriptions({ params: {}, user: { id: 1 }, body: { subscriptions: [{ notification_type: 'everything' }] } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should report an unknown zone', async () => {
+      const fkError = Object.assign(new Error('violates foreign key constraint'), { code: '23503' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ admin_id: 1 }] })
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(fkError);
+
+      await setSubscriptions({ params: {}, user: { id: 1 }, body: { subscriptions: [{ notification_type: 'organizer-approval', zone_id: 99 }] } }, res);
+
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Unknown zone' });
+    });
+
+    it('should return 404 for an unknown admin', async () => {
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] });
+
+      await setSubscriptions({ params: { id: '99' }, user: { id: 1 }, body: { subscriptions: [] } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 400 for an admin id that is not numeric', async () => {
+      await getSubscriptions({ params: { id: 'me' }, user: { id: 1 } }, res);
+      await setSubscriptions({ params: { id: '1x' }, user: { id: 1 }, body: { subscriptions: [] } }, res);
+
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Admin id must be numeric' });
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+// Real signing / verification is the point of these tests
+jest.unmock('jsonwebtoken');
+const jwt = require('jsonwebtoken');
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+jest.mock('../../../../mail/outbox', () => ({ enqueue: jest.fn() }));
+const { enqueue } = require('../../../../mail/outbox');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const { createApprovalLinks, checkApprovalToken } = require('../../src/utils/approvalTokens');
+const { showApprovalLink, handleApprovalLink } = require('../../src/controllers/approvalLinkController');
+
+const signLinkToken = (payload) =>
+  jwt.sign({ sub: '1', purpose: 'organizer-review', ...payload }, 'test_secret', { jwtid: 'abc123', expiresIn: '1h' });
+
+// -------------------- TEST SUITE --------------------
+describe('Approval Link Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- TOKENS --------------------
+  describe('createApprovalLinks', () => {
+    it('should issue one approve and one reject link and record both', async () => {
+      const links = await createApprovalLinks(pool, 7, 3);
+
+      expect(links.approve).toMatch(/^http:\/\/localhost:3000\/auths\/approve\/.+/);
+      expect(links.reject).toMatch(/^http:\/\/localhost:3000\/auths\/reject\/.+/);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.query.mock.calls[0][1]).toEqual([expect.any(String), 7, 'approve', 3, 72]);
+
+      const token = links.approve.split('/').pop();
+      expect(checkApprovalToken(token, 'approve').payload).toEqual(expect.objectContaining({ sub: '7', action: 'approve' }));
+    });
+  });
+
+  describe('checkApprovalToken', () => {
+    it('should reject a token signed with another secret', () => {
+      const forged = jwt.sign({ sub: '1', action: 'approve', purpose: 'organizer-review' }, 'not_the_secret', { jwtid: 'x' });
+      expect(checkApprovalToken(forged, 'approve')).toEqual({ error: 'invalid' });
+    });
+
+    it('should reject a reject-token used on the approve link', () => {
+      expect(checkApprovalToken(signLinkToken({ action: 'reject' }), 'approve')).toEqual({ error: 'invalid' });
+    });
+
+    it('should report expired tokens', () => {
+      // issued two hours ago with a one hour lifetime
+      const expired = signLinkToken({ action: 'approve', iat: Math.floor(Date.now() / 1000) - 7200 });
+      expect(checkApprovalToken(expired, 'approve')).toEqual({ error: 'expired' });
+    });
+
+    it('should reject garbage', () => {
+      expect(checkApprovalToken('not-a-token', 'approve')).toEqual({ error: 'invalid' });
+    });
+  });
+
+  // -------------------- GET (confirmation page) --------------------
+  describe('showApprovalLink', () => {
+    it('should show a confirmation page without using the link', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ used_at: null, organizer_name: 'Jane <Doe>', email: 'jane@mail.com', admin_active: true }] });
+
+      await showApprovalLink('approve')({ params: { token: signLinkToken({ action: 'approve' }) } }, res);
+
+      const html = res.send.mock.calls[0][0];
+      expect(html).toContain('<form method="POST">');
+      expect(html).toContain('Jane &lt;Doe&gt;');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a link that was already used', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ used_at: new Date(), organizer_name: 'Jane', email: 'jane@mail.com', status: 'pending' }] });
+
+      await showApprovalLink('approve')({ params: { token: signLinkToken({ action: 'approve' }) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(res.send.mock.calls[0][0]).toContain('already been used');
+    });
+
+    it('should tell the admin when another admin already decided', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ used_at: new Date(), organizer_name: 'Jane', email: 'jane@mail.com', status: 'rejected', decided_by: 'eventadmin' }]
+      });
+
+      await showApprovalLink('approve')({ params: { token: signLinkToken({ action: 'approve' }) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send.mock.calls[0][0]).toContain('has already been rejected by eventadmin');
+    });
+
+    it('should refuse the link of an admin who has been disabled since', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ used_at: null, organizer_name: 'Jane', email: 'jane@mail.com', status: 'pending', admin_active: false }] });
+
+      await showApprovalLink('approve')({ params: { token: signLinkToken({ action: 'approve' }) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(res.send.mock.calls[0][0]).toContain('has since been disabled');
+      expect(res.send.mock.calls[0][0]).not.toContain('<form');
+    });
+
+    it('should refuse a forged link with a clear page', async () => {
+      await showApprovalLink('approve')({ params: { token: 'forged.token.value' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send.mock.calls[0][0]).toContain('Invalid link');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------- POST (perform action) --------------------
+  describe('handleApprovalLink', () => {
+    const postLink = (action, body = { reason: 'Looks legitimate' }) =>
+      handleApprovalLink(action)({ params: { token: signLinkToken({ action }) }, body }, res);
+
+    it('should approve the organizer once and email them', async () => {
+      const organizer = { organizer_id: 1, organizer_name: 'Jane', email: 'jane@mail.com', status: 'approved', status_reason: 'Looks legitimate' };
+      mockClient.query
+        .mockResolvedValueOnce({})                                        // BEGIN
+        .mockResolvedValueOnce({ rows: [{ jti: 'abc123', admin_id: 3 }] }) // consume this link
+        .mockResolvedValueOnce({ rows: [] })                              // close sibling links
+        .mockResolvedValueOnce({ rows: [{ status: 'pending', email_verified_at: new Date() }] }) // lock current status
+        .mockResolvedValueOnce({ rows: [organizer] })                     // status update
+        .mockResolvedValueOnce({})                                        // history
+        .mockResolvedValueOnce({});                                       // COMMIT
+
+      await postLink('approve');
+
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['approved', 'Looks legitimate', 3, '1']);
+      // every other admin's copy of the links is closed with the decision
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE Approval_Token SET used_at'), ['1']);
+      expect(enqueue).toHaveBeenCalledWith(mockClient, 'organizer-approved', 'jane@mail.com', { organizer, reason: 'Looks legitimate' });
+      expect(res.send.mock.calls[0][0]).toContain('has been approved');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject the organizer through the reject link', async () => {
+      const organizer = { organizer_id: 1, organizer_name: 'Jane', email: 'jane@mail.com', status: 'rejected' };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ jti: 'abc123', admin_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'pending' }] })
+        .mockResolvedValueOnce({ rows: [organizer] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await postLink('reject', { reason: 'Not a university team' });
+
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['rejected', 'Not a university team', 3, '1']);
+      expect(enqueue).toHaveBeenCalledWith(mockClient, 'organizer-rejected', 'jane@mail.com', expect.any(Object));
+    });
+
+    it('should require a reason', async () => {
+      await postLink('reject', {});
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a reused link', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})           // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // nothing left to consume
+        .mockResolvedValueOnce({});          // ROLLBACK
+      pool.query.mockResolvedValueOnce({ rows: [{ used_at: new Date(), organizer_name: 'Jane', email: 'jane@mail.com', status: 'approved' }] });
+
+      await postLink('approve');
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send.mock.calls[0][0]).toContain('has already been approved');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should not let a disabled admin decide with their link', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})           // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // only active admins' links are consumed
+        .mockResolvedValueOnce({});          // ROLLBACK
+      pool.query.mockResolvedValueOnce({ rows: [{ used_at: null, organizer_name: 'Jane', email: 'jane@mail.com', status: 'pending', admin_active: false }] });
+
+      await postLink('approve');
+
+      expect(mockClient.query.mock.calls[1][0]).toMatch(/a\.admin_ID = t\.admin_ID AND a\.is_active/);
+      expect(res.status).toHaveBeenCalledWith(410);
+      expect(res.send.mock.calls[0][0]).toContain('has since been disabled');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should not touch an organizer that is no longer pending', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ jti: 'abc123', admin_id: 3 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'approved' }] }) // already decided
+        .mockResolvedValueOnce({});
+
+      await postLink('approve');
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+});
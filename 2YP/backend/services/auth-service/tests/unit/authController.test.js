@@ -1,6 +1,6 @@
 // -------------------- IMPORT CONTROLLERS --------------------
 const { register, login } = require('../../src/controllers/authController');
-const { approveOrganizer } = require('../../src/utils/approveOrganizer');
+const { approveOrganizer, suspendOrganizer, reinstateOrganizer } = require('../../src/utils/approveOrganizer');
 
 // -------------------- MOCKING DEPENDENCIES --------------------
 jest.mock('bcrypt', () => ({
@@ -15,14 +15,15 @@ jest.mock('jsonwebtoken', () => ({
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
-jest.mock('../../../../db/db.js', () => ({ query: jest.fn() }));
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
 const pool = require('../../../../db/db.js');
 
-jest.mock('../../src/utils/sendApproveEmail', () => ({ sendApprovalEmail: jest.fn() }));
-const { sendApprovalEmail } = require('../../src/utils/sendApproveEmail');
+jest.mock('../../src/utils/emailVerification', () => ({ sendVerification: jest.fn() }));
+const { sendVerification } = require('../../src/utils/emailVerification');
 
-jest.mock('../../src/utils/notificationEmail', () => ({ sendOrganizerApprovedEmail: jest.fn() }));
-const { sendOrganizerApprovedEmail } = require('../../src/utils/notificationEmail');
+jest.mock('../../../../mail/outbox', () => ({ enqueue: jest.fn() }));
+const { enqueue } = require('../../../../mail/outbox');
 
 // -------------------- TEST SUITE --------------------
 describe('Auth Controller Tests', () => {
@@ -36,6 +37,7 @@ describe('Auth Controller Tests', () => {
       send: jest.fn()
     };
     jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
     jest.spyOn(console, 'error').mockImplementation(() => {});
   });
 
@@ -71,20 +73,39 @@ describe('Auth Controller Tests', () => {
 
     it('should handle SQL injection attempt safely', async () => {
       mockReq.body = { fname: "John'; DROP TABLE users;--", lname: 'Doe', email: 'sql@mail.com', password: 'pass' };
-      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ organizer_ID: 1 }] });
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [{ organizer_ID: 1 }] });
       await register(mockReq, mockRes);
       expect(mockRes.status).toHaveBeenCalledWith(201);
     });
 
-    it('should register successfully and send approval email', async () => {
+    it('should register successfully and queue a verification email in the same transaction', async () => {
       mockReq.body = { fname: 'John', lname: 'Doe', email: 'new@mail.com', password: 'pass', contact_no: '123' };
-      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ organizer_ID: 1 }] });
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      mockClient.query
+        .mockResolvedValueOnce({})                              // BEGIN
+        .mockResolvedValueOnce({ rows: [{ organizer_id: 1 }] }) // insert
+        .mockResolvedValueOnce({});                             // COMMIT
 
       await register(mockReq, mockRes);
 
-      expect(sendApprovalEmail).toHaveBeenCalled();
+      expect(sendVerification).toHaveBeenCalledWith(mockClient, { organizer_id: 1, organizer_name: 'John Doe', email: 'new@mail.com' });
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
       expect(mockRes.status).toHaveBeenCalledWith(201);
     });
+
+    it('should not keep the organizer when the email cannot be queued', async () => {
+      mockReq.body = { fname: 'John', lname: 'Doe', email: 'new@mail.com', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [{ organizer_id: 1 }] });
+      sendVerification.mockRejectedValueOnce(new Error('outbox unavailable'));
+
+      await register(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
   });
 
   // -------------------- LOGIN --------------------
@@ -109,6 +130,39 @@ describe('Auth Controller Tests', () => {
       expect(mockRes.status).toHaveBeenCalledWith(403);
     });
 
+    it('should ask unverified organizers to verify their email first', async () => {
+      mockReq.body = { email: 'new@mail.com', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [{ status: 'pending', email_verified_at: null }] });
+      await login(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ email_verified: false }));
+    });
+
+    it('should explain a rejected or suspended account', async () => {
+      mockReq.body = { email: 'suspended@mail.com', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [{ status: 'suspended', status_reason: 'Spam events' }] });
+      await login(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Your account has been suspended by an admin.',
+        status: 'suspended',
+        reason: 'Spam events'
+      });
+
+      pool.query.mockResolvedValueOnce({ rows: [{ status: 'rejected', status_reason: 'Unknown team' }] });
+      await login(mockReq, mockRes);
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'rejected', reason: 'Unknown team' }));
+    });
+
+    it('should not reveal the status or reason without the right password', async () => {
+      mockReq.body = { email: 'suspended@mail.com', password: 'wrong' };
+      pool.query.mockResolvedValueOnce({ rows: [{ status: 'suspended', status_reason: 'Spam events', password_hash: 'hash' }] });
+      bcrypt.compare.mockResolvedValueOnce(false);
+      await login(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({ message: 'Invalid email (username) or password' });
+    });
+
     it('should login successfully', async () => {
       mockReq.body = { email: 'approved@mail.com', password: 'pass' };
       pool.query.mockResolvedValueOnce({ rows: [{ status: 'approved', password_hash: 'hash' }] });
@@ -118,6 +172,23 @@ describe('Auth Controller Tests', () => {
       expect(mockRes.status).toHaveBeenCalledWith(200);
     });
 
+    it('should issue a token carrying the organizer id and role', async () => {
+      mockReq.body = { email: 'approved@mail.com', password: 'pass' };
+      pool.query.mockResolvedValueOnce({ rows: [{ organizer_id: 7, email: 'approved@mail.com', status: 'approved', password_hash: 'hash' }] });
+      await login(mockReq, mockRes);
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { id: 7, username: 'approved@mail.com', role: 'organizer', ver: 0 },
+        'test_secret',
+        { expiresIn: '15m' }
+      );
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO Refresh_Token'), expect.any(Array));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        token: 'mock_jwt_token',
+        refreshToken: expect.any(String),
+        expiresIn: '15m'
+      }));
+    });
+
     it('should fail login for incorrect password', async () => {
       mockReq.body = { email: 'approved@mail.com', password: 'wrong' };
       pool.query.mockResolvedValueOnce({ rows: [{ status: 'approved', password_hash: 'hash' }] });
@@ -130,35 +201,110 @@ describe('Auth Controller Tests', () => {
 
 // -------------------- APPROVAL --------------------
 describe('Approval Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+  });
+
   it('should approve organizer and send email', async () => {
-    const req = { params: { organizerId: '1' } };
-    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
-    pool.query.mockResolvedValueOnce({ rows: [{ organizer_ID: 1, organizer_name: 'John', email: 'john@mail.com' }] });
+    const req = { params: { organizerId: '1' }, body: { reason: 'Verified staff member' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})                                  // BEGIN
+      .mockResolvedValueOnce({ rows: [{ status: 'pending', email_verified_at: new Date() }] }) // lock current status
+      .mockResolvedValueOnce({ rows: [{ organizer_ID: 1, organizer_name: 'John', email: 'john@mail.com', status: 'approved' }] })
+      .mockResolvedValueOnce({})                                  // history
+      .mockResolvedValueOnce({});                                 // COMMIT
 
     await approveOrganizer(req, res);
 
-    expect(sendOrganizerApprovedEmail).toHaveBeenCalled();
+    expect(mockClient.query.mock.calls[2][1]).toEqual(['approved', 'Verified staff member', 2, '1']);
+    expect(mockClient.query.mock.calls[3][1]).toEqual(['1', 'pending', 'approved', 'Verified staff member', 2]);
+    expect(enqueue).toHaveBeenCalledWith(mockClient, 'organizer-approved', 'john@mail.com', expect.any(Object));
     expect(res.json).toHaveBeenCalledWith({
       message: "Organizer approved successfully",
       organizer: expect.any(Object)
     });
   });
 
+  it('should require a reason', async () => {
+    const req = { params: { organizerId: '1' }, body: {}, user: { id: 2, role: 'admin' } };
+
+    await approveOrganizer(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for an organizer id that is not numeric', async () => {
+    const req = { params: { organizerId: 'abc' }, body: { reason: 'ok' }, user: { id: 2, role: 'admin' } };
+
+    await approveOrganizer(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Organizer id must be numeric' });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
   it('should handle non-existent organizer ID', async () => {
-    const req = { params: { organizerId: '999' } };
-    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
-    pool.query.mockResolvedValueOnce({ rows: [] });
+    const req = { params: { organizerId: '999' }, body: { reason: 'ok' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] });
 
     await approveOrganizer(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
+    expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('should not approve an organizer whose email is unverified', async () => {
+    const req = { params: { organizerId: '1' }, body: { reason: 'ok' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ status: 'pending', email_verified_at: null }] });
+
+    await approveOrganizer(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Organizer has not verified their email address yet' });
+    expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
   });
 
   it('should handle already approved organizer', async () => {
-    const req = { params: { organizerId: '1' } };
-    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
-    pool.query.mockResolvedValueOnce({ rows: [{ status: 'approved' }] });
+    const req = { params: { organizerId: '1' }, body: { reason: 'ok' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ status: 'approved' }] });
 
     await approveOrganizer(req, res);
     expect(res.status).toHaveBeenCalledWith(400);
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  it('should only suspend approved organizers', async () => {
+    const req = { params: { organizerId: '1' }, body: { reason: 'Spam events' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ status: 'pending' }] });
+
+    await suspendOrganizer(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should reinstate a suspended organizer and email them', async () => {
+    const req = { params: { organizerId: '1' }, body: { reason: 'Appeal accepted' }, user: { id: 2, role: 'admin' } };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ status: 'suspended' }] })
+      .mockResolvedValueOnce({ rows: [{ organizer_id: 1, email: 'john@mail.com', status: 'approved', status_reason: 'Appeal accepted' }] })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({});
+
+    await reinstateOrganizer(req, res);
+
+    expect(mockClient.query.mock.calls[2][1][0]).toBe('approved');
+    expect(enqueue).toHaveBeenCalledWith(mockClient, 'organizer-reinstated', 'john@mail.com', expect.objectContaining({ reason: 'Appeal accepted' }));
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Organizer reinstated successfully' }));
   });
 });
@@ -12,8 +12,8 @@ jest.mock('nodemailer', () => ({
 }));
 
 // -------------------- IMPORT EMAIL UTILS --------------------
-const { sendApprovalEmail } = require('../../src/utils/sendApproveEmail');
-const { sendOrganizerApprovedEmail } = require('../../src/utils/notificationEmail');
+const { send, render } = require('../../../../mail');
+const { html } = require('../../../../mail/html');
 
 // -------------------- TEST SUITE --------------------
 describe('Email Utilities Tests', () => {
@@ -21,59 +21,78 @@ describe('Email Utilities Tests', () => {
     jest.clearAllMocks(); // Clear mock calls before each test
   });
 
-  // -------------------- sendApprovalEmail --------------------
-  describe('sendApprovalEmail', () => {
+  // -------------------- organizer-approval-request --------------------
+  describe('organizer-approval-request', () => {
+    const sendApprovalRequest = (to, organizer, approveLink, rejectLink) =>
+      send('organizer-approval-request', to, { organizer, approveLink, rejectLink });
+
     it('should send approval email to admin', async () => {
       const organizer = { organizer_name: 'John Doe', email: 'john@mail.com' };
       const approvalLink = 'http://localhost:3000/approve/1';
 
-      await sendApprovalEmail('admin@eventify.com', organizer, approvalLink);
+      await sendApprovalRequest('admin@eventify.com', organizer, approvalLink);
 
       // Assert sendMail was called with correct 'to' and HTML content
       const sendMailCall = mockSendMail.mock.calls[0][0];
       expect(sendMailCall.to).toBe('admin@eventify.com');
+      expect(sendMailCall.from).toBe('admin@example.com');
+      expect(sendMailCall.subject).toBe('Organizer Approval Request');
       expect(sendMailCall.html).toContain('John Doe');
       expect(sendMailCall.html).toContain(approvalLink);
+      expect(sendMailCall.html).not.toContain('Reject this organizer');
+    });
+
+    it('should include a plain-text alternative', async () => {
+      const organizer = { organizer_name: 'John Doe', email: 'john@mail.com' };
+      await sendApprovalRequest('admin@eventify.com', organizer, 'approve-link', 'reject-link');
+
+      const sendMailCall = mockSendMail.mock.calls[0][0];
+      expect(sendMailCall.text).toContain('Name: John Doe');
+      expect(sendMailCall.text).toContain('Reject this organizer: reject-link');
+      expect(sendMailCall.text).not.toContain('<');
     });
 
     it('should handle SMTP failure gracefully', async () => {
       const organizer = { organizer_name: 'John Doe', email: 'john@mail.com' };
       mockSendMail.mockRejectedValueOnce(new Error('SMTP failed'));
 
-      await expect(sendApprovalEmail('admin@eventify.com', organizer, 'link'))
+      await expect(sendApprovalRequest('admin@eventify.com', organizer, 'link'))
         .rejects.toThrow('SMTP failed');
     });
 
     it('should handle missing recipient email', async () => {
       const organizer = { organizer_name: 'John Doe', email: '' };
-      await expect(sendApprovalEmail('', organizer, 'link'))
-        .rejects.toThrow(); // sendMail will reject due to missing 'to'
+      await expect(sendApprovalRequest('', organizer, 'link'))
+        .rejects.toThrow(); // nothing is sent without a 'to'
+      expect(mockSendMail).not.toHaveBeenCalled();
     });
 
-    it('should handle special characters in organizer name', async () => {
+    it('should escape special characters in organizer name', async () => {
       const organizer = { organizer_name: "O'Reilly <Test>", email: 'oreilly@mail.com' };
-      await sendApprovalEmail('admin@eventify.com', organizer, 'link');
+      await sendApprovalRequest('admin@eventify.com', organizer, 'link');
 
       const sendMailCall = mockSendMail.mock.calls[0][0];
-      expect(sendMailCall.html).toContain("O'Reilly <Test>");
+      expect(sendMailCall.html).toContain('O&#39;Reilly &lt;Test&gt;');
+      expect(sendMailCall.html).not.toContain('<Test>');
+      expect(sendMailCall.text).toContain("O'Reilly <Test>");
     });
 
     it('should handle very long organizer names and approval links', async () => {
       const organizer = { organizer_name: 'A'.repeat(500), email: 'long@mail.com' };
       const link = 'http://localhost:3000/approve/' + '1'.repeat(500);
 
-      await sendApprovalEmail('admin@eventify.com', organizer, link);
+      await sendApprovalRequest('admin@eventify.com', organizer, link);
       const sendMailCall = mockSendMail.mock.calls[0][0];
       expect(sendMailCall.html).toContain('A'.repeat(500));
       expect(sendMailCall.html).toContain('1'.repeat(500));
     });
   });
 
-  // -------------------- sendOrganizerApprovedEmail --------------------
-  describe('sendOrganizerApprovedEmail', () => {
+  // -------------------- organizer-approved --------------------
+  describe('organizer-approved', () => {
     it('should send notification to organizer', async () => {
       const organizer = { organizer_name: 'Jane Smith', email: 'jane@mail.com' };
-      await sendOrganizerApprovedEmail(organizer);
+      await send('organizer-approved', organizer.email, { organizer });
 
       const sendMailCall = mockSendMail.mock.calls[0][0];
       expect(sendMailCall.to).toBe('jane@mail.com');
@@ -85,30 +104,56 @@ describe('Email Utilities Tests', () => {
       const organizer = { organizer_name: 'Jane Smith', email: 'jane@mail.com' };
       mockSendMail.mockRejectedValueOnce(new Error('Server down'));
 
-      await expect(sendOrganizerApprovedEmail(organizer))
+      await expect(send('organizer-approved', organizer.email, { organizer }))
         .rejects.toThrow('Server down');
     });
 
-    it('should handle special characters in organizer name', async () => {
+    it('should escape the reason given by the admin', async () => {
       const organizer = { organizer_name: "O'Reilly Events", email: 'oreilly@mail.com' };
-      await sendOrganizerApprovedEmail(organizer);
+      await send('organizer-approved', organizer.email, { organizer, reason: '<script>alert(1)</script>' });
 
       const sendMailCall = mockSendMail.mock.calls[0][0];
-      expect(sendMailCall.html).toContain("O'Reilly Events");
+      expect(sendMailCall.html).toContain('O&#39;Reilly Events');
+      expect(sendMailCall.html).toContain('&lt;script&gt;');
+      expect(sendMailCall.html).not.toContain('<script>');
     });
 
     it('should handle empty email', async () => {
       const organizer = { organizer_name: "Test", email: "" };
-      await expect(sendOrganizerApprovedEmail(organizer))
+      await expect(send('organizer-approved', organizer.email, { organizer }))
         .rejects.toThrow();
     });
 
     it('should handle very long names', async () => {
       const organizer = { organizer_name: 'B'.repeat(500), email: 'long@mail.com' };
-      await sendOrganizerApprovedEmail(organizer);
+      await send('organizer-approved', organizer.email, { organizer });
 
       const sendMailCall = mockSendMail.mock.calls[0][0];
       expect(sendMailCall.html).toContain('B'.repeat(500));
     });
   });
+
+  // -------------------- TEMPLATES AND LAYOUT --------------------
+  describe('render', () => {
+    it('should wrap every template in the shared layout', () => {
+      const { subject, html: body, text } = render('password-changed', { organizer: { organizer_name: 'Jane' } });
+
+      expect(subject).toBe('Your Password Has Been Changed');
+      expect(body).toMatch(/^<!DOCTYPE html>/);
+      expect(body).toContain(`<h2>${subject}</h2>`);
+      expect(body).toContain('This is an automated message');
+      expect(text).toContain('This is an automated message');
+    });
+
+    it('should refuse unknown templates', () => {
+      expect(() => render('no-such-template')).toThrow('Unknown email template: no-such-template');
+    });
+  });
+
+  describe('html tag', () => {
+    it('should escape values but not nested html fragments', () => {
+      const inner = html`<b>${'<i>'}</b>`;
+      expect(String(html`<p>${inner}${null}${false}${['&', 1]}</p>`)).toBe('<p><b>&lt;i&gt;</b>&amp;1</p>');
+    });
+  });
 });
@@ -0,0 +1,139 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+// Real signing / verification is the point of these tests
+jest.unmock('jsonwebtoken');
+const jwt = require('jsonwebtoken');
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+jest.mock('../../../../mail/outbox', () => ({ enqueue: jest.fn() }));
+const { enqueue } = require('../../../../mail/outbox');
+
+jest.mock('../../src/utils/adminNotifications', () => ({ requestAdminApproval: jest.fn() }));
+const { requestAdminApproval } = require('../../src/utils/adminNotifications');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const { createVerificationLink, checkVerificationToken } = require('../../src/utils/emailVerification');
+const { verifyEmail, resendVerification } = require('../../src/controllers/emailVerificationController');
+
+const organizer = { organizer_id: 7, organizer_name: 'Jane Doe', email: 'jane@mail.com' };
+const tokenFromLink = (link) => link.split('/').pop();
+
+// -------------------- TEST SUITE --------------------
+describe('Email Verification Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), send: jest.fn(), json: jest.fn(), set: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- TOKENS --------------------
+  describe('verification links', () => {
+    it('should be bound to the organizer and the address', () => {
+      const link = createVerificationLink(organizer);
+      expect(link).toMatch(/^http:\/\/localhost:3000\/auths\/verify-email\/.+/);
+      expect(checkVerificationToken(tokenFromLink(link)).payload).toEqual(expect.objectContaining({ sub: '7', email: 'jane@mail.com' }));
+    });
+
+    it('should not accept tokens issued for something else', () => {
+      const other = jwt.sign({ sub: '7', purpose: 'organizer-review' }, 'test_secret');
+      expect(checkVerificationToken(other)).toEqual({ error: 'invalid' });
+    });
+  });
+
+  // -------------------- VERIFY --------------------
+  describe('verifyEmail', () => {
+    const openLink = () => verifyEmail({ params: { token: tokenFromLink(createVerificationLink(organizer)) } }, res);
+
+    it('should confirm the address and queue the approval request in the same transaction', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})                                               // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...organizer, status: 'pending' }] }); // verify
+
+      await openLink();
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['7', 'jane@mail.com']);
+      expect(requestAdminApproval).toHaveBeenCalledWith(mockClient, expect.objectContaining({ organizer_id: 7, email: 'jane@mail.com' }));
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(res.send.mock.calls[0][0]).toContain('Email verified');
+    });
+
+    it('should not ask the admin twice when the link is opened again', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ email_verified_at: new Date() }] });
+
+      await openLink();
+
+      expect(requestAdminApproval).not.toHaveBeenCalled();
+      expect(res.send.mock.calls[0][0]).toContain('already been verified');
+    });
+
+    it('should refuse a link for an address that has since changed', async () => {
+      await openLink();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should leave the address unverified when the approval request cannot be queued', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...organizer, status: 'pending' }] });
+      requestAdminApproval.mockRejectedValueOnce(new Error('outbox unavailable'));
+
+      await openLink();
+
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should refuse a tampered token', async () => {
+      await verifyEmail({ params: { token: 'not-a-token' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------- RESEND --------------------
+  describe('resendVerification', () => {
+    it('should send a new link when the cooldown has passed', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...organizer, email_verified_at: null, seconds_since_sent: '3600' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await resendVerification({ body: { email: 'jane@mail.com' } }, res);
+
+      expect(enqueue).toHaveBeenCalledWith(pool, 'email-verification', 'jane@mail.com', expect.objectContaining({ link: expect.any(String), ttlHours: 24 }));
+      expect(pool.query.mock.calls[1][0]).toContain('verification_sent_at = CURRENT_TIMESTAMP');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should throttle repeated requests', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...organizer, email_verified_at: null, seconds_since_sent: '20.5' }] });
+
+      await resendVerification({ body: { email: 'jane@mail.com' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '40');
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should not send anything for verified or unknown addresses', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...organizer, email_verified_at: new Date() }] });
+      await resendVerification({ body: { email: 'jane@mail.com' } }, res);
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await resendVerification({ body: { email: 'nobody@mail.com' } }, res);
+
+      expect(enqueue).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+// These tests exercise the real transports
+jest.unmock('nodemailer');
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const { createTransport } = require('../../../../mail/transports');
+const { render } = require('../../../../mail');
+
+const message = () => ({
+  from: 'noreply@uni.lk',
+  to: 'jane@mail.com',
+  ...render('password-changed', { organizer: { organizer_name: 'Jane <Doe>' } })
+});
+
+// Just enough of an SMTP server to accept one message and hand it back
+function startSmtpStandIn() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current;
+    socket.write('220 localhost test SMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = inData ? buffer.indexOf('\r\n.\r\n') : buffer.indexOf('\r\n')) !== -1) {
+        if (inData) {
+          current.data = buffer.slice(0, index);
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          received.push(current);
+          socket.write('250 queued\r\n');
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO') socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        else if (command === 'MAIL') { current = { from: line, to: [] }; socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { current.to.push(line); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+// -------------------- TEST SUITE --------------------
+describe('Mail Transport Tests', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  // -------------------- SELECTION --------------------
+  describe('createTransport', () => {
+    it('should refuse unknown transports', () => {
+      expect(() => createTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow("Unknown MAIL_TRANSPORT 'pigeon'");
+    });
+
+    it('should use SMTP when a host is configured', () => {
+      const transport = createTransport({ SMTP_HOST: 'smtp.uni.lk' });
+      expect(transport.options).toEqual(expect.objectContaining({ host: 'smtp.uni.lk', port: 587, secure: false }));
+    });
+
+    it('should keep TLS certificate verification on by default', () => {
+      expect(createTransport({ SMTP_HOST: 'smtp.uni.lk' }).options.tls).toEqual({ rejectUnauthorized: true });
+      expect(createTransport({ MAIL_TRANSPORT: 'gmail' }).options.tls).toEqual({ rejectUnauthorized: true });
+    });
+
+    it('should only skip verification when explicitly asked to', () => {
+      const transport = createTransport({ SMTP_HOST: 'smtp.uni.lk', SMTP_TLS_REJECT_UNAUTHORIZED: 'false' });
+      expect(transport.options.tls).toEqual({ rejectUnauthorized: false });
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should use implicit TLS on port 465', () => {
+      expect(createTransport({ SMTP_HOST: 'smtp.uni.lk', SMTP_PORT: '465' }).options.secure).toBe(true);
+    });
+  });
+
+  // -------------------- SMTP --------------------
+  describe('smtp', () => {
+    it('should deliver to a local SMTP stand-in', async () => {
+      const { server, port, received } = await startSmtpStandIn();
+      try {
+        const transport = createTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port) });
+        await transport.sendMail(message());
+        transport.close();
+      } finally {
+        server.close();
+      }
+
+      expect(received).toHaveLength(1);
+      expect(received[0].to[0]).toContain('jane@mail.com');
+      expect(received[0].data).toContain('Subject: Your Password Has Been Changed');
+      expect(received[0].data).toContain('Content-Type: text/plain');
+      expect(received[0].data).toContain('Content-Type: text/html');
+    });
+  });
+
+  // -------------------- FILE DROP --------------------
+  describe('file', () => {
+    it('should write an .eml file by default', async () => {
+      const info = await createTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: tmpDir }).sendMail(message());
+
+      expect(path.dirname(info.file)).toBe(tmpDir);
+      expect(info.file).toMatch(/\.eml$/);
+      const raw = fs.readFileSync(info.file, 'utf8');
+      expect(raw).toContain('To: jane@mail.com');
+      expect(raw).toContain('Subject: Your Password Has Been Changed');
+    });
+
+    it('should write JSON when asked to', async () => {
+      const info = await createTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: tmpDir, MAIL_FILE_FORMAT: 'json' }).sendMail(message());
+
+      const saved = JSON.parse(fs.readFileSync(info.file, 'utf8'));
+      expect(saved.subject).toBe('Your Password Has Been Changed');
+      expect(saved.html).toContain('Jane &lt;Doe&gt;');
+      expect(saved.text).toContain('Jane <Doe>');
+    });
+
+    it('should refuse unknown file formats', () => {
+      expect(() => createTransport({ MAIL_TRANSPORT: 'file', MAIL_FILE_FORMAT: 'pdf' })).toThrow('MAIL_FILE_FORMAT');
+    });
+  });
+
+  // -------------------- CONSOLE --------------------
+  describe('console', () => {
+    it('should print the message instead of sending it', async () => {
+      const info = await createTransport({ MAIL_TRANSPORT: 'console' }).sendMail(message());
+
+      expect(info.messageId).toBeDefined();
+      expect(console.log.mock.calls[0][0]).toContain('Subject: Your Password Has Been Changed');
+      expect(console.log.mock.calls[0][0]).toContain('Jane <Doe>');
+    });
+  });
+});
@@ -0,0 +1,248 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+// Keep the real templates (enqueue renders them) but never send anything
+jest.mock('../../../../mail', () => ({
+  ...jest.requireActual('../../../../mail'),
+  deliver: jest.fn()
+}));
+const { deliver } = require('../../../../mail');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const { enqueue, processOutbox, backoffSeconds, MAX_ATTEMPTS } = require('../../../../mail/outbox');
+const { getOutbox, getOutboxEmail, requeueEmail, resendEmail } = require('../../src/controllers/outboxController');
+
+const organizer = { organizer_name: 'Jane Doe', email: 'jane@mail.com' };
+const dueRow = (overrides = {}) => ({
+  outbox_id: 1, recipient: 'jane@mail.com', subject: 'Approved', html_body: '<p>Hi</p>', text_body: 'Hi', attempts: 0, ...overrides
+});
+// The UPDATE that recorded the delivery attempt (after the claim)
+const outcome = () => pool.query.mock.calls[1];
+
+// -------------------- TEST SUITE --------------------
+describe('Email Outbox Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  // -------------------- ENQUEUE --------------------
+  describe('enqueue', () => {
+    it('should store the rendered message on the caller\'s connection', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ outbox_id: 12 }] });
+
+      const id = await enqueue(mockClient, 'organizer-approved', 'jane@mail.com', { organizer });
+
+      const [sql, params] = mockClient.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO Email_Outbox');
+      expect(params.slice(0, 4)).toEqual(['organizer-approved', 'jane@mail.com', JSON.stringify({ organizer }), 'Your Organizer Request Has Been Approved']);
+      expect(params[4]).toContain('Jane Doe');
+      expect(params[5]).toContain('Jane Doe');
+      expect(params[6]).toBe('[]'); // this template has no attachments
+      expect(id).toBe(12);
+      expect(deliver).not.toHaveBeenCalled();
+    });
+
+    it('should store the data of emails with one-time links redacted', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ outbox_id: 13 }] });
+      const link = 'http://localhost:3000/reset-password?token=abc123';
+
+      await enqueue(mockClient, 'password-reset', 'jane@mail.com', { organizer, link, ttlMinutes: 30 });
+
+      const params = mockClient.query.mock.calls[0][1];
+      expect(JSON.parse(params[2])).toEqual({ organizer, link: '[redacted]', ttlMinutes: 30 });
+      expect(params[5]).toContain(link); // the content still has to be delivered
+    });
+
+    it('should refuse messages without a recipient or with an unknown template', async () => {
+      await expect(enqueue(mockClient, 'organizer-approved', '', { organizer })).rejects.toThrow('No recipient');
+      await expect(enqueue(mockClient, 'no-such-template', 'jane@mail.com')).rejects.toThrow('Unknown email template');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------- DELIVERY --------------------
+  describe('processOutbox', () => {
+    it('should claim due messages, send the stored content and log the message id', async () => {
+      const attachments = [{ filename: 'event-1.ics', contentType: 'text/calendar', content: 'BEGIN:VCALENDAR' }];
+      pool.query.mockResolvedValueOnce({ rows: [dueRow({ attachments })] });
+      deliver.mockResolvedValueOnce({ messageId: '<abc@uni.lk>' });
+
+      const summary = await processOutbox(pool);
+
+      expect(pool.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+      expect(deliver).toHaveBeenCalledWith('jane@mail.com', { subject: 'Approved', html: '<p>Hi</p>', text: 'Hi', attachments });
+      expect(outcome()[0]).toContain("status = 'sent'");
+      expect(outcome()[1]).toEqual([1, 1, '<abc@uni.lk>', false]);
+      expect(pool.connect).not.toHaveBeenCalled(); // nothing is held open while sending
+      expect(summary).toEqual({ sent: 1, failed: 0, dead: 0 });
+    });
+
+    it('should keep delivered messages sent when a later one cannot be recorded', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [dueRow(), dueRow({ outbox_id: 2 })] })
+        .mockResolvedValueOnce({}) // first message: sent
+        .mockRejectedValueOnce(new Error('connection lost'));
+      deliver.mockResolvedValueOnce({ messageId: '<abc@uni.lk>' }).mockResolvedValueOnce({ messageId: '<def@uni.lk>' });
+
+      await expect(processOutbox(pool)).rejects.toThrow('connection lost');
+
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 1, '<abc@uni.lk>', false]);
+      expect(pool.query.mock.calls.some(([sql]) => sql === 'ROLLBACK')).toBe(false);
+    });
+
+    it('should wipe the content of an email with one-time links once it is sent', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [dueRow({ template: 'password-reset' }), dueRow({ outbox_id: 2, template: 'organizer-approved' })] });
+      deliver.mockResolvedValueOnce({ messageId: '<a@uni.lk>' }).mockResolvedValueOnce({ messageId: '<b@uni.lk>' });
+
+      await processOutbox(pool);
+
+      expect(outcome()[0]).toContain("html_body = CASE WHEN $4 THEN ''");
+      expect(outcome()[1]).toEqual([1, 1, '<a@uni.lk>', true]);
+      expect(pool.query.mock.calls[2][1]).toEqual([2, 1, '<b@uni.lk>', false]);
+    });
+
+    it('should schedule a retry with backoff when delivery fails', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [dueRow({ attempts: 2 })] });
+      deliver.mockRejectedValueOnce(new Error('SMTP down'));
+
+      const summary = await processOutbox(pool);
+
+      expect(outcome()[1]).toEqual([1, 'pending', 3, 'SMTP down', backoffSeconds(3), false]);
+      expect(summary).toEqual({ sent: 0, failed: 1, dead: 0 });
+    });
+
+    it('should give up after the last attempt', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [dueRow({ attempts: MAX_ATTEMPTS - 1 })] });
+      deliver.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+      const summary = await processOutbox(pool);
+
+      expect(outcome()[1]).toEqual([1, 'dead', MAX_ATTEMPTS, 'Mailbox unavailable', 0, false]);
+      expect(summary).toEqual({ sent: 0, failed: 0, dead: 1 });
+    });
+
+    it('should double the delay up to a ceiling', () => {
+      expect([1, 2, 3, 4].map(backoffSeconds)).toEqual([30, 60, 120, 240]);
+      expect(backoffSeconds(50)).toBe(6 * 60 * 60);
+    });
+  });
+
+  // -------------------- ADMIN --------------------
+  describe('outbox admin', () => {
+    it('should filter the log', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await getOutbox({ query: { status: 'dead', recipient: 'Jane@mail.com', from: '2025-01-01', limit: '50' } }, res);
+      expect(pool.query.mock.calls[0][1]).toEqual(['dead', null, 'Jane@mail.com', '2025-01-01', null, 50]);
+    });
+
+    it('should reject bad filters', async () => {
+      await getOutbox({ query: { status: 'lost' } }, res);
+      await getOutbox({ query: { from: 'yesterday' } }, res);
+      await getOutbox({ query: { limit: '1000' } }, res);
+      expect(res.status).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should show a single email with its rendered content', async () => {
+      const row = { outbox_id: 4, subject: 'Approved', html_body: '<p>Hi</p>', text_body: 'Hi', message_id: '<abc@uni.lk>' };
+      pool.query.mockResolvedValueOnce({ rows: [row] });
+      await getOutboxEmail({ params: { id: '4' } }, res);
+      expect(res.json).toHaveBeenCalledWith(row);
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await getOutboxEmail({ params: { id: '99' } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 400 for an email id that is not numeric', async () => {
+      await getOutboxEmail({ params: { id: 'latest' } }, res);
+      await requeueEmail({ params: { id: '4.5' } }, res);
+      await resendEmail({ params: { id: '-4' } }, res);
+      expect(res.status).toHaveBeenCalledTimes(3);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email id must be numeric' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should never show the content of an email with one-time links', async () => {
+      const row = {
+        outbox_id: 5, template: 'organizer-approval-request', subject: 'Organizer Approval Request',
+        data: { organizer, approveLink: 'http://x/approve?token=t1', rejectLink: 'http://x/reject?token=t2' },
+        html_body: '<a href="http://x/approve?token=t1">', text_body: 'http://x/approve?token=t1', attachments: []
+      };
+      pool.query.mockResolvedValueOnce({ rows: [row] });
+
+      await getOutboxEmail({ params: { id: '5' } }, res);
+
+      const shown = res.json.mock.calls[0][0];
+      expect(shown).toEqual(expect.objectContaining({ outbox_id: 5, content_withheld: true }));
+      expect(shown.data).toEqual({ organizer, approveLink: '[redacted]', rejectLink: '[redacted]' });
+      expect(JSON.stringify(shown)).not.toContain('token=');
+    });
+
+    it('should not resend or requeue an email with one-time links', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ status: 'sent', template: 'password-reset' }] });
+      await resendEmail({ params: { id: '4' } }, res);
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ status: 'dead', template: 'registration-confirmed' }] });
+      await requeueEmail({ params: { id: '5' } }, res);
+
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls.map(([body]) => body.message)).toEqual([
+        expect.stringContaining('cannot be sent again'),
+        expect.stringContaining('cannot be sent again')
+      ]);
+    });
+
+    it('should resend a finished email as a new log entry', async () => {
+      const copy = { outbox_id: 9, status: 'pending', resent_from: 4 };
+      pool.query.mockResolvedValueOnce({ rows: [copy] });
+
+      await resendEmail({ params: { id: '4' } }, res);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO Email_Outbox');
+      expect(sql).toContain("status IN ('sent', 'dead')");
+      expect(params[0]).toBe('4');
+      expect(params[1]).toContain('password-reset'); // never resends one-time links
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email queued for resending', email: copy });
+    });
+
+    it('should not resend an email that is still queued', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ status: 'pending' }] });
+      await resendEmail({ params: { id: '4' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toContain("'pending'");
+    });
+
+    it('should requeue a dead email', async () => {
+      const row = { outbox_id: 4, status: 'pending', attempts: 0 };
+      pool.query.mockResolvedValueOnce({ rows: [row] });
+
+      await requeueEmail({ params: { id: '4' } }, res);
+
+      expect(pool.query.mock.calls[0][0]).toContain("status = 'dead'");
+      expect(res.json).toHaveBeenCalledWith({ message: 'Email requeued', email: row });
+    });
+
+    it('should only requeue emails that gave up', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ status: 'sent' }] });
+      await requeueEmail({ params: { id: '4' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+
+      pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+      await requeueEmail({ params: { id: '99' } }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+jest.mock('bcrypt', () => ({
+  hash: jest.fn().mockResolvedValue('hashed_password')
+}));
+
+jest.mock('../../../../mail/outbox', () => ({ enqueue: jest.fn() }));
+const { enqueue } = require('../../../../mail/outbox');
+
+// -------------------- IMPORT CONTROLLERS --------------------
+const { forgotPassword, resetPassword } = require('../../src/controllers/passwordResetController');
+
+const GENERIC_MESSAGE = { message: 'If that email is registered, a password reset link has been sent.' };
+const organizerRow = { organizer_id: 7, organizer_name: 'Jane Doe', email: 'jane@mail.com' };
+const queriesRun = () => mockClient.query.mock.calls.map(([sql]) => sql);
+
+// -------------------- TEST SUITE --------------------
+describe('Password Reset Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- FORGOT PASSWORD --------------------
+  describe('forgotPassword', () => {
+    it('should require an email', async () => {
+      await forgotPassword({ body: {} }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should give the same answer for unknown emails without sending anything', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await forgotPassword({ body: { email: 'nobody@mail.com' } }, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(GENERIC_MESSAGE);
+      expect(enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should store a hashed token and queue the reset link', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [organizerRow] });
+
+      await forgotPassword({ body: { email: 'jane@mail.com' } }, res);
+
+      // earlier links are closed before the new one is stored
+      expect(mockClient.query.mock.calls[1][0]).toContain('UPDATE Password_Reset SET used_at');
+      const [insertSql, params] = mockClient.query.mock.calls[2];
+      expect(insertSql).toContain('INSERT INTO Password_Reset');
+      expect(params).toEqual([7, expect.any(String), 60]);
+      expect(queriesRun()).toContain('COMMIT');
+
+      const [db, template, to, { link, ttlMinutes: ttl }] = enqueue.mock.calls[0];
+      expect(db).toBe(mockClient);
+      expect(template).toBe('password-reset');
+      expect(to).toBe('jane@mail.com');
+      const token = link.split('token=')[1];
+      expect(link).toMatch(/^http:\/\/localhost:3000\/reset-password\?token=/);
+      expect(params[1]).not.toBe(token);
+      expect(ttl).toBe(60);
+      expect(res.json).toHaveBeenCalledWith(GENERIC_MESSAGE);
+    });
+
+    it('should not store a link that could not be queued', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [organizerRow] });
+      enqueue.mockRejectedValueOnce(new Error('outbox unavailable'));
+      await forgotPassword({ body: { email: 'jane@mail.com' } }, res);
+      expect(queriesRun()).toContain('ROLLBACK');
+      expect(queriesRun()).not.toContain('COMMIT');
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  // -------------------- RESET PASSWORD --------------------
+  describe('resetPassword', () => {
+    it('should enforce the password rules', async () => {
+      await resetPassword({ body: { token: 'abc', new_password: 'short' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown or used tokens', async () => {
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] });
+      await resetPassword({ body: { token: 'abc', new_password: 'NewSecret123' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(queriesRun()).toContain('ROLLBACK');
+    });
+
+    it('should refuse expired tokens', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...organizerRow, reset_id: 1, expires_at: new Date(Date.now() - 1000) }] });
+      await resetPassword({ body: { token: 'abc', new_password: 'NewSecret123' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Reset link is invalid or has expired' });
+    });
+
+    it('should set the password, use up the token, sign out every session and confirm by email', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...organizerRow, reset_id: 1, expires_at: new Date(Date.now() + 60000) }] });
+
+      await resetPassword({ body: { token: 'abc', new_password: 'NewSecret123' } }, res);
+
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('SET password_hash'), ['hashed_password', 7]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE Password_Reset SET used_at'), [7]);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('token_version = token_version + 1'), [7]);
+      expect(queriesRun()).toContain('COMMIT');
+      expect(enqueue).toHaveBeenCalledWith(mockClient, 'password-changed', 'jane@mail.com', { organizer: expect.objectContaining({ email: 'jane@mail.com' }) });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
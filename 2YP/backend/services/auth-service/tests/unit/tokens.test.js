@@ -0,0 +1,157 @@
+// -------------------- MOCKING DEPENDENCIES --------------------
+// Real signing so the issued access tokens can be inspected
+jest.unmock('jsonwebtoken');
+const jwt = require('jsonwebtoken');
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock('../../../../db/db.js', () => ({ query: jest.fn(), connect: jest.fn() }));
+const pool = require('../../../../db/db.js');
+
+// -------------------- IMPORT MODULES UNDER TEST --------------------
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+} = require('../../src/utils/tokens');
+const { refresh, logout } = require('../../src/controllers/authController');
+
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+const storedToken = (overrides = {}) => ({
+  token_id: 5,
+  family_id: 'fam1',
+  organizer_id: 7,
+  admin_id: null,
+  expires_at: future(),
+  revoked_at: null,
+  ...overrides
+});
+const queriesRun = () => mockClient.query.mock.calls.map(([sql]) => sql);
+
+// -------------------- TEST SUITE --------------------
+describe('Token Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // -------------------- ISSUE --------------------
+  describe('issueTokens', () => {
+    it('should sign the token version into the access token and store only a hash of the refresh token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      const { token, refreshToken } = await issueTokens({ role: 'organizer', id: 7, username: 'org@mail.com', tokenVersion: 3 });
+
+      expect(jwt.verify(token, 'test_secret')).toEqual(expect.objectContaining({ id: 7, role: 'organizer', ver: 3 }));
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('organizer_ID');
+      expect(params[0]).toHaveLength(64);
+      expect(params[0]).not.toBe(refreshToken);
+    });
+  });
+
+  // -------------------- ROTATE --------------------
+  describe('rotateRefreshToken', () => {
+    it('should replace a valid refresh token with a new pair', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [storedToken()] })
+        .mockResolvedValueOnce({ rows: [{ organizer_id: 7, email: 'org@mail.com', status: 'approved', token_version: 0 }] });
+
+      const result = await rotateRefreshToken('old-token');
+
+      expect(result).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('SET revoked_at'), [5]);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO Refresh_Token'),
+        [expect.any(String), 'fam1', 7, 5, 7]
+      );
+      expect(queriesRun()).toContain('COMMIT');
+    });
+
+    it('should report unknown tokens as invalid', async () => {
+      expect(await rotateRefreshToken('nope')).toEqual({ error: 'invalid' });
+      expect(queriesRun()).toContain('ROLLBACK');
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [storedToken({ revoked_at: new Date() })] });
+
+      expect(await rotateRefreshToken('stolen')).toEqual({ error: 'reused' });
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('WHERE family_ID = $1'), ['fam1']);
+      expect(queriesRun()).toContain('COMMIT');
+    });
+
+    it('should refuse expired tokens', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [storedToken({ expires_at: new Date(Date.now() - 1000) })] });
+
+      expect(await rotateRefreshToken('old')).toEqual({ error: 'expired' });
+    });
+
+    it('should refuse organizers that are no longer approved', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [storedToken()] })
+        .mockResolvedValueOnce({ rows: [{ organizer_id: 7, status: 'suspended', token_version: 1 }] });
+
+      expect(await rotateRefreshToken('tok')).toEqual({ error: 'inactive' });
+    });
+  });
+
+  // -------------------- REVOKE --------------------
+  describe('revokeAllTokens', () => {
+    it('should bump the token version and revoke refresh tokens', async () => {
+      await revokeAllTokens(pool, 'admin', 2);
+      expect(pool.query.mock.calls[0]).toEqual([expect.stringContaining('UPDATE Admin SET token_version = token_version + 1'), [2]]);
+      expect(pool.query.mock.calls[1]).toEqual([expect.stringContaining('UPDATE Refresh_Token'), [2]]);
+    });
+  });
+
+  describe('revokeRefreshToken', () => {
+    it('should only end the session the token belongs to by default', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ family_id: 'fam1', organizer_id: 7, admin_id: null }] });
+      expect(await revokeRefreshToken('tok')).toBe(true);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.query.mock.calls[1][1]).toEqual(['fam1']);
+    });
+
+    it('should end every session of the account when all is set', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ family_id: 'fam1', organizer_id: 7, admin_id: null }] });
+      await revokeRefreshToken('tok', { all: true });
+      expect(pool.query.mock.calls[1][0]).toContain('UPDATE Organizer SET token_version');
+    });
+  });
+
+  // -------------------- ENDPOINTS --------------------
+  describe('refresh / logout endpoints', () => {
+    it('should require a refresh token', async () => {
+      await refresh({ body: {} }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should answer 401 for a reused refresh token', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [storedToken({ revoked_at: new Date() })] });
+
+      await refresh({ body: { refreshToken: 'stolen' } }, res);
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should log out even when the token is already unknown', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await logout({ body: { refreshToken: 'gone' } }, res);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: expect.any(String) }));
+      expect(res.status).not.toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -1,16 +1,26 @@
-const express = require('express');
-const router = express.Router();
 const pool = require('../../../../db/db.js');
+const { normaliseTag, tagKey, lookupTags } = require('../../../../tags/taxonomy');
+const { BUILDING_COLUMNS } = require('../utils/exhibits');
+
+// 400 for a zone_id that does not exist (foreign key violation), otherwise null
+const unknownZone = (err, res) =>
+  (err.code === '23503' && err.constraint === 'fk_building_zone'
+    ? res.status(400).json({ message: 'Unknown zone' })
+    : null);
+
+// Exhibits are no longer stored on the building (see utils/exhibits.js)
+const EXHIBITS_MOVED = 'Exhibits are managed through /exhibits';
+const sendsExhibits = (body) => body.exhibits !== undefined || body.exhibit_tags !== undefined;
 
 // ==============================
-// GET ALL BUILDINGS
+// GET ALL BUILDINGS (with their exhibits)
 // ==============================
 const getBuildings = async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT building_ID, zone_ID, building_name, description, exhibits, exhibit_tags
-      FROM Building
-      ORDER BY building_ID
+      SELECT ${BUILDING_COLUMNS}
+      FROM Building b
+      ORDER BY b.building_ID
     `);
     res.json(result.rows);
   } catch (err) {
@@ -26,9 +36,9 @@ const getBuildingById = async (req, res) => {
   const { id } = req.params;
   try {
     const result = await pool.query(
-      `SELECT building_ID, zone_ID, building_name, description, exhibits, exhibit_tags
-       FROM Building
-       WHERE building_ID = $1`,
+      `SELECT ${BUILDING_COLUMNS}
+       FROM Building b
+       WHERE b.building_ID = $1`,
       [id]
     );
 
@@ -47,7 +57,7 @@ const getBuildingById = async (req, res) => {
 // CREATE A NEW BUILDING
 // ==============================
 const createBuilding = async (req, res) => {
-  const { building_id, zone_id, building_name, description, exhibits, exhibit_tags } = req.body;
+  const { building_id, zone_id, building_name, description } = req.body;
 
   if (building_id === undefined || building_id === null || !zone_id || !building_name) {
     return res.status(400).json({ message: 'building_id, zone_id and building_name are required' });
@@ -63,39 +73,21 @@ const createBuilding = async (req, res) => {
     return res.status(400).json({ message: 'zone_id must be a valid positive integer' });
   }
 
+  if (sendsExhibits(req.body)) {
+    return res.status(400).json({ message: EXHIBITS_MOVED });
+  }
+
   try {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const result = await client.query(
-        `INSERT INTO Building (building_ID, zone_ID, building_name, description, exhibits, exhibit_tags)
-         VALUES ($1, $2, $3, $4, $5, $6::jsonb)
-         RETURNING building_ID, zone_ID, building_name, description, exhibits, exhibit_tags`,
-        [building_id, zone_id, building_name, description || null, exhibits || null, exhibit_tags ? JSON.stringify(exhibit_tags) : null]
-      );
-
-      // Maintain Exhibit_Tag_Map if exhibit_tags provided
-      if (exhibit_tags && typeof exhibit_tags === 'object') {
-        const entries = Object.entries(exhibit_tags);
-        for (const [exhibitName, tag] of entries) {
-          if (!exhibitName || !tag) continue;
-          await client.query(
-            `INSERT INTO Exhibit_Tag_Map (building_ID, exhibit_name, tag)
-             VALUES ($1, $2, $3)`,
-            [building_id, exhibitName, String(tag)]
-          );
-        }
-      }
+    const result = await pool.query(
+      `INSERT INTO Building AS b (building_ID, zone_ID, building_name, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${BUILDING_COLUMNS}`,
+      [building_id, zone_id, building_name, description || null]
+    );
 
-      await client.query('COMMIT');
-      res.status(201).json({ message: 'Building created successfully', building: result.rows[0] });
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
-    }
+    res.status(201).json({ message: 'Building created successfully', building: result.rows[0] });
   } catch (err) {
+    if (unknownZone(err, res)) return;
     if (err.code === '23505') {  // unique violation
       if (err.constraint === 'building_pkey') {
         return res.status(409).json({ message: 'Building ID already exists' });
@@ -113,52 +105,30 @@ const createBuilding = async (req, res) => {
 // ==============================
 const updateBuilding = async (req, res) => {
   const { id } = req.params;
-  const { zone_id, building_name, description, exhibits, exhibit_tags } = req.body;
+  const { zone_id, building_name, description } = req.body;
 
-  try {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-      const result = await client.query(
-        `UPDATE Building
-         SET zone_ID = COALESCE($1, zone_ID),
-             building_name = COALESCE($2, building_name),
-             description = COALESCE($3, description),
-             exhibits = COALESCE($4, exhibits),
-             exhibit_tags = COALESCE($5::jsonb, exhibit_tags)
-         WHERE building_ID = $6
-         RETURNING building_ID, zone_ID, building_name, description, exhibits, exhibit_tags`,
-        [zone_id || null, building_name || null, description || null, exhibits || null, exhibit_tags ? JSON.stringify(exhibit_tags) : null, id]
-      );
-
-      if (result.rows.length === 0) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ message: 'Building not found' });
-      }
+  if (sendsExhibits(req.body)) {
+    return res.status(400).json({ message: EXHIBITS_MOVED });
+  }
 
-      // Refresh Exhibit_Tag_Map if exhibit_tags provided
-      if (exhibit_tags && typeof exhibit_tags === 'object') {
-        await client.query(`DELETE FROM Exhibit_Tag_Map WHERE building_ID = $1`, [id]);
-        const entries = Object.entries(exhibit_tags);
-        for (const [exhibitName, tag] of entries) {
-          if (!exhibitName || !tag) continue;
-          await client.query(
-            `INSERT INTO Exhibit_Tag_Map (building_ID, exhibit_name, tag)
-             VALUES ($1, $2, $3)`,
-            [id, exhibitName, String(tag)]
-          );
-        }
-      }
+  try {
+    const result = await pool.query(
+      `UPDATE Building b
+       SET zone_ID = COALESCE($1, zone_ID),
+           building_name = COALESCE($2, building_name),
+           description = COALESCE($3, description)
+       WHERE b.building_ID = $4
+       RETURNING ${BUILDING_COLUMNS}`,
+      [zone_id || null, building_name || null, description || null, id]
+    );
 
-      await client.query('COMMIT');
-      res.json({ message: 'Building updated successfully', building: result.rows[0] });
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Building not found' });
     }
+
+    res.json({ message: 'Building updated successfully', building: result.rows[0] });
   } catch (err) {
+    if (unknownZone(err, res)) return;
     if (err.code === '23505') {  // unique violation
       return res.status(409).json({ message: 'Building name must be unique' });
     }
@@ -169,15 +139,21 @@ const updateBuilding = async (req, res) => {
 
 // ==============================
 // DELETE A BUILDING
+// (its exhibits go with it; its events keep running without a building, so
+// their rooms are cleared in the same statement, see chk_event_room)
 // ==============================
 const deleteBuilding = async (req, res) => {
   const { id } = req.params;
 
   try {
     const result = await pool.query(
-      `DELETE FROM Building
+      `WITH vacated AS (
+         UPDATE Events SET room = NULL
+         WHERE building_ID = $1 AND room IS NOT NULL
+       )
+       DELETE FROM Building
        WHERE building_ID = $1
-       RETURNING building_ID, zone_ID, building_name, description, exhibits`,
+       RETURNING building_ID, zone_ID, building_name, description`,
       [id]
     );
 
@@ -194,24 +170,31 @@ const deleteBuilding = async (req, res) => {
 
 // ==============================
 // GET BUILDINGS BY TAG
+// Buildings with an exhibit carrying the tag, given in any case or by a synonym
 // ==============================
 const getBuildingsByTag = async (req, res) => {
-  const { tag } = req.query;  // Get the tag from query parameters
+  const tag = normaliseTag(req.query.tag);  // Get the tag from query parameters
 
   if (!tag) {
     return res.status(400).json({ message: 'Tag is required' });
   }
 
   try {
+    const found = (await lookupTags(pool, [tag])).get(tagKey(tag));
+    if (!found) {
+      return res.status(404).json({ message: `'${tag}' is not a tag` });
+    }
+
     const result = await pool.query(
-      `SELECT building_ID, building_name, exhibits, zone_ID, exhibit_tags
-       FROM Building
+      `SELECT ${BUILDING_COLUMNS}
+       FROM Building b
        WHERE EXISTS (
          SELECT 1
-         FROM jsonb_each_text(exhibit_tags) AS tags
-         WHERE tags.value LIKE $1
-       )`,
-      [`%${tag}%`]  // Use LIKE for partial matching on the tag
+         FROM Exhibits x JOIN Exhibit_Tag xt ON xt.exhibit_ID = x.exhibit_ID
+         WHERE x.building_ID = b.building_ID AND xt.tag_ID = $1
+       )
+       ORDER BY b.building_ID`,
+      [found.tag_id]
     );
 
     if (result.rows.length === 0) {
@@ -225,13 +208,6 @@ const getBuildingsByTag = async (req, res) => {
   }
 };
 
-// Tags list
-router.get('/tags', (req, res) => {
-  res.json({
-    tags: ['AI', 'Robotics', 'Mechanics', 'Civil', 'Electronics', 'Computer Science', 'Chemical', 'Manufacturing']
-  });
-});
-
 // Export functions
 module.exports = {
   getBuildings,
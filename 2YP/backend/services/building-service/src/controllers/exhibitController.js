@@ -0,0 +1,287 @@
+const pool = require('../../../../db/db.js');
+const { normaliseTag, tagKey, lookupTags } = require('../../../../tags/taxonomy');
+const { EXHIBIT_COLUMNS, resolveExhibitTags } = require('../utils/exhibits');
+
+const isPositiveInteger = (value) => typeof value === 'number' && Number.isInteger(value) && value > 0;
+const isId = (value) => /^\d+$/.test(String(value));
+const isIdFilter = (value) => value === undefined || isId(value);
+
+// Returns an error message for the given exhibit fields, or null
+function validateExhibit({ exhibit_name, building_id, description, owner_team }, { creating = true } = {}) {
+  if (creating && (!exhibit_name || building_id === undefined || building_id === null)) {
+    return 'exhibit_name and building_id are required';
+  }
+  if (exhibit_name !== undefined && (typeof exhibit_name !== 'string' || !exhibit_name.trim() || exhibit_name.trim().length > 150)) {
+    return 'exhibit_name must be a name of at most 150 characters';
+  }
+  if (building_id !== undefined && !isPositiveInteger(building_id)) {
+    return 'building_id must be a valid positive integer';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be text';
+  }
+  if (owner_team !== undefined && owner_team !== null && (typeof owner_team !== 'string' || owner_team.length > 150)) {
+    return 'owner_team must be a name of at most 150 characters';
+  }
+  return null;
+}
+
+// 400 for an unknown building or a tag deleted meanwhile, 409 for a name the
+// building already uses; otherwise null
+const exhibitConflict = (err, res) => {
+  if (err.code === '23503' && err.constraint === 'fk_exhibit_building') {
+    return res.status(400).json({ message: 'Unknown building' });
+  }
+  if (err.code === '23503' && err.constraint === 'fk_xt_tag') {
+    return res.status(400).json({ message: 'Unknown tag' });
+  }
+  if (err.code === '23505') {  // unique violation
+    return res.status(409).json({ message: 'The building already has an exhibit with this name' });
+  }
+  return null;
+};
+
+// Replaces an exhibit's tags
+const setTags = async (client, exhibitId, tagIds) => {
+  await client.query('DELETE FROM Exhibit_Tag WHERE exhibit_ID = $1', [exhibitId]);
+  if (tagIds.length > 0) {
+    await client.query(
+      `INSERT INTO Exhibit_Tag (exhibit_ID, tag_ID)
+       SELECT $1, unnest($2::int[])`,
+      [exhibitId, tagIds]
+    );
+  }
+};
+
+// Optional text as stored: trimmed, with an empty value as NULL
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const findExhibit = async (db, id) => {
+  const result = await db.query(
+    `SELECT ${EXHIBIT_COLUMNS}
+     FROM Exhibits x JOIN Building b ON b.building_ID = x.building_ID
+     WHERE x.exhibit_ID = $1`,
+    [id]
+  );
+  return result.rows[0];
+};
+
+// ==============================
+// GET ALL EXHIBITS
+// ?building=&zone=&tag=&owner_team=&q= (q searches names and descriptions;
+// the tag may be given in any case or by a synonym)
+// ==============================
+const getExhibits = async (req, res) => {
+  const { building, zone, owner_team, q } = req.query;
+  const tag = normaliseTag(req.query.tag);
+
+  if (!isIdFilter(building) || !isIdFilter(zone)) {
+    return res.status(400).json({ message: 'building and zone must be numeric ids' });
+  }
+
+  try {
+    let tagId = null;
+    if (tag) {
+      const found = (await lookupTags(pool, [tag])).get(tagKey(tag));
+      if (!found) {
+        return res.status(404).json({ message: `'${tag}' is not a tag` });
+      }
+      tagId = found.tag_id;
+    }
+
+    const result = await pool.query(
+      `SELECT ${EXHIBIT_COLUMNS}
+       FROM Exhibits x JOIN Building b ON b.building_ID = x.building_ID
+       WHERE ($1::int IS NULL OR x.building_ID = $1)
+         AND ($2::int IS NULL OR b.zone_ID = $2)
+         AND ($3::int IS NULL OR EXISTS (
+               SELECT 1 FROM Exhibit_Tag xt WHERE xt.exhibit_ID = x.exhibit_ID AND xt.tag_ID = $3))
+         AND ($4::text IS NULL OR LOWER(x.owner_team) = LOWER($4))
+         AND ($5::text IS NULL OR x.exhibit_name ILIKE '%' || $5 || '%' OR x.description ILIKE '%' || $5 || '%')
+       ORDER BY x.building_ID, LOWER(x.exhibit_name)`,
+      [building || null, zone || null, tagId, owner_team ? String(owner_team).trim() : null, q ? String(q).trim() : null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching exhibits:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// GET EXHIBIT BY ID
+// ==============================
+const getExhibitById = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Exhibit id must be numeric' });
+  }
+  try {
+    const exhibit = await findExhibit(pool, id);
+    if (!exhibit) {
+      return res.status(404).json({ message: 'Exhibit not found' });
+    }
+    res.json(exhibit);
+  } catch (err) {
+    console.error('Error fetching exhibit:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// CREATE A NEW EXHIBIT
+// tags: names of tags from the managed tag list (or their synonyms)
+// ==============================
+const createExhibit = async (req, res) => {
+  const { exhibit_name, building_id, description, owner_team, tags } = req.body;
+
+  const validationError = validateExhibit(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const { tagIds, error } = await resolveExhibitTags(pool, tags);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO Exhibits (exhibit_name, building_ID, description, owner_team)
+         VALUES ($1, $2, $3, $4)
+         RETURNING exhibit_ID`,
+        [exhibit_name.trim(), building_id, optionalText(description), optionalText(owner_team)]
+      );
+
+      const exhibitId = result.rows[0].exhibit_id;
+      if (tagIds) {
+        await setTags(client, exhibitId, tagIds);
+      }
+      const exhibit = await findExhibit(client, exhibitId);
+
+      await client.query('COMMIT');
+      res.status(201).json({ message: 'Exhibit created successfully', exhibit });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (exhibitConflict(err, res)) return;
+    console.error('Error creating exhibit:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// UPDATE AN EXHIBIT
+// A building_id moves it to that building; tags replace all of its tags.
+// description and owner_team are cleared with null (or an empty text)
+// ==============================
+const updateExhibit = async (req, res) => {
+  const { id } = req.params;
+  const { exhibit_name, building_id, description, owner_team, tags } = req.body;
+
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Exhibit id must be numeric' });
+  }
+
+  const validationError = validateExhibit(req.body, { creating: false });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const { tagIds, error } = await resolveExhibitTags(pool, tags);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE Exhibits x
+         SET exhibit_name = COALESCE($1, x.exhibit_name),
+             building_ID = COALESCE($2, x.building_ID),
+             description = CASE WHEN $6::boolean THEN $3 ELSE x.description END,
+             owner_team = CASE WHEN $7::boolean THEN $4 ELSE x.owner_team END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM Exhibits previous
+         WHERE x.exhibit_ID = $5 AND previous.exhibit_ID = x.exhibit_ID
+         RETURNING x.building_ID, previous.building_ID AS previous_building_id`,
+        [exhibit_name ? exhibit_name.trim() : null, building_id || null, optionalText(description),
+          optionalText(owner_team), id, description !== undefined, owner_team !== undefined]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Exhibit not found' });
+      }
+
+      if (tagIds) {
+        await setTags(client, id, tagIds);
+      }
+      const exhibit = await findExhibit(client, id);
+
+      await client.query('COMMIT');
+
+      const { building_id: buildingId, previous_building_id: previousBuildingId } = result.rows[0];
+      res.json({
+        message: buildingId !== previousBuildingId ? `Exhibit moved to ${exhibit.building_name}` : 'Exhibit updated successfully',
+        exhibit,
+        ...(buildingId !== previousBuildingId && { moved_from: previousBuildingId })
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (exhibitConflict(err, res)) return;
+    console.error('Error updating exhibit:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// DELETE AN EXHIBIT
+// ==============================
+const deleteExhibit = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Exhibit id must be numeric' });
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM Exhibits
+       WHERE exhibit_ID = $1
+       RETURNING exhibit_ID, exhibit_name, building_ID`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Exhibit not found' });
+    }
+
+    res.json({ message: 'Exhibit deleted successfully', exhibit: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting exhibit:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// Export functions
+module.exports = {
+  getExhibits,
+  getExhibitById,
+  createExhibit,
+  updateExhibit,
+  deleteExhibit
+};
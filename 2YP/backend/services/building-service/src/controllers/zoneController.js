@@ -0,0 +1,230 @@
+const pool = require('../../../../db/db.js');
+const { BUILDING_COLUMNS } = require('../utils/exhibits');
+
+// Zone columns with how many buildings each zone holds (zone aliased z)
+const ZONE_COLUMNS = `z.zone_ID, z.zone_name,
+       (SELECT COUNT(*)::int FROM Building b WHERE b.zone_ID = z.zone_ID) AS building_count`;
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+const validZoneName = (name) => typeof name === 'string' && name.trim() !== '' && name.trim().length <= 100;
+
+// 409 for a zone name already in use (in any case), otherwise null
+const duplicateName = (err, res) =>
+  (err.code === '23505' ? res.status(409).json({ message: 'Zone name must be unique' }) : null);
+
+// ==============================
+// GET ALL ZONES (with their building counts)
+// ==============================
+const getZones = async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${ZONE_COLUMNS}
+      FROM Zone z
+      ORDER BY z.zone_ID
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching zones:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// GET ZONE BY ID
+// ==============================
+const getZoneById = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Zone id must be numeric' });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT ${ZONE_COLUMNS}
+       FROM Zone z
+       WHERE z.zone_ID = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching zone:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// GET THE BUILDINGS OF A ZONE (with their exhibits)
+// ==============================
+const getZoneBuildings = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Zone id must be numeric' });
+  }
+  try {
+    const zone = await pool.query('SELECT zone_ID FROM Zone WHERE zone_ID = $1', [id]);
+    if (zone.rows.length === 0) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${BUILDING_COLUMNS}
+       FROM Building b
+       WHERE b.zone_ID = $1
+       ORDER BY b.building_ID`,
+      [id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching zone buildings:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// CREATE A NEW ZONE
+// ==============================
+const createZone = async (req, res) => {
+  const { zone_name } = req.body;
+
+  if (!validZoneName(zone_name)) {
+    return res.status(400).json({ message: 'zone_name is required (at most 100 characters)' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO Zone (zone_name)
+       VALUES ($1)
+       RETURNING zone_ID, zone_name`,
+      [zone_name.trim()]
+    );
+
+    res.status(201).json({ message: 'Zone created successfully', zone: { ...result.rows[0], building_count: 0 } });
+  } catch (err) {
+    if (duplicateName(err, res)) return;
+    console.error('Error creating zone:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// RENAME A ZONE
+// ==============================
+const updateZone = async (req, res) => {
+  const { id } = req.params;
+  const { zone_name } = req.body;
+
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Zone id must be numeric' });
+  }
+  if (!validZoneName(zone_name)) {
+    return res.status(400).json({ message: 'zone_name is required (at most 100 characters)' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE Zone z
+       SET zone_name = $1
+       WHERE z.zone_ID = $2
+       RETURNING ${ZONE_COLUMNS}`,
+      [zone_name.trim(), id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    res.json({ message: 'Zone updated successfully', zone: result.rows[0] });
+  } catch (err) {
+    if (duplicateName(err, res)) return;
+    console.error('Error updating zone:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// DELETE A ZONE
+// A zone that still holds buildings is only deleted with ?confirm=true, and
+// its buildings (with their exhibits) go with it; their events keep running
+// without a building
+// ==============================
+const deleteZone = async (req, res) => {
+  const { id } = req.params;
+  const confirmed = req.query.confirm === 'true';
+
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Zone id must be numeric' });
+  }
+
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Locking the zone holds back buildings being added to it meanwhile
+      const zone = await client.query('SELECT zone_ID, zone_name FROM Zone WHERE zone_ID = $1 FOR UPDATE', [id]);
+      if (zone.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Zone not found' });
+      }
+
+      const buildings = await client.query(
+        `SELECT building_ID, building_name
+         FROM Building
+         WHERE zone_ID = $1
+         ORDER BY building_ID`,
+        [id]
+      );
+
+      if (buildings.rows.length > 0 && !confirmed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: `Zone ${zone.rows[0].zone_name} still holds ${buildings.rows.length} building(s); ` +
+            'delete again with ?confirm=true to remove them with it',
+          buildings: buildings.rows
+        });
+      }
+
+      if (buildings.rows.length > 0) {
+        // Their events lose the building, so they cannot keep a room in it (chk_event_room)
+        await client.query(
+          `UPDATE Events SET room = NULL
+           WHERE room IS NOT NULL
+             AND building_ID IN (SELECT building_ID FROM Building WHERE zone_ID = $1)`,
+          [id]
+        );
+        await client.query('DELETE FROM Building WHERE zone_ID = $1', [id]);
+      }
+      await client.query('DELETE FROM Zone WHERE zone_ID = $1', [id]);
+
+      await client.query('COMMIT');
+      res.json({
+        message: 'Zone deleted successfully',
+        zone: zone.rows[0],
+        deleted_buildings: buildings.rows
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error deleting zone:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// Export functions
+module.exports = {
+  getZones,
+  getZoneById,
+  getZoneBuildings,
+  createZone,
+  updateZone,
+  deleteZone
+};
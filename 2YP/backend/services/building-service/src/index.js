@@ -1,18 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const gatewayIdentity = require('../../../middlewares/gatewayIdentity');
+const { requireGatewaySecret } = gatewayIdentity;
 
 const app = express();
 const PORT = process.env.PORT || 5003;
+// Only the gateway should reach the service, so it listens on this machine alone
+const HOST = process.env.HOST || 'localhost';
 
 
 // Middleware - fix typo
 app.use(cors());
 app.use(express.json());
+app.use(gatewayIdentity);
 
 // Routes
 const boothRoutes = require('./routes/buildingRoutes');
 app.use('/buildings', boothRoutes);
+app.use('/zones', require('./routes/zoneRoutes'));
+app.use('/exhibits', require('./routes/exhibitRoutes'));
 
 
 // Error handling middleware - add this after routes
@@ -37,6 +44,8 @@ app.get('/', (req, res) => {
 
 
 
-app.listen(PORT, () => {
-    console.log(`Building Service running on port ${PORT}`);
+requireGatewaySecret('Building Service');
+
+app.listen(PORT, HOST, () => {
+    console.log(`Building Service running on ${HOST}:${PORT}`);
 });
\ No newline at end of file
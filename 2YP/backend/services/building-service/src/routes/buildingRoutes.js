@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const buildingController = require('../controllers/buildingController');
+const requireRole = require('../../../../middlewares/requireRole');
 
 // Get all buildings
 router.get('/', buildingController.getBuildings);
@@ -11,13 +12,13 @@ router.get('/filterByTag', buildingController.getBuildingsByTag);
 // Get building by ID
 router.get('/:id', buildingController.getBuildingById);
 
-// Create new building
-router.post('/', buildingController.createBuilding);
+// Create new building (buildings are managed by admins)
+router.post('/', requireRole('admin'), buildingController.createBuilding);
 
 // Update building
-router.put('/:id', buildingController.updateBuilding);
+router.put('/:id', requireRole('admin'), buildingController.updateBuilding);
 
 // Delete building
-router.delete('/:id', buildingController.deleteBuilding);
+router.delete('/:id', requireRole('admin'), buildingController.deleteBuilding);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const exhibitController = require('../controllers/exhibitController');
+const requireRole = require('../../../../middlewares/requireRole');
+
+// Get all exhibits (?building=&zone=&tag=&owner_team=&q=)
+router.get('/', exhibitController.getExhibits);
+
+// Get exhibit by ID
+router.get('/:id', exhibitController.getExhibitById);
+
+// Create new exhibit (exhibits are managed by admins)
+router.post('/', requireRole('admin'), exhibitController.createExhibit);
+
+// Update exhibit (a building_id moves it, tags replace its tags)
+router.put('/:id', requireRole('admin'), exhibitController.updateExhibit);
+
+// Delete exhibit
+router.delete('/:id', requireRole('admin'), exhibitController.deleteExhibit);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const zoneController = require('../controllers/zoneController');
+const requireRole = require('../../../../middlewares/requireRole');
+
+// Get all zones with their building counts
+router.get('/', zoneController.getZones);
+
+// Get zone by ID
+router.get('/:id', zoneController.getZoneById);
+
+// Get the buildings of a zone
+router.get('/:id/buildings', zoneController.getZoneBuildings);
+
+// Create new zone (zones are managed by admins)
+router.post('/', requireRole('admin'), zoneController.createZone);
+
+// Rename zone
+router.put('/:id', requireRole('admin'), zoneController.updateZone);
+
+// Delete zone (?confirm=true when it still holds buildings)
+router.delete('/:id', requireRole('admin'), zoneController.deleteZone);
+
+module.exports = router;
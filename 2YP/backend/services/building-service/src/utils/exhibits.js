@@ -0,0 +1,39 @@
+// utils/exhibits.js
+// Exhibits are only stored in the Exhibits table, their tags in Exhibit_Tag;
+// buildings list their exhibits from there.
+
+const { lookupTags, applyTags, unknownTagsMessage } = require('../../../../tags/taxonomy');
+
+// The tag names of the exhibit aliased `alias`, as a JSON array
+const exhibitTags = (alias) => `COALESCE((
+         SELECT json_agg(t.tag_name ORDER BY t.tag_name)
+         FROM Exhibit_Tag xt JOIN Tag t ON t.tag_ID = xt.tag_ID
+         WHERE xt.exhibit_ID = ${alias}.exhibit_ID), '[]'::json)`;
+
+// Building columns (building aliased b) with the building's exhibits and their tags
+const BUILDING_COLUMNS = `b.building_ID, b.zone_ID, b.building_name, b.description,
+       COALESCE((
+         SELECT json_agg(json_build_object('exhibit_id', x.exhibit_ID, 'exhibit_name', x.exhibit_name,
+                                           'owner_team', x.owner_team, 'tags', ${exhibitTags('x')})
+                         ORDER BY LOWER(x.exhibit_name))
+         FROM Exhibits x WHERE x.building_ID = b.building_ID), '[]'::json) AS exhibits`;
+
+// Exhibit columns (exhibit aliased x, its building b) with its tags
+const EXHIBIT_COLUMNS = `x.exhibit_ID, x.exhibit_name, x.description, x.owner_team, x.building_ID,
+       b.building_name, b.zone_ID, ${exhibitTags('x')} AS tags, x.created_at, x.updated_at`;
+
+// An exhibit's tags come from the managed tag list (see backend/tags/taxonomy.js).
+// Returns { tagIds } for the tags the names resolve to (null when no list was
+// given), or { error }.
+async function resolveExhibitTags(db, names) {
+  if (names === undefined || names === null) return { tagIds: null };
+  if (!Array.isArray(names) || names.some((name) => typeof name !== 'string')) {
+    return { error: 'tags must be a list of tag names' };
+  }
+
+  const { tags, unknown } = applyTags(await lookupTags(db, names), names);
+  if (unknown.length > 0) return { error: unknownTagsMessage(unknown) };
+  return { tagIds: tags.map((tag) => tag.tag_id) };
+}
+
+module.exports = { BUILDING_COLUMNS, EXHIBIT_COLUMNS, resolveExhibitTags };
@@ -100,10 +100,10 @@ describe("Building Controller (Unit Tests)", () => {
   // ================= CREATE NEW BUILDING =================
   it("should create a new building with all fields", async () => {
     const req = {
-      body: { building_id: 10, zone_id: 2, building_name: "Lab", description: "Test", exhibits: "Science" }
+      body: { building_id: 10, zone_id: 2, building_name: "Lab", description: "Test" }
     };
     const res = mockResponse();
-    const fakeRow = { building_id: 10, zone_id: 2, building_name: "Lab", description: "Test", exhibits: "Science" };
+    const fakeRow = { building_id: 10, zone_id: 2, building_name: "Lab", description: "Test", exhibits: [] };
     pool.query.mockResolvedValueOnce({ rows: [fakeRow] });
 
     await createBuilding(req, res);
@@ -115,6 +115,19 @@ describe("Building Controller (Unit Tests)", () => {
     });
   });
 
+  it("should return 400 when exhibits are sent with the building", async () => {
+    const req = {
+      body: { building_id: 10, zone_id: 2, building_name: "Lab", exhibits: "Science" }
+    };
+    const res = mockResponse();
+
+    await createBuilding(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibits are managed through /exhibits" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
   it("should return 400 if required fields are missing", async () => {
     const req = { body: { zone_id: 2 } }; // missing building_id and building_name
     const res = mockResponse();
@@ -202,6 +215,21 @@ describe("Building Controller (Unit Tests)", () => {
     });
   });
 
+  it("should clear the rooms of the building's events in the same statement as the delete", async () => {
+    const req = { params: { id: "101" } };
+    const res = mockResponse();
+    const fakeRow = { building_id: 101, building_name: "Tech Building A" };
+    pool.query.mockResolvedValueOnce({ rows: [fakeRow] });
+
+    await deleteBuilding(req, res);
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/UPDATE Events SET room = NULL\s+WHERE building_ID = \$1/);
+    expect(sql).toMatch(/DELETE FROM Building/);
+    expect(params).toEqual(["101"]);
+    expect(res.json).toHaveBeenCalledWith({ message: "Building deleted successfully", building: fakeRow });
+  });
+
   it("should return 404 when deleting non-existing building", async () => {
     const req = { params: { id: 99 } };
     const res = mockResponse();
@@ -0,0 +1,344 @@
+const request = require("supertest");
+const express = require("express");
+
+// Import all exhibit controller functions for testing
+const {
+  getExhibits,
+  getExhibitById,
+  createExhibit,
+  updateExhibit,
+  deleteExhibit
+} = require("../src/controllers/exhibitController");
+const { updateBuilding, getBuildingsByTag } = require("../src/controllers/buildingController");
+const exhibitRoutes = require("../src/routes/exhibitRoutes");
+
+// ==========================
+// Mock the database pool
+// ==========================
+// Reads and tag lookups use pool.query, exhibit writes run in a transaction on a client
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+const pool = require("../../../db/db.js");
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// The routes, with the caller's role from the x-user-role header as behind the gateway
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: req.headers["x-user-role"] || "visitor" };
+  next();
+});
+app.use("/exhibits", exhibitRoutes);
+
+// Rows of the tag lookup (backend/tags/taxonomy.js): each key found, with its tag
+const found = (...pairs) => ({
+  rows: pairs.map(([key, tag_id, tag_name]) => ({ key, tag_id, tag_name }))
+});
+
+const robocar = {
+  exhibit_id: 3,
+  exhibit_name: "robocar",
+  owner_team: "Team Gamma",
+  building_id: 101,
+  building_name: "Tech Building A",
+  zone_id: 1,
+  tags: ["Robotics"]
+};
+
+// ==========================
+// Test Suite: Exhibit Controller
+// ==========================
+describe("Exhibit Controller (Unit Tests)", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    mockClient.query.mockReset();
+    pool.connect.mockResolvedValue(mockClient);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ================= READ =================
+  it("should list exhibits without filters", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [robocar] });
+
+    await getExhibits({ query: {} }, res);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([null, null, null, null, null]);
+    expect(res.json).toHaveBeenCalledWith([robocar]);
+  });
+
+  it("should filter exhibits by building, zone, tag synonym, owner team and search text", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce(found(["robots", 7, "Robotics"])).mockResolvedValueOnce({ rows: [robocar] });
+
+    await getExhibits({ query: { building: "101", zone: "1", tag: " Robots ", owner_team: " team gamma ", q: "car" } }, res);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([["robots"]]);
+    expect(pool.query.mock.calls[1][1]).toEqual(["101", "1", 7, "team gamma", "car"]);
+    expect(res.json).toHaveBeenCalledWith([robocar]);
+  });
+
+  it("should return 404 when filtering by a name that is not a tag", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await getExhibits({ query: { tag: "Calculators" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should return 400 for a non-numeric building filter", async () => {
+    const res = mockResponse();
+
+    await getExhibits({ query: { building: "A" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should return 400 for an exhibit id that is not numeric", async () => {
+    const res = mockResponse();
+
+    await getExhibitById({ params: { id: "robocar" } }, res);
+    await updateExhibit({ params: { id: "3x" }, body: {} }, res);
+    await deleteExhibit({ params: { id: "-1" } }, res);
+
+    expect(res.status).toHaveBeenCalledTimes(3);
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibit id must be numeric" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should return 404 for an exhibit that does not exist", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await getExhibitById({ params: { id: "99" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibit not found" });
+  });
+
+  // ================= CREATE =================
+  it("should create an exhibit with its tags resolved to the managed tag list", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce(found(["robots", 7, "Robotics"], ["ai", 1, "AI"], ["robotics", 7, "Robotics"]));
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ exhibit_id: 3 }] }) // insert
+      .mockResolvedValueOnce({}) // clear tags
+      .mockResolvedValueOnce({}) // insert tags
+      .mockResolvedValueOnce({ rows: [robocar] }) // reload
+      .mockResolvedValueOnce({}); // COMMIT
+
+    await createExhibit({
+      body: { exhibit_name: " robocar ", building_id: 101, owner_team: "Team Gamma", tags: ["robots", " AI ", "Robotics"] }
+    }, res);
+
+    expect(mockClient.query.mock.calls[1][1]).toEqual(["robocar", 101, null, "Team Gamma"]);
+    expect(mockClient.query.mock.calls[3][1]).toEqual([3, [7, 1]]);
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibit created successfully", exhibit: robocar });
+  });
+
+  it("should refuse tags that are not in the managed tag list", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce(found(["robotics", 7, "Robotics"]));
+
+    await createExhibit({ body: { exhibit_name: "cal", building_id: 102, tags: ["Robotics", "Calculators"] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Unknown tag: Calculators (see GET /tags)" });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it("should return 400 without a name or building", async () => {
+    const res = mockResponse();
+
+    await createExhibit({ body: { exhibit_name: "cal" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "exhibit_name and building_id are required" });
+  });
+
+  it("should return 400 for an unknown building", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503", constraint: "fk_exhibit_building" }));
+
+    await createExhibit({ body: { exhibit_name: "cal", building_id: 999 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Unknown building" });
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should return 400 when a tag is deleted while the exhibit is tagged", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce(found(["robotics", 7, "Robotics"]));
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ exhibit_id: 3 }] })
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503", constraint: "fk_xt_tag" }));
+
+    await createExhibit({ body: { exhibit_name: "robocar", building_id: 101, tags: ["Robotics"] } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Unknown tag" });
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+  });
+
+  it("should return 409 when the building already has an exhibit with the name", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error("duplicate"), { code: "23505" }));
+
+    await createExhibit({ body: { exhibit_name: "ROBOCAR", building_id: 101 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  // ================= UPDATE =================
+  it("should move an exhibit to another building and report where it came from", async () => {
+    const res = mockResponse();
+    const moved = { ...robocar, building_id: 102, building_name: "Tech Building B" };
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ building_id: 102, previous_building_id: 101 }] })
+      .mockResolvedValueOnce({ rows: [moved] })
+      .mockResolvedValueOnce({});
+
+    await updateExhibit({ params: { id: "3" }, body: { building_id: 102 } }, res);
+
+    expect(mockClient.query.mock.calls.some(([sql]) => sql.includes("DELETE FROM Exhibit_Tag"))).toBe(false);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Exhibit moved to Tech Building B",
+      exhibit: moved,
+      moved_from: 101
+    });
+  });
+
+  it("should clear the description and owner team with null but keep them when left out", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ building_id: 101, previous_building_id: 101 }] })
+      .mockResolvedValueOnce({ rows: [{ ...robocar, owner_team: null }] })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ building_id: 101, previous_building_id: 101 }] })
+      .mockResolvedValueOnce({ rows: [robocar] })
+      .mockResolvedValueOnce({});
+
+    await updateExhibit({ params: { id: "3" }, body: { description: null, owner_team: "  " } }, res);
+    await updateExhibit({ params: { id: "3" }, body: { exhibit_name: "robocar 2" } }, res);
+
+    const [sql, cleared] = mockClient.query.mock.calls[1];
+    expect(sql).toContain("description = CASE WHEN $6::boolean THEN $3 ELSE x.description END");
+    expect(cleared).toEqual([null, null, null, null, "3", true, true]);
+    expect(mockClient.query.mock.calls[5][1]).toEqual(["robocar 2", null, null, null, "3", false, false]);
+  });
+
+  it("should replace an exhibit's tags", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce(found(["iot", 4, "IoT"]));
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ building_id: 101, previous_building_id: 101 }] })
+      .mockResolvedValueOnce({}) // clear tags
+      .mockResolvedValueOnce({}) // insert tags
+      .mockResolvedValueOnce({ rows: [{ ...robocar, tags: ["IoT"] }] })
+      .mockResolvedValueOnce({});
+
+    await updateExhibit({ params: { id: "3" }, body: { tags: ["iot"] } }, res);
+
+    expect(mockClient.query.mock.calls[2]).toEqual(["DELETE FROM Exhibit_Tag WHERE exhibit_ID = $1", ["3"]]);
+    expect(mockClient.query.mock.calls[3][1]).toEqual(["3", [4]]);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: "Exhibit updated successfully" }));
+  });
+
+  it("should clear an exhibit's tags with an empty list", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ building_id: 101, previous_building_id: 101 }] })
+      .mockResolvedValueOnce({}) // clear tags
+      .mockResolvedValueOnce({ rows: [{ ...robocar, tags: [] }] })
+      .mockResolvedValueOnce({});
+
+    await updateExhibit({ params: { id: "3" }, body: { tags: [] } }, res);
+
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(mockClient.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO Exhibit_Tag"))).toBe(false);
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+  });
+
+  it("should return 404 when updating an exhibit that does not exist", async () => {
+    const res = mockResponse();
+    mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] });
+
+    await updateExhibit({ params: { id: "99" }, body: { exhibit_name: "x" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+  });
+
+  it("should leave exhibit changes to admins", async () => {
+    const created = await request(app).post("/exhibits").set("x-user-role", "organizer").send({ exhibit_name: "cal", building_id: 102 });
+    const deleted = await request(app).delete("/exhibits/3");
+
+    expect(created.statusCode).toBe(403);
+    expect(deleted.statusCode).toBe(403);
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  // ================= DELETE =================
+  it("should delete an exhibit", async () => {
+    const res = mockResponse();
+    const row = { exhibit_id: 3, exhibit_name: "robocar", building_id: 101 };
+    pool.query.mockResolvedValueOnce({ rows: [row] });
+
+    await deleteExhibit({ params: { id: "3" } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibit deleted successfully", exhibit: row });
+  });
+
+  // ================= BUILDINGS =================
+  it("should refuse exhibits sent with a building update", async () => {
+    const res = mockResponse();
+
+    await updateBuilding({ params: { id: "101" }, body: { exhibit_tags: { robocar: "Robotics" } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Exhibits are managed through /exhibits" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should filter buildings by the tags of their exhibits", async () => {
+    const res = mockResponse();
+    const rows = [{ building_id: 101, exhibits: [robocar] }];
+    pool.query.mockResolvedValueOnce(found(["robots", 7, "Robotics"])).mockResolvedValueOnce({ rows });
+
+    await getBuildingsByTag({ query: { tag: "ROBOTS" } }, res);
+
+    expect(pool.query.mock.calls[1][0]).toContain("Exhibit_Tag");
+    expect(pool.query.mock.calls[1][1]).toEqual([7]);
+    expect(res.json).toHaveBeenCalledWith(rows);
+  });
+});
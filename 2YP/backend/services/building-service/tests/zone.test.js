@@ -0,0 +1,271 @@
+const request = require("supertest");
+const express = require("express");
+
+// Import all zone controller functions for testing
+const {
+  getZones,
+  getZoneById,
+  getZoneBuildings,
+  createZone,
+  updateZone,
+  deleteZone
+} = require("../src/controllers/zoneController");
+const { createBuilding } = require("../src/controllers/buildingController");
+const zoneRoutes = require("../src/routes/zoneRoutes");
+
+// ==========================
+// Mock the database pool
+// ==========================
+// Reads use pool.query, deleting a zone runs in a transaction on a client
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn()
+}));
+const pool = require("../../../db/db.js");
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// The routes, with the caller's role from the x-user-role header as behind the gateway
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: req.headers["x-user-role"] || "visitor" };
+  next();
+});
+app.use("/zones", zoneRoutes);
+
+const zoneA = { zone_id: 1, zone_name: "A" };
+const buildings = [
+  { building_id: 101, building_name: "Tech Building A" },
+  { building_id: 102, building_name: "Tech Building B" }
+];
+
+// ==========================
+// Test Suite: Zone Controller
+// ==========================
+describe("Zone Controller (Unit Tests)", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    mockClient.query.mockReset();
+    pool.connect.mockResolvedValue(mockClient);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ================= READ =================
+  it("should list zones with their building counts", async () => {
+    const res = mockResponse();
+    const rows = [{ ...zoneA, building_count: 2 }, { zone_id: 2, zone_name: "B", building_count: 0 }];
+    pool.query.mockResolvedValueOnce({ rows });
+
+    await getZones({}, res);
+
+    expect(pool.query.mock.calls[0][0]).toContain("building_count");
+    expect(res.json).toHaveBeenCalledWith(rows);
+  });
+
+  it("should return 404 for a zone that does not exist", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await getZoneById({ params: { id: "99" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: "Zone not found" });
+  });
+
+  it("should list the buildings of a zone", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [zoneA] }).mockResolvedValueOnce({ rows: buildings });
+
+    await getZoneBuildings({ params: { id: "1" } }, res);
+
+    expect(pool.query.mock.calls[1][1]).toEqual(["1"]);
+    expect(res.json).toHaveBeenCalledWith(buildings);
+  });
+
+  it("should return 404 for the buildings of a missing zone rather than an empty list", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await getZoneBuildings({ params: { id: "99" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should return 400 for a zone id that is not numeric", async () => {
+    for (const handler of [getZoneById, getZoneBuildings]) {
+      const res = mockResponse();
+      await handler({ params: { id: "A" } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    const renamed = mockResponse();
+    await updateZone({ params: { id: "1;" }, body: { zone_name: "North" } }, renamed);
+    const deleted = mockResponse();
+    await deleteZone({ params: { id: "x" }, query: { confirm: "true" } }, deleted);
+
+    expect(renamed.status).toHaveBeenCalledWith(400);
+    expect(deleted.json).toHaveBeenCalledWith({ message: "Zone id must be numeric" });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  // ================= CREATE / RENAME =================
+  it("should create a zone under its trimmed name", async () => {
+    const res = mockResponse();
+    pool.query.mockResolvedValueOnce({ rows: [{ zone_id: 5, zone_name: "E" }] });
+
+    await createZone({ body: { zone_name: " E " } }, res);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(["E"]);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Zone created successfully",
+      zone: { zone_id: 5, zone_name: "E", building_count: 0 }
+    });
+  });
+
+  it("should return 400 without a zone name", async () => {
+    const res = mockResponse();
+
+    await createZone({ body: { zone_name: "  " } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should return 409 when the new name is taken", async () => {
+    const res = mockResponse();
+    pool.query.mockRejectedValueOnce(Object.assign(new Error("duplicate"), { code: "23505" }));
+
+    await updateZone({ params: { id: "2" }, body: { zone_name: "a" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ message: "Zone name must be unique" });
+  });
+
+  it("should rename a zone", async () => {
+    const res = mockResponse();
+    const renamed = { zone_id: 1, zone_name: "North", building_count: 2 };
+    pool.query.mockResolvedValueOnce({ rows: [renamed] });
+
+    await updateZone({ params: { id: "1" }, body: { zone_name: "North" } }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ message: "Zone updated successfully", zone: renamed });
+  });
+
+  it("should leave zone changes to admins", async () => {
+    const created = await request(app).post("/zones").set("x-user-role", "organizer").send({ zone_name: "E" });
+    const deleted = await request(app).delete("/zones/1?confirm=true");
+    pool.query.mockResolvedValueOnce({ rows: [zoneA] });
+    const listed = await request(app).get("/zones/1");
+
+    expect(created.statusCode).toBe(403);
+    expect(deleted.statusCode).toBe(403);
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(listed.statusCode).toBe(200);
+  });
+
+  // ================= DELETE =================
+  it("should delete an empty zone", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [zoneA] }) // lock zone
+      .mockResolvedValueOnce({ rows: [] }) // buildings
+      .mockResolvedValueOnce({}) // delete zone
+      .mockResolvedValueOnce({}); // COMMIT
+
+    await deleteZone({ params: { id: "1" }, query: {} }, res);
+
+    expect(res.json).toHaveBeenCalledWith({ message: "Zone deleted successfully", zone: zoneA, deleted_buildings: [] });
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should refuse to delete a zone with buildings without confirmation", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [zoneA] })
+      .mockResolvedValueOnce({ rows: buildings })
+      .mockResolvedValueOnce({}); // ROLLBACK
+
+    await deleteZone({ params: { id: "1" }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ buildings }));
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(mockClient.query.mock.calls.some(([sql]) => sql.includes("DELETE"))).toBe(false);
+  });
+
+  it("should delete a zone with its buildings when confirmed", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [zoneA] })
+      .mockResolvedValueOnce({ rows: buildings })
+      .mockResolvedValueOnce({}) // clear event rooms
+      .mockResolvedValueOnce({}) // delete buildings
+      .mockResolvedValueOnce({}) // delete zone
+      .mockResolvedValueOnce({});
+
+    await deleteZone({ params: { id: "1" }, query: { confirm: "true" } }, res);
+
+    expect(mockClient.query.mock.calls[4]).toEqual(["DELETE FROM Building WHERE zone_ID = $1", ["1"]]);
+    expect(res.json).toHaveBeenCalledWith({
+      message: "Zone deleted successfully",
+      zone: zoneA,
+      deleted_buildings: buildings
+    });
+  });
+
+  it("should clear the rooms of events in the zone's buildings before deleting them", async () => {
+    const res = mockResponse();
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [zoneA] })
+      .mockResolvedValueOnce({ rows: buildings })
+      .mockResolvedValueOnce({ rowCount: 1 }) // the AI Workshop in Lab 1
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({});
+
+    await deleteZone({ params: { id: "1" }, query: { confirm: "true" } }, res);
+
+    const [sql, params] = mockClient.query.mock.calls[3];
+    expect(sql).toMatch(/UPDATE Events SET room = NULL/);
+    expect(sql).toMatch(/SELECT building_ID FROM Building WHERE zone_ID = \$1/);
+    expect(params).toEqual(["1"]);
+    expect(mockClient.query.mock.calls[4][0]).toBe("DELETE FROM Building WHERE zone_ID = $1");
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+  });
+
+  it("should return 404 when deleting a zone that does not exist", async () => {
+    const res = mockResponse();
+    mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] });
+
+    await deleteZone({ params: { id: "99" }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+  });
+
+  // ================= BUILDINGS =================
+  it("should return 400 when a new building names an unknown zone", async () => {
+    const res = mockResponse();
+    pool.query.mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503", constraint: "fk_building_zone" }));
+
+    await createBuilding({ body: { building_id: 10, zone_id: 99, building_name: "Lab" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Unknown zone" });
+  });
+});
@@ -0,0 +1,73 @@
+// controllers/calendarController.js
+// iCalendar (.ics) versions of the events, for calendar apps to subscribe to.
+
+const pool = require('../../../../db/db.js');
+const { CONTENT_TYPE, buildCalendar } = require('../../../../calendar/ical');
+
+// Read from Event_Instance, so every occurrence of a series is listed
+const CALENDAR_COLUMNS = `e.event_id, e.occurrence_start, e.event_name, e.start_time, e.end_time, e.location,
+          e.description, e.event_categories, e.status, e.sequence`;
+
+const sendCalendar = (res, filename, body) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+};
+
+// ==============================
+// CALENDAR FEED
+// ?category=AI&building=3&organizer=2
+// Cancelled events stay in the feed (STATUS:CANCELLED) so subscribers drop them
+// ==============================
+const getCalendarFeed = async (req, res) => {
+  const { category, building, organizer } = req.query;
+
+  for (const [name, value] of [['building', building], ['organizer', organizer]]) {
+    if (value !== undefined && !/^\d+$/.test(value)) {
+      return res.status(400).json({ message: `${name} must be a numeric id` });
+    }
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${CALENDAR_COLUMNS}
+       FROM Event_Instance e
+       WHERE ($1::text IS NULL OR EXISTS (
+               SELECT 1 FROM unnest(e.event_categories) AS c(name) WHERE LOWER(c.name) = LOWER($1)))
+         AND ($2::int IS NULL OR e.building_ID = $2)
+         AND ($3::int IS NULL OR e.organizer_ID = $3)
+       ORDER BY e.start_time, e.event_id`,
+      [category || null, building || null, organizer || null]
+    );
+
+    const name = ['Events', category].filter(Boolean).join(' - ');
+    sendCalendar(res, 'events.ics', buildCalendar(result.rows, { name }));
+  } catch (err) {
+    console.error('Error building calendar feed:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// ONE EVENT AS .ics (every occurrence, for a series)
+// ==============================
+const getEventCalendar = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `SELECT ${CALENDAR_COLUMNS} FROM Event_Instance e WHERE e.event_id = $1 ORDER BY e.start_time`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    sendCalendar(res, `event-${id}.ics`, buildCalendar(result.rows));
+  } catch (err) {
+    console.error('Error building event calendar:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = { getCalendarFeed, getEventCalendar };
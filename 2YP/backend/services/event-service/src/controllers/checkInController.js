@@ -0,0 +1,157 @@
+// controllers/checkInController.js
+// Tickets at the door: the QR image of a ticket, scanning it in, and how many
+// of the registered visitors have arrived. Ticket codes are explained in
+// utils/tickets.js.
+
+const pool = require('../../../../db/db.js');
+const { QR_FORMATS, readTicket, ticketQr } = require('../utils/tickets');
+
+// Registered and checked-in visitors for each instance of an event (one row
+// for a one-off event, one per occurrence of a series)
+const ATTENDANCE_QUERY = `
+  SELECT i.occurrence_id, i.start_time, i.end_time, i.status,
+         (SELECT COUNT(*)::int FROM Event_Registration r
+          WHERE r.event_ID = i.event_id AND r.status = 'confirmed') AS registered,
+         (SELECT COUNT(*)::int FROM Event_Check_In c
+          WHERE c.event_ID = i.event_id AND c.occurrence_ID IS NOT DISTINCT FROM i.occurrence_id) AS checked_in
+  FROM Event_Instance i
+  WHERE i.event_id = $1 AND ($2::int IS NULL OR i.occurrence_id = $2)
+  ORDER BY i.start_time`;
+
+// ==============================
+// TICKET QR CODE (?format=png|svg)
+// Anyone holding the code may render it; the code itself is the ticket
+// ==============================
+const getTicketQr = async (req, res) => {
+  const { code } = req.params;
+  const format = req.query.format || 'png';
+
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${QR_FORMATS.join(', ')}` });
+  }
+
+  try {
+    if (!readTicket(code)) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const image = await ticketQr(code, format);
+    res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+  } catch (err) {
+    console.error('Error rendering ticket:', err);
+    res.status(500).json({ message: 'Could not render the ticket', error: err.message });
+  }
+};
+
+// ==============================
+// CHECK IN A TICKET { code, occurrence_id }
+// occurrence_id is needed for a series, whose tickets check in once per occurrence
+// ==============================
+const checkIn = async (req, res) => {
+  const { id } = req.params;
+  const { code, occurrence_id: occurrenceId } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+  if (occurrenceId !== undefined && occurrenceId !== null && !/^\d+$/.test(String(occurrenceId))) {
+    return res.status(400).json({ message: 'occurrence_id must be a numeric id' });
+  }
+
+  try {
+    const ticket = readTicket(code);
+    if (!ticket) {
+      return res.status(400).json({ message: 'Invalid ticket code' });
+    }
+    if (String(ticket.eventId) !== String(id)) {
+      return res.status(400).json({ message: 'This ticket is for another event' });
+    }
+
+    const found = await pool.query(
+      `SELECT r.registration_ID, r.attendee_name, r.status, e.recurrence_rule
+       FROM Event_Registration r JOIN Events e ON e.event_ID = r.event_ID
+       WHERE r.registration_ID = $1 AND r.event_ID = $2`,
+      [ticket.registrationId, id]
+    );
+    if (found.rows.length === 0) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const registration = found.rows[0];
+    if (registration.status === 'cancelled') {
+      return res.status(400).json({ message: 'This registration was cancelled' });
+    }
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({ message: 'This visitor is still on the waitlist' });
+    }
+
+    let occurrence = null;
+    if (registration.recurrence_rule) {
+      if (!occurrenceId) {
+        return res.status(400).json({ message: 'occurrence_id is required for a recurring event' });
+      }
+      const result = await pool.query(
+        'SELECT occurrence_ID, status FROM Event_Occurrence WHERE occurrence_ID = $1 AND event_ID = $2',
+        [occurrenceId, id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Occurrence not found' });
+      }
+      if (result.rows[0].status === 'cancelled') {
+        return res.status(400).json({ message: 'This occurrence has been cancelled' });
+      }
+      occurrence = result.rows[0].occurrence_id;
+    }
+
+    // The unique index turns a second scan of the same ticket into no row
+    const inserted = await pool.query(
+      `INSERT INTO Event_Check_In (registration_ID, event_ID, occurrence_ID, organizer_ID)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (registration_ID, COALESCE(occurrence_ID, 0)) DO NOTHING
+       RETURNING checked_in_at`,
+      [registration.registration_id, id, occurrence, req.user && req.user.role === 'organizer' ? req.user.id : null]
+    );
+
+    const attendance = (await pool.query(ATTENDANCE_QUERY, [id, occurrence])).rows[0];
+    const attendee = { registration_id: registration.registration_id, attendee_name: registration.attendee_name };
+
+    if (inserted.rows.length === 0) {
+      const previous = await pool.query(
+        'SELECT checked_in_at FROM Event_Check_In WHERE registration_ID = $1 AND occurrence_ID IS NOT DISTINCT FROM $2',
+        [registration.registration_id, occurrence]
+      );
+      return res.status(409).json({
+        message: 'This ticket has already been checked in',
+        attendee,
+        checked_in_at: previous.rows[0] ? previous.rows[0].checked_in_at : null,
+        attendance
+      });
+    }
+
+    res.json({ message: 'Checked in', attendee, checked_in_at: inserted.rows[0].checked_in_at, attendance });
+  } catch (err) {
+    console.error('Error checking in ticket:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// LIVE ATTENDANCE
+// ==============================
+const getAttendance = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(ATTENDANCE_QUERY, [id, null]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({ event_id: Number(id), instances: result.rows });
+  } catch (err) {
+    console.error('Error fetching attendance:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = { getTicketQr, checkIn, getAttendance };
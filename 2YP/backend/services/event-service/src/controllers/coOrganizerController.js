@@ -0,0 +1,115 @@
+// controllers/coOrganizerController.js
+// The organizers of an event: its owner (Events.organizer_ID, whoever created
+// it) and the co-organizers the owner adds, who may edit and cancel it too.
+
+const pool = require('../../../../db/db.js');
+
+const ORGANIZER_COLUMNS = 'o.organizer_ID, o.organizer_name, o.fname, o.lname';
+
+// ==============================
+// LIST AN EVENT'S ORGANIZERS
+// ==============================
+const getEventOrganizers = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const event = await pool.query('SELECT organizer_ID FROM Events WHERE event_ID = $1', [id]);
+    if (event.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${ORGANIZER_COLUMNS}, TRUE AS is_owner, NULL::timestamp AS added_at
+       FROM Events e JOIN Organizer o ON o.organizer_ID = e.organizer_ID
+       WHERE e.event_ID = $1
+       UNION ALL
+       SELECT ${ORGANIZER_COLUMNS}, FALSE AS is_owner, c.added_at
+       FROM Event_Co_Organizer c JOIN Organizer o ON o.organizer_ID = c.organizer_ID
+       WHERE c.event_ID = $1
+       ORDER BY is_owner DESC, added_at`,
+      [id]
+    );
+
+    const owner = result.rows.find((row) => row.is_owner);
+    res.json({
+      owner: owner ? (({ is_owner, added_at, ...organizer }) => organizer)(owner) : null,
+      co_organizers: result.rows.filter((row) => !row.is_owner).map(({ is_owner, ...organizer }) => organizer)
+    });
+  } catch (err) {
+    console.error('Error fetching event organizers:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// ADD A CO-ORGANIZER { organizer_id }
+// ==============================
+const addCoOrganizer = async (req, res) => {
+  const { id } = req.params;
+  const organizerId = Number(req.body.organizer_id);
+
+  if (!Number.isInteger(organizerId) || organizerId < 1) {
+    return res.status(400).json({ message: 'organizer_id is required' });
+  }
+
+  try {
+    const organizer = await pool.query(
+      `SELECT ${ORGANIZER_COLUMNS}, o.status, (o.organizer_ID = e.organizer_ID) AS is_owner
+       FROM Organizer o, Events e
+       WHERE o.organizer_ID = $1 AND e.event_ID = $2`,
+      [organizerId, id]
+    );
+    if (organizer.rows.length === 0) {
+      return res.status(404).json({ message: 'Organizer not found' });
+    }
+
+    const { status, is_owner: isOwner, ...coOrganizer } = organizer.rows[0];
+    if (status !== 'approved') {
+      return res.status(400).json({ message: 'Only approved organizers can be co-organizers' });
+    }
+    if (isOwner) {
+      return res.status(400).json({ message: 'The organizer already owns this event' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO Event_Co_Organizer (event_ID, organizer_ID)
+       VALUES ($1, $2)
+       ON CONFLICT (event_ID, organizer_ID) DO NOTHING
+       RETURNING added_at`,
+      [id, organizerId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'The organizer is already a co-organizer of this event' });
+    }
+
+    res.status(201).json({
+      message: 'Co-organizer added successfully',
+      co_organizer: { ...coOrganizer, added_at: result.rows[0].added_at }
+    });
+  } catch (err) {
+    console.error('Error adding co-organizer:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// REMOVE A CO-ORGANIZER
+// ==============================
+const removeCoOrganizer = async (req, res) => {
+  const { id, organizerId } = req.params;
+  try {
+    const result = await pool.query(
+      'DELETE FROM Event_Co_Organizer WHERE event_ID = $1 AND organizer_ID = $2 RETURNING organizer_ID',
+      [id, organizerId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'The organizer is not a co-organizer of this event' });
+    }
+
+    res.json({ message: 'Co-organizer removed successfully' });
+  } catch (err) {
+    console.error('Error removing co-organizer:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = { getEventOrganizers, addCoOrganizer, removeCoOrganizer };
@@ -2,34 +2,140 @@
 
 // Correct import
 const pool = require('../../../../db/db.js');
+const { findRecipients } = require('../utils/eventRecipients');
+const { enqueue } = require('../../../../mail/outbox');
+const { isValidDate, isValidCapacity, isValidCategories, validateEvent, validateVenue } = require('../utils/eventValidation');
+const { findBookings } = require('../utils/venueBookings');
+const { FORMATS, readEvents } = require('../utils/eventImport');
+const { EVENT_FILTERS, parseEventQuery } = require('../utils/eventQuery');
+const { expandSeries } = require('../utils/eventSeries');
+const { lockEvent, promoteWaitlist } = require('../utils/registrations');
+const { lookupTags, applyTags, unknownTagsMessage } = require('../../../../tags/taxonomy');
+
+const EVENT_COLUMNS = `event_id, event_name, start_time, end_time, location, building_id, room, description,
+          media_urls, event_categories, capacity, status, sequence, recurrence_rule, recurrence_exceptions`;
+
+// Columns of Event_Instance: one-off events and each occurrence of a series
+const INSTANCE_COLUMNS = `event_id, occurrence_id, occurrence_start, event_name, start_time, end_time, location,
+          building_id, room, description, media_urls, event_categories, capacity, status, sequence, recurrence_rule`;
+
+// The public profiles of an event's speakers as a JSON array, for the events
+// row aliased `alias`
+const speakersColumn = (alias) => `COALESCE((
+         SELECT json_agg(json_build_object('speaker_id', s.speaker_ID, 'speaker_name', s.speaker_name,
+                                           'affiliation', s.affiliation, 'photo_url', s.photo_url)
+                         ORDER BY es.added_at, s.speaker_name)
+         FROM Event_Speaker es JOIN Speaker s ON s.speaker_ID = es.speaker_ID
+         WHERE es.event_ID = ${alias}.event_id), '[]'::json) AS speakers`;
+
+const CONFLICT_MESSAGE = 'The venue is already booked at that time';
+
+// Double bookings are refused unless the caller passes ?allow_conflicts=true,
+// in which case the event is saved and the clashes are returned as a warning
+const allowsConflicts = (req) => req.query.allow_conflicts === 'true';
+
+// event_categories are tag names (see backend/tags/taxonomy.js). Looks up
+// the tags named by every given list in one query.
+const lookupCategories = (db, lists) => lookupTags(db, lists.filter(Array.isArray).flat());
+
+// { categories } with the canonical names of the tags a list resolves to
+// (null when no list was given), or { error } naming what is not a tag
+const resolveCategories = (found, list) => {
+  if (!list) return { categories: null };
+  const { tags, unknown } = applyTags(found, list);
+  if (unknown.length > 0) return { error: unknownTagsMessage(unknown) };
+  return { categories: tags.map((tag) => tag.tag_name) };
+};
+
+// 400 for a building_id that does not exist (FK violation), otherwise null
+const unknownBuilding = (err, res) =>
+  (err.code === '23503' && /building/i.test(err.constraint || err.detail || '')
+    ? res.status(400).json({ message: 'Unknown building' })
+    : null);
+
+// Sends the events (or one page of them) matching the query string (see utils/eventQuery.js),
+// with their speakers, and the number of matching events in X-Total-Count.
+// Recurring events are listed occurrence by occurrence unless ?expand=false.
+// scope narrows the events (aliased ev) further using the extra scopeParams,
+// numbered from $9.
+const sendEventPage = async (req, res, { scope = 'TRUE', scopeParams = [], columns = '' } = {}) => {
+  const { error, params, orderBy, limit, offset, expand } = parseEventQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const source = expand ? 'Event_Instance' : 'Events';
+  const filterParams = [...params, ...scopeParams];
+  const page = filterParams.length;
+  const result = await pool.query(
+    `SELECT ${expand ? INSTANCE_COLUMNS : EVENT_COLUMNS}${columns}, ${speakersColumn('ev')}, COUNT(*) OVER() AS total_count
+     FROM ${source} ev
+     WHERE ${EVENT_FILTERS} AND ${scope}
+     ORDER BY ${orderBy}
+     LIMIT $${page + 1} OFFSET $${page + 2}`,
+    [...filterParams, limit, offset]
+  );
+
+  // A page past the end has no row to read the count from
+  let total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+  if (result.rows.length === 0 && offset > 0) {
+    const counted = await pool.query(
+      `SELECT COUNT(*) AS total_count FROM ${source} ev WHERE ${EVENT_FILTERS} AND ${scope}`,
+      filterParams
+    );
+    total = Number(counted.rows[0].total_count);
+  }
+
+  res.set('X-Total-Count', String(total));
+  res.json(result.rows.map(({ total_count, ...event }) => event));
+};
 
 // ==============================
 // GET ALL EVENTS
+// Filtered, sorted and paged by the query string
 // ==============================
 const getEvents = async (req, res) => {
   try {
-    const result = await pool.query(`
-        SELECT event_id, event_name, start_time, end_time, location, description,
-          media_urls, event_categories
-      FROM Events
-      ORDER BY start_time
-    `);
-    res.json(result.rows);
+    await sendEventPage(req, res);
   } catch (err) {
     console.error('Error fetching events:', err);
     res.status(500).json({ message: 'Database error', error: err.message });
   }
 };
 
+// ==============================
+// GET MY EVENTS (organizers)
+// The events the signed-in organizer owns or co-organizes, with the same
+// query options as GET /events; is_owner tells the two apart
+// ==============================
+const getMyEvents = async (req, res) => {
+  try {
+    await sendEventPage(req, res, {
+      scope: `(organizer_ID = $9 OR EXISTS (
+               SELECT 1 FROM Event_Co_Organizer c WHERE c.event_ID = ev.event_ID AND c.organizer_ID = $9))`,
+      scopeParams: [req.user.id],
+      columns: ', COALESCE(organizer_ID = $9, FALSE) AS is_owner'
+    });
+  } catch (err) {
+    console.error('Error fetching organizer events:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
 // ==============================
 // GET EVENT BY ID
+// (with its speakers, and how many visitors are registered and waiting)
 // ==============================
 const getEventById = async (req, res) => {
   const { id } = req.params;
   try {
     const result = await pool.query(
-      `SELECT event_id, event_name, start_time, end_time, location, description,
-              media_urls, event_categories
+      `SELECT ${EVENT_COLUMNS},
+              (SELECT COUNT(*)::int FROM Event_Registration r
+               WHERE r.event_ID = Events.event_ID AND r.status = 'confirmed') AS registered,
+              (SELECT COUNT(*)::int FROM Event_Registration r
+               WHERE r.event_ID = Events.event_ID AND r.status = 'waitlisted') AS waitlisted,
+              ${speakersColumn('Events')}
        FROM Events WHERE event_id = $1`,
       [id]
     );
@@ -45,67 +151,353 @@ const getEventById = async (req, res) => {
   }
 };
 
+// Inserts an event, and the occurrences of a series (expandSeries result),
+// in one statement. Without a location the building's name is shown.
+// Event_Tag gets the tags of its (already resolved) event_categories.
+const insertEvent = async (db, event, organizerId, series = null) => {
+  const result = await db.query(
+    `WITH created AS (
+       INSERT INTO Events (event_name, start_time, end_time, location, description, media_urls, event_categories,
+                           organizer_ID, building_ID, room, recurrence_rule, recurrence_exceptions, capacity)
+       VALUES ($1, $2, $3, COALESCE($4, (SELECT building_name FROM Building WHERE building_ID = $9)), $5, $6, $7,
+               $8, $9, $10, $11, $12, $15)
+       RETURNING ${EVENT_COLUMNS}
+     ), occurrences AS (
+       INSERT INTO Event_Occurrence (event_ID, original_start, start_time, end_time)
+       SELECT created.event_id, t.starts, t.starts, t.ends
+       FROM created, unnest($13::timestamp[], $14::timestamp[]) AS t(starts, ends)
+     ), tagged AS (
+       INSERT INTO Event_Tag (event_ID, tag_ID)
+       SELECT created.event_id, t.tag_ID
+       FROM created JOIN Tag t ON t.tag_name = ANY(created.event_categories)
+     )
+     SELECT * FROM created`,
+    [event.event_name, event.start_time, event.end_time, event.location || null, event.description || null,
+      event.media_urls || null, event.event_categories || null, organizerId, event.building_id || null, event.room || null,
+      series ? series.rule : null, series ? series.exceptions : null, series ? series.starts : [], series ? series.ends : [],
+      event.capacity || null]
+  );
+  return result.rows[0];
+};
+
 // ==============================
 // CREATE A NEW EVENT
+// A recurrence_rule (and recurrence_exceptions) makes it a series; each of its
+// event_categories must name a tag
 // ==============================
 const createEvent = async (req, res) => {
-  const { event_name, start_time, end_time, location, description, media_urls, event_categories } = req.body;
+  const { start_time, end_time, building_id, room, recurrence_rule } = req.body;
 
-  if (!event_name || !start_time || !end_time) {
-    return res.status(400).json({ message: 'event_name, start_time, and end_time are required' });
+  const validationError = validateEvent(req.body) || validateVenue(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
   }
 
-  if (end_time <= start_time) {
-    return res.status(400).json({ message: 'End time must be later than start time' });
+  let series = null;
+  if (recurrence_rule) {
+    try {
+      series = expandSeries(req.body);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
   }
 
+  // An organizer creating an event becomes its organizer (and gets its reminders)
+  const organizerId = req.user && req.user.role === 'organizer' ? req.user.id : null;
+
   try {
-    const result = await pool.query(
-      `INSERT INTO Events (event_name, start_time, end_time, location, description, media_urls, event_categories)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING event_id, event_name, start_time, end_time, location, description, media_urls, event_categories`,
-      [event_name, start_time, end_time, location || null, description || null, media_urls || null, event_categories || null]
-    );
+    const found = await lookupCategories(pool, [req.body.event_categories]);
+    const { categories, error } = resolveCategories(found, req.body.event_categories);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const times = series ? { starts: series.starts, ends: series.ends } : { start_time, end_time };
+    const conflicts = building_id ? await findBookings(pool, { building_id, room, ...times }) : [];
+    if (conflicts.length > 0 && !allowsConflicts(req)) {
+      return res.status(409).json({ message: CONFLICT_MESSAGE, conflicts });
+    }
 
-    res.status(201).json({ message: 'Event created successfully', event: result.rows[0] });
+    const event = await insertEvent(pool, { ...req.body, event_categories: categories }, organizerId, series);
+
+    res.status(201).json({
+      message: 'Event created successfully',
+      event,
+      ...(conflicts.length > 0 && { warning: CONFLICT_MESSAGE, conflicts })
+    });
   } catch (err) {
+    if (unknownBuilding(err, res)) return;
     console.error('Error creating event:', err);
     res.status(500).json({ message: 'Database error', error: err.message });
   }
 };
 
+// ?format= wins, otherwise the Content-Type decides
+const detectFormat = (req) => {
+  if (req.query.format) return String(req.query.format).toLowerCase();
+  if (req.is('text/calendar')) return 'ics';
+  if (req.is('text/csv')) return 'csv';
+  return null;
+};
+
+// ==============================
+// IMPORT EVENTS FROM A FILE
+// POST /events/import?format=csv|ics&dry_run=true, the CSV or .ics file as the body.
+// Rows are checked like createEvent; a dry run only reports, otherwise every
+// valid row is inserted in one transaction
+// ==============================
+const importEvents = async (req, res) => {
+  const format = detectFormat(req);
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `Send the file as text/csv or text/calendar, or set ?format= to one of: ${FORMATS.join(', ')}`
+    });
+  }
+
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ message: 'The request body must contain the file' });
+  }
+
+  let entries;
+  try {
+    entries = readEvents(format, req.body);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  let found;
+  try {
+    found = await lookupCategories(pool, entries.map((entry) => entry.fields && entry.fields.event_categories));
+  } catch (err) {
+    console.error('Error importing events:', err);
+    return res.status(500).json({ message: 'Database error', error: err.message });
+  }
+
+  const errors = [];
+  const valid = [];
+  for (const entry of entries) {
+    let message = entry.error || validateEvent(entry.fields);
+    if (!message) {
+      const { categories, error } = resolveCategories(found, entry.fields.event_categories);
+      message = error;
+      entry.fields.event_categories = categories;
+    }
+    if (!message && entry.fields.recurrence_rule) {
+      try {
+        entry.series = expandSeries(entry.fields);
+      } catch (err) {
+        message = err.message;
+      }
+    }
+    if (message) {
+      errors.push({ row: entry.row, ...(entry.uid && { uid: entry.uid }), message });
+    } else {
+      valid.push(entry);
+    }
+  }
+
+  const summary = {
+    dry_run: req.query.dry_run === 'true',
+    total: entries.length,
+    valid: valid.length,
+    invalid: errors.length,
+    errors
+  };
+
+  if (summary.dry_run) {
+    return res.json({ message: 'Dry run: nothing was imported', ...summary });
+  }
+
+  if (valid.length === 0) {
+    return res.status(400).json({ message: 'No valid events to import', ...summary, imported: 0 });
+  }
+
+  // Imported events belong to the organizer importing them, as in createEvent
+  const organizerId = req.user && req.user.role === 'organizer' ? req.user.id : null;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const events = [];
+    for (const { fields, series } of valid) {
+      events.push(await insertEvent(client, fields, organizerId, series));
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: `${events.length} event(s) imported`, ...summary, imported: events.length, events });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error importing events:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+// Promotes waitlisted registrations into the places an update freed
+const fillFreedPlaces = async (eventId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await promoteWaitlist(client, await lockEvent(client, eventId));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 // ==============================
-// UPDATE AN EVENT
+// UPDATE AN EVENT (a series as a whole)
+// (reminders follow a changed start_time on their own, see utils/reminderScheduler.js)
+// A new time or rule re-expands a series: occurrences edited on their own keep
+// their times, and occurrences no longer part of the series are removed.
+// New event_categories replace the event's tags
 // ==============================
 const updateEvent = async (req, res) => {
   const { id } = req.params;
-  const { event_name, start_time, end_time, location, description, media_urls, event_categories } = req.body;
+  const {
+    event_name, start_time, end_time, location, building_id, room, description, media_urls, event_categories,
+    recurrence_rule, recurrence_exceptions, capacity
+  } = req.body;
 
-  if (start_time && end_time && end_time <= start_time) {
+  if ((start_time && !isValidDate(start_time)) || (end_time && !isValidDate(end_time))) {
+    return res.status(400).json({ message: 'start_time and end_time must be valid dates' });
+  }
+
+  if (!isValidCapacity(capacity)) {
+    return res.status(400).json({ message: 'capacity must be a positive whole number' });
+  }
+
+  if (start_time && end_time && new Date(end_time) <= new Date(start_time)) {
     return res.status(400).json({ message: 'End time must be later than start time' });
   }
 
+  if (!isValidCategories(event_categories)) {
+    return res.status(400).json({ message: 'event_categories must be a list of tag names' });
+  }
+
   try {
+    const found = await lookupCategories(pool, [event_categories]);
+    const { categories, error } = resolveCategories(found, event_categories);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // A new time or venue is checked against the event as it will be after the update
+    let conflicts = [];
+    let series = null;
+    if (start_time || end_time || building_id || room || recurrence_rule || recurrence_exceptions) {
+      const current = await pool.query(
+        'SELECT start_time, end_time, building_ID, room, recurrence_rule, recurrence_exceptions FROM Events WHERE event_id = $1',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+
+      const existing = current.rows[0];
+      const venueError = validateVenue({ building_id, room }, { hasBuilding: existing.building_id !== null });
+      if (venueError) {
+        return res.status(400).json({ message: venueError });
+      }
+
+      const merged = {
+        start_time: start_time || existing.start_time,
+        end_time: end_time || existing.end_time,
+        building_id: building_id || existing.building_id,
+        room: room || (building_id ? null : existing.room),
+        recurrence_rule: recurrence_rule || existing.recurrence_rule,
+        recurrence_exceptions: recurrence_exceptions || existing.recurrence_exceptions,
+        excludeId: id
+      };
+      if (new Date(merged.end_time) <= new Date(merged.start_time)) {
+        return res.status(400).json({ message: 'End time must be later than start time' });
+      }
+
+      if (merged.recurrence_rule) {
+        try {
+          series = expandSeries(merged);
+        } catch (err) {
+          return res.status(400).json({ message: err.message });
+        }
+        merged.starts = series.starts;
+        merged.ends = series.ends;
+      }
+
+      conflicts = merged.building_id ? await findBookings(pool, merged) : [];
+      if (conflicts.length > 0 && !allowsConflicts(req)) {
+        return res.status(409).json({ message: CONFLICT_MESSAGE, conflicts });
+      }
+    }
+
+    // Moving to another building without naming a room books the whole building
     const result = await pool.query(
-      `UPDATE Events
-       SET event_name   = COALESCE($1, event_name),
-           start_time   = COALESCE($2, start_time),
-           end_time     = COALESCE($3, end_time),
-           location     = COALESCE($4, location),
-           description  = COALESCE($5, description),
-           media_urls   = COALESCE($6, media_urls),
-           event_categories = COALESCE($7, event_categories)
-       WHERE event_id = $8
-       RETURNING event_id, event_name, start_time, end_time, location, description, media_urls, event_categories`,
-      [event_name || null, start_time || null, end_time || null, location || null, description || null, media_urls || null, event_categories || null, id]
+      `WITH updated AS (
+         UPDATE Events
+         SET event_name   = COALESCE($1, event_name),
+             start_time   = COALESCE($2, start_time),
+             end_time     = COALESCE($3, end_time),
+             location     = COALESCE($4, location),
+             description  = COALESCE($5, description),
+             media_urls   = COALESCE($6, media_urls),
+             event_categories = COALESCE($7, event_categories),
+             building_ID  = COALESCE($9, building_ID),
+             room         = CASE WHEN $9::int IS NULL THEN COALESCE($10, room) ELSE $10 END,
+             recurrence_rule = COALESCE($11, recurrence_rule),
+             recurrence_exceptions = COALESCE($12, recurrence_exceptions),
+             capacity     = COALESCE($15, capacity),
+             sequence     = sequence + 1 -- calendar apps replace their copy
+         WHERE event_id = $8
+         RETURNING ${EVENT_COLUMNS}
+       ), expanded AS (
+         INSERT INTO Event_Occurrence (event_ID, original_start, start_time, end_time)
+         SELECT updated.event_id, t.starts, t.starts, t.ends
+         FROM updated, unnest($13::timestamp[], $14::timestamp[]) AS t(starts, ends)
+         ON CONFLICT (event_ID, original_start) DO UPDATE
+           SET start_time = EXCLUDED.start_time, end_time = EXCLUDED.end_time
+           WHERE NOT Event_Occurrence.modified
+       ), removed AS (
+         DELETE FROM Event_Occurrence o USING updated
+         WHERE $13::timestamp[] IS NOT NULL AND o.event_ID = updated.event_id
+           AND NOT (o.original_start = ANY($13::timestamp[]))
+       ), untagged AS (
+         DELETE FROM Event_Tag et USING updated
+         WHERE $7::text[] IS NOT NULL AND et.event_ID = updated.event_id
+           AND NOT EXISTS (SELECT 1 FROM Tag t WHERE t.tag_ID = et.tag_ID AND t.tag_name = ANY(updated.event_categories))
+       ), tagged AS (
+         INSERT INTO Event_Tag (event_ID, tag_ID)
+         SELECT updated.event_id, t.tag_ID
+         FROM updated JOIN Tag t ON t.tag_name = ANY(updated.event_categories)
+         WHERE $7::text[] IS NOT NULL
+         ON CONFLICT DO NOTHING
+       )
+       SELECT * FROM updated`,
+      [event_name || null, start_time || null, end_time || null, location || null, description || null, media_urls || null,
+        categories, id, building_id || null, room || null,
+        series ? series.rule : null, series ? series.exceptions : null, series ? series.starts : null, series ? series.ends : null,
+        capacity || null]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    res.json({ message: 'Event updated successfully', event: result.rows[0] });
+    // New places go to the waitlist; a lower capacity keeps everyone already confirmed
+    if (capacity) {
+      await fillFreedPlaces(id);
+    }
+
+    res.json({
+      message: 'Event updated successfully',
+      event: result.rows[0],
+      ...(conflicts.length > 0 && { warning: CONFLICT_MESSAGE, conflicts })
+    });
   } catch (err) {
+    if (unknownBuilding(err, res)) return;
     console.error('Error updating event:', err);
     res.status(500).json({ message: 'Database error', error: err.message });
   }
@@ -135,10 +527,58 @@ const deleteEvent = async (req, res) => {
   }
 };
 
+// ==============================
+// CANCEL AN EVENT
+// Kept (unlike DELETE) so calendar feeds can tell subscribers it is off;
+// everyone who would be reminded gets a cancellation email with the .ics
+// ==============================
+const cancelEvent = async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE Events SET status = 'cancelled', sequence = sequence + 1
+       WHERE event_id = $1 AND status <> 'cancelled'
+       RETURNING ${EVENT_COLUMNS}`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await client.query('SELECT status FROM Events WHERE event_id = $1', [id]);
+      await client.query('ROLLBACK');
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+      return res.status(400).json({ message: 'Event is already cancelled' });
+    }
+
+    const event = result.rows[0];
+    const recipients = await findRecipients(client, [event.event_id]);
+    for (const person of recipients.get(event.event_id)) {
+      await enqueue(client, 'event-cancelled', person.email, { event, name: person.name });
+    }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Event cancelled successfully', event });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling event:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   getEvents,
+  getMyEvents,
   getEventById,
   createEvent,
+  importEvents,
   updateEvent,
-  deleteEvent
+  deleteEvent,
+  cancelEvent
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+// controllers/eventSpeakerController.js
+// The speakers of an event. Adding a speaker who is due elsewhere at the same
+// time is allowed, but flagged (see utils/speakerSchedule.js).
+
+const pool = require('../../../../db/db.js');
+const { findSpeakerConflicts } = require('../utils/speakerSchedule');
+
+const DOUBLE_BOOKED = 'The speaker is double-booked';
+
+// ==============================
+// LIST AN EVENT'S SPEAKERS (each with their clashes)
+// ==============================
+const getEventSpeakers = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const event = await pool.query('SELECT event_ID FROM Events WHERE event_ID = $1', [id]);
+    if (event.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT s.speaker_ID, s.speaker_name, s.affiliation, s.bio, s.photo_url, es.added_at
+       FROM Event_Speaker es JOIN Speaker s ON s.speaker_ID = es.speaker_ID
+       WHERE es.event_ID = $1
+       ORDER BY es.added_at, s.speaker_name`,
+      [id]
+    );
+
+    const speakerIds = result.rows.map((speaker) => speaker.speaker_id);
+    const conflicts = speakerIds.length > 0 ? await findSpeakerConflicts(pool, id, speakerIds) : [];
+
+    res.json(result.rows.map((speaker) => ({
+      ...speaker,
+      conflicts: conflicts
+        .filter((conflict) => conflict.speaker_id === speaker.speaker_id)
+        .map(({ speaker_id, speaker_name, ...clash }) => clash)
+    })));
+  } catch (err) {
+    console.error('Error fetching event speakers:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// ADD A SPEAKER { speaker_id }
+// ==============================
+const addEventSpeaker = async (req, res) => {
+  const { id } = req.params;
+  const { speaker_id: speakerId } = req.body;
+
+  if (!speakerId || !/^\d+$/.test(String(speakerId))) {
+    return res.status(400).json({ message: 'speaker_id must be a numeric id' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO Event_Speaker (event_ID, speaker_ID)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING
+       RETURNING event_ID, speaker_ID, added_at`,
+      [id, speakerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'The speaker is already on this event' });
+    }
+
+    const conflicts = await findSpeakerConflicts(pool, id, [Number(speakerId)]);
+    res.status(201).json({
+      message: 'Speaker added to the event',
+      speaker: result.rows[0],
+      ...(conflicts.length > 0 && { warning: DOUBLE_BOOKED, conflicts })
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+    console.error('Error adding event speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// REMOVE A SPEAKER
+// ==============================
+const removeEventSpeaker = async (req, res) => {
+  const { id, speakerId } = req.params;
+  try {
+    const result = await pool.query(
+      'DELETE FROM Event_Speaker WHERE event_ID = $1 AND speaker_ID = $2 RETURNING speaker_ID',
+      [id, speakerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'The speaker is not on this event' });
+    }
+
+    res.json({ message: 'Speaker removed from the event' });
+  } catch (err) {
+    console.error('Error removing event speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = { getEventSpeakers, addEventSpeaker, removeEventSpeaker };
@@ -0,0 +1,150 @@
+// controllers/occurrenceController.js
+// Single occurrences of a recurring event. Changes made here apply to one
+// occurrence only; PUT /events/:id and PUT /events/:id/cancel change the series.
+
+const pool = require('../../../../db/db.js');
+const { findRecipients } = require('../utils/eventRecipients');
+const { enqueue } = require('../../../../mail/outbox');
+const { isValidDate } = require('../utils/eventValidation');
+const { findBookings } = require('../utils/venueBookings');
+
+const INSTANCE_COLUMNS = `event_id, occurrence_id, occurrence_start, event_name, start_time, end_time, location,
+          building_id, room, description, media_urls, event_categories, capacity, status, sequence, recurrence_rule`;
+
+const OCCURRENCE_COLUMNS = 'occurrence_id, event_id, original_start, start_time, end_time, status, sequence, modified';
+
+// ==============================
+// LIST OCCURRENCES
+// (a one-off event lists itself)
+// ==============================
+const getOccurrences = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `SELECT ${INSTANCE_COLUMNS} FROM Event_Instance WHERE event_id = $1 ORDER BY start_time`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching occurrences:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// MOVE ONE OCCURRENCE { start_time, end_time }
+// Its venue is the series' venue, so double bookings are checked as for events
+// ==============================
+const updateOccurrence = async (req, res) => {
+  const { id, occurrenceId } = req.params;
+  const { start_time, end_time } = req.body;
+
+  if (!start_time && !end_time) {
+    return res.status(400).json({ message: 'start_time or end_time is required' });
+  }
+  if ((start_time && !isValidDate(start_time)) || (end_time && !isValidDate(end_time))) {
+    return res.status(400).json({ message: 'start_time and end_time must be valid dates' });
+  }
+
+  try {
+    const current = await pool.query(
+      `SELECT o.start_time, o.end_time, e.building_ID, e.room
+       FROM Event_Occurrence o JOIN Events e ON e.event_ID = o.event_ID
+       WHERE o.occurrence_ID = $1 AND o.event_ID = $2`,
+      [occurrenceId, id]
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ message: 'Occurrence not found' });
+    }
+
+    const existing = current.rows[0];
+    const times = { start_time: start_time || existing.start_time, end_time: end_time || existing.end_time };
+    if (new Date(times.end_time) <= new Date(times.start_time)) {
+      return res.status(400).json({ message: 'End time must be later than start time' });
+    }
+
+    const conflicts = existing.building_id
+      ? await findBookings(pool, { building_id: existing.building_id, room: existing.room, ...times, excludeId: id })
+      : [];
+    if (conflicts.length > 0 && req.query.allow_conflicts !== 'true') {
+      return res.status(409).json({ message: 'The venue is already booked at that time', conflicts });
+    }
+
+    const result = await pool.query(
+      `UPDATE Event_Occurrence
+       SET start_time = $1, end_time = $2, modified = TRUE, sequence = sequence + 1
+       WHERE occurrence_ID = $3 AND event_ID = $4
+       RETURNING ${OCCURRENCE_COLUMNS}`,
+      [times.start_time, times.end_time, occurrenceId, id]
+    );
+
+    res.json({
+      message: 'Occurrence updated successfully',
+      occurrence: result.rows[0],
+      ...(conflicts.length > 0 && { warning: 'The venue is already booked at that time', conflicts })
+    });
+  } catch (err) {
+    console.error('Error updating occurrence:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// CANCEL ONE OCCURRENCE
+// The rest of the series goes ahead; the organizers are emailed as for a
+// cancelled event, with an .ics withdrawing just this occurrence
+// ==============================
+const cancelOccurrence = async (req, res) => {
+  const { id, occurrenceId } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE Event_Occurrence SET status = 'cancelled', modified = TRUE, sequence = sequence + 1
+       WHERE occurrence_ID = $1 AND event_ID = $2 AND status <> 'cancelled'
+       RETURNING occurrence_ID`,
+      [occurrenceId, id]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await client.query(
+        'SELECT status FROM Event_Occurrence WHERE occurrence_ID = $1 AND event_ID = $2',
+        [occurrenceId, id]
+      );
+      await client.query('ROLLBACK');
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: 'Occurrence not found' });
+      }
+      return res.status(400).json({ message: 'Occurrence is already cancelled' });
+    }
+
+    const instance = await client.query(
+      `SELECT ${INSTANCE_COLUMNS} FROM Event_Instance WHERE occurrence_id = $1`,
+      [occurrenceId]
+    );
+    const event = instance.rows[0];
+
+    const recipients = await findRecipients(client, [event.event_id]);
+    for (const person of recipients.get(event.event_id)) {
+      await enqueue(client, 'event-cancelled', person.email, { event, name: person.name });
+    }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Occurrence cancelled successfully', occurrence: event });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling occurrence:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { getOccurrences, updateOccurrence, cancelOccurrence };
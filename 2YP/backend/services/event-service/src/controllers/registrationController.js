@@ -0,0 +1,216 @@
+// controllers/registrationController.js
+// Visitors signing up for events, and the attendee list for its organizers.
+// Capacity and the waitlist are handled in utils/registrations.js.
+
+const pool = require('../../../../db/db.js');
+const { enqueue } = require('../../../../mail/outbox');
+const {
+  REGISTRATION_COLUMNS, hashToken, cancelToken, lockEvent, freePlaces, cancelRegistration
+} = require('../utils/registrations');
+const { ticketFor } = require('../utils/tickets');
+
+const STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// Confirmed first, then the waitlist in the order it will be served
+const LIST_QUERY = `
+  SELECT ${REGISTRATION_COLUMNS},
+         CASE WHEN status = 'waitlisted'
+              THEN ROW_NUMBER() OVER (PARTITION BY status ORDER BY created_at, registration_ID)::int END AS position
+  FROM Event_Registration
+  WHERE event_ID = $1 AND ($2::text IS NULL OR status = $2)
+  ORDER BY array_position(ARRAY['confirmed', 'waitlisted', 'cancelled'], status::text), created_at, registration_ID`;
+
+// Why a locked event (lockEvent) takes no registrations: { status, message } or null
+const registrationClosed = (event) => {
+  if (!event) return { status: 404, message: 'Event not found' };
+  if (event.status === 'cancelled') return { status: 400, message: 'This event has been cancelled' };
+  if (!event.upcoming) return { status: 400, message: 'Registration has closed: the event has already started' };
+  return null;
+};
+
+// ==============================
+// REGISTER FOR AN EVENT { name, email }
+// Confirmed while there is room (with a ticket), waitlisted once the event is full
+// ==============================
+const register = async (req, res) => {
+  const { id } = req.params;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+
+  if (!name || !email) {
+    return res.status(400).json({ message: 'name and email are required' });
+  }
+  if (!isEmail(email)) {
+    return res.status(400).json({ message: 'email must be a valid email address' });
+  }
+  if (!/^\d+$/.test(id)) {
+    return res.status(404).json({ message: 'Event not found' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const event = await lockEvent(client, id);
+    const closed = registrationClosed(event);
+    if (closed) {
+      await client.query('ROLLBACK');
+      return res.status(closed.status).json({ message: closed.message });
+    }
+
+    const status = freePlaces(event) > 0 ? 'confirmed' : 'waitlisted';
+    const { hash, link } = cancelToken();
+    const result = await client.query(
+      `INSERT INTO Event_Registration (event_ID, attendee_name, email, status, cancel_token_hash, confirmed_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+       RETURNING ${REGISTRATION_COLUMNS}`,
+      [event.event_id, name, email, status, hash, status === 'confirmed']
+    );
+    const registration = result.rows[0];
+    const position = status === 'waitlisted' ? event.waitlisted + 1 : null;
+    const ticket = status === 'confirmed' ? await ticketFor(registration) : null;
+
+    await enqueue(client, `registration-${status}`, email, { event, name, cancelLink: link, position, ticket });
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: status === 'confirmed'
+        ? 'You are registered for the event'
+        : 'The event is full: you have been added to the waitlist',
+      registration: { ...registration, position, ticket_code: ticket ? ticket.code : null }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'This email is already registered for the event' });
+    }
+    console.error('Error registering for event:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+// Runs cancelRegistration for the registration of event eventId in a
+// transaction and sends the response
+const cancelAndRespond = async (res, eventId, registrationId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const event = await lockEvent(client, eventId);
+    const cancelled = event ? await cancelRegistration(client, event, registrationId) : null;
+    if (!cancelled) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Registration not found or already cancelled' });
+    }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Registration cancelled', ...cancelled });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling registration:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+// ==============================
+// CANCEL WITH THE EMAILED LINK { token }
+// ==============================
+const cancelWithToken = async (req, res) => {
+  const { token } = req.body;
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: 'token is required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT registration_ID, event_ID FROM Event_Registration WHERE cancel_token_hash = $1',
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Registration not found or already cancelled' });
+    }
+
+    const { registration_id: registrationId, event_id: eventId } = result.rows[0];
+    await cancelAndRespond(res, eventId, registrationId);
+  } catch (err) {
+    console.error('Error cancelling registration:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// REMOVE AN ATTENDEE (the event's organizers)
+// ==============================
+const removeRegistration = async (req, res) => {
+  if (!/^\d+$/.test(req.params.registrationId)) {
+    return res.status(404).json({ message: 'Registration not found or already cancelled' });
+  }
+  await cancelAndRespond(res, req.params.id, req.params.registrationId);
+};
+
+// Reads ?status= and loads the list, or sends a 400 and returns null
+const loadRegistrations = async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !STATUSES.includes(status)) {
+    res.status(400).json({ message: `status must be one of: ${STATUSES.join(', ')}` });
+    return null;
+  }
+  const result = await pool.query(LIST_QUERY, [req.params.id, status || null]);
+  return result.rows;
+};
+
+// ==============================
+// ATTENDEE LIST (?status=)
+// ==============================
+const getRegistrations = async (req, res) => {
+  try {
+    const rows = await loadRegistrations(req, res);
+    if (rows) res.json(rows);
+  } catch (err) {
+    console.error('Error fetching registrations:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// A CSV field, quoted when needed. Values that a spreadsheet would run as a
+// formula (=, +, -, @) are prefixed with a quote, since visitors choose their names.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_HEADER = ['registration_id', 'attendee_name', 'email', 'status', 'position', 'created_at', 'confirmed_at', 'cancelled_at'];
+
+// ==============================
+// ATTENDEE LIST AS CSV (?status=)
+// ==============================
+const exportRegistrations = async (req, res) => {
+  try {
+    const rows = await loadRegistrations(req, res);
+    if (!rows) return;
+
+    const lines = [CSV_HEADER.join(','), ...rows.map((row) => CSV_HEADER.map((column) => csvField(row[column])).join(','))];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${req.params.id}-attendees.csv"`);
+    res.send(`${lines.join('\r\n')}\r\n`);
+  } catch (err) {
+    console.error('Error exporting registrations:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = {
+  register,
+  cancelWithToken,
+  removeRegistration,
+  getRegistrations,
+  exportRegistrations,
+  csvField
+};
@@ -0,0 +1,231 @@
+// controllers/speakerController.js
+// Speakers and their schedules. Their email address is only shown to
+// organizers and admins; visitors see the public profile.
+
+const pool = require('../../../../db/db.js');
+const { enqueue } = require('../../../../mail/outbox');
+const { speakerSchedule } = require('../utils/speakerSchedule');
+const { likePattern } = require('../utils/eventQuery');
+
+const PUBLIC_COLUMNS = 'speaker_id, speaker_name, affiliation, bio, photo_url';
+
+const isStaff = (req) => Boolean(req.user) && ['organizer', 'admin'].includes(req.user.role);
+const speakerColumns = (req) => (isStaff(req) ? `${PUBLIC_COLUMNS}, email` : PUBLIC_COLUMNS);
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+const isPhotoUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+// Returns an error message for the given speaker fields, or null
+function validateSpeaker({ speaker_name, email, photo_url }, { requireName = true } = {}) {
+  if (requireName && !speaker_name) {
+    return 'speaker_name is required';
+  }
+  if (email && !isEmail(email)) {
+    return 'email must be a valid email address';
+  }
+  if (photo_url && !isPhotoUrl(photo_url)) {
+    return 'photo_url must be an http(s) URL';
+  }
+  return null;
+}
+
+const duplicateEmail = (err, res) =>
+  (err.code === '23505' ? res.status(409).json({ message: 'A speaker with this email already exists' }) : null);
+
+// ==============================
+// GET ALL SPEAKERS (?q= searches names and affiliations)
+// ==============================
+const getSpeakers = async (req, res) => {
+  const { q } = req.query;
+  try {
+    const result = await pool.query(
+      `SELECT ${speakerColumns(req)}
+       FROM Speaker
+       WHERE $1::text IS NULL OR speaker_name ILIKE $1 OR affiliation ILIKE $1
+       ORDER BY speaker_name`,
+      [q ? likePattern(String(q).trim()) : null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching speakers:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// GET SPEAKER BY ID (with the events they speak at)
+// ==============================
+const getSpeakerById = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(`SELECT ${speakerColumns(req)} FROM Speaker WHERE speaker_ID = $1`, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+
+    const events = await pool.query(
+      `SELECT e.event_ID, e.event_name, e.start_time, e.end_time, e.location, e.status, e.recurrence_rule
+       FROM Event_Speaker es JOIN Events e ON e.event_ID = es.event_ID
+       WHERE es.speaker_ID = $1
+       ORDER BY e.start_time`,
+      [id]
+    );
+
+    res.json({ ...result.rows[0], events: events.rows });
+  } catch (err) {
+    console.error('Error fetching speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// CREATE A SPEAKER
+// ==============================
+const createSpeaker = async (req, res) => {
+  const { speaker_name, email, affiliation, bio, photo_url } = req.body;
+
+  const validationError = validateSpeaker(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO Speaker (speaker_name, email, affiliation, bio, photo_url)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PUBLIC_COLUMNS}, email`,
+      [speaker_name, email || null, affiliation || null, bio || null, photo_url || null]
+    );
+
+    res.status(201).json({ message: 'Speaker created successfully', speaker: result.rows[0] });
+  } catch (err) {
+    if (duplicateEmail(err, res)) return;
+    console.error('Error creating speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// UPDATE A SPEAKER
+// ==============================
+const updateSpeaker = async (req, res) => {
+  const { id } = req.params;
+  const { speaker_name, email, affiliation, bio, photo_url } = req.body;
+
+  const validationError = validateSpeaker(req.body, { requireName: false });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE Speaker
+       SET speaker_name = COALESCE($1, speaker_name),
+           email        = COALESCE($2, email),
+           affiliation  = COALESCE($3, affiliation),
+           bio          = COALESCE($4, bio),
+           photo_url    = COALESCE($5, photo_url)
+       WHERE speaker_ID = $6
+       RETURNING ${PUBLIC_COLUMNS}, email`,
+      [speaker_name || null, email || null, affiliation || null, bio || null, photo_url || null, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+
+    res.json({ message: 'Speaker updated successfully', speaker: result.rows[0] });
+  } catch (err) {
+    if (duplicateEmail(err, res)) return;
+    console.error('Error updating speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// DELETE A SPEAKER (and take them off every event)
+// ==============================
+const deleteSpeaker = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `DELETE FROM Speaker WHERE speaker_ID = $1 RETURNING ${PUBLIC_COLUMNS}`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+
+    res.json({ message: 'Speaker deleted successfully', speaker: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting speaker:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// Loads a speaker for the schedule routes, or sends a 404 and returns null
+const findSpeaker = async (id, res) => {
+  const result = await pool.query(`SELECT ${PUBLIC_COLUMNS}, email FROM Speaker WHERE speaker_ID = $1`, [id]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ message: 'Speaker not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+// ==============================
+// UPCOMING SCHEDULE (double bookings flagged)
+// ==============================
+const getSpeakerSchedule = async (req, res) => {
+  try {
+    const speaker = await findSpeaker(req.params.id, res);
+    if (!speaker) return;
+
+    const schedule = await speakerSchedule(pool, speaker.speaker_id);
+    res.json({
+      speaker_id: speaker.speaker_id,
+      speaker_name: speaker.speaker_name,
+      double_booked: schedule.some((event) => event.double_booked),
+      schedule
+    });
+  } catch (err) {
+    console.error('Error fetching speaker schedule:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// EMAIL THE SPEAKER THEIR SCHEDULE
+// ==============================
+const emailSpeakerSchedule = async (req, res) => {
+  try {
+    const speaker = await findSpeaker(req.params.id, res);
+    if (!speaker) return;
+
+    if (!speaker.email) {
+      return res.status(400).json({ message: 'This speaker has no email address' });
+    }
+
+    const events = await speakerSchedule(pool, speaker.speaker_id);
+    if (events.length === 0) {
+      return res.status(400).json({ message: 'This speaker has no upcoming events' });
+    }
+
+    await enqueue(pool, 'speaker-schedule', speaker.email, { speaker: { speaker_name: speaker.speaker_name }, events });
+    res.json({ message: 'Schedule emailed to the speaker', events: events.length });
+  } catch (err) {
+    console.error('Error emailing speaker schedule:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = {
+  getSpeakers,
+  getSpeakerById,
+  createSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+  getSpeakerSchedule,
+  emailSpeakerSchedule
+};
@@ -0,0 +1,357 @@
+// controllers/tagController.js
+// The managed tag list (see backend/tags/taxonomy.js): tags with their
+// synonyms, and everything tagged with one of them. Events are tagged through
+// their event_categories (mirrored in Event_Tag), which only ever hold
+// canonical tag names, so a renamed tag is renamed there as well; exhibits
+// through Exhibit_Tag.
+
+const pool = require('../../../../db/db.js');
+const { normaliseTag, tagKey, validateTagName, lookupTags } = require('../../../../tags/taxonomy');
+const { likePattern } = require('../utils/eventQuery');
+
+const TAG_COLUMNS = `t.tag_ID, t.tag_name, t.description, t.created_at,
+          COALESCE((SELECT json_agg(s.synonym ORDER BY LOWER(s.synonym))
+                    FROM Tag_Synonym s WHERE s.tag_ID = t.tag_ID), '[]'::json) AS synonyms,
+          (SELECT COUNT(*)::int FROM Event_Tag et WHERE et.tag_ID = t.tag_ID) AS event_count,
+          (SELECT COUNT(*)::int FROM Exhibit_Tag xt WHERE xt.tag_ID = t.tag_ID) AS exhibit_count`;
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+// 409 message when a name already stands for a tag (other than tagId), otherwise null
+const nameTaken = async (db, name, tagId = null) => {
+  const tag = (await lookupTags(db, [name])).get(tagKey(name));
+  if (!tag || String(tag.tag_id) === String(tagId)) return null;
+  return tag.tag_name.toLowerCase() === tagKey(name)
+    ? `Tag '${tag.tag_name}' already exists`
+    : `'${normaliseTag(name)}' is already a synonym of '${tag.tag_name}'`;
+};
+
+const findTag = async (db, id) => {
+  const result = await db.query(`SELECT ${TAG_COLUMNS} FROM Tag t WHERE t.tag_ID = $1`, [id]);
+  return result.rows[0];
+};
+
+// ==============================
+// GET ALL TAGS (?q= searches names and synonyms)
+// With their synonyms and how many events and exhibits use them
+// ==============================
+const getTags = async (req, res) => {
+  const { q } = req.query;
+  try {
+    const result = await pool.query(
+      `SELECT ${TAG_COLUMNS}
+       FROM Tag t
+       WHERE $1::text IS NULL OR t.tag_name ILIKE $1
+          OR EXISTS (SELECT 1 FROM Tag_Synonym s WHERE s.tag_ID = t.tag_ID AND s.synonym ILIKE $1)
+       ORDER BY LOWER(t.tag_name)`,
+      [q ? likePattern(normaliseTag(String(q))) : null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// RESOLVE A NAME (?name=robots)
+// The tag a name or synonym stands for, in any case
+// ==============================
+const resolveTag = async (req, res) => {
+  const name = normaliseTag(req.query.name);
+  if (!name) {
+    return res.status(400).json({ message: 'name is required' });
+  }
+
+  try {
+    const tag = (await lookupTags(pool, [name])).get(tagKey(name));
+    if (!tag) {
+      return res.status(404).json({ message: `'${name}' is not a tag` });
+    }
+    res.json({ name, tag });
+  } catch (err) {
+    console.error('Error resolving tag:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// EVERYTHING TAGGED X (?tag=robots)
+// The events and exhibits carrying the tag the name stands for
+// ==============================
+const getTaggedItems = async (req, res) => {
+  const name = normaliseTag(req.query.tag);
+  if (!name) {
+    return res.status(400).json({ message: 'tag is required' });
+  }
+
+  try {
+    const tag = (await lookupTags(pool, [name])).get(tagKey(name));
+    if (!tag) {
+      return res.status(404).json({ message: `'${name}' is not a tag` });
+    }
+
+    const events = await pool.query(
+      `SELECT e.event_ID, e.event_name, e.start_time, e.end_time, e.location, e.building_ID, e.status,
+              e.event_categories, e.recurrence_rule
+       FROM Event_Tag et JOIN Events e ON e.event_ID = et.event_ID
+       WHERE et.tag_ID = $1
+       ORDER BY e.start_time`,
+      [tag.tag_id]
+    );
+    const exhibits = await pool.query(
+      `SELECT x.exhibit_ID, x.exhibit_name, x.owner_team, x.building_ID, b.building_name, b.zone_ID
+       FROM Exhibit_Tag xt
+       JOIN Exhibits x ON x.exhibit_ID = xt.exhibit_ID
+       JOIN Building b ON b.building_ID = x.building_ID
+       WHERE xt.tag_ID = $1
+       ORDER BY b.building_name, LOWER(x.exhibit_name)`,
+      [tag.tag_id]
+    );
+
+    res.json({ tag, events: events.rows, exhibits: exhibits.rows });
+  } catch (err) {
+    console.error('Error fetching tagged items:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// GET TAG BY ID
+// ==============================
+const getTagById = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Tag id must be numeric' });
+  }
+
+  try {
+    const tag = await findTag(pool, id);
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    res.json(tag);
+  } catch (err) {
+    console.error('Error fetching tag:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// CREATE A TAG
+// The name may be neither a tag nor a synonym already, whatever its case
+// ==============================
+const createTag = async (req, res) => {
+  const { tag_name, description } = req.body;
+
+  const validationError = validateTagName(tag_name);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const taken = await nameTaken(pool, tag_name);
+    if (taken) {
+      return res.status(409).json({ message: taken });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO Tag (tag_name, description) VALUES ($1, $2)
+       RETURNING tag_ID, tag_name, description, created_at`,
+      [normaliseTag(tag_name), description || null]
+    );
+
+    res.status(201).json({ message: 'Tag created successfully', tag: { ...result.rows[0], synonyms: [] } });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: `Tag '${normaliseTag(tag_name)}' already exists` });
+    }
+    console.error('Error creating tag:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// UPDATE (RENAME) A TAG
+// A new name replaces the old one in the categories of every event carrying it
+// ==============================
+const updateTag = async (req, res) => {
+  const { id } = req.params;
+  const { tag_name, description } = req.body;
+
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Tag id must be numeric' });
+  }
+
+  const validationError = tag_name !== undefined ? validateTagName(tag_name) : null;
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT tag_name FROM Tag WHERE tag_ID = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    const oldName = current.rows[0].tag_name;
+    const newName = tag_name !== undefined ? normaliseTag(tag_name) : oldName;
+    const taken = newName !== oldName ? await nameTaken(client, newName, id) : null;
+    if (taken) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: taken });
+    }
+
+    await client.query(
+      `UPDATE Tag SET tag_name = $1, description = COALESCE($2, description) WHERE tag_ID = $3`,
+      [newName, description || null, id]
+    );
+
+    let renamed = { events: 0 };
+    if (newName !== oldName) {
+      const result = await client.query(
+        `UPDATE Events SET event_categories = array_replace(event_categories, $1, $2)
+         WHERE $1 = ANY(event_categories)`,
+        [oldName, newName]
+      );
+      renamed = { events: result.rowCount };
+    }
+
+    const tag = await findTag(client, id);
+    await client.query('COMMIT');
+
+    res.json({ message: 'Tag updated successfully', tag, renamed });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ message: `Tag '${normaliseTag(tag_name)}' already exists` });
+    }
+    console.error('Error updating tag:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  } finally {
+    client.release();
+  }
+};
+
+// ==============================
+// DELETE A TAG
+// Only once no event or exhibit carries it; its synonyms go with it
+// ==============================
+const deleteTag = async (req, res) => {
+  const { id } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Tag id must be numeric' });
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM Tag t
+       WHERE t.tag_ID = $1
+         AND NOT EXISTS (SELECT 1 FROM Event_Tag et WHERE et.tag_ID = t.tag_ID)
+         AND NOT EXISTS (SELECT 1 FROM Exhibit_Tag xt WHERE xt.tag_ID = t.tag_ID)
+       RETURNING t.tag_ID, t.tag_name`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      const tag = await findTag(pool, id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+      return res.status(409).json({
+        message: `Tag '${tag.tag_name}' is still in use; remove it from its events and exhibits first`,
+        event_count: tag.event_count,
+        exhibit_count: tag.exhibit_count
+      });
+    }
+
+    res.json({ message: 'Tag deleted successfully', tag: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting tag:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// ADD A SYNONYM
+// ==============================
+const addSynonym = async (req, res) => {
+  const { id } = req.params;
+  const { synonym } = req.body;
+
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Tag id must be numeric' });
+  }
+
+  const validationError = validateTagName(synonym, 'synonym');
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const taken = await nameTaken(pool, synonym);
+    if (taken) {
+      return res.status(409).json({ message: taken });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO Tag_Synonym (synonym, tag_ID) VALUES ($1, $2) RETURNING synonym, tag_ID',
+      [normaliseTag(synonym), id]
+    );
+
+    res.status(201).json({ message: 'Synonym added successfully', synonym: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    if (err.code === '23505') {
+      return res.status(409).json({ message: `'${normaliseTag(synonym)}' is already a synonym` });
+    }
+    console.error('Error adding synonym:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+// ==============================
+// REMOVE A SYNONYM
+// ==============================
+const removeSynonym = async (req, res) => {
+  const { id, synonym } = req.params;
+  if (!isId(id)) {
+    return res.status(400).json({ message: 'Tag id must be numeric' });
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM Tag_Synonym
+       WHERE tag_ID = $1 AND LOWER(synonym) = $2
+       RETURNING synonym, tag_ID`,
+      [id, tagKey(synonym)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Synonym not found' });
+    }
+
+    res.json({ message: 'Synonym removed successfully', synonym: result.rows[0] });
+  } catch (err) {
+    console.error('Error removing synonym:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = {
+  getTags,
+  resolveTag,
+  getTaggedItems,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag,
+  addSynonym,
+  removeSynonym
+};
@@ -0,0 +1,51 @@
+// controllers/venueController.js
+// When a venue (building, optionally a room) is free, for planning new events.
+
+const pool = require('../../../../db/db.js');
+const { parseHours, findBookings, freeSlots } = require('../utils/venueBookings');
+
+const VENUE_HOURS = parseHours(process.env.VENUE_HOURS);
+
+// ==============================
+// VENUE AVAILABILITY
+// ?building=101&date=2025-09-20&room=Lab 1
+// Free slots within the venue's opening hours (VENUE_HOURS, default 08:00-20:00)
+// ==============================
+const getVenueAvailability = async (req, res) => {
+  const { building, date, room } = req.query;
+
+  if (!building || !/^\d+$/.test(building)) {
+    return res.status(400).json({ message: 'building must be a numeric id' });
+  }
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) {
+    return res.status(400).json({ message: 'date must be a day, e.g. 2025-09-20' });
+  }
+
+  const { open, close } = VENUE_HOURS;
+  const dayStart = new Date(`${date}T${open}:00`);
+  const dayEnd = new Date(`${date}T${close}:00`);
+
+  try {
+    const venue = await pool.query('SELECT building_ID, building_name FROM Building WHERE building_ID = $1', [building]);
+    if (venue.rows.length === 0) {
+      return res.status(404).json({ message: 'Building not found' });
+    }
+
+    const bookings = await findBookings(pool, { building_id: building, room, start_time: dayStart, end_time: dayEnd });
+
+    res.json({
+      building: venue.rows[0],
+      room: room || null,
+      date,
+      open: dayStart,
+      close: dayEnd,
+      bookings,
+      free: freeSlots(bookings, dayStart, dayEnd)
+    });
+  } catch (err) {
+    console.error('Error fetching venue availability:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = { getVenueAvailability };
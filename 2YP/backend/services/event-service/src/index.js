@@ -1,18 +1,28 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const gatewayIdentity = require('../../../middlewares/gatewayIdentity');
+const { requireGatewaySecret } = gatewayIdentity;
+const { requireEnv } = require('../../../config/requireEnv');
+const pool = require('../../../db/db.js');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 5002;
+// Only the gateway should reach the service, so it listens on this machine alone
+const HOST = process.env.HOST || 'localhost';
 
 
 // Middleware - fix typo
 app.use(cors());
 app.use(express.json());
+app.use(gatewayIdentity);
 
 // Routes
 const userRoutes = require('./routes/eventRoutes');
 app.use('/events', userRoutes);
+app.use('/speakers', require('./routes/speakerRoutes'));
+app.use('/tags', require('./routes/tagRoutes'));
 
 
 // Error handling middleware - add this after routes
@@ -39,6 +49,16 @@ app.get('/', (req, res) => {
 
 
 
-app.listen(PORT, () => {
-    console.log(`Event Service running on port ${PORT}`);
+requireGatewaySecret('Event Service');
+// REGISTRATION_CANCEL_URL: the front-end page registration emails link to for cancelling
+// TICKET_SECRET: signs ticket codes (utils/tickets.js); every confirmation needs it
+requireEnv('Event Service', ['REGISTRATION_CANCEL_URL', 'TICKET_SECRET']);
+
+app.listen(PORT, HOST, () => {
+    console.log(`Event Service running on ${HOST}:${PORT}`);
+
+    // Queue reminder emails before events start (set EVENT_REMINDERS=false when another instance does it)
+    if (process.env.EVENT_REMINDERS !== 'false') {
+        startReminderScheduler(pool);
+    }
 });
\ No newline at end of file
@@ -0,0 +1,50 @@
+// middlewares/eventAccess.js
+// Route guard for changes to one event (req.params.id). Admins may change any
+// event; organizers only their own:
+//   'organizer' : the owner (Events.organizer_ID) or a co-organizer
+//   'owner'     : the owner only (deleting, managing co-organizers)
+
+const pool = require('../../../../db/db.js');
+
+const requireEventAccess = (level = 'organizer') => async (req, res, next) => {
+  const role = req.user ? req.user.role : 'visitor';
+  if (role !== 'admin' && role !== 'organizer') {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ message: 'Event not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT e.organizer_ID,
+              EXISTS (SELECT 1 FROM Event_Co_Organizer c
+                      WHERE c.event_ID = e.event_ID AND c.organizer_ID = $2) AS co_organizer
+       FROM Events e WHERE e.event_ID = $1`,
+      [req.params.id, role === 'organizer' ? req.user.id : null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { organizer_id: ownerId, co_organizer: coOrganizer } = result.rows[0];
+    const isOwner = role === 'organizer' && ownerId === req.user.id;
+    const allowed = role === 'admin' || isOwner || (level === 'organizer' && coOrganizer);
+    if (!allowed) {
+      return res.status(403).json({
+        message: level === 'owner'
+          ? 'Only the event owner or an admin can do this'
+          : 'Only the event\'s organizers or an admin can change this event'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error checking event access:', err);
+    res.status(500).json({ message: 'Database error', error: err.message });
+  }
+};
+
+module.exports = requireEventAccess;
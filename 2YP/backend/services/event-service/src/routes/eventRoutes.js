@@ -4,29 +4,97 @@ const router = express.Router();
 // Import controller functions
 const {
     getEvents,
+    getMyEvents,
     getEventById,
     createEvent,
+    importEvents,
     updateEvent,
-    deleteEvent
+    deleteEvent,
+    cancelEvent
 } = require('../controllers/eventController');
+const { getCalendarFeed, getEventCalendar } = require('../controllers/calendarController');
+const { getEventOrganizers, addCoOrganizer, removeCoOrganizer } = require('../controllers/coOrganizerController');
+const { getVenueAvailability } = require('../controllers/venueController');
+const { getOccurrences, updateOccurrence, cancelOccurrence } = require('../controllers/occurrenceController');
+const {
+  register, cancelWithToken, removeRegistration, getRegistrations, exportRegistrations
+} = require('../controllers/registrationController');
+const { getTicketQr, checkIn, getAttendance } = require('../controllers/checkInController');
+const { getEventSpeakers, addEventSpeaker, removeEventSpeaker } = require('../controllers/eventSpeakerController');
+const requireRole = require('../../../../middlewares/requireRole');
+const requireEventAccess = require('../middlewares/eventAccess');
+
+// Import files arrive as the raw body rather than JSON
+const importBody = express.text({ type: ['text/csv', 'text/calendar', 'text/plain'], limit: '2mb' });
 
 // ======================
 // Event Routes
 // ======================
 
-// Get all events
+// Get all events (?from=&to=&category=&location=&building=&organizer=&status=&q=&sort=&order=&limit=&offset=)
 router.get('/', getEvents);
 
+// iCalendar feed to subscribe to (?category=&building=&organizer=); before /:id
+router.get('/calendar.ics', getCalendarFeed);
+
+// Free slots of a building or room on one day (?building=&date=&room=); before /:id
+router.get('/availability', getVenueAvailability);
+
+// Events the signed-in organizer owns or co-organizes (same options as above); before /:id
+router.get('/mine', requireRole('organizer'), getMyEvents);
+
+// Visitors cancel a registration with the token from their email { token }
+router.post('/registrations/cancel', cancelWithToken);
+
+// A ticket's QR code (?format=png|svg); before /:id
+router.get('/tickets/:code/qr', getTicketQr);
+
 // Get a single event by ID
 router.get('/:id', getEventById);
 
-// Create a new event
+// A single event as an .ics file
+router.get('/:id/calendar.ics', getEventCalendar);
+
+// Create a new event (409 on a double-booked venue unless ?allow_conflicts=true)
 router.post('/', createEvent);
 
-// Update an existing event
-router.put('/:id', updateEvent);
+// Bulk import from a CSV or .ics file (?format=csv|ics, ?dry_run=true)
+router.post('/import', importBody, importEvents);
+
+// Update an existing event, or a whole series (its owner, co-organizers or an admin)
+router.put('/:id', requireEventAccess('organizer'), updateEvent);
+
+// Cancel an event (kept, and marked cancelled in calendar feeds)
+router.put('/:id/cancel', requireEventAccess('organizer'), cancelEvent);
+
+// Occurrences of a recurring event; changing one leaves the rest of the series alone
+router.get('/:id/occurrences', getOccurrences);
+router.put('/:id/occurrences/:occurrenceId', requireEventAccess('organizer'), updateOccurrence);
+router.put('/:id/occurrences/:occurrenceId/cancel', requireEventAccess('organizer'), cancelOccurrence);
+
+// Visitor registration { name, email }: confirmed up to the capacity, then waitlisted
+router.post('/:id/registrations', register);
+
+// Attendee list (?status=) and its CSV export, for the event's organizers
+router.get('/:id/registrations', requireEventAccess('organizer'), getRegistrations);
+router.get('/:id/registrations.csv', requireEventAccess('organizer'), exportRegistrations);
+router.delete('/:id/registrations/:registrationId', requireEventAccess('organizer'), removeRegistration);
+
+// Scanning tickets at the door { code, occurrence_id }, and live attendance
+router.post('/:id/check-in', requireEventAccess('organizer'), checkIn);
+router.get('/:id/attendance', requireEventAccess('organizer'), getAttendance);
+
+// Delete an event (owner or admin only)
+router.delete('/:id', requireEventAccess('owner'), deleteEvent);
+
+// Owner and co-organizers; only the owner or an admin changes the co-organizers
+router.get('/:id/organizers', getEventOrganizers);
+router.post('/:id/organizers', requireEventAccess('owner'), addCoOrganizer);
+router.delete('/:id/organizers/:organizerId', requireEventAccess('owner'), removeCoOrganizer);
 
-// Delete an event
-router.delete('/:id', deleteEvent);
+// Speakers; adding one who is due elsewhere at the same time returns a warning
+router.get('/:id/speakers', getEventSpeakers);
+router.post('/:id/speakers', requireEventAccess('organizer'), addEventSpeaker);
+router.delete('/:id/speakers/:speakerId', requireEventAccess('organizer'), removeEventSpeaker);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getSpeakers,
+  getSpeakerById,
+  createSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+  getSpeakerSchedule,
+  emailSpeakerSchedule
+} = require('../controllers/speakerController');
+const requireRole = require('../../../../middlewares/requireRole');
+
+// ======================
+// Speaker Routes
+// ======================
+
+// All speakers (?q= searches names and affiliations)
+router.get('/', getSpeakers);
+
+// A speaker with the events they speak at
+router.get('/:id', getSpeakerById);
+
+// Upcoming talks, double bookings flagged
+router.get('/:id/schedule', getSpeakerSchedule);
+
+// Organizers and admins maintain speakers; only admins remove them
+router.post('/', requireRole('organizer', 'admin'), createSpeaker);
+router.put('/:id', requireRole('organizer', 'admin'), updateSpeaker);
+router.delete('/:id', requireRole('admin'), deleteSpeaker);
+
+// Email the speaker their upcoming talks with a calendar file
+router.post('/:id/schedule/email', requireRole('organizer', 'admin'), emailSpeakerSchedule);
+
+module.exports = router;
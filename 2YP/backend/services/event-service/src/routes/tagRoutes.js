@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getTags,
+  resolveTag,
+  getTaggedItems,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag,
+  addSynonym,
+  removeSynonym
+} = require('../controllers/tagController');
+const requireRole = require('../../../../middlewares/requireRole');
+
+// ======================
+// Tag Routes
+// ======================
+
+// All tags with their synonyms and usage (?q= searches names and synonyms)
+router.get('/', getTags);
+
+// The tag a name or synonym stands for (?name=); before /:id
+router.get('/resolve', resolveTag);
+
+// Everything tagged with a tag: events and exhibits (?tag=); before /:id
+router.get('/items', getTaggedItems);
+
+// A tag with its synonyms
+router.get('/:id', getTagById);
+
+// The tag list is managed by admins
+router.post('/', requireRole('admin'), createTag);
+router.put('/:id', requireRole('admin'), updateTag);
+router.delete('/:id', requireRole('admin'), deleteTag);
+router.post('/:id/synonyms', requireRole('admin'), addSynonym);
+router.delete('/:id/synonyms/:synonym', requireRole('admin'), removeSynonym);
+
+module.exports = router;
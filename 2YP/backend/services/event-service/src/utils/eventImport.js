@@ -0,0 +1,189 @@
+// utils/eventImport.js
+// Turns CSV and iCalendar files into Events fields for the bulk import.
+// Each reader returns [{ row, fields, error }]: row is the CSV line or the
+// position of the VEVENT, fields the values for createEvent's columns, and
+// error is set when the entry could not be read at all.
+
+const { parseCalendar, parseDateTime, unescapeText } = require('../../../../calendar/ical');
+
+const MAX_ROWS = 1000;
+
+// Header names accepted for each column (compared case-insensitively)
+const CSV_COLUMNS = {
+  event_name: ['event_name', 'name', 'title', 'summary'],
+  start_time: ['start_time', 'start', 'starts'],
+  end_time: ['end_time', 'end', 'ends'],
+  location: ['location', 'venue'],
+  description: ['description'],
+  media_urls: ['media_urls', 'media'],
+  event_categories: ['event_categories', 'categories', 'category'],
+  capacity: ['capacity', 'seats'],
+  recurrence_rule: ['recurrence_rule', 'rrule', 'recurrence'],
+  recurrence_exceptions: ['recurrence_exceptions', 'exceptions', 'exdate']
+};
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks.
+// Returns { rows, lines } where lines[i] is the line row i starts on.
+function parseCsv(text) {
+  const input = String(text).replace(/^﻿/, '');
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      lines.push(rowLine);
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+    lines.push(rowLine);
+  }
+
+  // Blank lines carry no event
+  const kept = rows.map((cells, i) => ({ cells, line: lines[i] }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''));
+  return { rows: kept.map(({ cells }) => cells), lines: kept.map(({ line }) => line) };
+}
+
+// Lists in a CSV cell: "AI; Workshop" (commas work too when quoted)
+const splitList = (value) => value.split(/[;,|]/).map((c) => c.trim()).filter(Boolean);
+
+function readCsv(text) {
+  const { rows, lines } = parseCsv(text);
+  if (rows.length === 0) {
+    throw new Error('The file is empty');
+  }
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  const columns = {};
+  for (const [column, names] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex((name) => names.includes(name));
+    if (index !== -1) columns[column] = index;
+  }
+  const missing = ['event_name', 'start_time', 'end_time'].filter((column) => columns[column] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.join(', ')}`);
+  }
+
+  return rows.slice(1).map((cells, i) => {
+    const value = (column) => {
+      const cell = columns[column] === undefined ? undefined : cells[columns[column]];
+      return cell === undefined || cell.trim() === '' ? null : cell.trim();
+    };
+    const categories = value('event_categories');
+    const exceptions = value('recurrence_exceptions');
+    return {
+      row: lines[i + 1],
+      fields: {
+        event_name: value('event_name'),
+        start_time: value('start_time'),
+        end_time: value('end_time'),
+        location: value('location'),
+        description: value('description'),
+        media_urls: value('media_urls'),
+        event_categories: categories ? splitList(categories) : null,
+        capacity: value('capacity'),
+        recurrence_rule: value('recurrence_rule'),
+        recurrence_exceptions: exceptions ? splitList(exceptions) : null
+      }
+    };
+  });
+}
+
+function readIcs(text) {
+  const vevents = parseCalendar(text);
+  if (vevents.length === 0) {
+    throw new Error('No VEVENT found in the calendar');
+  }
+
+  return vevents.map((vevent, i) => {
+    const first = (name) => (vevent[name] ? vevent[name][0].value : null);
+    const entry = { row: i + 1, uid: first('UID') || undefined };
+
+    // Changed occurrences of a series would need the series itself
+    if (vevent['RECURRENCE-ID']) {
+      return { ...entry, error: 'Single occurrences (RECURRENCE-ID) cannot be imported; import the series' };
+    }
+
+    const start = first('DTSTART');
+    const end = first('DTEND');
+    const startTime = start && parseDateTime(start);
+    const endTime = end && parseDateTime(end);
+    if ((start && !startTime) || (end && !endTime)) {
+      return { ...entry, error: 'DTSTART / DTEND could not be read' };
+    }
+
+    const text = (name) => (first(name) === null ? null : unescapeText(first(name)));
+    const categories = (vevent.CATEGORIES || [])
+      .flatMap(({ value }) => value.split(/(?<!\\),/))
+      .map((c) => unescapeText(c).trim())
+      .filter(Boolean);
+
+    // Excepted days of a series (EXDATE may repeat and list several values)
+    const exceptions = (vevent.EXDATE || [])
+      .flatMap(({ value }) => value.split(','))
+      .map((value) => parseDateTime(value.trim()));
+    if (exceptions.includes(null)) {
+      return { ...entry, error: 'EXDATE could not be read' };
+    }
+
+    return {
+      ...entry,
+      fields: {
+        event_name: text('SUMMARY'),
+        start_time: startTime,
+        end_time: endTime,
+        location: text('LOCATION'),
+        description: text('DESCRIPTION'),
+        media_urls: first('URL'),
+        event_categories: categories.length > 0 ? categories : null,
+        recurrence_rule: first('RRULE'),
+        recurrence_exceptions: exceptions.length > 0 ? exceptions.map((exception) => exception.slice(0, 10)) : null
+      }
+    };
+  });
+}
+
+const READERS = { csv: readCsv, ics: readIcs };
+
+// Parse a whole file. Throws when the file as a whole cannot be read.
+function readEvents(format, text) {
+  const entries = READERS[format](text);
+  if (entries.length > MAX_ROWS) {
+    throw new Error(`At most ${MAX_ROWS} events can be imported at once`);
+  }
+  return entries;
+}
+
+module.exports = { FORMATS: Object.keys(READERS), MAX_ROWS, parseCsv, readEvents };
@@ -0,0 +1,105 @@
+// utils/eventQuery.js
+// Reads the filter, sort and paging options of GET /events from the query string:
+//   ?from=2025-09-01&to=2025-10-01   events overlapping the range
+//   ?category=AI                     one of event_categories (any case)
+//   ?location=hall                   part of the location text
+//   ?building=3                      events held in that building
+//   ?organizer=2                     events of that organizer
+//   ?status=scheduled|cancelled
+//   ?q=robot                         search in name and description
+//   ?sort=start_time&order=desc      see SORT_COLUMNS
+//   ?limit=50&offset=100             page (limit at most MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE
+//                                    with only an offset); without either, every event
+//   ?expand=false                    one row per series instead of per occurrence
+
+const { isValidDate } = require('./eventValidation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const EVENT_STATUSES = ['scheduled', 'cancelled'];
+const SORT_COLUMNS = ['start_time', 'end_time', 'event_name', 'event_id'];
+const QUERY_OPTIONS = ['from', 'to', 'category', 'location', 'building', 'organizer', 'status', 'q',
+  'sort', 'order', 'limit', 'offset', 'expand'];
+
+const isId = (value) => /^\d+$/.test(value);
+
+// Text for ILIKE, with its wildcards taken literally
+const likePattern = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Returns { error } or { params, orderBy, limit, offset, expand }: params fills
+// the $1..$8 of EVENT_FILTERS, offset is a number and limit one too, or null
+// (no limit) when the caller asked for no page.
+function parseEventQuery(query) {
+  // A repeated option (?q=a&q=b) arrives as an array
+  const repeated = QUERY_OPTIONS.find((name) => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} may only be given once` };
+  }
+
+  const { from, to, category, location, building, organizer, status, q } = query;
+  const sort = query.sort || 'start_time';
+  const order = (query.order || 'asc').toLowerCase();
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return { error: 'from and to must be dates, e.g. 2025-09-01' };
+  }
+  for (const [name, value] of [['building', building], ['organizer', organizer]]) {
+    if (value !== undefined && !isId(value)) {
+      return { error: `${name} must be a numeric id` };
+    }
+  }
+  if (status && !EVENT_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${EVENT_STATUSES.join(', ')}` };
+  }
+  if (!SORT_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_COLUMNS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  if (query.expand !== undefined && !['true', 'false'].includes(query.expand)) {
+    return { error: 'expand must be true or false' };
+  }
+
+  const paged = query.limit !== undefined || query.offset !== undefined;
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be 0 or more' };
+  }
+
+  return {
+    params: [
+      from || null,
+      to || null,
+      category || null,
+      location ? likePattern(location) : null,
+      building || null,
+      organizer || null,
+      status || null,
+      q ? likePattern(q) : null
+    ],
+    // The id (and start, between occurrences) keeps pages stable between events with the same value
+    orderBy: [sort, 'event_id', 'start_time'].filter((column, i, all) => all.indexOf(column) === i)
+      .map((column) => `${column} ${order.toUpperCase()}`).join(', '),
+    limit: paged ? limit : null,
+    offset,
+    expand: query.expand !== 'false'
+  };
+}
+
+// WHERE clause for the params of parseEventQuery
+const EVENT_FILTERS = `($1::timestamp IS NULL OR end_time >= $1)
+    AND ($2::timestamp IS NULL OR start_time < $2)
+    AND ($3::text IS NULL OR EXISTS (
+          SELECT 1 FROM unnest(event_categories) AS c(name) WHERE LOWER(c.name) = LOWER($3)))
+    AND ($4::text IS NULL OR location ILIKE $4)
+    AND ($5::int IS NULL OR building_ID = $5)
+    AND ($6::int IS NULL OR organizer_ID = $6)
+    AND ($7::text IS NULL OR status = $7)
+    AND ($8::text IS NULL OR event_name ILIKE $8 OR description ILIKE $8)`;
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORT_COLUMNS, EVENT_FILTERS, likePattern, parseEventQuery };
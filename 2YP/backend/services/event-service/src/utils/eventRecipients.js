@@ -0,0 +1,27 @@
+// utils/eventRecipients.js
+// Who hears about an event (reminders, cancellations): its organizer, while
+// approved, and every visitor with a confirmed registration.
+
+// Returns a Map of event id -> [{ name, email }] (an empty list for every id given).
+async function findRecipients(db, eventIds) {
+  const recipients = new Map(eventIds.map((id) => [id, []]));
+
+  const people = await db.query(
+    `SELECT e.event_ID, o.organizer_name AS name, o.email
+     FROM Events e
+     JOIN Organizer o ON o.organizer_ID = e.organizer_ID
+     WHERE e.event_ID = ANY($1) AND o.status = 'approved'
+     UNION ALL
+     SELECT r.event_ID, r.attendee_name, r.email
+     FROM Event_Registration r
+     WHERE r.event_ID = ANY($1) AND r.status = 'confirmed'`,
+    [eventIds]
+  );
+  for (const row of people.rows) {
+    recipients.get(row.event_id).push({ name: row.name, email: row.email });
+  }
+
+  return recipients;
+}
+
+module.exports = { findRecipients };
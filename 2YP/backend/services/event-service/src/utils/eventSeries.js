@@ -0,0 +1,35 @@
+// utils/eventSeries.js
+// Recurring events: a series is an Events row with a recurrence_rule; its
+// occurrences are stored in Event_Occurrence (see db/script.sql) and
+// expanded here from the rule, the first start/end and the excepted days.
+
+const { parseRule, formatRule, expandRule } = require('../../../../calendar/rrule');
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+
+// The occurrences of a series as parallel arrays, ready for unnest():
+// { rule, exceptions, starts, ends }. rule is the normalised RRULE text.
+// Throws an Error with a message for the caller when the series is invalid.
+function expandSeries({ start_time, end_time, recurrence_rule, recurrence_exceptions }) {
+  const rule = parseRule(recurrence_rule);
+
+  const exceptions = recurrence_exceptions || [];
+  if (!Array.isArray(exceptions) || exceptions.some((day) => !(day instanceof Date) && !isDay(day))) {
+    throw new Error('recurrence_exceptions must be a list of days, e.g. ["2025-09-21"]');
+  }
+
+  const starts = expandRule(rule, start_time, { exceptions });
+  if (starts.length === 0) {
+    throw new Error('The recurrence rule leaves no occurrences');
+  }
+
+  const duration = new Date(end_time) - new Date(start_time);
+  return {
+    rule: formatRule(rule),
+    exceptions,
+    starts,
+    ends: starts.map((start) => new Date(start.getTime() + duration))
+  };
+}
+
+module.exports = { expandSeries };
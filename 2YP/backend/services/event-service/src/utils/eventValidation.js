@@ -0,0 +1,52 @@
+// utils/eventValidation.js
+// The rules every new event must pass, shared by createEvent and the bulk import.
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Events.capacity: a positive whole number, or null/undefined for no limit
+const isValidCapacity = (value) =>
+  value === undefined || value === null || (/^\d+$/.test(String(value)) && Number(value) > 0);
+
+// event_categories: a list of tag names (checked against the tags by the controller)
+const isValidCategories = (value) =>
+  value === undefined || value === null || (Array.isArray(value) && value.every((name) => typeof name === 'string'));
+
+// Returns an error message, or null when the event can be stored
+function validateEvent({ event_name, start_time, end_time, capacity, event_categories }) {
+  if (!event_name || !start_time || !end_time) {
+    return 'event_name, start_time, and end_time are required';
+  }
+
+  if (!isValidDate(start_time) || !isValidDate(end_time)) {
+    return 'start_time and end_time must be valid dates';
+  }
+
+  if (new Date(end_time) <= new Date(start_time)) {
+    return 'End time must be later than start time';
+  }
+
+  if (!isValidCapacity(capacity)) {
+    return 'capacity must be a positive whole number';
+  }
+
+  if (!isValidCategories(event_categories)) {
+    return 'event_categories must be a list of tag names';
+  }
+
+  return null;
+}
+
+// building_id / room of a new or changed event. Returns an error message or null.
+function validateVenue({ building_id, room }, { hasBuilding = false } = {}) {
+  if (building_id !== undefined && building_id !== null && !/^\d+$/.test(String(building_id))) {
+    return 'building_id must be a numeric id';
+  }
+
+  if (room && !building_id && !hasBuilding) {
+    return 'A room needs a building_id';
+  }
+
+  return null;
+}
+
+module.exports = { isValidDate, isValidCapacity, isValidCategories, validateEvent, validateVenue };
@@ -0,0 +1,116 @@
+// utils/registrations.js
+// Visitor registrations (Event_Registration). An event with a capacity confirms
+// registrations until it is full and waitlists the rest; a place that frees up
+// goes to the registration that has waited longest. Every change runs in a
+// transaction that first locks the event row (lockEvent), so concurrent
+// sign-ups and cancellations are applied one at a time and never overfill it.
+
+const crypto = require('crypto');
+const { enqueue } = require('../../../../mail/outbox');
+const { ticketFor } = require('./tickets');
+
+// Page the emailed cancel link opens; it posts the token to
+// /events/registrations/cancel (required at startup, see index.js)
+const CANCEL_URL = process.env.REGISTRATION_CANCEL_URL;
+
+const REGISTRATION_COLUMNS = 'registration_id, event_id, attendee_name, email, status, created_at, confirmed_at, cancelled_at';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A new cancellation token: { token, hash, link }. Only the hash is stored.
+function cancelToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token), link: `${CANCEL_URL}?token=${token}` };
+}
+
+// The event with its capacity and registration counts, locked until the end of
+// the caller's transaction; null when it does not exist. upcoming is false once
+// every (remaining) occurrence has started.
+async function lockEvent(client, eventId) {
+  const result = await client.query(
+    `SELECT e.event_ID, e.event_name, e.start_time, e.end_time, e.location, e.status, e.capacity,
+            (SELECT COUNT(*)::int FROM Event_Registration r
+             WHERE r.event_ID = e.event_ID AND r.status = 'confirmed') AS confirmed,
+            (SELECT COUNT(*)::int FROM Event_Registration r
+             WHERE r.event_ID = e.event_ID AND r.status = 'waitlisted') AS waitlisted,
+            EXISTS (SELECT 1 FROM Event_Instance i
+                    WHERE i.event_ID = e.event_ID AND i.status <> 'cancelled'
+                      AND i.start_time > CURRENT_TIMESTAMP) AS upcoming
+     FROM Events e
+     WHERE e.event_ID = $1
+     FOR UPDATE OF e`,
+    [eventId]
+  );
+  return result.rows[0] || null;
+}
+
+// Places still free (Infinity without a capacity). Lowering the capacity keeps
+// everyone already confirmed, so this can be below zero.
+const freePlaces = (event) => (event.capacity === null ? Infinity : event.capacity - event.confirmed);
+
+// Confirms waitlisted registrations of a locked event, oldest first, while it
+// has room, and emails each of them their ticket. Returns the promoted registrations.
+async function promoteWaitlist(client, event) {
+  const free = freePlaces(event);
+  if (free <= 0 || event.waitlisted === 0) return [];
+
+  const result = await client.query(
+    `UPDATE Event_Registration SET status = 'confirmed', confirmed_at = CURRENT_TIMESTAMP
+     WHERE registration_ID IN (
+       SELECT registration_ID FROM Event_Registration
+       WHERE event_ID = $1 AND status = 'waitlisted'
+       ORDER BY created_at, registration_ID
+       LIMIT $2
+     )
+     RETURNING ${REGISTRATION_COLUMNS}`,
+    [event.event_id, free === Infinity ? null : free]
+  );
+
+  for (const registration of result.rows) {
+    await enqueue(client, 'registration-promoted', registration.email, {
+      event,
+      name: registration.attendee_name,
+      ticket: await ticketFor(registration)
+    });
+  }
+  event.confirmed += result.rows.length;
+  event.waitlisted -= result.rows.length;
+  return result.rows;
+}
+
+// Cancels one registration of a locked event, emails the visitor and hands a
+// freed place to the waitlist. Returns { registration, promoted }, or null when
+// there is no such live registration.
+async function cancelRegistration(client, event, registrationId) {
+  const result = await client.query(
+    `UPDATE Event_Registration r SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     FROM Event_Registration prev
+     WHERE r.registration_ID = prev.registration_ID
+       AND r.registration_ID = $1 AND r.event_ID = $2 AND r.status <> 'cancelled'
+     RETURNING ${REGISTRATION_COLUMNS.split(', ').map((column) => `r.${column}`).join(', ')},
+               prev.status AS previous_status`,
+    [registrationId, event.event_id]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { previous_status: previousStatus, ...registration } = result.rows[0];
+  await enqueue(client, 'registration-cancelled', registration.email, { event, name: registration.attendee_name });
+
+  if (previousStatus === 'confirmed') {
+    event.confirmed--;
+  } else {
+    event.waitlisted--;
+  }
+  const promoted = await promoteWaitlist(client, event);
+  return { registration, promoted };
+}
+
+module.exports = {
+  REGISTRATION_COLUMNS,
+  hashToken,
+  cancelToken,
+  lockEvent,
+  freePlaces,
+  promoteWaitlist,
+  cancelRegistration
+};
@@ -0,0 +1,140 @@
+// utils/reminderScheduler.js
+// Queues reminder emails at fixed offsets before each event's start_time
+// (EVENT_REMINDER_OFFSETS, default "24h,1h"). Delivery is left to the shared
+// email outbox (backend/mail/outbox.js).
+//
+// Every queued reminder is recorded in Event_Reminder under (event, offset,
+// start_time) in the same transaction as its emails, so a reminder goes out
+// exactly once however often the scheduler restarts. When updateEvent moves an
+// event, the new start_time has no rows yet and its reminders follow the new time.
+// Each occurrence of a recurring event is reminded of like an event of its own.
+
+const { enqueue } = require('../../../../mail/outbox');
+const { findRecipients } = require('./eventRecipients');
+
+const POLL_INTERVAL_MS = Number(process.env.EVENT_REMINDER_POLL_MS) || 60 * 1000;
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// "24h,1h,30m" -> [1440, 60, 30] (largest first)
+function parseOffsets(value = '24h,1h') {
+  const offsets = value.split(',').map((part) => part.trim()).filter(Boolean).map((part) => {
+    const match = /^(\d+)\s*([mhd])$/i.exec(part);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid reminder offset '${part}' (expected e.g. 24h, 90m or 2d)`);
+    }
+    return Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+  });
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+// 1440 -> "24 hours", 90 -> "90 minutes"
+function describeOffset(minutes) {
+  if (minutes % (24 * 60) === 0 && minutes >= 48 * 60) return `${minutes / (24 * 60)} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// Queue every reminder that is due. When several offsets of one event (or
+// occurrence) are due at once (e.g. it was created or moved shortly before it starts) only the
+// nearest one is sent; the others are recorded as skipped.
+// Returns { sent, skipped, emails }.
+async function sendDueReminders(pool, { offsets = parseOffsets(process.env.EVENT_REMINDER_OFFSETS) } = {}) {
+  const client = await pool.connect();
+  const summary = { sent: 0, skipped: 0, emails: 0 };
+
+  try {
+    await client.query('BEGIN');
+
+    const due = await client.query(
+      `SELECT e.event_ID, e.occurrence_start, e.event_name, e.start_time, e.end_time, e.location, e.description,
+              e.event_categories, e.status, e.sequence, o.offset_minutes
+       FROM Event_Instance e
+       CROSS JOIN unnest($1::int[]) AS o(offset_minutes)
+       WHERE e.status <> 'cancelled' AND e.start_time > CURRENT_TIMESTAMP
+         AND e.start_time - make_interval(mins => o.offset_minutes) <= CURRENT_TIMESTAMP
+         AND NOT EXISTS (
+           SELECT 1 FROM Event_Reminder r
+           WHERE r.event_ID = e.event_ID AND r.offset_minutes = o.offset_minutes
+             AND r.start_time = e.start_time
+         )
+       ORDER BY e.event_ID, e.start_time, o.offset_minutes`,
+      [offsets]
+    );
+
+    // Rows arrive nearest offset first for each event and start time
+    const byStart = new Map();
+    for (const row of due.rows) {
+      const key = `${row.event_id}@${new Date(row.start_time).getTime()}`;
+      if (!byStart.has(key)) byStart.set(key, []);
+      byStart.get(key).push(row);
+    }
+    const eventIds = [...new Set(due.rows.map((row) => row.event_id))];
+    const recipients = eventIds.length > 0 ? await findRecipients(client, eventIds) : new Map();
+
+    for (const rows of byStart.values()) {
+      const eventId = rows[0].event_id;
+      for (const [index, row] of rows.entries()) {
+        const send = index === 0;
+        const people = send ? recipients.get(eventId) : [];
+
+        // Claim the reminder first: if another scheduler got there, do nothing
+        const claimed = await client.query(
+          `INSERT INTO Event_Reminder (event_ID, offset_minutes, start_time, status, recipients)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (event_ID, offset_minutes, start_time) DO NOTHING
+           RETURNING reminder_ID`,
+          [eventId, row.offset_minutes, row.start_time, send ? 'sent' : 'skipped', people.length]
+        );
+        if (claimed.rows.length === 0) continue;
+
+        if (!send) {
+          summary.skipped++;
+          continue;
+        }
+
+        const { offset_minutes: offset, ...event } = row;
+        for (const person of people) {
+          await enqueue(client, 'event-reminder', person.email, {
+            event,
+            name: person.name,
+            startsIn: describeOffset(offset)
+          });
+        }
+        summary.sent++;
+        summary.emails += people.length;
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return summary;
+}
+
+// Check for due reminders every intervalMs. Returns a function that stops the scheduler.
+function startReminderScheduler(pool, { intervalMs = POLL_INTERVAL_MS } = {}) {
+  const offsets = parseOffsets(process.env.EVENT_REMINDER_OFFSETS);
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // previous run still going
+    running = true;
+    try {
+      await sendDueReminders(pool, { offsets });
+    } catch (err) {
+      console.error('Event Reminder Error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { parseOffsets, describeOffset, sendDueReminders, startReminderScheduler };
@@ -0,0 +1,42 @@
+// utils/speakerSchedule.js
+// When speakers are due on stage. A speaker is double-booked when two events
+// they speak at (any occurrence of a series) overlap in time; cancelled events
+// and occurrences do not count.
+
+// Instances of other events with one of the speakers that overlap an instance
+// of event eventId: [{ speaker_id, speaker_name, event_id, occurrence_id, event_name, start_time, end_time }]
+async function findSpeakerConflicts(db, eventId, speakerIds) {
+  const result = await db.query(
+    `SELECT DISTINCT s.speaker_ID, s.speaker_name, other.event_id, other.occurrence_id, other.event_name,
+            other.start_time, other.end_time
+     FROM Event_Instance mine
+     JOIN Event_Speaker es ON es.event_ID <> mine.event_id AND es.speaker_ID = ANY($2::int[])
+     JOIN Speaker s ON s.speaker_ID = es.speaker_ID
+     JOIN Event_Instance other ON other.event_id = es.event_ID
+     WHERE mine.event_id = $1 AND mine.status <> 'cancelled' AND other.status <> 'cancelled'
+       AND other.start_time < mine.end_time AND other.end_time > mine.start_time
+     ORDER BY other.start_time, other.event_id`,
+    [eventId, speakerIds]
+  );
+  return result.rows;
+}
+
+// A speaker's upcoming instances, earliest first, each with double_booked set
+// when another of the speaker's events overlaps it
+async function speakerSchedule(db, speakerId) {
+  const result = await db.query(
+    `SELECT i.event_id, i.occurrence_id, i.occurrence_start, i.event_name, i.start_time, i.end_time,
+            i.location, i.room, i.description, i.event_categories, i.status, i.sequence,
+            EXISTS (SELECT 1 FROM Event_Speaker es2 JOIN Event_Instance j ON j.event_id = es2.event_ID
+                    WHERE es2.speaker_ID = es.speaker_ID AND j.event_id <> i.event_id AND j.status <> 'cancelled'
+                      AND j.start_time < i.end_time AND j.end_time > i.start_time) AS double_booked
+     FROM Event_Speaker es
+     JOIN Event_Instance i ON i.event_id = es.event_ID
+     WHERE es.speaker_ID = $1 AND i.status <> 'cancelled' AND i.end_time > CURRENT_TIMESTAMP
+     ORDER BY i.start_time, i.event_id`,
+    [speakerId]
+  );
+  return result.rows;
+}
+
+module.exports = { findSpeakerConflicts, speakerSchedule };
@@ -0,0 +1,58 @@
+// utils/tickets.js
+// Tickets for confirmed registrations. A ticket code is
+//   <event id>-<registration id>-<signature>
+// where the signature is an HMAC-SHA256 (TICKET_SECRET) of the two ids, so a
+// code cannot be guessed or altered and nothing extra has to be stored. Whether
+// the registration is still confirmed is checked at the door. TICKET_SECRET is
+// required at startup (see index.js), since confirming a registration or
+// promoting one from the waitlist cannot commit without a ticket.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const CODE_PATTERN = /^(\d+)-(\d+)-([A-Za-z0-9_-]{22})$/;
+const QR_FORMATS = ['png', 'svg'];
+
+const signature = (eventId, registrationId) => {
+  const secret = process.env.TICKET_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret)
+    .update(`ticket:${eventId}:${registrationId}`)
+    .digest('base64url')
+    .slice(0, 22); // 128 bits
+};
+
+// The ticket code of a registration
+const signTicket = (eventId, registrationId) =>
+  `${eventId}-${registrationId}-${signature(eventId, registrationId)}`;
+
+// { eventId, registrationId } of a genuine code, otherwise null
+function readTicket(code) {
+  const match = CODE_PATTERN.exec(String(code).trim());
+  if (!match) return null;
+
+  const [, eventId, registrationId, given] = match;
+  const expected = signature(eventId, registrationId);
+  if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) return null;
+
+  return { eventId: Number(eventId), registrationId: Number(registrationId) };
+}
+
+// The code as a QR image: a PNG Buffer or an SVG string
+function ticketQr(code, format = 'png') {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 300 };
+  return format === 'svg'
+    ? QRCode.toString(code, { ...options, type: 'svg' })
+    : QRCode.toBuffer(code, { ...options, type: 'png' });
+}
+
+// What the registration emails need: { code, qrPng } with the PNG as base64
+async function ticketFor(registration) {
+  const code = signTicket(registration.event_id, registration.registration_id);
+  const png = await ticketQr(code, 'png');
+  return { code, qrPng: png.toString('base64') };
+}
+
+module.exports = { QR_FORMATS, signTicket, readTicket, ticketQr, ticketFor };
@@ -0,0 +1,56 @@
+// utils/venueBookings.js
+// Double-booking checks and free slots for venues (Events.building_ID / room).
+// An event without a room books the whole building, so it clashes with every
+// other event in that building; two events in named rooms only clash when the
+// room is the same. Cancelled events do not hold their venue.
+
+// Opening hours used for availability (VENUE_HOURS, default "08:00-20:00")
+function parseHours(value = '08:00-20:00') {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(value.trim());
+  if (!match || `${match[1]}:${match[2]}` >= `${match[3]}:${match[4]}` || Number(match[3]) > 23) {
+    throw new Error(`Invalid venue hours '${value}' (expected e.g. 08:00-20:00)`);
+  }
+  return { open: `${match[1]}:${match[2]}`, close: `${match[3]}:${match[4]}` };
+}
+
+// Bookings of the venue overlapping any of the given times (ends may touch):
+// one start_time / end_time, or the starts / ends of every occurrence of a
+// series. Occurrences of recurring events count as bookings of their own.
+async function findBookings(db, { building_id, room, start_time, end_time, starts, ends, excludeId = null }) {
+  const result = await db.query(
+    `SELECT b.event_ID, b.occurrence_ID, b.event_name, b.start_time, b.end_time, b.room
+     FROM Event_Instance b
+     WHERE b.building_ID = $1
+       AND b.status <> 'cancelled'
+       AND ($2::text IS NULL OR b.room IS NULL OR LOWER(b.room) = LOWER($2))
+       AND EXISTS (SELECT 1 FROM unnest($3::timestamp[], $4::timestamp[]) AS t(starts, ends)
+                   WHERE b.start_time < t.ends AND b.end_time > t.starts)
+       AND ($5::int IS NULL OR b.event_ID <> $5)
+     ORDER BY b.start_time`,
+    [building_id, room || null, starts || [start_time], ends || [end_time], excludeId]
+  );
+  return result.rows;
+}
+
+// The gaps between bookings within [dayStart, dayEnd], as [{ start, end }]
+function freeSlots(bookings, dayStart, dayEnd) {
+  const slots = [];
+  let cursor = dayStart;
+
+  const sorted = [...bookings].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  for (const booking of sorted) {
+    const start = new Date(booking.start_time);
+    const end = new Date(booking.end_time);
+    if (start > cursor) {
+      slots.push({ start: cursor, end: start < dayEnd ? start : dayEnd });
+    }
+    if (end > cursor) cursor = end;
+    if (cursor >= dayEnd) break;
+  }
+  if (cursor < dayEnd) {
+    slots.push({ start: cursor, end: dayEnd });
+  }
+  return slots.filter((slot) => slot.end > slot.start);
+}
+
+module.exports = { parseHours, findBookings, freeSlots };
@@ -0,0 +1,173 @@
+// 2YP/backend/services/event-service/tests/calendar.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+const { enqueue } = require("../../../mail/outbox");
+
+const { buildCalendar, eventAttachment, foldLine, escapeText } = require("../../../calendar/ical");
+const { getCalendarFeed, getEventCalendar } = require("../src/controllers/calendarController");
+const { cancelEvent } = require("../src/controllers/eventController");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use(express.json());
+app.get("/events/calendar.ics", getCalendarFeed);
+app.get("/events/:id/calendar.ics", getEventCalendar);
+app.put("/events/:id/cancel", cancelEvent);
+
+const workshop = {
+  event_id: 1,
+  event_name: "AI Workshop",
+  start_time: new Date("2025-09-20T03:30:00Z"),
+  end_time: new Date("2025-09-20T06:30:00Z"),
+  location: "Tech Building A",
+  description: "Hands-on AI training;\nbring a laptop",
+  event_categories: ["Workshop", "AI"],
+  status: "scheduled",
+  sequence: 0,
+};
+const lines = (ics) => ics.split("\r\n");
+
+describe("iCalendar", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
+  });
+
+  // ==============================
+  // GENERATION
+  // ==============================
+  it("should build an RFC 5545 calendar from an event row", () => {
+    const ics = buildCalendar([workshop], { now: new Date("2025-09-01T00:00:00Z") });
+
+    expect(ics.endsWith("\r\n")).toBe(true);
+    expect(lines(ics)).toEqual(expect.arrayContaining([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "METHOD:PUBLISH",
+      "UID:event-1@organizer-dashboard",
+      "DTSTAMP:20250901T000000Z",
+      "DTSTART:20250920T033000Z",
+      "DTEND:20250920T063000Z",
+      "SEQUENCE:0",
+      "STATUS:CONFIRMED",
+      "SUMMARY:AI Workshop",
+      "LOCATION:Tech Building A",
+      "DESCRIPTION:Hands-on AI training\\;\\nbring a laptop",
+      "CATEGORIES:Workshop,AI",
+      "END:VCALENDAR",
+    ]));
+  });
+
+  it("should keep the UID and carry the sequence and cancellation", () => {
+    const ics = buildCalendar([{ ...workshop, status: "cancelled", sequence: 3 }]);
+
+    expect(ics).toContain("UID:event-1@organizer-dashboard");
+    expect(ics).toContain("SEQUENCE:3");
+    expect(ics).toContain("STATUS:CANCELLED");
+  });
+
+  it("should escape text and fold long lines at 75 octets", () => {
+    expect(escapeText("a,b;c\\d")).toBe("a\\,b\\;c\\\\d");
+
+    const folded = foldLine(`DESCRIPTION:${"é".repeat(60)}`);
+    for (const line of folded.split("\r\n")) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(folded.split("\r\n").slice(1).every((line) => line.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`DESCRIPTION:${"é".repeat(60)}`);
+  });
+
+  it("should attach cancelled events with METHOD:CANCEL", () => {
+    const attachment = eventAttachment({ ...workshop, status: "cancelled", sequence: 1 });
+
+    expect(attachment.filename).toBe("event-1.ics");
+    expect(attachment.contentType).toContain("method=CANCEL");
+    expect(attachment.content).toContain("METHOD:CANCEL");
+  });
+
+  // ==============================
+  // FEEDS
+  // ==============================
+  it("should serve the feed as text/calendar with the filters applied", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [workshop] });
+
+    const res = await request(app).get("/events/calendar.ics?category=ai&building=2&organizer=1");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toContain("text/calendar");
+    expect(res.text).toContain("X-WR-CALNAME:Events - ai");
+    expect(res.text).toContain("SUMMARY:AI Workshop");
+    expect(pool.query.mock.calls[0][1]).toEqual(["ai", "2", "1"]);
+  });
+
+  it("should reject non-numeric building or organizer filters", async () => {
+    const res = await request(app).get("/events/calendar.ics?organizer=me");
+
+    expect(res.statusCode).toBe(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should serve a single event and 404 for unknown ones", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [workshop] }).mockResolvedValueOnce({ rows: [] });
+
+    const found = await request(app).get("/events/1/calendar.ics");
+    const missing = await request(app).get("/events/99/calendar.ics");
+
+    expect(found.statusCode).toBe(200);
+    expect(found.headers["content-disposition"]).toContain("event-1.ics");
+    expect(missing.statusCode).toBe(404);
+  });
+
+  // ==============================
+  // CANCEL
+  // ==============================
+  it("should cancel the event, bump its sequence and notify the organizer", async () => {
+    const cancelled = { ...workshop, status: "cancelled", sequence: 1 };
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [cancelled] }) // update
+      .mockResolvedValueOnce({ rows: [{ event_id: 1, name: "Tech Society", email: "tech@uni.lk" }] }) // recipients
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const res = await request(app).put("/events/1/cancel");
+
+    expect(res.statusCode).toBe(200);
+    expect(mockClient.query.mock.calls[1][0]).toContain("sequence = sequence + 1");
+    expect(enqueue).toHaveBeenCalledWith(mockClient, "event-cancelled", "tech@uni.lk", {
+      event: cancelled,
+      name: "Tech Society",
+    });
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should refuse to cancel twice and 404 for unknown events", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ status: "cancelled" }] })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({});
+
+    const again = await request(app).put("/events/1/cancel");
+    const missing = await request(app).put("/events/99/cancel");
+
+    expect(again.statusCode).toBe(400);
+    expect(missing.statusCode).toBe(404);
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+// 2YP/backend/services/event-service/tests/checkIn.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+process.env.TICKET_SECRET = "test-ticket-secret";
+
+// ===== Mock DB =====
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+
+const pool = require("../../../db/db.js");
+
+const { signTicket, readTicket } = require("../src/utils/tickets");
+const { getTicketQr, checkIn, getAttendance } = require("../src/controllers/checkInController");
+const { render } = require("../../../mail");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, role: "organizer" };
+  next();
+});
+app.get("/events/tickets/:code/qr", getTicketQr);
+app.post("/events/:id/check-in", checkIn);
+app.get("/events/:id/attendance", getAttendance);
+
+const ticket = signTicket(1, 7);
+const confirmed = { registration_id: 7, attendee_name: "Nimal Perera", status: "confirmed", recurrence_rule: null };
+const attendance = { occurrence_id: null, registered: 2, checked_in: 1 };
+
+describe("Tickets and Check-in", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  // ==============================
+  // TICKET CODES
+  // ==============================
+  it("should sign ticket codes and refuse altered ones", () => {
+    const signature = ticket.split("-").slice(2).join("-");
+
+    expect(readTicket(ticket)).toEqual({ eventId: 1, registrationId: 7 });
+    expect(readTicket(` ${ticket} `)).toEqual({ eventId: 1, registrationId: 7 });
+    expect(readTicket(`1-8-${signature}`)).toBeNull();
+    expect(readTicket("1-7-short")).toBeNull();
+    expect(readTicket("hello")).toBeNull();
+  });
+
+  it("should render a ticket as a PNG or SVG QR code", async () => {
+    const png = await request(app).get(`/events/tickets/${ticket}/qr`);
+    const svg = await request(app).get(`/events/tickets/${ticket}/qr?format=svg`);
+    const forged = await request(app).get("/events/tickets/1-7-AAAAAAAAAAAAAAAAAAAAAA/qr");
+    const gif = await request(app).get(`/events/tickets/${ticket}/qr?format=gif`);
+
+    expect(png.headers["content-type"]).toBe("image/png");
+    expect(png.body.subarray(1, 4).toString()).toBe("PNG");
+    expect(svg.headers["content-type"]).toContain("image/svg+xml");
+    expect(svg.body.toString()).toContain("<svg");
+    expect(forged.statusCode).toBe(404);
+    expect(gif.statusCode).toBe(400);
+  });
+
+  it("should embed the QR code in the confirmation email", () => {
+    const email = render("registration-confirmed", {
+      event: { event_name: "AI Workshop", start_time: "2030-09-20T09:00:00", end_time: "2030-09-20T12:00:00" },
+      name: "Nimal Perera",
+      cancelLink: "https://example.com/registrations/cancel?token=abc",
+      ticket: { code: ticket, qrPng: "iVBORw0KGgo=" },
+    });
+
+    expect(email.html).toContain('src="cid:ticket-qr"');
+    expect(email.text).toContain(ticket);
+    expect(email.attachments).toEqual([
+      { filename: "ticket.png", contentType: "image/png", content: "iVBORw0KGgo=", encoding: "base64", cid: "ticket-qr" },
+    ]);
+  });
+
+  // ==============================
+  // CHECK-IN
+  // ==============================
+  it("should check a confirmed ticket in and report the attendance", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [confirmed] })
+      .mockResolvedValueOnce({ rows: [{ checked_in_at: "2030-09-20T08:55:00" }] })
+      .mockResolvedValueOnce({ rows: [attendance] });
+
+    const res = await request(app).post("/events/1/check-in").send({ code: ticket });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      message: "Checked in",
+      attendee: { registration_id: 7, attendee_name: "Nimal Perera" },
+      checked_in_at: "2030-09-20T08:55:00",
+      attendance,
+    });
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(sql).toContain("ON CONFLICT (registration_ID, COALESCE(occurrence_ID, 0)) DO NOTHING");
+    expect(params).toEqual([7, "1", null, 1]);
+  });
+
+  it("should reject a ticket that was already checked in", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [confirmed] })
+      .mockResolvedValueOnce({ rows: [] }) // conflict
+      .mockResolvedValueOnce({ rows: [attendance] })
+      .mockResolvedValueOnce({ rows: [{ checked_in_at: "2030-09-20T08:55:00" }] });
+
+    const res = await request(app).post("/events/1/check-in").send({ code: ticket });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.checked_in_at).toBe("2030-09-20T08:55:00");
+    expect(res.body.attendance).toEqual(attendance);
+  });
+
+  it("should reject forged, foreign, cancelled and waitlisted tickets", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ ...confirmed, status: "cancelled" }] })
+      .mockResolvedValueOnce({ rows: [{ ...confirmed, status: "waitlisted" }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const forged = await request(app).post("/events/1/check-in").send({ code: "1-7-AAAAAAAAAAAAAAAAAAAAAA" });
+    const foreign = await request(app).post("/events/2/check-in").send({ code: ticket });
+    const cancelled = await request(app).post("/events/1/check-in").send({ code: ticket });
+    const waitlisted = await request(app).post("/events/1/check-in").send({ code: ticket });
+    const missing = await request(app).post("/events/1/check-in").send({ code: ticket });
+
+    expect(forged.body.message).toBe("Invalid ticket code");
+    expect(foreign.body.message).toBe("This ticket is for another event");
+    expect(cancelled.body.message).toBe("This registration was cancelled");
+    expect(waitlisted.body.message).toBe("This visitor is still on the waitlist");
+    expect(missing.statusCode).toBe(404);
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes("INSERT INTO Event_Check_In"))).toBe(false);
+  });
+
+  it("should check series tickets in per occurrence", async () => {
+    const series = { ...confirmed, recurrence_rule: "FREQ=DAILY;COUNT=3" };
+    pool.query
+      .mockResolvedValueOnce({ rows: [series] })
+      .mockResolvedValueOnce({ rows: [series] })
+      .mockResolvedValueOnce({ rows: [{ occurrence_id: 2, status: "scheduled" }] })
+      .mockResolvedValueOnce({ rows: [{ checked_in_at: "2030-09-22T07:55:00" }] })
+      .mockResolvedValueOnce({ rows: [{ ...attendance, occurrence_id: 2 }] });
+
+    const withoutOccurrence = await request(app).post("/events/1/check-in").send({ code: ticket });
+    const res = await request(app).post("/events/1/check-in").send({ code: ticket, occurrence_id: 2 });
+
+    expect(withoutOccurrence.statusCode).toBe(400);
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[3][1]).toEqual([7, "1", 2, 1]);
+    expect(pool.query.mock.calls[4][1]).toEqual(["1", 2]);
+  });
+
+  // ==============================
+  // ATTENDANCE
+  // ==============================
+  it("should report attendance per instance and 404 for unknown events", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [attendance] }).mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get("/events/1/attendance");
+    const missing = await request(app).get("/events/99/attendance");
+
+    expect(res.body).toEqual({ event_id: 1, instances: [attendance] });
+    expect(pool.query.mock.calls[0][0]).toContain("FROM Event_Instance i");
+    expect(missing.statusCode).toBe(404);
+  });
+});
@@ -64,6 +64,66 @@ describe("Event Controller API", () => {
     consoleSpy.mockRestore();
   });
 
+  it("should filter, sort and page events and send the total", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 3, event_name: "Robotics Talk", total_count: "41" }] });
+
+    const res = await request(app).get(
+      "/events?from=2025-09-01&to=2025-10-01&category=AI&location=hall&organizer=2&q=50%25_off&sort=event_name&order=desc&limit=10&offset=20"
+    );
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["x-total-count"]).toBe("41");
+    expect(res.body).toEqual([{ event_id: 3, event_name: "Robotics Talk" }]);
+    expect(sql).toContain("ORDER BY event_name DESC, event_id DESC");
+    expect(params).toEqual(["2025-09-01", "2025-10-01", "AI", "%hall%", null, "2", null, "%50\\%\\_off%", 10, 20]);
+  });
+
+  it("should list every event ordered by start_time when no page is asked for", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get("/events");
+
+    expect(res.headers["x-total-count"]).toBe("0");
+    expect(pool.query.mock.calls[0][0]).toContain("ORDER BY start_time ASC, event_id ASC");
+    expect(pool.query.mock.calls[0][1].slice(-2)).toEqual([null, 0]);
+  });
+
+  it("should use the default page size when only an offset is given", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 9, total_count: "60" }] });
+
+    await request(app).get("/events?offset=50");
+
+    expect(pool.query.mock.calls[0][1].slice(-2)).toEqual([50, 50]);
+  });
+
+  it("should count the matches when the page is past the end", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ total_count: "12" }] });
+
+    const res = await request(app).get("/events?category=AI&offset=100");
+
+    expect(res.body).toEqual([]);
+    expect(res.headers["x-total-count"]).toBe("12");
+    expect(pool.query.mock.calls[1][1]).toEqual(pool.query.mock.calls[0][1].slice(0, 8));
+  });
+
+  it("should reject invalid filters, sort fields and page sizes", async () => {
+    for (const query of ["from=soon", "organizer=me", "status=done", "sort=location;DROP", "order=up", "limit=500", "offset=-1"]) {
+      const res = await request(app).get(`/events?${query}`);
+      expect(res.statusCode).toBe(400);
+    }
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should reject filters given more than once", async () => {
+    for (const query of ["q=a&q=b", "location=x&location=y", "order=asc&order=desc", "category=AI&category=IoT"]) {
+      const res = await request(app).get(`/events?${query}`);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/may only be given once$/);
+    }
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
   // ==============================
   // GET EVENT BY ID
   // ==============================
@@ -0,0 +1,213 @@
+// 2YP/backend/services/event-service/tests/eventImport.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+
+const { parseCsv, readEvents } = require("../src/utils/eventImport");
+const { importEvents } = require("../src/controllers/eventController");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: 7, role: "organizer" };
+  next();
+});
+app.post(
+  "/events/import",
+  express.text({ type: ["text/csv", "text/calendar", "text/plain"] }),
+  importEvents
+);
+
+const csv = [
+  "Title,Start,End,Location,Categories",
+  'AI Workshop,2025-09-20 09:00,2025-09-20 12:00,"Tech Building A, Hall 2","Workshop; AI"',
+  "Broken,2025-09-21 12:00,2025-09-21 10:00,,",
+  ",2025-09-22 09:00,2025-09-22 10:00,,",
+].join("\n");
+
+const ics = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "BEGIN:VEVENT",
+  "UID:talk-1@example.com",
+  "SUMMARY:Robotics Talk\\, Part 1",
+  "DTSTART:20250920T090000",
+  "DTEND:20250920T103000",
+  "LOCATION:Main Hall",
+  "DESCRIPTION:Bring questions\\nand snacks",
+  "CATEGORIES:Talk,Robotics",
+  "BEGIN:VALARM",
+  "DESCRIPTION:Reminder",
+  "END:VALARM",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:weekly@example.com",
+  "SUMMARY:Weekly Meetup",
+  "DTSTART:20250921T090000",
+  "DTEND:20250921T100000",
+  "RRULE:FREQ=WEEKLY;COUNT=3",
+  "EXDATE:20250928T090000",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:forever@example.com",
+  "SUMMARY:Open-ended",
+  "DTSTART:20250921T090000",
+  "DTEND:20250921T100000",
+  "RRULE:FREQ=DAILY",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+const inserts = () => mockClient.query.mock.calls.filter(([sql]) => sql.includes("INSERT INTO Events"));
+
+// The tag lookup (backend/tags/taxonomy.js) knows these names, 'talks' as a synonym
+const TAGS = { workshop: "Workshop", ai: "AI", robotics: "Robotics", talks: "Talk" };
+const lookup = (sql, [keys]) => Promise.resolve({
+  rows: keys.filter((key) => TAGS[key]).map((key) => ({ key, tag_id: Object.keys(TAGS).indexOf(key) + 1, tag_name: TAGS[key] })),
+});
+
+describe("Event Import", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
+    pool.query.mockImplementation(lookup);
+    mockClient.query.mockImplementation((sql, params) =>
+      Promise.resolve(sql.includes("INSERT") ? { rows: [{ event_id: 100, event_name: params[0] }] } : {})
+    );
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ==============================
+  // PARSING
+  // ==============================
+  it("should parse quoted CSV fields with commas, quotes and line breaks", () => {
+    const { rows, lines } = parseCsv('a,b\r\n"x, ""y""\nz",2\n\n3,4');
+
+    expect(rows).toEqual([["a", "b"], ['x, "y"\nz', "2"], ["3", "4"]]);
+    expect(lines).toEqual([1, 2, 5]);
+  });
+
+  it("should map CSV header aliases onto event columns", () => {
+    const [entry] = readEvents("csv", csv);
+
+    expect(entry.row).toBe(2);
+    expect(entry.fields).toEqual({
+      event_name: "AI Workshop",
+      start_time: "2025-09-20 09:00",
+      end_time: "2025-09-20 12:00",
+      location: "Tech Building A, Hall 2",
+      description: null,
+      media_urls: null,
+      event_categories: ["Workshop", "AI"],
+      capacity: null,
+      recurrence_rule: null,
+      recurrence_exceptions: null,
+    });
+  });
+
+  it("should reject a CSV without the required columns", () => {
+    expect(() => readEvents("csv", "Title,Location\nA,B")).toThrow("Missing column(s): start_time, end_time");
+  });
+
+  it("should map VEVENTs, including recurrence rules and exceptions", () => {
+    const [talk, weekly] = readEvents("ics", ics);
+
+    expect(talk.fields).toEqual(expect.objectContaining({
+      event_name: "Robotics Talk, Part 1",
+      start_time: "2025-09-20 09:00:00",
+      end_time: "2025-09-20 10:30:00",
+      description: "Bring questions\nand snacks",
+      event_categories: ["Talk", "Robotics"],
+    }));
+    expect(talk.fields.recurrence_rule).toBeNull();
+    expect(weekly.fields).toEqual(expect.objectContaining({
+      recurrence_rule: "FREQ=WEEKLY;COUNT=3",
+      recurrence_exceptions: ["2025-09-28"],
+    }));
+  });
+
+  // ==============================
+  // ENDPOINT
+  // ==============================
+  it("should report per-row errors on a dry run without writing", async () => {
+    const res = await request(app).post("/events/import?dry_run=true").type("text/csv").send(csv);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ dry_run: true, total: 3, valid: 1, invalid: 2 }));
+    expect(res.body.errors).toEqual([
+      { row: 3, message: "End time must be later than start time" },
+      { row: 4, message: "event_name, start_time, and end_time are required" },
+    ]);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it("should look up every row's categories at once and refuse names that are not tags", async () => {
+    const file = csv.replace("Workshop; AI", "workshop; Hackathon");
+
+    const res = await request(app).post("/events/import?dry_run=true").type("text/csv").send(file);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][1]).toEqual([["workshop", "hackathon"]]);
+    expect(res.body.valid).toBe(0);
+    expect(res.body.errors[0]).toEqual({ row: 2, message: "Unknown tag: Hackathon (see GET /tags)" });
+  });
+
+  it("should insert every valid row in one transaction for the organizer", async () => {
+    const res = await request(app).post("/events/import").type("text/calendar").send(ics.replace("Talk,Robotics", "talks,ROBOTICS"));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual(expect.objectContaining({ imported: 2, invalid: 1 }));
+    expect(res.body.errors).toEqual([
+      { row: 3, uid: "forever@example.com", message: "A recurrence rule needs COUNT or UNTIL" },
+    ]);
+    expect(inserts()).toHaveLength(2);
+    expect(inserts()[0][1]).toEqual([
+      "Robotics Talk, Part 1", "2025-09-20 09:00:00", "2025-09-20 10:30:00", "Main Hall",
+      "Bring questions\nand snacks", null, ["Talk", "Robotics"], 7, null, null, null, null, [], [], null,
+    ]);
+    // The series gets its occurrences, without the excepted day
+    const [rule, exceptions, starts] = inserts()[1][1].slice(10, 13);
+    expect([rule, exceptions]).toEqual(["FREQ=WEEKLY;COUNT=3", ["2025-09-28"]]);
+    expect(starts.map((start) => start.getDate())).toEqual([21, 5]);
+    expect(mockClient.query.mock.calls[0][0]).toBe("BEGIN");
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should roll back every row when one insert fails", async () => {
+    mockClient.query.mockImplementation((sql) =>
+      sql.includes("INSERT") ? Promise.reject(new Error("DB failure")) : Promise.resolve({})
+    );
+
+    const res = await request(app).post("/events/import?format=csv").type("text/plain").send(csv);
+
+    expect(res.statusCode).toBe(500);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should return 400 when there is nothing to import", async () => {
+    const unknown = await request(app).post("/events/import").type("text/plain").send(csv);
+    const empty = await request(app).post("/events/import").type("text/csv").send("");
+    const invalid = await request(app)
+      .post("/events/import")
+      .type("text/csv")
+      .send("name,start,end\nA,tomorrow,later");
+
+    expect(unknown.statusCode).toBe(400);
+    expect(empty.statusCode).toBe(400);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.errors[0].message).toBe("start_time and end_time must be valid dates");
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
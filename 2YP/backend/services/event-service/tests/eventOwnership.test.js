@@ -0,0 +1,191 @@
+// 2YP/backend/services/event-service/tests/eventOwnership.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+
+const requireEventAccess = require("../src/middlewares/eventAccess");
+const { getMyEvents } = require("../src/controllers/eventController");
+const {
+  getEventOrganizers,
+  addCoOrganizer,
+  removeCoOrganizer,
+} = require("../src/controllers/coOrganizerController");
+
+// ===== Setup Express App for Testing =====
+// The caller is given as x-test-role / x-test-id headers
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { role: req.headers["x-test-role"] || "visitor", id: Number(req.headers["x-test-id"]) || undefined };
+  next();
+});
+const done = (req, res) => res.json({ message: "changed" });
+app.get("/events/mine", getMyEvents);
+app.put("/events/:id", requireEventAccess("organizer"), done);
+app.delete("/events/:id", requireEventAccess("owner"), done);
+app.get("/events/:id/organizers", getEventOrganizers);
+app.post("/events/:id/organizers", addCoOrganizer);
+app.delete("/events/:id/organizers/:organizerId", removeCoOrganizer);
+
+const as = (role, id) => ({ "x-test-role": role, "x-test-id": String(id || "") });
+
+describe("Event Ownership", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ==============================
+  // ACCESS CHECK
+  // ==============================
+  it("should let the owner change and delete the event", async () => {
+    pool.query.mockResolvedValue({ rows: [{ organizer_id: 7, co_organizer: false }] });
+
+    const update = await request(app).put("/events/1").set(as("organizer", 7));
+    const remove = await request(app).delete("/events/1").set(as("organizer", 7));
+
+    expect(update.statusCode).toBe(200);
+    expect(remove.statusCode).toBe(200);
+    expect(pool.query.mock.calls[0][1]).toEqual(["1", 7]);
+  });
+
+  it("should let co-organizers edit but not delete", async () => {
+    pool.query.mockResolvedValue({ rows: [{ organizer_id: 7, co_organizer: true }] });
+
+    const update = await request(app).put("/events/1").set(as("organizer", 8));
+    const remove = await request(app).delete("/events/1").set(as("organizer", 8));
+
+    expect(update.statusCode).toBe(200);
+    expect(remove.statusCode).toBe(403);
+    expect(remove.body.message).toBe("Only the event owner or an admin can do this");
+  });
+
+  it("should refuse other organizers and visitors", async () => {
+    pool.query.mockResolvedValue({ rows: [{ organizer_id: 7, co_organizer: false }] });
+
+    const other = await request(app).put("/events/1").set(as("organizer", 9));
+    const visitor = await request(app).put("/events/1");
+
+    expect(other.statusCode).toBe(403);
+    expect(visitor.statusCode).toBe(403);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should let admins change any event, even one without an owner", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ organizer_id: null, co_organizer: false }] });
+
+    const res = await request(app).delete("/events/1").set(as("admin", 1));
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[0][1]).toEqual(["1", null]);
+  });
+
+  it("should return 404 for unknown or malformed event ids", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const missing = await request(app).put("/events/99").set(as("admin", 1));
+    const malformed = await request(app).put("/events/abc").set(as("admin", 1));
+
+    expect(missing.statusCode).toBe(404);
+    expect(malformed.statusCode).toBe(404);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  // ==============================
+  // MY EVENTS
+  // ==============================
+  it("should list the events the organizer owns or co-organizes", async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        { event_id: 1, event_name: "AI Workshop", is_owner: false, total_count: "2" },
+        { event_id: 5, event_name: "Robotics Talk", is_owner: true, total_count: "2" },
+      ],
+    });
+
+    const res = await request(app).get("/events/mine?limit=10").set(as("organizer", 2));
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["x-total-count"]).toBe("2");
+    expect(res.body.map((event) => event.is_owner)).toEqual([false, true]);
+    expect(sql).toContain("Event_Co_Organizer");
+    expect(sql).toContain("LIMIT $10 OFFSET $11");
+    expect(params.slice(8)).toEqual([2, 10, 0]);
+  });
+
+  // ==============================
+  // CO-ORGANIZERS
+  // ==============================
+  it("should list the owner and the co-organizers", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ organizer_id: 1 }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { organizer_id: 1, organizer_name: "Tech Society", is_owner: true, added_at: null },
+          { organizer_id: 2, organizer_name: "Innovation Team", is_owner: false, added_at: "2025-09-01T00:00:00.000Z" },
+        ],
+      });
+
+    const res = await request(app).get("/events/1/organizers");
+
+    expect(res.body).toEqual({
+      owner: { organizer_id: 1, organizer_name: "Tech Society" },
+      co_organizers: [{ organizer_id: 2, organizer_name: "Innovation Team", added_at: "2025-09-01T00:00:00.000Z" }],
+    });
+  });
+
+  it("should add an approved organizer as co-organizer once", async () => {
+    const organizer = { organizer_id: 2, organizer_name: "Innovation Team", status: "approved", is_owner: false };
+    pool.query
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [{ added_at: "2025-09-01T00:00:00.000Z" }] })
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const added = await request(app).post("/events/1/organizers").send({ organizer_id: 2 });
+    const again = await request(app).post("/events/1/organizers").send({ organizer_id: 2 });
+
+    expect(added.statusCode).toBe(201);
+    expect(added.body.co_organizer).toEqual({
+      organizer_id: 2,
+      organizer_name: "Innovation Team",
+      added_at: "2025-09-01T00:00:00.000Z",
+    });
+    expect(again.statusCode).toBe(409);
+  });
+
+  it("should refuse pending organizers, the owner and unknown organizers", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ organizer_id: 3, status: "pending", is_owner: false }] })
+      .mockResolvedValueOnce({ rows: [{ organizer_id: 1, status: "approved", is_owner: true }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const pending = await request(app).post("/events/1/organizers").send({ organizer_id: 3 });
+    const owner = await request(app).post("/events/1/organizers").send({ organizer_id: 1 });
+    const unknown = await request(app).post("/events/1/organizers").send({ organizer_id: 99 });
+    const missing = await request(app).post("/events/1/organizers").send({});
+
+    expect([pending.statusCode, owner.statusCode, unknown.statusCode, missing.statusCode]).toEqual([400, 400, 404, 400]);
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+
+  it("should remove a co-organizer", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ organizer_id: 2 }] }).mockResolvedValueOnce({ rows: [] });
+
+    const removed = await request(app).delete("/events/1/organizers/2");
+    const missing = await request(app).delete("/events/1/organizers/2");
+
+    expect(removed.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,256 @@
+// 2YP/backend/services/event-service/tests/eventSeries.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+const { enqueue } = require("../../../mail/outbox");
+
+const { parseRule, formatRule, expandRule } = require("../../../calendar/rrule");
+const { buildCalendar } = require("../../../calendar/ical");
+const { expandSeries } = require("../src/utils/eventSeries");
+const { getEvents, createEvent, updateEvent } = require("../src/controllers/eventController");
+const { getOccurrences, updateOccurrence, cancelOccurrence } = require("../src/controllers/occurrenceController");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use(express.json());
+app.get("/events", getEvents);
+app.post("/events", createEvent);
+app.put("/events/:id", updateEvent);
+app.get("/events/:id/occurrences", getOccurrences);
+app.put("/events/:id/occurrences/:occurrenceId", updateOccurrence);
+app.put("/events/:id/occurrences/:occurrenceId/cancel", cancelOccurrence);
+
+const local = (text) => new Date(text);
+const days = (dates) => dates.map((date) => date.toDateString());
+const briefing = {
+  event_name: "Morning Briefing",
+  start_time: "2025-09-20T08:00:00",
+  end_time: "2025-09-20T08:30:00",
+  recurrence_rule: "FREQ=DAILY;COUNT=3",
+  recurrence_exceptions: ["2025-09-21"],
+};
+
+describe("Recurring Events", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    pool.connect.mockResolvedValue(mockClient);
+  });
+
+  // ==============================
+  // RULES
+  // ==============================
+  it("should parse the supported rules and write them back", () => {
+    const rule = parseRule("RRULE:freq=weekly;interval=2;byday=MO,WE;until=20251031");
+
+    expect(rule).toEqual({ freq: "WEEKLY", interval: 2, byday: ["MO", "WE"], count: null, until: "2025-10-31 23:59:59" });
+    expect(formatRule(rule)).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20251031T235959");
+  });
+
+  it("should reject rules it cannot expand", () => {
+    expect(() => parseRule("FREQ=MONTHLY;COUNT=2")).toThrow("Recurrence FREQ must be one of: DAILY, WEEKLY");
+    expect(() => parseRule("FREQ=DAILY")).toThrow("A recurrence rule needs COUNT or UNTIL");
+    expect(() => parseRule("FREQ=DAILY;COUNT=2;UNTIL=20251001")).toThrow("both COUNT and UNTIL");
+    expect(() => parseRule("FREQ=DAILY;BYDAY=MO;COUNT=2")).toThrow("only supported with FREQ=WEEKLY");
+    expect(() => parseRule("FREQ=DAILY;BYMONTH=1;COUNT=2")).toThrow("Unsupported recurrence rule part(s): BYMONTH");
+    expect(() => expandRule(parseRule("FREQ=DAILY;COUNT=400"), local("2025-01-01T09:00:00"))).toThrow("at most 366");
+    expect(() => parseRule("FREQ=DAILY;INTERVAL=10000000;COUNT=2")).toThrow("INTERVAL can be at most 366");
+    expect(() => parseRule("FREQ=WEEKLY;INTERVAL=53;COUNT=2")).toThrow("INTERVAL can be at most 52");
+  });
+
+  it("should step whole intervals rather than every day", () => {
+    const starts = expandRule({ freq: "DAILY", interval: 1e6, byday: null, count: 2, until: null }, local("2025-09-01T10:00:00"));
+
+    expect(starts).toHaveLength(2);
+    expect(days(expandRule(parseRule("FREQ=DAILY;INTERVAL=366;COUNT=2"), local("2025-09-01T10:00:00"))))
+      .toEqual(days([local("2025-09-01T00:00:00"), local("2026-09-02T00:00:00")]));
+  });
+
+  it("should expand weekly rules on the listed days, every other week", () => {
+    // Monday 2025-09-01
+    const starts = expandRule(parseRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=4"), local("2025-09-01T10:00:00"));
+
+    expect(days(starts)).toEqual(days([
+      local("2025-09-01T00:00:00"), local("2025-09-04T00:00:00"),
+      local("2025-09-15T00:00:00"), local("2025-09-18T00:00:00"),
+    ]));
+    expect(starts.every((start) => start.getHours() === 10)).toBe(true);
+  });
+
+  it("should count excepted days but leave them out", () => {
+    const series = expandSeries(briefing);
+
+    expect(series.rule).toBe("FREQ=DAILY;COUNT=3");
+    expect(series.starts).toEqual([local("2025-09-20T08:00:00"), local("2025-09-22T08:00:00")]);
+    expect(series.ends).toEqual([local("2025-09-20T08:30:00"), local("2025-09-22T08:30:00")]);
+    expect(() => expandSeries({ ...briefing, recurrence_rule: "FREQ=DAILY;COUNT=1", recurrence_exceptions: ["2025-09-20"] }))
+      .toThrow("The recurrence rule leaves no occurrences");
+    expect(() => expandSeries({ ...briefing, recurrence_exceptions: ["tomorrow"] })).toThrow("recurrence_exceptions");
+  });
+
+  // ==============================
+  // SERIES
+  // ==============================
+  it("should create a series with its occurrences", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 5, recurrence_rule: "FREQ=DAILY;COUNT=3" }] });
+
+    const res = await request(app).post("/events").send(briefing);
+
+    expect(res.statusCode).toBe(201);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("INSERT INTO Event_Occurrence");
+    expect(params.slice(10, 12)).toEqual(["FREQ=DAILY;COUNT=3", ["2025-09-21"]]);
+    expect(params[12]).toEqual([local("2025-09-20T08:00:00"), local("2025-09-22T08:00:00")]);
+  });
+
+  it("should refuse a series with an invalid rule", async () => {
+    const res = await request(app).post("/events").send({ ...briefing, recurrence_rule: "FREQ=YEARLY;COUNT=2" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toContain("Recurrence FREQ");
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should re-expand a series when its rule changes, keeping edited occurrences", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{
+        start_time: local("2025-09-20T08:00:00"), end_time: local("2025-09-20T08:30:00"), building_id: null, room: null,
+        recurrence_rule: "FREQ=DAILY;COUNT=3", recurrence_exceptions: [],
+      }] })
+      .mockResolvedValueOnce({ rows: [{ event_id: 5 }] });
+
+    const res = await request(app).put("/events/5").send({ recurrence_rule: "FREQ=DAILY;COUNT=5" });
+
+    expect(res.statusCode).toBe(200);
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(sql).toContain("WHERE NOT Event_Occurrence.modified");
+    expect(sql).toContain("DELETE FROM Event_Occurrence");
+    expect(params[10]).toBe("FREQ=DAILY;COUNT=5");
+    expect(params[12]).toHaveLength(5);
+  });
+
+  it("should list occurrences, or one row per series with expand=false", async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await request(app).get("/events");
+    await request(app).get("/events?expand=false");
+    const bad = await request(app).get("/events?expand=maybe");
+
+    expect(pool.query.mock.calls[0][0]).toContain("FROM Event_Instance ev");
+    expect(pool.query.mock.calls[1][0]).toContain("FROM Events ev");
+    expect(bad.statusCode).toBe(400);
+  });
+
+  // ==============================
+  // SINGLE OCCURRENCES
+  // ==============================
+  it("should list the occurrences of a series and 404 for unknown events", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ occurrence_id: 1 }, { occurrence_id: 2 }] }).mockResolvedValueOnce({ rows: [] });
+
+    const found = await request(app).get("/events/5/occurrences");
+    const missing = await request(app).get("/events/99/occurrences");
+
+    expect(found.body).toHaveLength(2);
+    expect(pool.query.mock.calls[0][0]).toContain("ORDER BY start_time");
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should move one occurrence and mark it as edited", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{
+        start_time: local("2025-09-22T08:00:00"), end_time: local("2025-09-22T08:30:00"), building_id: 102, room: null,
+      }] })
+      .mockResolvedValueOnce({ rows: [] }) // no clashes
+      .mockResolvedValueOnce({ rows: [{ occurrence_id: 2, modified: true, sequence: 1 }] });
+
+    const res = await request(app).put("/events/5/occurrences/2").send({ start_time: "2025-09-22T09:00:00", end_time: "2025-09-22T09:30:00" });
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[1][0]).toContain("Event_Instance");
+    const [sql, params] = pool.query.mock.calls[2];
+    expect(sql).toContain("modified = TRUE, sequence = sequence + 1");
+    expect(params).toEqual(["2025-09-22T09:00:00", "2025-09-22T09:30:00", "2", "5"]);
+  });
+
+  it("should refuse to move an occurrence before its start or onto a booked venue", async () => {
+    const current = { start_time: local("2025-09-22T08:00:00"), end_time: local("2025-09-22T08:30:00"), building_id: 102, room: null };
+    pool.query
+      .mockResolvedValueOnce({ rows: [current] })
+      .mockResolvedValueOnce({ rows: [current] })
+      .mockResolvedValueOnce({ rows: [{ event_id: 2, event_name: "Robotics Meetup" }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const backwards = await request(app).put("/events/5/occurrences/2").send({ end_time: "2025-09-22T07:00:00" });
+    const clash = await request(app).put("/events/5/occurrences/2").send({ start_time: "2025-09-22T07:30:00" });
+    const missing = await request(app).put("/events/5/occurrences/99").send({ start_time: "2025-09-22T07:30:00" });
+
+    expect(backwards.statusCode).toBe(400);
+    expect(clash.statusCode).toBe(409);
+    expect(clash.body.conflicts).toHaveLength(1);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should cancel one occurrence and notify the organizer", async () => {
+    const instance = { event_id: 5, occurrence_id: 2, event_name: "Morning Briefing", status: "cancelled", sequence: 1 };
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ occurrence_id: 2 }] }) // update
+      .mockResolvedValueOnce({ rows: [instance] }) // instance
+      .mockResolvedValueOnce({ rows: [{ event_id: 5, name: "Tech Society", email: "tech@uni.lk" }] }) // recipients
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const res = await request(app).put("/events/5/occurrences/2/cancel");
+
+    expect(res.statusCode).toBe(200);
+    expect(mockClient.query.mock.calls[1][1]).toEqual(["2", "5"]);
+    expect(enqueue).toHaveBeenCalledWith(mockClient, "event-cancelled", "tech@uni.lk", {
+      event: instance,
+      name: "Tech Society",
+    });
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should refuse to cancel an occurrence twice", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ status: "cancelled" }] })
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).put("/events/5/occurrences/2/cancel");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Occurrence is already cancelled");
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  // ==============================
+  // CALENDAR
+  // ==============================
+  it("should give each occurrence its own UID in calendar files", () => {
+    const occurrence = {
+      event_id: 5,
+      occurrence_start: new Date("2025-09-22T02:30:00Z"),
+      event_name: "Morning Briefing",
+      start_time: new Date("2025-09-22T02:30:00Z"),
+      end_time: new Date("2025-09-22T03:00:00Z"),
+      status: "scheduled",
+      sequence: 0,
+    };
+
+    const ics = buildCalendar([occurrence]);
+
+    expect(ics).toContain("UID:event-5-20250922T023000Z@organizer-dashboard");
+  });
+});
@@ -0,0 +1,306 @@
+// 2YP/backend/services/event-service/tests/registrations.test.js
+
+const crypto = require("crypto");
+const request = require("supertest");
+const express = require("express");
+
+process.env.TICKET_SECRET = "test-ticket-secret";
+process.env.REGISTRATION_CANCEL_URL = "https://example.com/registrations/cancel";
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+const { enqueue } = require("../../../mail/outbox");
+
+const {
+  register,
+  cancelWithToken,
+  removeRegistration,
+  getRegistrations,
+  exportRegistrations,
+} = require("../src/controllers/registrationController");
+const { updateEvent } = require("../src/controllers/eventController");
+const { findRecipients } = require("../src/utils/eventRecipients");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use(express.json());
+app.post("/events/registrations/cancel", cancelWithToken);
+app.post("/events/:id/registrations", register);
+app.get("/events/:id/registrations", getRegistrations);
+app.get("/events/:id/registrations.csv", exportRegistrations);
+app.delete("/events/:id/registrations/:registrationId", removeRegistration);
+app.put("/events/:id", updateEvent);
+
+// The event as lockEvent returns it
+const workshop = (overrides = {}) => ({
+  event_id: 1,
+  event_name: "AI Workshop",
+  start_time: new Date("2030-09-20T09:00:00"),
+  end_time: new Date("2030-09-20T12:00:00"),
+  location: "Tech Building A",
+  status: "scheduled",
+  capacity: 2,
+  confirmed: 1,
+  waitlisted: 0,
+  upcoming: true,
+  ...overrides,
+});
+const visitor = { name: "Nimal Perera", email: "nimal@mail.com" };
+const registration = (overrides = {}) => ({
+  registration_id: 7,
+  event_id: 1,
+  attendee_name: "Nimal Perera",
+  email: "nimal@mail.com",
+  status: "confirmed",
+  ...overrides,
+});
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const callWith = (text) => mockClient.query.mock.calls.find((call) => call[0].includes(text));
+
+describe("Event Registrations", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    mockClient.query.mockReset();
+    pool.connect.mockResolvedValue(mockClient);
+  });
+
+  // ==============================
+  // SIGN-UP
+  // ==============================
+  it("should confirm a registration while the event has room", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [workshop()] }) // lock
+      .mockResolvedValueOnce({ rows: [registration()] }) // insert
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const res = await request(app).post("/events/1/registrations").send(visitor);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.registration).toEqual({ ...registration(), position: null, ticket_code: expect.any(String) });
+    expect(callWith("FOR UPDATE OF e")[1]).toEqual(["1"]);
+
+    const params = callWith("INSERT INTO Event_Registration")[1];
+    expect(params.slice(0, 4)).toEqual([1, "Nimal Perera", "nimal@mail.com", "confirmed"]);
+    // Only the hash of the emailed token is stored
+    const [, , to, data] = enqueue.mock.calls[0];
+    expect(enqueue.mock.calls[0][1]).toBe("registration-confirmed");
+    expect(to).toBe("nimal@mail.com");
+    expect(data.cancelLink).toMatch(/^https:\/\/example\.com\/registrations\/cancel\?token=[0-9a-f]{64}$/);
+    expect(params[4]).toBe(sha256(data.cancelLink.split("token=")[1]));
+    // The ticket comes with the confirmation
+    expect(res.body.registration.ticket_code).toBe(data.ticket.code);
+    expect(data.ticket.code).toMatch(/^1-7-/);
+    expect(Buffer.from(data.ticket.qrPng, "base64").subarray(1, 4).toString()).toBe("PNG");
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should waitlist visitors once the event is full", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop({ confirmed: 2, waitlisted: 3 })] })
+      .mockResolvedValueOnce({ rows: [registration({ status: "waitlisted" })] })
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).post("/events/1/registrations").send(visitor);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toContain("waitlist");
+    expect(res.body.registration.position).toBe(4);
+    expect(callWith("INSERT INTO Event_Registration")[1][3]).toBe("waitlisted");
+    expect(enqueue.mock.calls[0][1]).toBe("registration-waitlisted");
+    expect(enqueue.mock.calls[0][3].position).toBe(4);
+  });
+
+  it("should confirm everyone when the event has no capacity", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop({ capacity: null, confirmed: 500 })] })
+      .mockResolvedValueOnce({ rows: [registration()] })
+      .mockResolvedValueOnce({});
+
+    await request(app).post("/events/1/registrations").send(visitor);
+
+    expect(callWith("INSERT INTO Event_Registration")[1][3]).toBe("confirmed");
+  });
+
+  it("should refuse a second registration with the same email", async () => {
+    const duplicate = Object.assign(new Error("duplicate key"), { code: "23505" });
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop()] })
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).post("/events/1/registrations").send(visitor);
+
+    expect(res.statusCode).toBe(409);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  it("should only take registrations for upcoming, scheduled events", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [workshop({ status: "cancelled" })] }).mockResolvedValueOnce({})
+      .mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [workshop({ upcoming: false })] }).mockResolvedValueOnce({})
+      .mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({});
+
+    const cancelled = await request(app).post("/events/1/registrations").send(visitor);
+    const started = await request(app).post("/events/1/registrations").send(visitor);
+    const missing = await request(app).post("/events/99/registrations").send(visitor);
+
+    expect(cancelled.statusCode).toBe(400);
+    expect(started.body.message).toContain("already started");
+    expect(missing.statusCode).toBe(404);
+    expect(callWith("INSERT INTO Event_Registration")).toBeUndefined();
+  });
+
+  it("should validate the name and email before touching the database", async () => {
+    const noName = await request(app).post("/events/1/registrations").send({ email: "nimal@mail.com" });
+    const badEmail = await request(app).post("/events/1/registrations").send({ name: "Nimal", email: "nimal" });
+
+    expect(noName.statusCode).toBe(400);
+    expect(badEmail.statusCode).toBe(400);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  // ==============================
+  // CANCELLATION AND THE WAITLIST
+  // ==============================
+  it("should cancel with the emailed token and promote the longest waiting visitor", async () => {
+    const waiting = registration({ registration_id: 9, attendee_name: "Ruwan Fernando", email: "ruwan@mail.com" });
+    pool.query.mockResolvedValueOnce({ rows: [{ registration_id: 7, event_id: 1 }] });
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [workshop({ confirmed: 2, waitlisted: 1 })] }) // lock
+      .mockResolvedValueOnce({ rows: [{ ...registration({ status: "cancelled" }), previous_status: "confirmed" }] })
+      .mockResolvedValueOnce({ rows: [waiting] }) // promotion
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const res = await request(app).post("/events/registrations/cancel").send({ token: "abc" });
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[0][1]).toEqual([sha256("abc")]);
+    expect(callWith("ORDER BY created_at, registration_ID")[1]).toEqual([1, 1]);
+    expect(enqueue.mock.calls.map((call) => [call[1], call[2]])).toEqual([
+      ["registration-cancelled", "nimal@mail.com"],
+      ["registration-promoted", "ruwan@mail.com"],
+    ]);
+    expect(res.body.promoted).toEqual([waiting]);
+    expect(enqueue.mock.calls[1][3].ticket.code).toMatch(/^1-9-/);
+    expect(res.body.registration).not.toHaveProperty("previous_status");
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+  });
+
+  it("should not promote anyone when a waitlisted visitor leaves", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ registration_id: 8, event_id: 1 }] });
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop({ confirmed: 2, waitlisted: 2 })] })
+      .mockResolvedValueOnce({ rows: [{ ...registration({ status: "cancelled" }), previous_status: "waitlisted" }] })
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).post("/events/registrations/cancel").send({ token: "abc" });
+
+    expect(res.body.promoted).toEqual([]);
+    expect(callWith("ORDER BY created_at, registration_ID")).toBeUndefined();
+  });
+
+  it("should 404 for unknown tokens and registrations already cancelled", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({});
+
+    const unknown = await request(app).post("/events/registrations/cancel").send({ token: "nope" });
+    const again = await request(app).delete("/events/1/registrations/7");
+    const missingToken = await request(app).post("/events/registrations/cancel").send({});
+
+    expect(unknown.statusCode).toBe(404);
+    expect(again.statusCode).toBe(404);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(missingToken.statusCode).toBe(400);
+  });
+
+  it("should hand new places to the waitlist when the capacity is raised", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 1, capacity: 4 }] });
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [workshop({ capacity: 4, confirmed: 2, waitlisted: 5 })] })
+      .mockResolvedValueOnce({ rows: [registration({ registration_id: 8 }), registration({ registration_id: 9 })] })
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).put("/events/1").send({ capacity: 4 });
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query.mock.calls[0][1][14]).toBe(4);
+    expect(callWith("ORDER BY created_at, registration_ID")[1]).toEqual([1, 2]);
+    expect(enqueue).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject a capacity that is not a positive whole number", async () => {
+    const res = await request(app).put("/events/1").send({ capacity: 0 });
+
+    expect(res.statusCode).toBe(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  // ==============================
+  // ATTENDEE LIST
+  // ==============================
+  it("should list attendees, filtered by status", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [registration()] });
+
+    const res = await request(app).get("/events/1/registrations?status=confirmed");
+    const bad = await request(app).get("/events/1/registrations?status=maybe");
+
+    expect(res.body).toEqual([registration()]);
+    expect(pool.query.mock.calls[0][1]).toEqual(["1", "confirmed"]);
+    expect(bad.statusCode).toBe(400);
+  });
+
+  it("should export the attendee list as CSV, defusing spreadsheet formulas", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [
+      registration({ created_at: new Date("2030-09-01T10:00:00Z") }),
+      registration({ registration_id: 8, attendee_name: "=HYPERLINK(\"x\")", status: "waitlisted", position: 1 }),
+    ] });
+
+    const res = await request(app).get("/events/1/registrations.csv");
+
+    expect(res.headers["content-type"]).toContain("text/csv");
+    expect(res.headers["content-disposition"]).toContain("event-1-attendees.csv");
+    expect(res.text.split("\r\n")).toEqual([
+      "registration_id,attendee_name,email,status,position,created_at,confirmed_at,cancelled_at",
+      "7,Nimal Perera,nimal@mail.com,confirmed,,2030-09-01T10:00:00.000Z,,",
+      "8,\"'=HYPERLINK(\"\"x\"\")\",nimal@mail.com,waitlisted,1,,,",
+      "",
+    ]);
+  });
+
+  // ==============================
+  // NOTIFICATIONS
+  // ==============================
+  it("should send event emails to confirmed attendees as well as the organizer", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [
+      { event_id: 1, name: "Tech Society", email: "tech@uni.lk" },
+      { event_id: 1, name: "Nimal Perera", email: "nimal@mail.com" },
+    ] });
+
+    const recipients = await findRecipients(pool, [1, 2]);
+
+    expect(pool.query.mock.calls[0][0]).toContain("r.status = 'confirmed'");
+    expect(recipients.get(1)).toHaveLength(2);
+    expect(recipients.get(2)).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+// 2YP/backend/services/event-service/tests/reminderScheduler.test.js
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+const { enqueue } = require("../../../mail/outbox");
+
+const {
+  parseOffsets,
+  describeOffset,
+  sendDueReminders,
+} = require("../src/utils/reminderScheduler");
+
+const start = new Date("2030-05-01T09:00:00");
+const dueRow = (offset_minutes, overrides = {}) => ({
+  event_id: 1,
+  event_name: "AI Workshop",
+  start_time: start,
+  end_time: new Date("2030-05-01T12:00:00"),
+  location: "Tech Building A",
+  description: null,
+  offset_minutes,
+  ...overrides,
+});
+const organizer = { event_id: 1, name: "Tech Society", email: "tech@uni.lk" };
+const sqlOf = (call) => call[0];
+const claims = () => mockClient.query.mock.calls.filter((call) => sqlOf(call).includes("INSERT INTO Event_Reminder"));
+
+describe("Event Reminder Scheduler", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient);
+    mockClient.query.mockResolvedValue({ rows: [] });
+  });
+
+  // ==============================
+  // OFFSETS
+  // ==============================
+  it("should parse offsets, largest first", () => {
+    expect(parseOffsets("1h, 24h,30m,1h")).toEqual([1440, 60, 30]);
+    expect(parseOffsets()).toEqual([1440, 60]);
+    expect(() => parseOffsets("soon")).toThrow("Invalid reminder offset 'soon'");
+  });
+
+  it("should describe offsets for the email", () => {
+    expect(describeOffset(1440)).toBe("24 hours");
+    expect(describeOffset(60)).toBe("1 hour");
+    expect(describeOffset(2880)).toBe("2 days");
+    expect(describeOffset(90)).toBe("90 minutes");
+  });
+
+  // ==============================
+  // SENDING
+  // ==============================
+  it("should record the reminder and queue it for the organizer in one transaction", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [dueRow(1440)] }) // due reminders
+      .mockResolvedValueOnce({ rows: [organizer] }) // recipients
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 5 }] }); // claim
+
+    const summary = await sendDueReminders(pool, { offsets: [1440, 60] });
+
+    expect(mockClient.query.mock.calls[1][1]).toEqual([[1440, 60]]);
+    expect(claims()[0][1]).toEqual([1, 1440, start, "sent", 1]);
+    expect(enqueue).toHaveBeenCalledWith(mockClient, "event-reminder", "tech@uni.lk", {
+      event: expect.objectContaining({ event_id: 1, event_name: "AI Workshop" }),
+      name: "Tech Society",
+      startsIn: "24 hours",
+    });
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(summary).toEqual({ sent: 1, skipped: 0, emails: 1 });
+  });
+
+  it("should not send a reminder another run already claimed", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [dueRow(60)] })
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [] }); // ON CONFLICT DO NOTHING
+
+    const summary = await sendDueReminders(pool, { offsets: [60] });
+
+    expect(enqueue).not.toHaveBeenCalled();
+    expect(summary).toEqual({ sent: 0, skipped: 0, emails: 0 });
+  });
+
+  it("should only send the nearest reminder when several are due at once", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [dueRow(60), dueRow(1440)] })
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 6 }] })
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 7 }] });
+
+    const summary = await sendDueReminders(pool, { offsets: [1440, 60] });
+
+    expect(claims().map((call) => call[1][3])).toEqual(["sent", "skipped"]);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue.mock.calls[0][3].startsIn).toBe("1 hour");
+    expect(summary).toEqual({ sent: 1, skipped: 1, emails: 1 });
+  });
+
+  it("should key reminders on the start time so a moved event is reminded again", async () => {
+    const moved = new Date("2030-05-02T09:00:00");
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [dueRow(1440, { start_time: moved })] })
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 8 }] });
+
+    await sendDueReminders(pool, { offsets: [1440] });
+
+    expect(mockClient.query.mock.calls[1][0]).toContain("r.start_time = e.start_time");
+    expect(claims()[0][1]).toEqual([1, 1440, moved, "sent", 1]);
+  });
+
+  it("should do nothing when no reminder is due", async () => {
+    const summary = await sendDueReminders(pool, { offsets: [60] });
+
+    expect(claims()).toHaveLength(0);
+    expect(summary).toEqual({ sent: 0, skipped: 0, emails: 0 });
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should roll back and release the connection on failure", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [dueRow(60)] })
+      .mockResolvedValueOnce({ rows: [organizer] })
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 9 }] });
+    enqueue.mockRejectedValueOnce(new Error("outbox unavailable"));
+
+    await expect(sendDueReminders(pool, { offsets: [60] })).rejects.toThrow("outbox unavailable");
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+// 2YP/backend/services/event-service/tests/speakers.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+const { enqueue } = require("../../../mail/outbox");
+
+const speakerRoutes = require("../src/routes/speakerRoutes");
+const { getEventSpeakers, addEventSpeaker, removeEventSpeaker } = require("../src/controllers/eventSpeakerController");
+const { getEvents, getEventById } = require("../src/controllers/eventController");
+const { render } = require("../../../mail");
+
+// ===== Setup Express App for Testing =====
+// The caller's role comes from the x-user-role header, as behind the gateway
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, role: req.headers["x-user-role"] || "visitor" };
+  next();
+});
+app.use("/speakers", speakerRoutes);
+app.get("/events", getEvents);
+app.get("/events/:id", getEventById);
+app.get("/events/:id/speakers", getEventSpeakers);
+app.post("/events/:id/speakers", addEventSpeaker);
+app.delete("/events/:id/speakers/:speakerId", removeEventSpeaker);
+
+const nimal = {
+  speaker_id: 1,
+  speaker_name: "Dr. Nimal Jayasuriya",
+  affiliation: "Department of Computer Engineering",
+  bio: "Works on applied machine learning.",
+  photo_url: null,
+  email: "nimal@uni.lk",
+};
+const clash = {
+  speaker_id: 1,
+  speaker_name: "Dr. Nimal Jayasuriya",
+  event_id: 2,
+  occurrence_id: null,
+  event_name: "Innovation Pitch",
+  start_time: "2030-09-20T10:00:00",
+  end_time: "2030-09-20T13:00:00",
+};
+const talk = {
+  event_id: 1,
+  occurrence_id: null,
+  event_name: "AI Workshop",
+  start_time: new Date("2030-09-20T03:30:00Z"),
+  end_time: new Date("2030-09-20T06:30:00Z"),
+  location: "Tech Building A",
+  status: "scheduled",
+  sequence: 0,
+  double_booked: true,
+};
+
+describe("Speakers", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  // ==============================
+  // CRUD
+  // ==============================
+  it("should list speakers, searching names and affiliations", async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await request(app).get("/speakers?q=engineering");
+    await request(app).get("/speakers").set("x-user-role", "organizer");
+    await request(app).get("/speakers?q=100%25_sure");
+
+    expect(pool.query.mock.calls[0][1]).toEqual(["%engineering%"]);
+    // % and _ are searched for literally
+    expect(pool.query.mock.calls[2][1]).toEqual(["%100\\%\\_sure%"]);
+    // Visitors never see speakers' email addresses
+    expect(pool.query.mock.calls[0][0]).not.toContain("email");
+    expect(pool.query.mock.calls[1][0]).toContain("email");
+  });
+
+  it("should show a speaker with their events and 404 for unknown ones", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [nimal] })
+      .mockResolvedValueOnce({ rows: [{ event_id: 1, event_name: "AI Workshop" }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const found = await request(app).get("/speakers/1");
+    const missing = await request(app).get("/speakers/99");
+
+    expect(found.body.events).toEqual([{ event_id: 1, event_name: "AI Workshop" }]);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should create speakers for organizers only", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [nimal] });
+
+    const visitor = await request(app).post("/speakers").send({ speaker_name: "Dr. Nimal Jayasuriya" });
+    const res = await request(app).post("/speakers").set("x-user-role", "organizer").send({
+      speaker_name: "Dr. Nimal Jayasuriya",
+      email: "nimal@uni.lk",
+      affiliation: "Department of Computer Engineering",
+      bio: "Works on applied machine learning.",
+    });
+
+    expect(visitor.statusCode).toBe(403);
+    expect(res.statusCode).toBe(201);
+    expect(pool.query.mock.calls[0][1]).toEqual([
+      "Dr. Nimal Jayasuriya", "nimal@uni.lk", "Department of Computer Engineering", "Works on applied machine learning.", null,
+    ]);
+  });
+
+  it("should validate speakers and refuse duplicate emails", async () => {
+    pool.query.mockRejectedValueOnce(Object.assign(new Error("duplicate key"), { code: "23505" }));
+
+    const noName = await request(app).post("/speakers").set("x-user-role", "admin").send({ email: "a@uni.lk" });
+    const badPhoto = await request(app).put("/speakers/1").set("x-user-role", "admin").send({ photo_url: "javascript:alert(1)" });
+    const duplicate = await request(app).put("/speakers/1").set("x-user-role", "admin").send({ email: "anusha@uni.lk" });
+
+    expect(noName.statusCode).toBe(400);
+    expect(badPhoto.body.message).toBe("photo_url must be an http(s) URL");
+    expect(duplicate.statusCode).toBe(409);
+  });
+
+  it("should only let admins delete speakers", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [nimal] });
+
+    const organizer = await request(app).delete("/speakers/1").set("x-user-role", "organizer");
+    const admin = await request(app).delete("/speakers/1").set("x-user-role", "admin");
+
+    expect(organizer.statusCode).toBe(403);
+    expect(admin.statusCode).toBe(200);
+  });
+
+  // ==============================
+  // EVENTS
+  // ==============================
+  it("should flag a speaker who is double-booked when added to an event", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ event_id: 1, speaker_id: 1 }] })
+      .mockResolvedValueOnce({ rows: [clash] });
+
+    const res = await request(app).post("/events/1/speakers").send({ speaker_id: 1 });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.warning).toBe("The speaker is double-booked");
+    expect(res.body.conflicts).toEqual([clash]);
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(sql).toContain("other.start_time < mine.end_time AND other.end_time > mine.start_time");
+    expect(params).toEqual(["1", [1]]);
+  });
+
+  it("should refuse unknown and repeated speakers", async () => {
+    pool.query
+      .mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503" }))
+      .mockResolvedValueOnce({ rows: [] });
+
+    const unknown = await request(app).post("/events/1/speakers").send({ speaker_id: 99 });
+    const again = await request(app).post("/events/1/speakers").send({ speaker_id: 1 });
+    const bad = await request(app).post("/events/1/speakers").send({ speaker_id: "me" });
+
+    expect(unknown.statusCode).toBe(404);
+    expect(again.statusCode).toBe(409);
+    expect(bad.statusCode).toBe(400);
+  });
+
+  it("should list an event's speakers with their clashes", async () => {
+    const anusha = { ...nimal, speaker_id: 2, speaker_name: "Prof. Anusha Wickramasinghe" };
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ event_id: 1 }] })
+      .mockResolvedValueOnce({ rows: [nimal, anusha] })
+      .mockResolvedValueOnce({ rows: [clash] });
+
+    const res = await request(app).get("/events/1/speakers");
+
+    const { speaker_id, speaker_name, ...withoutSpeaker } = clash;
+    expect(res.body[0].conflicts).toEqual([withoutSpeaker]);
+    expect(res.body[1].conflicts).toEqual([]);
+  });
+
+  it("should remove a speaker from an event", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ speaker_id: 1 }] }).mockResolvedValueOnce({ rows: [] });
+
+    const removed = await request(app).delete("/events/1/speakers/1");
+    const missing = await request(app).delete("/events/1/speakers/1");
+
+    expect(removed.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should embed speakers in event responses", async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await request(app).get("/events");
+    await request(app).get("/events/1");
+
+    for (const [sql] of pool.query.mock.calls) {
+      expect(sql).toContain("json_agg(json_build_object('speaker_id'");
+    }
+    expect(pool.query.mock.calls[0][0]).toContain("WHERE es.event_ID = ev.event_id");
+  });
+
+  // ==============================
+  // SCHEDULE
+  // ==============================
+  it("should report the schedule with double bookings flagged", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [nimal] }).mockResolvedValueOnce({ rows: [talk] });
+
+    const res = await request(app).get("/speakers/1/schedule");
+
+    expect(res.body.double_booked).toBe(true);
+    expect(res.body.schedule).toHaveLength(1);
+    expect(res.body).not.toHaveProperty("email");
+  });
+
+  it("should email the speaker their schedule with a calendar file", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [nimal] }).mockResolvedValueOnce({ rows: [talk] });
+
+    const res = await request(app).post("/speakers/1/schedule/email").set("x-user-role", "organizer");
+
+    expect(res.statusCode).toBe(200);
+    expect(enqueue).toHaveBeenCalledWith(pool, "speaker-schedule", "nimal@uni.lk", {
+      speaker: { speaker_name: "Dr. Nimal Jayasuriya" },
+      events: [talk],
+    });
+
+    const email = render("speaker-schedule", enqueue.mock.calls[0][3]);
+    expect(email.text).toContain("AI Workshop");
+    expect(email.text).toContain("overlaps another of your events");
+    expect(email.attachments[0].content).toContain("UID:event-1@organizer-dashboard");
+  });
+
+  it("should not email speakers without an address or upcoming talks", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ ...nimal, email: null }] })
+      .mockResolvedValueOnce({ rows: [nimal] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const noEmail = await request(app).post("/speakers/1/schedule/email").set("x-user-role", "admin");
+    const nothing = await request(app).post("/speakers/1/schedule/email").set("x-user-role", "admin");
+
+    expect(noEmail.statusCode).toBe(400);
+    expect(nothing.body.message).toBe("This speaker has no upcoming events");
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+});
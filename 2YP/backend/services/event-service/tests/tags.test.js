@@ -0,0 +1,306 @@
+// 2YP/backend/services/event-service/tests/tags.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+const mockClient = { query: jest.fn(), release: jest.fn() };
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+
+const { normaliseTag, validateTagName, lookupTags, applyTags } = require("../../../tags/taxonomy");
+const tagRoutes = require("../src/routes/tagRoutes");
+const { createEvent, updateEvent } = require("../src/controllers/eventController");
+
+// ===== Setup Express App for Testing =====
+// The caller's role comes from the x-user-role header, as behind the gateway
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 1, role: req.headers["x-user-role"] || "visitor" };
+  next();
+});
+app.use("/tags", tagRoutes);
+app.post("/events", createEvent);
+app.put("/events/:id", updateEvent);
+
+const robotics = { tag_id: 10, tag_name: "Robotics" };
+const ai = { tag_id: 1, tag_name: "AI" };
+// Rows of the tag lookup: each key found, with the tag it stands for
+const found = (...pairs) => ({ rows: pairs.map(([key, tag]) => ({ key, ...tag })) });
+const workshop = {
+  event_name: "AI Workshop",
+  start_time: "2030-09-20 09:00",
+  end_time: "2030-09-20 12:00",
+};
+
+describe("Tags", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    mockClient.query.mockReset();
+    pool.connect.mockResolvedValue(mockClient);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ==============================
+  // TAXONOMY
+  // ==============================
+  it("should normalise names and refuse ones that cannot be tags", () => {
+    expect(normaliseTag("  Computer   Science ")).toBe("Computer Science");
+    expect(validateTagName("  ")).toBe("tag_name is required");
+    expect(validateTagName("AI, ML", "synonym")).toBe("synonym cannot contain , ; or |");
+    expect(validateTagName("x".repeat(101))).toContain("at most 100");
+    expect(validateTagName("Robotics")).toBeNull();
+  });
+
+  it("should look names up in lower case once and keep each tag once", async () => {
+    pool.query.mockResolvedValueOnce(found(["robots", robotics], ["robotics", robotics]));
+
+    const lookup = await lookupTags(pool, ["Robots", " robotics", "ROBOTICS", "Hackathon"]);
+    const { tags, unknown } = applyTags(lookup, ["Robots", " robotics", "Hackathon", ""]);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([["robots", "robotics", "hackathon"]]);
+    expect(tags).toEqual([robotics]);
+    expect(unknown).toEqual(["Hackathon"]);
+  });
+
+  it("should not query for an empty list", async () => {
+    expect((await lookupTags(pool, [])).size).toBe(0);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  // ==============================
+  // READS
+  // ==============================
+  it("should list tags, searching names and synonyms", async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await request(app).get("/tags?q=%20robot%20");
+    await request(app).get("/tags?q=C_%25");
+
+    expect(pool.query.mock.calls[0][0]).toContain("Tag_Synonym");
+    expect(pool.query.mock.calls[0][1]).toEqual(["%robot%"]);
+    expect(pool.query.mock.calls[1][1]).toEqual(["%C\\_\\%%"]);
+  });
+
+  it("should resolve a synonym to its tag in any case", async () => {
+    pool.query.mockResolvedValueOnce(found(["robots", robotics])).mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app).get("/tags/resolve?name=ROBOTS");
+    const missing = await request(app).get("/tags/resolve?name=Hackathon");
+
+    expect(res.body).toEqual({ name: "ROBOTS", tag: robotics });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should list every event and exhibit carrying a tag", async () => {
+    const event = { event_id: 1, event_name: "Robot Race" };
+    const exhibit = { exhibit_name: "robocar", building_id: 101, building_name: "Tech Building A" };
+    pool.query
+      .mockResolvedValueOnce(found(["robots", robotics]))
+      .mockResolvedValueOnce({ rows: [event] })
+      .mockResolvedValueOnce({ rows: [exhibit] });
+
+    const res = await request(app).get("/tags/items?tag=robots");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ tag: robotics, events: [event], exhibits: [exhibit] });
+    expect(pool.query.mock.calls[1][1]).toEqual([10]);
+    expect(pool.query.mock.calls[2][0]).toContain("Exhibit_Tag");
+    expect(pool.query.mock.calls[2][1]).toEqual([10]);
+  });
+
+  it("should 400 without a tag and 404 for a name that is not a tag", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const none = await request(app).get("/tags/items");
+    const unknown = await request(app).get("/tags/items?tag=Hackathon");
+
+    expect(none.statusCode).toBe(400);
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  // ==============================
+  // WRITES
+  // ==============================
+  it("should leave the tag list to admins", async () => {
+    const res = await request(app).post("/tags").set("x-user-role", "organizer").send({ tag_name: "Drones" });
+
+    expect(res.statusCode).toBe(403);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it("should create a tag under its normalised name", async () => {
+    const created = { tag_id: 20, tag_name: "Drones", description: null };
+    pool.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [created] });
+
+    const res = await request(app).post("/tags").set("x-user-role", "admin").send({ tag_name: " Drones " });
+
+    expect(res.statusCode).toBe(201);
+    expect(pool.query.mock.calls[1][1]).toEqual(["Drones", null]);
+    expect(res.body.tag).toEqual({ ...created, synonyms: [] });
+  });
+
+  it("should refuse a tag that already exists or is a synonym", async () => {
+    pool.query.mockResolvedValueOnce(found(["robotics", robotics])).mockResolvedValueOnce(found(["robots", robotics]));
+
+    const existing = await request(app).post("/tags").set("x-user-role", "admin").send({ tag_name: "robotics" });
+    const synonym = await request(app).post("/tags").set("x-user-role", "admin").send({ tag_name: "Robots" });
+
+    expect(existing.statusCode).toBe(409);
+    expect(existing.body.message).toBe("Tag 'Robotics' already exists");
+    expect(synonym.statusCode).toBe(409);
+    expect(synonym.body.message).toBe("'Robots' is already a synonym of 'Robotics'");
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  it("should rename a tag in the categories of its events in one transaction", async () => {
+    const renamed = { tag_id: 10, tag_name: "Robotics & Automation", synonyms: ["Robots"] };
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ tag_name: "Robotics" }] }) // lock
+      .mockResolvedValueOnce({ rows: [] }) // name lookup
+      .mockResolvedValueOnce({}) // update
+      .mockResolvedValueOnce({ rowCount: 2 }) // events
+      .mockResolvedValueOnce({ rows: [renamed] }) // reload
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const res = await request(app).put("/tags/10").set("x-user-role", "admin").send({ tag_name: "Robotics & Automation" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ tag: renamed, renamed: { events: 2 } }));
+    const [sql, params] = mockClient.query.mock.calls[4];
+    expect(sql).toContain("array_replace(event_categories, $1, $2)");
+    expect(params).toEqual(["Robotics", "Robotics & Automation"]);
+    expect(mockClient.query).toHaveBeenLastCalledWith("COMMIT");
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  it("should only change the description when the name stays", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ tag_name: "AI" }] })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [ai] })
+      .mockResolvedValueOnce({});
+
+    const res = await request(app).put("/tags/1").set("x-user-role", "admin").send({ description: "Machine intelligence" });
+
+    expect(res.body.renamed).toEqual({ events: 0 });
+    expect(mockClient.query.mock.calls[2][1]).toEqual(["AI", "Machine intelligence", "1"]);
+  });
+
+  it("should not rename a tag onto another tag's synonym", async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ tag_name: "Robotics" }] })
+      .mockResolvedValueOnce(found(["artificial intelligence", ai]));
+
+    const res = await request(app).put("/tags/10").set("x-user-role", "admin").send({ tag_name: "Artificial Intelligence" });
+
+    expect(res.statusCode).toBe(409);
+    expect(mockClient.query).toHaveBeenLastCalledWith("ROLLBACK");
+  });
+
+  it("should only delete a tag nothing carries", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ ...robotics, event_count: 1, exhibit_count: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ tag_id: 20, tag_name: "Drones" }] });
+
+    const used = await request(app).delete("/tags/10").set("x-user-role", "admin");
+    const unused = await request(app).delete("/tags/20").set("x-user-role", "admin");
+
+    expect(used.statusCode).toBe(409);
+    expect(used.body).toEqual(expect.objectContaining({ event_count: 1, exhibit_count: 2 }));
+    expect(unused.statusCode).toBe(200);
+  });
+
+  it("should add and remove synonyms", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ synonym: "Bots", tag_id: 10 }] })
+      .mockResolvedValueOnce({ rows: [{ synonym: "Bots", tag_id: 10 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const added = await request(app).post("/tags/10/synonyms").set("x-user-role", "admin").send({ synonym: " Bots" });
+    const removed = await request(app).delete("/tags/10/synonyms/BOTS").set("x-user-role", "admin");
+    const missing = await request(app).delete("/tags/10/synonyms/nope").set("x-user-role", "admin");
+
+    expect(added.statusCode).toBe(201);
+    expect(pool.query.mock.calls[1][1]).toEqual(["Bots", "10"]);
+    expect(pool.query.mock.calls[2][1]).toEqual(["10", "bots"]);
+    expect(removed.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("should refuse a synonym that is already a tag and 404 for unknown tags", async () => {
+    pool.query
+      .mockResolvedValueOnce(found(["ai", ai]))
+      .mockResolvedValueOnce({ rows: [] })
+      .mockRejectedValueOnce(Object.assign(new Error("fk"), { code: "23503" }));
+
+    const taken = await request(app).post("/tags/10/synonyms").set("x-user-role", "admin").send({ synonym: "ai" });
+    const unknown = await request(app).post("/tags/99/synonyms").set("x-user-role", "admin").send({ synonym: "Bots" });
+
+    expect(taken.statusCode).toBe(409);
+    expect(unknown.statusCode).toBe(404);
+  });
+
+  // ==============================
+  // EVENT CATEGORIES
+  // ==============================
+  it("should store an event's categories as their canonical tags and tag the event", async () => {
+    pool.query
+      .mockResolvedValueOnce(found(["robots", robotics], ["ai", ai], ["robotics", robotics]))
+      .mockResolvedValueOnce({ rows: [{ event_id: 7 }] });
+
+    const res = await request(app).post("/events").send({ ...workshop, event_categories: ["robots", "ai", "Robotics"] });
+
+    expect(res.statusCode).toBe(201);
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(params[6]).toEqual(["Robotics", "AI"]);
+    expect(sql).toContain("INSERT INTO Event_Tag");
+  });
+
+  it("should refuse event categories that are not tags", async () => {
+    pool.query.mockResolvedValueOnce(found(["ai", ai]));
+
+    const res = await request(app).post("/events").send({ ...workshop, event_categories: ["AI", "Hackathon", "Demo"] });
+    const notList = await request(app).post("/events").send({ ...workshop, event_categories: "AI" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Unknown tags: Hackathon, Demo (see GET /tags)");
+    expect(notList.statusCode).toBe(400);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should replace an event's tags with new categories", async () => {
+    pool.query
+      .mockResolvedValueOnce(found(["artificial intelligence", ai]))
+      .mockResolvedValueOnce({ rows: [{ event_id: 1, event_categories: ["AI"] }] });
+
+    const res = await request(app).put("/events/1").send({ event_categories: ["Artificial Intelligence"] });
+
+    expect(res.statusCode).toBe(200);
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(params[6]).toEqual(["AI"]);
+    expect(sql).toContain("DELETE FROM Event_Tag");
+  });
+
+  it("should leave an event's tags alone when its categories are not changed", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 1 }] });
+
+    const res = await request(app).put("/events/1").send({ event_name: "Renamed" });
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][1][6]).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+// 2YP/backend/services/event-service/tests/venueBookings.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// ===== Mock DB and outbox =====
+jest.mock("../../../db/db.js", () => ({
+  query: jest.fn(),
+  connect: jest.fn(),
+}));
+jest.mock("../../../mail/outbox", () => ({ enqueue: jest.fn() }));
+
+const pool = require("../../../db/db.js");
+
+const { parseHours, freeSlots } = require("../src/utils/venueBookings");
+const { createEvent, updateEvent } = require("../src/controllers/eventController");
+const { getVenueAvailability } = require("../src/controllers/venueController");
+
+// ===== Setup Express App for Testing =====
+const app = express();
+app.use(express.json());
+app.get("/events/availability", getVenueAvailability);
+app.post("/events", createEvent);
+app.put("/events/:id", updateEvent);
+
+const at = (time) => new Date(`2025-09-20T${time}:00`);
+const workshop = { event_id: 1, event_name: "AI Workshop", start_time: at("09:00"), end_time: at("12:00"), room: "Lab 1" };
+const booking = {
+  event_name: "Robotics Talk",
+  start_time: "2025-09-20 11:00:00",
+  end_time: "2025-09-20 13:00:00",
+  building_id: 101,
+  room: "Lab 1",
+};
+
+describe("Venue Bookings", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  // ==============================
+  // SLOTS
+  // ==============================
+  it("should return the gaps between bookings within opening hours", () => {
+    const slots = freeSlots(
+      [
+        { start_time: at("07:00"), end_time: at("09:00") },
+        { start_time: at("10:00"), end_time: at("12:00") },
+        { start_time: at("11:00"), end_time: at("13:00") },
+        { start_time: at("19:00"), end_time: at("22:00") },
+      ],
+      at("08:00"),
+      at("20:00")
+    );
+
+    expect(slots).toEqual([
+      { start: at("09:00"), end: at("10:00") },
+      { start: at("13:00"), end: at("19:00") },
+    ]);
+    expect(freeSlots([], at("08:00"), at("20:00"))).toEqual([{ start: at("08:00"), end: at("20:00") }]);
+  });
+
+  it("should parse venue opening hours", () => {
+    expect(parseHours()).toEqual({ open: "08:00", close: "20:00" });
+    expect(parseHours("07:30-22:00")).toEqual({ open: "07:30", close: "22:00" });
+    expect(() => parseHours("20:00-08:00")).toThrow("Invalid venue hours");
+  });
+
+  // ==============================
+  // CONFLICTS
+  // ==============================
+  it("should refuse to double-book a room", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [workshop] });
+
+    const res = await request(app).post("/events").send(booking);
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe("The venue is already booked at that time");
+    expect(res.body.conflicts[0].event_id).toBe(1);
+    expect(sql).toContain("b.room IS NULL OR LOWER(b.room) = LOWER($2)");
+    expect(sql).toContain("b.status <> 'cancelled'");
+    expect(params).toEqual([101, "Lab 1", [booking.start_time], [booking.end_time], null]);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should save a double booking with a warning when conflicts are allowed", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [workshop] })
+      .mockResolvedValueOnce({ rows: [{ event_id: 2, ...booking }] });
+
+    const res = await request(app).post("/events?allow_conflicts=true").send(booking);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.warning).toBe("The venue is already booked at that time");
+    expect(pool.query.mock.calls[1][1].slice(8, 10)).toEqual([101, "Lab 1"]);
+  });
+
+  it("should not check venues for events without a building", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ event_id: 2 }] });
+
+    const res = await request(app).post("/events").send({ ...booking, building_id: undefined, room: undefined });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.conflicts).toBeUndefined();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reject a room without a building and unknown buildings", async () => {
+    const fkError = Object.assign(new Error("violates foreign key constraint"), {
+      code: "23503",
+      constraint: "fk_event_building",
+    });
+    pool.query.mockResolvedValueOnce({ rows: [] }).mockRejectedValueOnce(fkError);
+
+    const noBuilding = await request(app).post("/events").send({ ...booking, building_id: undefined });
+    const unknown = await request(app).post("/events").send({ ...booking, building_id: 999 });
+
+    expect(noBuilding.statusCode).toBe(400);
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.message).toBe("Unknown building");
+  });
+
+  it("should check a moved event against its venue, excluding itself", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ start_time: at("09:00"), end_time: at("12:00"), building_id: 101, room: "Lab 1" }] })
+      .mockResolvedValueOnce({ rows: [{ event_id: 3, event_name: "Hackathon" }] });
+
+    const res = await request(app).put("/events/1").send({ start_time: "2025-09-20 14:00:00", end_time: "2025-09-20 16:00:00" });
+
+    expect(res.statusCode).toBe(409);
+    expect(pool.query.mock.calls[1][1]).toEqual([101, "Lab 1", ["2025-09-20 14:00:00"], ["2025-09-20 16:00:00"], "1"]);
+  });
+
+  it("should compare a partial time change with the stored times", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ start_time: at("09:00"), end_time: at("12:00"), building_id: null, room: null }] });
+
+    const res = await request(app).put("/events/1").send({ end_time: "2025-09-20 08:00:00" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/End time must be later/);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  // ==============================
+  // AVAILABILITY
+  // ==============================
+  it("should list a room's bookings and free slots for the day", async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ building_id: 101, building_name: "Tech Building A" }] })
+      .mockResolvedValueOnce({ rows: [workshop] });
+
+    const res = await request(app).get("/events/availability?building=101&date=2025-09-20&room=Lab 1");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.bookings).toHaveLength(1);
+    expect(res.body.free).toEqual([
+      { start: at("08:00").toISOString(), end: at("09:00").toISOString() },
+      { start: at("12:00").toISOString(), end: at("20:00").toISOString() },
+    ]);
+    expect(pool.query.mock.calls[1][1]).toEqual(["101", "Lab 1", [at("08:00")], [at("20:00")], null]);
+  });
+
+  it("should validate the building and day", async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const missing = await request(app).get("/events/availability?building=999&date=2025-09-20");
+    const badDate = await request(app).get("/events/availability?building=101&date=tomorrow");
+    const noBuilding = await request(app).get("/events/availability?date=2025-09-20");
+
+    expect(missing.statusCode).toBe(404);
+    expect(badDate.statusCode).toBe(400);
+    expect(noBuilding.statusCode).toBe(400);
+  });
+});
@@ -58,12 +58,20 @@ const updateOrganizer = async (req, res) => {
                 Lname          = COALESCE($3, Lname),
                 email          = COALESCE($4, email),
                 contact_no     = COALESCE($5, contact_no),
-                password_hash  = COALESCE($6, password_hash)
+                password_hash  = COALESCE($6, password_hash),
+                -- a new password signs the organizer out of every session
+                token_version  = token_version + CASE WHEN $6::text IS NULL THEN 0 ELSE 1 END
                 WHERE organizer_ID = $7
                 RETURNING *`,
             [organizer_name, Fname, Lname, email, contact_no, hashedPassword, id]
         );
         if (result.rows.length > 0) {
+            if (hashedPassword) {
+                await pool.query(
+                    'UPDATE Refresh_Token SET revoked_at = CURRENT_TIMESTAMP WHERE organizer_ID = $1 AND revoked_at IS NULL',
+                    [id]
+                );
+            }
             res.json({ message: 'Organizer updated', organizer: result.rows[0] });
         } else {
             res.status(404).json({ message: 'Organizer not found' });
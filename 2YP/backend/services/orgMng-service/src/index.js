@@ -1,14 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const gatewayIdentity = require('../../../middlewares/gatewayIdentity');
+const { requireGatewaySecret } = gatewayIdentity;
 
 const app = express();
 const PORT = process.env.PORT || 5001;
+// Only the gateway should reach the service, so it listens on this machine alone
+const HOST = process.env.HOST || 'localhost';
 
 
 // Middleware - fix typo
 app.use(cors());
 app.use(express.json());
+app.use(gatewayIdentity);
 
 // Routes
 const organizerRoutes = require('./routes/orgRoutes');
@@ -39,6 +44,8 @@ app.use((err, req, res, next) => {
 
 
 
-app.listen(PORT, () => {
-    console.log(`Organizer Service running on port ${PORT}`);
+requireGatewaySecret('Organizer Service');
+
+app.listen(PORT, HOST, () => {
+    console.log(`Organizer Service running on ${HOST}:${PORT}`);
 });
\ No newline at end of file
@@ -12,6 +12,8 @@ const {
     updateOrganizer,
     deleteOrganizer
 } = require('../controllers/orgController');
+const requireRole = require('../../../../middlewares/requireRole');
+const requireOwner = require('../../../../middlewares/requireOwner');
 
 
 //  Routs    //
@@ -27,11 +29,11 @@ router.get('/:id',getOrganizerById);
 
 
 
-// pUT update organizer
-router.put('/:id',updateOrganizer);
+// pUT update organizer (organizers only their own profile)
+router.put('/:id',requireRole('organizer', 'admin'),requireOwner('id'),updateOrganizer);
 
-//Delete a organizer
-router.delete('/:id',deleteOrganizer);
+//Delete a organizer (admins only)
+router.delete('/:id',requireRole('admin'),deleteOrganizer);
 
 
 module.exports = router;
\ No newline at end of file
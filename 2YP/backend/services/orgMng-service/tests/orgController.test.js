@@ -154,6 +154,15 @@ describe('Organizer Controller', () => {
       expect(res.json).toHaveBeenCalledWith({ message: 'Organizer updated', organizer: mockRows[0] });
     });
 
+    it('should revoke refresh tokens when the password changes', async () => {
+      bcrypt.hash.mockResolvedValue('hashedPass');
+      pool.query.mockResolvedValue({ rows: [{ organizer_ID: 1 }] });
+
+      await updateOrganizer(req, res);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE Refresh_Token'), [1]);
+    });
+
     it('should return 500 if password hashing fails', async () => {
       bcrypt.hash.mockRejectedValue(new Error('Hash Error'));
 
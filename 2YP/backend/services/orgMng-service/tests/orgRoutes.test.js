@@ -0,0 +1,93 @@
+// tests/orgRoutes.test.js
+// The organizer routes check the caller's role (and ownership) themselves too,
+// not only the API gateway.
+
+const request = require('supertest');
+const express = require('express');
+
+const pool = require('../../../db/db.js');
+const bcrypt = require('bcrypt');
+
+jest.mock('../../../db/db.js');
+jest.mock('bcrypt');
+
+const orgRoutes = require('../src/routes/orgRoutes');
+
+// The routes, with the caller from x-user-* headers as behind the gateway
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = {
+    id: req.headers['x-user-id'] !== undefined ? Number(req.headers['x-user-id']) : undefined,
+    role: req.headers['x-user-role'] || 'visitor'
+  };
+  next();
+});
+app.use('/organizers', orgRoutes);
+
+const organizer = { organizer_id: 5, organizer_name: 'Org5' };
+
+describe('Organizer routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bcrypt.hash.mockResolvedValue('hashed');
+  });
+
+  it('should let an organizer update their own profile', async () => {
+    pool.query.mockResolvedValue({ rows: [organizer] });
+
+    const res = await request(app).put('/organizers/5')
+      .set('x-user-role', 'organizer').set('x-user-id', '5')
+      .send({ organizer_name: 'Org5' });
+
+    expect(res.statusCode).toBe(200);
+    expect(pool.query).toHaveBeenCalled();
+  });
+
+  it("should not let an organizer update someone else's profile", async () => {
+    const res = await request(app).put('/organizers/6')
+      .set('x-user-role', 'organizer').set('x-user-id', '5')
+      .send({ organizer_name: 'Org6' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ message: 'Access denied. You can only manage your own resources.' });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should let admins update any organizer', async () => {
+    pool.query.mockResolvedValue({ rows: [organizer] });
+
+    const res = await request(app).put('/organizers/5')
+      .set('x-user-role', 'admin').set('x-user-id', '1')
+      .send({ organizer_name: 'Org5' });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should refuse updates from visitors', async () => {
+    const res = await request(app).put('/organizers/5').send({ organizer_name: 'Org5' });
+
+    expect(res.statusCode).toBe(403);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should leave deleting organizers to admins', async () => {
+    const own = await request(app).delete('/organizers/5')
+      .set('x-user-role', 'organizer').set('x-user-id', '5');
+    pool.query.mockResolvedValue({ rows: [organizer] });
+    const byAdmin = await request(app).delete('/organizers/5')
+      .set('x-user-role', 'admin').set('x-user-id', '1');
+
+    expect(own.statusCode).toBe(403);
+    expect(byAdmin.statusCode).toBe(200);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep organizer listings public', async () => {
+    pool.query.mockResolvedValue({ rows: [organizer] });
+
+    const res = await request(app).get('/organizers');
+
+    expect(res.statusCode).toBe(200);
+  });
+});
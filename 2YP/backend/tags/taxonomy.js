@@ -0,0 +1,85 @@
+// tags/taxonomy.js
+// The managed tag list (Tag and Tag_Synonym), shared by the event-service
+// (event_categories, mirrored in Event_Tag) and the building-service (the
+// tags of exhibits, Exhibit_Tag).
+//
+// Tags are matched without regard to case or surrounding/repeated spaces, and a
+// synonym stands for its tag, so ' robots ' and 'ROBOTICS' both resolve to
+// 'Robotics'. Events only ever store the canonical tag_name.
+
+const MAX_TAG_LENGTH = 100;
+
+// Characters that separate list entries in imported files (see the event import)
+const SEPARATORS = /[;,|]/;
+
+// '  Computer   science ' -> 'Computer science'
+const normaliseTag = (name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '');
+
+const tagKey = (name) => normaliseTag(name).toLowerCase();
+
+// Error message for a name that cannot be a tag or synonym, otherwise null
+function validateTagName(name, field = 'tag_name') {
+  const value = normaliseTag(name);
+  if (!value) return `${field} is required`;
+  if (value.length > MAX_TAG_LENGTH) return `${field} must be at most ${MAX_TAG_LENGTH} characters`;
+  if (SEPARATORS.test(value)) return `${field} cannot contain , ; or |`;
+  return null;
+}
+
+// The tags the given names refer to, by tag name or synonym:
+// Map of tagKey(name) -> { tag_id, tag_name }. Names that match nothing are left out.
+async function lookupTags(db, names) {
+  const keys = [...new Set(names.map(tagKey).filter(Boolean))];
+  if (keys.length === 0) return new Map();
+
+  const result = await db.query(
+    `SELECT k.key, t.tag_ID, t.tag_name
+     FROM unnest($1::text[]) AS k(key)
+     JOIN LATERAL (
+       SELECT tag_ID, tag_name FROM Tag WHERE LOWER(tag_name) = k.key
+       UNION ALL
+       SELECT t.tag_ID, t.tag_name
+       FROM Tag_Synonym s JOIN Tag t ON t.tag_ID = s.tag_ID
+       WHERE LOWER(s.synonym) = k.key
+       LIMIT 1
+     ) t ON TRUE`,
+    [keys]
+  );
+  return new Map(result.rows.map((row) => [row.key, { tag_id: row.tag_id, tag_name: row.tag_name }]));
+}
+
+// Splits names into the tags they resolve to (each once, in the order given)
+// and the names that are not tags
+function applyTags(found, names) {
+  const tags = new Map();
+  const unknown = [];
+  for (const name of names) {
+    if (!tagKey(name)) continue;
+    const tag = found.get(tagKey(name));
+    if (!tag) {
+      unknown.push(normaliseTag(name));
+    } else if (!tags.has(tag.tag_id)) {
+      tags.set(tag.tag_id, tag);
+    }
+  }
+  return { tags: [...tags.values()], unknown };
+}
+
+// { tags: [{ tag_id, tag_name }], unknown: [name] } for a list of names
+async function resolveTags(db, names) {
+  return applyTags(await lookupTags(db, names), names);
+}
+
+const unknownTagsMessage = (unknown) =>
+  `Unknown tag${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} (see GET /tags)`;
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normaliseTag,
+  tagKey,
+  validateTagName,
+  lookupTags,
+  applyTags,
+  resolveTags,
+  unknownTagsMessage
+};